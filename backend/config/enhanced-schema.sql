@@ -113,6 +113,85 @@ CREATE TABLE IF NOT EXISTS sessions (
     INDEX idx_activity (activity_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Academic Calendar Closures
+-- Holidays, term breaks, exam weeks and ad hoc closures, school-wide
+-- (venue_id NULL) or for one venue; covered sessions are skipped or cancelled
+CREATE TABLE IF NOT EXISTS calendar_closures (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    closure_type ENUM('holiday', 'term_break', 'exam_week', 'closure') DEFAULT 'closure',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    venue_id INT NULL,
+    notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+    INDEX idx_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE sessions
+ADD COLUMN closure_id INT NULL,
+ADD FOREIGN KEY (closure_id) REFERENCES calendar_closures(id) ON DELETE SET NULL;
+
+-- Calendar Feeds
+-- Secret .ics subscription links for a student's, coach's or venue's sessions.
+-- Only a hash of the token is kept; creating a new link revokes the old one
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    feed_type ENUM('student', 'coach', 'venue') NOT NULL,
+    target_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token (token_hash),
+    INDEX idx_user (user_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Session Changes
+-- Sessions moved, cancelled or handed to another venue/instructor by hand.
+-- is_modified keeps the session generator from reverting the change; the
+-- original slot stops it from recreating a session that was moved away
+ALTER TABLE sessions
+ADD COLUMN is_modified BOOLEAN DEFAULT FALSE,
+ADD COLUMN original_date DATE NULL,
+ADD COLUMN original_start_time TIME NULL;
+
+CREATE TABLE IF NOT EXISTS session_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    change_type ENUM('rescheduled', 'reassigned', 'cancelled') NOT NULL,
+    previous_values JSON,
+    new_values JSON,
+    reason TEXT NOT NULL,
+    changed_by INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    INDEX idx_session (session_id, changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Timetable Drafts
+-- Output of the timetable builder: proposed slots for a set of activities,
+-- kept for review and only written to activity_schedules when approved
+CREATE TABLE IF NOT EXISTS timetable_drafts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status ENUM('draft', 'approved', 'discarded') DEFAULT 'draft',
+    settings JSON,
+    requests JSON,
+    assignments JSON,
+    unplaced JSON,
+    overlap_score INT NOT NULL DEFAULT 0,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INT,
+    reviewed_at TIMESTAMP NULL,
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- =====================================================
 -- 3. ENROLLMENT SYSTEM
 -- =====================================================
@@ -150,6 +229,126 @@ CREATE TABLE IF NOT EXISTS activity_waitlist (
     INDEX idx_priority (priority)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Waitlist Offers
+-- 'auto' enrolls the next student when a seat frees up; 'offer' holds the seat
+-- for waitlist_offer_hours and waits for the family to accept or decline
+ALTER TABLE activities
+ADD COLUMN waitlist_mode ENUM('auto', 'offer') DEFAULT 'auto',
+ADD COLUMN waitlist_offer_hours INT DEFAULT 48;
+
+ALTER TABLE activity_waitlist
+MODIFY COLUMN status ENUM('waiting', 'notified', 'promoted', 'expired', 'declined', 'cancelled') DEFAULT 'waiting',
+ADD COLUMN offer_expires_at TIMESTAMP NULL,
+ADD COLUMN responded_at TIMESTAMP NULL,
+ADD INDEX idx_offer_expiry (status, offer_expires_at);
+
+-- Waitlist Status History
+-- One row per status change, with the queue position at that moment
+CREATE TABLE IF NOT EXISTS waitlist_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    waitlist_id INT NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    position INT,
+    note VARCHAR(255),
+    changed_by INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (waitlist_id) REFERENCES activity_waitlist(id) ON DELETE CASCADE,
+    INDEX idx_waitlist (waitlist_id, changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Waitlist Priority Rules
+-- A student's waitlist priority is the sum of the weights of the rules they match
+CREATE TABLE IF NOT EXISTS waitlist_priority_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    activity_id INT NOT NULL,
+    rule_type ENUM('grade_at_least', 'sibling_enrolled', 'no_other_activity', 'returning_member') NOT NULL,
+    rule_value INT,
+    weight INT NOT NULL DEFAULT 1,
+    description VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    INDEX idx_activity (activity_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Lottery Allocation
+-- 'lottery' activities collect enrollment_requests during the registration window;
+-- once it closes an admin runs a seeded draw that fills the quota and waitlists
+-- the rest in drawn order (lottery_runs keeps the seed and outcomes for audit)
+ALTER TABLE activities
+ADD COLUMN allocation_mode ENUM('first_come', 'lottery') DEFAULT 'first_come',
+ADD COLUMN lottery_run_at TIMESTAMP NULL;
+
+CREATE TABLE IF NOT EXISTS lottery_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    activity_id INT NOT NULL,
+    seed VARCHAR(64) NOT NULL,
+    seats INT NOT NULL,
+    total_requests INT NOT NULL DEFAULT 0,
+    enrolled_count INT NOT NULL DEFAULT 0,
+    waitlisted_count INT NOT NULL DEFAULT 0,
+    skipped_count INT NOT NULL DEFAULT 0,
+    results JSON,
+    run_by INT,
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    INDEX idx_activity (activity_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS enrollment_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    activity_id INT NOT NULL,
+    grade_level INT,
+    status ENUM('pending', 'won', 'waitlisted', 'skipped', 'withdrawn') DEFAULT 'pending',
+    notes TEXT,
+    requested_by INT,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lottery_run_id INT NULL,
+    priority INT NULL,
+    draw_order INT NULL,
+    FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    FOREIGN KEY (lottery_run_id) REFERENCES lottery_runs(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_request (student_id, activity_id),
+    INDEX idx_activity_status (activity_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ranked Preference Registration
+-- Students rank up to max_choices activities in a round; the allocation goes
+-- rank by rank and gives each student up to max_activities conflict-free places
+CREATE TABLE IF NOT EXISTS preference_rounds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    max_choices INT NOT NULL DEFAULT 5,
+    max_activities INT NOT NULL DEFAULT 2,
+    opens_at DATETIME,
+    closes_at DATETIME,
+    status ENUM('open', 'allocated') DEFAULT 'open',
+    seed VARCHAR(64),
+    allocated_at TIMESTAMP NULL,
+    allocated_by INT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS student_preferences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    round_id INT NOT NULL,
+    student_id INT NOT NULL,
+    activity_id INT NOT NULL,
+    preference_rank INT NOT NULL,
+    status ENUM('pending', 'allocated', 'unallocated') DEFAULT 'pending',
+    reason VARCHAR(50),
+    enrollment_id INT NULL,
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (round_id) REFERENCES preference_rounds(id) ON DELETE CASCADE,
+    FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_choice (round_id, student_id, activity_id),
+    UNIQUE KEY unique_rank (round_id, student_id, preference_rank),
+    INDEX idx_round_rank (round_id, preference_rank)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Enrollment Conflicts Log
 CREATE TABLE IF NOT EXISTS enrollment_conflicts (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -190,6 +389,83 @@ CREATE TABLE IF NOT EXISTS attendance (
     INDEX idx_session (session_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Attendance Changes
+-- Edit trail for attendance: one row per status or remarks change, including
+-- the first mark (previous_status NULL) and later corrections
+CREATE TABLE IF NOT EXISTS attendance_changes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    student_id INT NOT NULL,
+    previous_status ENUM('present', 'absent', 'late', 'excused') NULL,
+    new_status ENUM('present', 'absent', 'late', 'excused') NOT NULL,
+    previous_remarks TEXT,
+    new_remarks TEXT,
+    changed_by INT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    INDEX idx_session_student (session_id, student_id, changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Attendance Submissions
+-- Idempotency keys of bulk attendance saves. A save replayed from a coach's
+-- offline queue is applied once and answered with the original result
+CREATE TABLE IF NOT EXISTS attendance_submissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    idempotency_key VARCHAR(64) NOT NULL,
+    session_id INT NOT NULL,
+    submitted_by INT,
+    recorded_at TIMESTAMP NULL,
+    response JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_idempotency_key (idempotency_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Attendance Alerts
+-- A student tripping a chronic absence rule in an activity. At most one open
+-- alert per student, activity and rule; it resolves once the rule clears
+CREATE TABLE IF NOT EXISTS attendance_alerts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    student_id INT NOT NULL,
+    activity_id INT NOT NULL,
+    rule ENUM('consecutive_absences', 'low_attendance', 'repeated_lateness') NOT NULL,
+    value DECIMAL(5,2) NOT NULL,
+    message VARCHAR(255) NOT NULL,
+    status ENUM('open', 'resolved') DEFAULT 'open',
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP NULL,
+    FOREIGN KEY (activity_id) REFERENCES activities(id) ON DELETE CASCADE,
+    INDEX idx_activity_status (activity_id, status),
+    INDEX idx_student_status (student_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Absence Excuses
+-- A parent's note explaining a student's absence from one session, sent before
+-- or after it, with an optional attachment (e.g. a doctor's note). Approval
+-- marks the student excused and links the attendance row back to the note
+CREATE TABLE IF NOT EXISTS absence_excuses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    student_id INT NOT NULL,
+    submitted_by INT NOT NULL,
+    reason TEXT NOT NULL,
+    attachment_name VARCHAR(255) NULL,
+    attachment_type VARCHAR(100) NULL,
+    attachment_data MEDIUMBLOB NULL,
+    status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+    reviewed_by INT NULL,
+    review_note VARCHAR(500) NULL,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    INDEX idx_session_student (session_id, student_id),
+    INDEX idx_student_status (student_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE attendance
+ADD COLUMN excuse_id INT NULL,
+ADD FOREIGN KEY (excuse_id) REFERENCES absence_excuses(id) ON DELETE SET NULL;
+
 -- =====================================================
 -- 5. EVALUATION & PROGRESS TRACKING
 -- =====================================================
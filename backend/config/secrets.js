@@ -0,0 +1,39 @@
+/**
+ * Signing Secrets
+ *
+ * The one place the JWT and check-in secrets are read. Without JWT_SECRET a
+ * placeholder is used so a fresh checkout runs in development; anywhere else
+ * signing and verifying refuse it, so tokens can never be forged with a
+ * default that is public in this repository.
+ * Read on each use, so they always reflect the loaded .env.
+ */
+
+const PLACEHOLDER_SECRET = 'your-secret-key-change-in-production';
+
+const usable = (secret) => {
+  if (secret === PLACEHOLDER_SECRET && process.env.NODE_ENV !== 'development') {
+    throw new Error('JWT_SECRET is not set; the placeholder secret is only allowed in development');
+  }
+  return secret;
+};
+
+/**
+ * Secret for access tokens
+ * @returns {string} JWT_SECRET
+ * @throws When it is not set outside development
+ */
+export const getJwtSecret = () => usable(process.env.JWT_SECRET || PLACEHOLDER_SECRET);
+
+/**
+ * Secret for check-in QR tokens
+ * @returns {string} CHECK_IN_SECRET, falling back to JWT_SECRET
+ * @throws When neither is set outside development
+ */
+export const getCheckInSecret = () => usable(
+  process.env.CHECK_IN_SECRET || process.env.JWT_SECRET || PLACEHOLDER_SECRET
+);
+
+export default {
+  getJwtSecret,
+  getCheckInSecret
+};
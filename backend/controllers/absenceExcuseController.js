@@ -0,0 +1,165 @@
+/**
+ * Absence Excuse Controller
+ *
+ * Parents send absence notes for their child's sessions; coaches and admins
+ * approve or reject them
+ */
+
+import absenceExcuseService from '../services/absenceExcuseService.js';
+
+/**
+ * GET /api/enhanced/excuses/students
+ *
+ * Students the signed-in parent can send absence notes for (Parent)
+ */
+export const getParentStudents = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.getParentStudents(req.user.id);
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching students for absence notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch students',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/excuses/student/:studentId
+ *
+ * A student's absence notes and the sessions a note can be sent for
+ */
+export const getStudentExcuses = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.getStudentExcuses({
+      student_id: req.params.studentId
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching absence notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch absence notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/excuses
+ * Body: { student_id, session_id, reason, attachment: { name, type, data } }
+ *
+ * Send an absence note for one session, before or after it (Parent/Admin)
+ */
+export const submitExcuse = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.submitExcuse({
+      student_id: req.body.student_id,
+      session_id: req.body.session_id,
+      reason: req.body.reason,
+      attachment: req.body.attachment,
+      submitted_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error submitting absence note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send absence note',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/excuses?status=pending|approved|rejected|all
+ *
+ * Absence notes for an activity's sessions, pending ones by default (Coach/Admin)
+ */
+export const getActivityExcuses = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.getActivityExcuses({
+      activity_id: req.params.activityId,
+      status: req.query.status
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching absence notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch absence notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/excuses/:excuseId/review
+ * Body: { decision: 'approve' | 'reject', review_note }
+ *
+ * Approve (marking the student excused) or reject a pending note (Coach/Admin)
+ */
+export const reviewExcuse = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.reviewExcuse({
+      activity_id: req.params.activityId,
+      excuse_id: req.params.excuseId,
+      decision: req.body.decision,
+      review_note: req.body.review_note,
+      reviewed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error reviewing absence note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review absence note',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/excuses/:excuseId/attachment
+ *
+ * The file attached to a note, base64-encoded (Coach/Admin)
+ */
+export const getExcuseAttachment = async (req, res) => {
+  try {
+    const result = await absenceExcuseService.getExcuseAttachment({
+      activity_id: req.params.activityId,
+      excuse_id: req.params.excuseId
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching absence note attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attachment',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getParentStudents,
+  getStudentExcuses,
+  submitExcuse,
+  getActivityExcuses,
+  reviewExcuse,
+  getExcuseAttachment
+};
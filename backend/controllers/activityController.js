@@ -9,6 +9,8 @@
  */
 
 import { query } from '../config/database.js';
+import { findCoachConflicts } from '../services/scheduleService.js';
+import { ENROLLED_STATUSES_SQL } from '../services/enrollmentStatus.js';
 
 /**
  * Get all activities
@@ -33,7 +35,7 @@ export const getAllActivities = async (req, res) => {
         COUNT(ae.id) as enrolled_count
       FROM activities a
       LEFT JOIN users u ON a.coach_id = u.id
-      LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status = 'active'
+      LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status IN (${ENROLLED_STATUSES_SQL})
     `;
     
     const params = [];
@@ -76,7 +78,7 @@ export const getActivityById = async (req, res) => {
         COUNT(ae.id) as enrolled_count
       FROM activities a
       LEFT JOIN users u ON a.coach_id = u.id
-      LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status = 'active'
+      LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status IN (${ENROLLED_STATUSES_SQL})
       WHERE a.id = ?
       GROUP BY a.id
     `;
@@ -174,7 +176,41 @@ export const createActivity = async (req, res) => {
 export const updateActivity = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, category, coach_id, schedule, description, max_students, venue } = req.body;
+    const {
+      name, category, coach_id, schedule, description, max_students, venue,
+      waitlist_mode, waitlist_offer_hours, allocation_mode
+    } = req.body;
+    
+    if (waitlist_mode && !['auto', 'offer'].includes(waitlist_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist_mode. Must be one of: auto, offer'
+      });
+    }
+    
+    if (allocation_mode && !['first_come', 'lottery'].includes(allocation_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid allocation_mode. Must be one of: first_come, lottery'
+      });
+    }
+    
+    // A new coach takes over the slots without an instructor; they must be free then
+    if (coach_id) {
+      const currentResult = await query('SELECT coach_id FROM activities WHERE id = ?', [id]);
+      const current = currentResult.rows[0];
+
+      if (current && String(current.coach_id) !== String(coach_id)) {
+        const problems = await findCoachConflicts({ query }, id, coach_id);
+        if (problems.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'The new coach is already teaching at some of this activity\'s times',
+            problems
+          });
+        }
+      }
+    }
     
     const queryText = `
       UPDATE activities
@@ -186,11 +222,14 @@ export const updateActivity = async (req, res) => {
         description = COALESCE(?, description),
         max_students = COALESCE(?, max_students),
         venue = COALESCE(?, venue),
+        waitlist_mode = COALESCE(?, waitlist_mode),
+        waitlist_offer_hours = COALESCE(?, waitlist_offer_hours),
+        allocation_mode = COALESCE(?, allocation_mode),
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `;
     
-    const params = [name, category, coach_id, schedule, description, max_students, venue, id];
+    const params = [name, category, coach_id, schedule, description, max_students, venue, waitlist_mode ?? null, waitlist_offer_hours ?? null, allocation_mode ?? null, id];
     
     const result = await query(queryText, params);
     
@@ -0,0 +1,274 @@
+/**
+ * Activity Session Controller
+ *
+ * Dated class sessions generated from activity_schedules
+ * (not to be confused with login sessions in sessionService)
+ */
+
+import { query } from '../config/database.js';
+import { generateSessionsForActivity, generateAllSessions } from '../services/sessionGenerator.js';
+import sessionChangeService from '../services/sessionChangeService.js';
+
+const toId = (value) => (value ? parseInt(value) : null);
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * List the sessions of an activity (Coach/Admin)
+ */
+export const getActivitySessions = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+    const { from, to } = req.query;
+
+    let sessionsQuery = `
+      SELECT
+        s.id,
+        s.schedule_id,
+        s.activity_id,
+        DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+        s.start_time,
+        s.end_time,
+        s.venue_id,
+        v.name as venue_name,
+        s.instructor_id,
+        i.name as instructor_name,
+        s.status,
+        s.is_modified,
+        DATE_FORMAT(s.original_date, '%Y-%m-%d') as original_date,
+        s.notes
+      FROM sessions s
+      LEFT JOIN venues v ON s.venue_id = v.id
+      LEFT JOIN instructors i ON s.instructor_id = i.id
+      WHERE s.activity_id = ?
+    `;
+    const params = [activityId];
+
+    if (from) {
+      sessionsQuery += ' AND s.session_date >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      sessionsQuery += ' AND s.session_date <= ?';
+      params.push(to);
+    }
+
+    sessionsQuery += ' ORDER BY s.session_date ASC, s.start_time ASC';
+
+    const result = await query(sessionsQuery, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/generate
+ *
+ * Generate or refresh the sessions of one activity (Admin only)
+ */
+export const generateActivitySessions = async (req, res) => {
+  try {
+    const counts = await generateSessionsForActivity(req.params.activityId);
+
+    if (!counts) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${counts.created} sessions created, ${counts.updated} updated, ${counts.removed + counts.cancelled} removed`,
+      data: counts
+    });
+
+  } catch (error) {
+    console.error('Error generating sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/sessions/generate
+ *
+ * Generate or refresh the sessions of every active activity (Admin only)
+ */
+export const generateSessions = async (req, res) => {
+  try {
+    const totals = await generateAllSessions();
+
+    res.json({
+      success: true,
+      message: `${totals.created} sessions created across ${totals.activities} activities`,
+      data: totals
+    });
+
+  } catch (error) {
+    console.error('Error generating sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/enhanced/activities/:activityId/sessions/:sessionId
+ * Body: { session_date, start_time, end_time, venue_id, instructor_id, reason }
+ *
+ * Reschedule or reassign one session (Coach/Admin)
+ */
+export const updateSession = async (req, res) => {
+  try {
+    const { session_date, start_time, end_time, venue_id, instructor_id, reason } = req.body;
+
+    const result = await sessionChangeService.updateSession({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      session_date,
+      start_time,
+      end_time,
+      venue_id: toId(venue_id),
+      instructor_id: toId(instructor_id),
+      reason,
+      changed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/cancel
+ * Body: { reason }
+ *
+ * Cancel one session (Coach/Admin)
+ */
+export const cancelSession = async (req, res) => {
+  try {
+    const result = await sessionChangeService.cancelSession({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      reason: req.body.reason,
+      changed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error cancelling session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/bulk-update
+ * Body: { action: 'cancel'|'reassign', from, to, venue_id, instructor_id, start_time, end_time, reason }
+ *
+ * Cancel or reassign every upcoming session in a date range (Coach/Admin)
+ */
+export const updateSessionRange = async (req, res) => {
+  try {
+    const { action, from, to, venue_id, instructor_id, start_time, end_time, reason } = req.body;
+
+    const result = await sessionChangeService.updateSessionRange({
+      activity_id: req.params.activityId,
+      action,
+      from,
+      to,
+      venue_id: toId(venue_id),
+      instructor_id: toId(instructor_id),
+      start_time,
+      end_time,
+      reason,
+      changed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error updating sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/changes
+ *
+ * Change history of a session, newest first (Coach/Admin)
+ */
+export const getSessionChanges = async (req, res) => {
+  try {
+    const { activityId, sessionId } = req.params;
+
+    const result = await query(
+      `SELECT sc.id, sc.change_type, sc.previous_values, sc.new_values, sc.reason,
+              sc.changed_at, CONCAT(u.first_name, ' ', u.last_name) as changed_by_name
+       FROM session_changes sc
+       JOIN sessions s ON sc.session_id = s.id
+       LEFT JOIN users u ON sc.changed_by = u.id
+       WHERE sc.session_id = ? AND s.activity_id = ?
+       ORDER BY sc.changed_at DESC, sc.id DESC`,
+      [sessionId, activityId]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching session changes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch session changes',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getActivitySessions,
+  generateActivitySessions,
+  generateSessions,
+  updateSession,
+  cancelSession,
+  updateSessionRange,
+  getSessionChanges
+};
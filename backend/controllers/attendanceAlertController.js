@@ -0,0 +1,57 @@
+/**
+ * Attendance Alert Controller
+ *
+ * Students flagged by the chronic absence rules, for coaches and admin reports
+ */
+
+import attendanceAlertService from '../services/attendanceAlertService.js';
+
+/**
+ * GET /api/enhanced/activities/:activityId/attendance-alerts?status=open|resolved|all
+ *
+ * Alerts of an activity, open ones by default (Coach/Admin)
+ */
+export const getActivityAlerts = async (req, res) => {
+  try {
+    const result = await attendanceAlertService.getActivityAlerts({
+      activity_id: req.params.activityId,
+      status: req.query.status
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching attendance alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance alerts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/attendance-alerts
+ *
+ * Every open alert across activities (Admin)
+ */
+export const getOpenAlerts = async (req, res) => {
+  try {
+    const result = await attendanceAlertService.getOpenAlerts();
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching attendance alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance alerts',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getActivityAlerts,
+  getOpenAlerts
+};
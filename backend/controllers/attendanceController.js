@@ -6,34 +6,43 @@
  */
 
 import { query, getClient } from '../config/database.js';
+import attendanceService from '../services/attendanceService.js';
+import { ENROLLED_STATUSES_SQL } from '../services/enrollmentStatus.js';
 
 /**
  * POST /api/attendance/mark
  * 
- * Mark attendance for a session (Coach only)
- * Supports two modes:
- * 1. Session-based: session_id, student_id, status
- * 2. Enrollment-based (simple): enrollment_id, activity_id, status
+ * Mark one student's attendance (Coach only)
+ * Both modes write the same session-keyed record as the session roster:
+ * 1. Session-based: activity_id, session_id, student_id, status
+ * 2. Enrollment-based (simple): activity_id, enrollment_id, status, optional date
+ *    (defaults to today); the mark goes on the activity's session that day
  */
 export const markAttendance = async (req, res) => {
   try {
-    const { session_id, student_id, enrollment_id, activity_id, status, remarks, notes, marked_by } = req.body;
+    const { session_id, student_id, enrollment_id, activity_id, date, status, remarks, notes } = req.body;
     
     // Validate status
-    const validStatuses = ['present', 'absent', 'late', 'excused'];
-    if (!validStatuses.includes(status)) {
+    if (!attendanceService.ATTENDANCE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: `Invalid status. Must be one of: ${attendanceService.ATTENDANCE_STATUSES.join(', ')}`
       });
     }
 
-    // Simple enrollment-based attendance (no sessions table required)
-    if (enrollment_id && activity_id) {
-      // Check if enrollment exists
+    if (!activity_id || !(student_id || enrollment_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'activity_id, status and either student_id or enrollment_id are required'
+      });
+    }
+
+    let studentId = student_id;
+
+    if (!studentId) {
       const enrollmentCheck = await query(
-        'SELECT id, student_id FROM activity_enrollments WHERE id = ?',
-        [enrollment_id]
+        'SELECT student_id FROM activity_enrollments WHERE id = ? AND activity_id = ?',
+        [enrollment_id, activity_id]
       );
       
       if (enrollmentCheck.rows.length === 0) {
@@ -43,100 +52,50 @@ export const markAttendance = async (req, res) => {
         });
       }
 
-      const studentIdFromEnrollment = enrollmentCheck.rows[0].student_id;
-      const today = new Date().toISOString().split('T')[0];
-      
-      // Check if attendance already exists for today
-      const existingAttendance = await query(
-        'SELECT id FROM attendance WHERE enrollment_id = ? AND DATE(created_at) = ?',
-        [enrollment_id, today]
+      studentId = enrollmentCheck.rows[0].student_id;
+    }
+
+    let sessionId = session_id;
+
+    if (!sessionId) {
+      // Without a date, today's session by the database clock
+      const sessionResult = await query(
+        `SELECT id FROM sessions
+         WHERE activity_id = ? AND session_date = COALESCE(?, CURDATE()) AND status != 'cancelled'
+         ORDER BY start_time
+         LIMIT 1`,
+        [activity_id, date || null]
       );
 
-      if (existingAttendance.rows.length > 0) {
-        // Update existing attendance
-        await query(
-          `UPDATE attendance SET status = ?, remarks = ?, updated_at = CURRENT_TIMESTAMP 
-           WHERE enrollment_id = ? AND DATE(created_at) = ?`,
-          [status, notes || remarks || null, enrollment_id, today]
-        );
-      } else {
-        // Insert new attendance record
-        await query(
-          `INSERT INTO attendance (enrollment_id, student_id, activity_id, status, remarks, created_at)
-           VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-          [enrollment_id, studentIdFromEnrollment, activity_id, status, notes || remarks || null]
-        );
+      if (sessionResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No session of this activity on ${date || 'today'} to mark attendance for`
+        });
       }
 
-      res.json({
-        success: true,
-        message: `Attendance marked as ${status}`,
-        data: { enrollment_id, activity_id, status, date: today }
-      });
-      return;
+      sessionId = sessionResult.rows[0].id;
     }
 
-    // Session-based attendance (original logic)
-    if (!session_id || !student_id || !status) {
-      return res.status(400).json({
-        success: false,
-        message: 'session_id, student_id, and status are required (or use enrollment_id and activity_id)'
-      });
-    }
+    const result = await attendanceService.markSessionAttendance({
+      activity_id,
+      session_id: sessionId,
+      exceptions: [{ student_id: studentId, status, remarks: notes ?? remarks }],
+      changed_by: req.user.id
+    });
 
-    // Get enrollment_id
-    const enrollmentQuery = `
-      SELECT ae.id as enrollment_id, s.activity_id
-      FROM sessions s
-      JOIN activity_enrollments ae ON s.activity_id = ae.activity_id
-      WHERE s.id = ? AND ae.student_id = ? AND ae.status = 'active'
-    `;
-    
-    const enrollmentResult = await query(enrollmentQuery, [session_id, student_id]);
-    
-    if (enrollmentResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student is not enrolled in this activity'
-      });
+    if (result.status !== 200) {
+      return res.status(result.status).json(result.body);
     }
-    
-    const enroll_id = enrollmentResult.rows[0].enrollment_id;
-
-    // Upsert attendance (update if exists, insert if not)
-    const upsertQuery = `
-      INSERT INTO attendance 
-      (session_id, student_id, enrollment_id, status, remarks, marked_by, check_in_time)
-      VALUES (?, ?, ?, ?, ?, ?, 
-        CASE WHEN ? IN ('present', 'late') THEN CURRENT_TIMESTAMP ELSE NULL END
-      )
-      ON DUPLICATE KEY UPDATE
-        status = VALUES(status),
-        remarks = VALUES(remarks),
-        marked_by = VALUES(marked_by),
-        check_in_time = VALUES(check_in_time),
-        updated_at = CURRENT_TIMESTAMP
-    `;
-    
-    await query(upsertQuery, [
-      session_id,
-      student_id,
-      enroll_id,
-      status,
-      remarks || null,
-      marked_by,
-      status
-    ]);
-
-    // Get the attendance record
+
     const attendanceResult = await query(
       'SELECT * FROM attendance WHERE session_id = ? AND student_id = ?',
-      [session_id, student_id]
+      [sessionId, studentId]
     );
 
     res.json({
       success: true,
-      message: 'Attendance marked successfully',
+      message: `Attendance marked as ${status}`,
       data: attendanceResult.rows[0]
     });
 
@@ -208,10 +167,12 @@ export const getStudentAttendance = async (req, res) => {
         s.start_time,
         s.end_time,
         act.name as activity_name,
-        act.category
+        act.category,
+        ex.reason as excuse_reason
       FROM attendance a
       JOIN sessions s ON a.session_id = s.id
       JOIN activities act ON s.activity_id = act.id
+      LEFT JOIN absence_excuses ex ON a.excuse_id = ex.id
       WHERE a.student_id = ?
     `;
     
@@ -242,11 +203,14 @@ export const getStudentAttendance = async (req, res) => {
       present: result.rows.filter(r => r.status === 'present').length,
       absent: result.rows.filter(r => r.status === 'absent').length,
       late: result.rows.filter(r => r.status === 'late').length,
-      excused: result.rows.filter(r => r.status === 'excused').length
+      excused: result.rows.filter(r => r.status === 'excused').length,
+      excused_with_note: result.rows.filter(r => r.status === 'excused' && r.excuse_id).length
     };
     
-    stats.attendance_rate = stats.total_sessions > 0 
-      ? ((stats.present + stats.late) / stats.total_sessions * 100).toFixed(2) 
+    // Excused absences don't count against the student
+    const counted = stats.total_sessions - stats.excused;
+    stats.attendance_rate = counted > 0 
+      ? ((stats.present + stats.late) / counted * 100).toFixed(2) 
       : 0;
 
     res.json({
@@ -270,36 +234,48 @@ export const getStudentAttendance = async (req, res) => {
  * GET /api/attendance/report/:activityId
  * 
  * Generate attendance report for an activity
+ * Rates cover held sessions only: past or today, not cancelled, and on or
+ * after the student's enrollment date. absent_count is unexcused absences;
+ * excused sessions are counted apart and left out of the rate
  */
 export const generateAttendanceReport = async (req, res) => {
   try {
     const { activityId } = req.params;
     const { from_date, to_date } = req.query;
 
+    // Only sessions that have been held since the student enrolled count
     const reportQuery = `
       SELECT 
         ae.student_id,
-        COUNT(DISTINCT s.id) as total_sessions,
+        CONCAT(u.first_name, ' ', u.last_name) as student_name,
+        COUNT(s.id) as total_sessions,
         SUM(CASE WHEN a.status = 'present' THEN 1 ELSE 0 END) as present_count,
         SUM(CASE WHEN a.status = 'absent' THEN 1 ELSE 0 END) as absent_count,
         SUM(CASE WHEN a.status = 'late' THEN 1 ELSE 0 END) as late_count,
         SUM(CASE WHEN a.status = 'excused' THEN 1 ELSE 0 END) as excused_count,
+        SUM(CASE WHEN a.status = 'excused' AND a.excuse_id IS NOT NULL THEN 1 ELSE 0 END) as excused_with_note_count,
+        SUM(CASE WHEN s.id IS NOT NULL AND a.id IS NULL THEN 1 ELSE 0 END) as unmarked_count,
         ROUND((SUM(CASE WHEN a.status IN ('present', 'late') THEN 1 ELSE 0 END) / 
-               COUNT(DISTINCT s.id) * 100), 2) as attendance_rate
+               NULLIF(COUNT(s.id) - SUM(CASE WHEN a.status = 'excused' THEN 1 ELSE 0 END), 0) * 100), 2) as attendance_rate
       FROM activity_enrollments ae
-      JOIN sessions s ON ae.activity_id = s.activity_id
+      LEFT JOIN users u ON ae.student_id = u.id
+      LEFT JOIN sessions s ON ae.activity_id = s.activity_id
+        AND s.status != 'cancelled'
+        AND s.session_date <= CURDATE()
+        AND s.session_date >= DATE(ae.enrolled_at)
+        ${from_date ? 'AND s.session_date >= ?' : ''}
+        ${to_date ? 'AND s.session_date <= ?' : ''}
       LEFT JOIN attendance a ON s.id = a.session_id AND ae.student_id = a.student_id
       WHERE ae.activity_id = ?
-      AND ae.status = 'active'
-      ${from_date ? 'AND s.session_date >= ?' : ''}
-      ${to_date ? 'AND s.session_date <= ?' : ''}
-      GROUP BY ae.student_id
+      AND ae.status IN (${ENROLLED_STATUSES_SQL})
+      GROUP BY ae.student_id, u.first_name, u.last_name
       ORDER BY attendance_rate DESC
     `;
     
-    const params = [activityId];
+    const params = [];
     if (from_date) params.push(from_date);
     if (to_date) params.push(to_date);
+    params.push(activityId);
     
     const result = await query(reportQuery, params);
 
@@ -321,9 +297,93 @@ export const generateAttendanceReport = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/roster
+ *
+ * Every student enrolled for a session, with their current mark (Coach/Admin)
+ */
+export const getSessionRoster = async (req, res) => {
+  try {
+    const result = await attendanceService.getSessionRoster({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching session roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roster',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/enhanced/activities/:activityId/sessions/:sessionId/attendance
+ * Body: { default_status, exceptions: [{ student_id, status, remarks }], idempotency_key, recorded_at }
+ *
+ * Mark a whole session at once (Coach/Admin); unmarked students get
+ * default_status, listed students get their own status. Saves synced from
+ * the offline queue send idempotency_key and recorded_at
+ */
+export const markSessionAttendance = async (req, res) => {
+  try {
+    const result = await attendanceService.markSessionAttendance({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      default_status: req.body.default_status,
+      exceptions: req.body.exceptions,
+      changed_by: req.user.id,
+      idempotency_key: req.body.idempotency_key,
+      recorded_at: req.body.recorded_at
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error marking session attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save attendance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/attendance/history?student_id=
+ *
+ * Edit trail of a session's attendance (Coach/Admin)
+ */
+export const getAttendanceHistory = async (req, res) => {
+  try {
+    const result = await attendanceService.getAttendanceHistory({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      student_id: req.query.student_id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error fetching attendance history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance history',
+      error: error.message
+    });
+  }
+};
+
 export default {
   markAttendance,
   getSessionAttendance,
   getStudentAttendance,
-  generateAttendanceReport
+  generateAttendanceReport,
+  getSessionRoster,
+  markSessionAttendance,
+  getAttendanceHistory
 };
@@ -1,41 +1,137 @@
 /**
  * Authentication Controller
- * Handles login, logout, and user session management
+ * Handles login, logout, password management and user session management
  */
 
+import crypto from 'crypto';
 import { query } from '../config/database.js';
+import { getJwtSecret } from '../config/secrets.js';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import { sendMail } from '../services/mailer.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllUserSessions
+} from '../services/sessionService.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES || '15');
+const RESET_TOKEN_TTL_MINUTES = 60;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Compared against when the email is unknown so response timing does not reveal accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '24h';
+/**
+ * Hash a plain-text password
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Generate a random temporary password for admin-created accounts
+ * @returns {string} Temporary password
+ */
+export const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+/**
+ * Validate password strength
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+};
+
+/**
+ * Hash reset tokens before storing so a leaked table cannot be replayed
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a server-side session
+ */
+const signToken = (user, sessionId) => jwt.sign(
+  {
+    id: user.id,
+    sid: sessionId,
+    username: user.email,
+    role: user.role,
+    mustChangePassword: Boolean(user.must_change_password)
+  },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Start a session and build the token payload returned by login-style endpoints
+ */
+const issueSessionTokens = async (user, req) => {
+  const { sessionId, refreshToken } = await createSession(user.id, req);
+
+  return {
+    token: signToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Shape a user row for API responses (never includes password fields)
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.email,
+  name: `${user.first_name} ${user.last_name}`,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  email: user.email,
+  role: user.role,
+  must_change_password: Boolean(user.must_change_password)
+});
 
 /**
  * Login user
  * POST /api/auth/login
+ * Body: { username (email), password }
  */
 export const login = async (req, res) => {
   try {
-    const { username, password, role } = req.body;
+    const { username, email, password } = req.body;
+    const loginEmail = (email || username || '').trim().toLowerCase();
 
-    if (!username || !password) {
+    if (!loginEmail || !password) {
       return res.status(400).json({
         success: false,
         message: 'Username and password are required'
       });
     }
 
-    // Query user from database
-    // Note: Adjust table name and structure based on your actual database schema
     const userQuery = `
-      SELECT id, username, password_hash, role, name, email, status
+      SELECT id, email, first_name, last_name, role, status, password_hash,
+             must_change_password, failed_login_attempts, locked_until
       FROM users
-      WHERE username = ? AND role = ? AND status = 'active'
+      WHERE email = ?
     `;
 
-    const result = await query(userQuery, [username, role || 'student']);
+    const result = await query(userQuery, [loginEmail]);
 
     if (result.rows.length === 0) {
+      // Spend the same time as a real comparison so unknown emails are not detectable
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -44,44 +140,68 @@ export const login = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Verify password (if using bcrypt)
-    // const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    
-    // For demo purposes, accept any password
-    // TODO: Implement proper password verification
-    const isValidPassword = true;
+    // Account lockout after repeated failures
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to failed login attempts',
+        locked_until: user.locked_until
+      });
+    }
+
+    const isValidPassword = user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
 
     if (!isValidPassword) {
+      const attempts = (user.failed_login_attempts || 0) + 1;
+
+      if (attempts >= MAX_FAILED_LOGINS) {
+        await query(
+          `UPDATE users
+           SET failed_login_attempts = 0,
+               locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+           WHERE id = ?`,
+          [LOCKOUT_MINUTES, user.id]
+        );
+
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed attempts. Account locked for ${LOCKOUT_MINUTES} minutes`
+        });
+      }
+
+      await query('UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, user.id]);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        role: user.role 
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    await query(
+      `UPDATE users
+       SET failed_login_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [user.id]
     );
 
-    // Return user data without password
+    const tokens = await issueSessionTokens(user, req);
+
     res.json({
       success: true,
-      message: 'Login successful',
+      message: user.must_change_password ? 'Password change required' : 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          username: user.username,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: toPublicUser(user),
+        ...tokens,
+        must_change_password: Boolean(user.must_change_password)
       }
     });
 
@@ -96,35 +216,62 @@ export const login = async (req, res) => {
 };
 
 /**
- * Mock login for development/testing (remove in production)
+ * Whether password-less mock login is switched on
+ * Needs both ENABLE_MOCK_LOGIN=true and NODE_ENV=development, so a deployment
+ * that sets neither can never hand out sessions without a password.
+ * Read per request: the environment is loaded after modules are imported
+ * @returns {boolean} true when mock login may be used
+ */
+export const isMockLoginEnabled = () => (
+  process.env.ENABLE_MOCK_LOGIN === 'true' && process.env.NODE_ENV === 'development'
+);
+
+/**
+ * Mock login for local development (404 unless isMockLoginEnabled)
  * POST /api/auth/mock-login
+ * Body: { role, user_id (optional) }
+ * Signs in as a real user of the given role without a password
  */
 export const mockLogin = async (req, res) => {
   try {
-    const { username, role } = req.body;
-
-    // Mock users for testing
-    const mockUsers = {
-      admin: { id: 1, name: 'Admin User', email: 'admin@school.edu', role: 'admin' },
-      teacher: { id: 2, name: 'Teacher User', email: 'teacher@school.edu', role: 'teacher' },
-      student: { id: 1001, name: 'Student User', email: 'student@school.edu', role: 'student' },
-      parent: { id: 2001, name: 'Parent User', email: 'parent@school.edu', role: 'parent' }
-    };
+    if (!isMockLoginEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
 
-    const user = mockUsers[role] || mockUsers.student;
-    user.username = username;
+    const { role, user_id } = req.body;
 
-    // Generate mock token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const userQuery = `
+      SELECT id, email, first_name, last_name, role, status, must_change_password
+      FROM users
+      WHERE role = ? AND status = 'active'
+      ${user_id ? 'AND id = ?' : ''}
+      ORDER BY id
+      LIMIT 1
+    `;
+
+    const params = [role || 'student'];
+    if (user_id) params.push(user_id);
+
+    const result = await query(userQuery, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active user found for that role'
+      });
+    }
+
+    // Dev sign-in skips the first-login password change
+    const user = { ...result.rows[0], must_change_password: false };
+    const tokens = await issueSessionTokens(user, req);
 
     res.json({
       success: true,
       message: 'Mock login successful',
-      data: { user, token }
+      data: { user: toPublicUser(user), ...tokens }
     });
 
   } catch (error) {
@@ -138,29 +285,119 @@ export const mockLogin = async (req, res) => {
 };
 
 /**
- * Verify JWT token middleware
+ * Exchange a refresh token for a new access token
+ * POST /api/auth/refresh
+ * Body: { refresh_token }
+ * The refresh token is rotated: the old one stops working
  */
-export const verifyToken = (req, res, next) => {
+export const refreshToken = async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1]; // Bearer TOKEN
+    const { refresh_token } = req.body;
 
-    if (!token) {
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'refresh_token is required'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refresh_token);
+
+    if (!rotated) {
       return res.status(401).json({
         success: false,
-        message: 'No token provided'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    const userResult = await query(
+      `SELECT id, email, first_name, last_name, role, status, must_change_password
+       FROM users WHERE id = ?`,
+      [rotated.userId]
+    );
+
+    const user = userResult.rows[0];
+
+    if (!user || user.status !== 'active') {
+      await revokeSession(rotated.sessionId, 'account_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        token: signToken(user, rotated.sessionId),
+        refresh_token: rotated.refreshToken,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verify JWT token middleware
+ * Also rejects tokens whose session was revoked (logout, suspension)
+ */
+export const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'No token provided'
+    });
+  }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
   } catch (error) {
     return res.status(401).json({
       success: false,
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
       message: 'Invalid or expired token'
     });
   }
+
+  try {
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session has ended, please log in again'
+      });
+    }
+
+    // Students act on their own records; parents/admins pass student_id explicitly
+    req.user = {
+      id: decoded.id,
+      username: decoded.username,
+      role: decoded.role,
+      studentId: decoded.role === 'student' ? decoded.id : null,
+      sessionId: decoded.sid,
+      mustChangePassword: Boolean(decoded.mustChangePassword)
+    };
+    next();
+
+  } catch (error) {
+    console.error('Session check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify session'
+    });
+  }
 };
 
 /**
@@ -172,7 +409,7 @@ export const getProfile = async (req, res) => {
     const userId = req.user.id;
 
     const userQuery = `
-      SELECT id, username, name, email, role, created_at
+      SELECT id, email, first_name, last_name, role, must_change_password, created_at
       FROM users
       WHERE id = ?
     `;
@@ -188,7 +425,10 @@ export const getProfile = async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...toPublicUser(result.rows[0]),
+        created_at: result.rows[0].created_at
+      }
     });
 
   } catch (error) {
@@ -202,16 +442,235 @@ export const getProfile = async (req, res) => {
 };
 
 /**
- * Logout (client-side token removal, but can log activity)
+ * Change password for the logged-in user
+ * POST /api/auth/change-password
+ * Body: { current_password, new_password }
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'current_password and new_password are required'
+      });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const result = await query(
+      `SELECT id, email, first_name, last_name, role, password_hash
+       FROM users WHERE id = ?`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+    const isValidPassword = user.password_hash
+      ? await bcrypt.compare(current_password, user.password_hash)
+      : false;
+
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(new_password, user.password_hash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    await query(
+      `UPDATE users
+       SET password_hash = ?, must_change_password = FALSE, password_changed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [await hashPassword(new_password), user.id]
+    );
+
+    // Sign out every other device; this session continues
+    await revokeAllUserSessions(user.id, 'password_changed', req.user.sessionId);
+
+    // Issue a fresh token without the password-change restriction
+    const updatedUser = { ...user, must_change_password: false };
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        user: toPublicUser(updatedUser),
+        token: signToken(updatedUser, req.user.sessionId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ * Always responds with success so account existence is not revealed
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const result = await query(
+      "SELECT id, email, first_name FROM users WHERE email = ? AND status = 'active'",
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = crypto.randomBytes(32).toString('hex');
+
+      // Only the newest link stays valid
+      await query(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+      );
+
+      await query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+        [user.id, hashResetToken(token), RESET_TOKEN_TTL_MINUTES]
+      );
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.first_name},\n` +
+          `Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.\n` +
+          `${FRONTEND_URL}/?reset_token=${token}\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If the email is registered, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reset password using an emailed token
+ * POST /api/auth/reset-password
+ * Body: { token, new_password }
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'token and new_password are required'
+      });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const tokenResult = await query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [hashResetToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const resetToken = tokenResult.rows[0];
+
+    await query(
+      `UPDATE users
+       SET password_hash = ?, must_change_password = FALSE, password_changed_at = CURRENT_TIMESTAMP,
+           failed_login_attempts = 0, locked_until = NULL
+       WHERE id = ?`,
+      [await hashPassword(new_password), resetToken.user_id]
+    );
+
+    await query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [resetToken.id]
+    );
+
+    await revokeAllUserSessions(resetToken.user_id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. You can now log in'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Logout - revokes the current session so its access and refresh tokens stop working
  * POST /api/auth/logout
  */
 export const logout = async (req, res) => {
   try {
-    // Optionally log logout activity
     const userId = req.user?.id;
     
-    if (userId) {
-      // You can log the logout event to database if needed
+    if (req.user?.sessionId) {
+      await revokeSession(req.user.sessionId, 'logout');
       console.log(`User ${userId} logged out at ${new Date().toISOString()}`);
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Calendar Controller
+ *
+ * Academic calendar closures:
+ * - Everyone signed in can see closures (shown in the calendar)
+ * - Admins add and remove them
+ */
+
+import { query } from '../config/database.js';
+import calendarService from '../services/calendarService.js';
+
+/**
+ * GET /api/enhanced/calendar/closures?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * List closures overlapping a date range
+ */
+export const getClosures = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    let closuresQuery = `
+      SELECT
+        c.id,
+        c.name,
+        c.closure_type,
+        DATE_FORMAT(c.start_date, '%Y-%m-%d') as start_date,
+        DATE_FORMAT(c.end_date, '%Y-%m-%d') as end_date,
+        c.venue_id,
+        v.name as venue_name,
+        c.notes
+      FROM calendar_closures c
+      LEFT JOIN venues v ON c.venue_id = v.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (from) {
+      closuresQuery += ' AND c.end_date >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      closuresQuery += ' AND c.start_date <= ?';
+      params.push(to);
+    }
+
+    closuresQuery += ' ORDER BY c.start_date ASC';
+
+    const result = await query(closuresQuery, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows,
+      closure_types: calendarService.CLOSURE_TYPES
+    });
+
+  } catch (error) {
+    console.error('Error fetching closures:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch closures',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/calendar/closures
+ * Body: { name, closure_type, start_date, end_date, venue_id, notes }
+ *
+ * Add a closure; cancels covered sessions and notifies families (Admin only)
+ */
+export const createClosure = async (req, res) => {
+  try {
+    const { name, closure_type, start_date, end_date, venue_id, notes } = req.body;
+
+    const result = await calendarService.createClosure({
+      name,
+      closure_type,
+      start_date,
+      end_date: end_date || null,
+      venue_id: venue_id || null,
+      notes: notes || null,
+      created_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error creating closure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create closure',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/enhanced/calendar/closures/:id
+ *
+ * Remove a closure; upcoming sessions it cancelled are restored (Admin only)
+ */
+export const deleteClosure = async (req, res) => {
+  try {
+    const result = await calendarService.deleteClosure({ closure_id: req.params.id });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error deleting closure:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete closure',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getClosures,
+  createClosure,
+  deleteClosure
+};
@@ -0,0 +1,143 @@
+/**
+ * Calendar Feed Controller
+ *
+ * iCalendar subscription links:
+ * - Signed-in users create, list and revoke their links
+ * - The .ics URL itself is public; the secret token in it is the credential
+ */
+
+import { query } from '../config/database.js';
+import calendarFeedService from '../services/calendarFeedService.js';
+
+/**
+ * Subscription URL for a token, on the host the request came in on
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/feeds/${token}.ics`;
+
+/**
+ * GET /api/enhanced/calendar/feeds
+ *
+ * The signed-in user's active links (without tokens, which are only shown once)
+ */
+export const getFeeds = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT
+        cf.id,
+        cf.feed_type,
+        cf.target_id,
+        CASE cf.feed_type
+          WHEN 'venue' THEN v.name
+          ELSE CONCAT(u.first_name, ' ', u.last_name)
+        END as target_name,
+        cf.created_at,
+        cf.last_accessed_at
+      FROM calendar_feeds cf
+      LEFT JOIN venues v ON cf.feed_type = 'venue' AND cf.target_id = v.id
+      LEFT JOIN users u ON cf.feed_type <> 'venue' AND cf.target_id = u.id
+      WHERE cf.user_id = ? AND cf.revoked_at IS NULL
+      ORDER BY cf.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar links',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/calendar/feeds
+ * Body: { feed_type: 'student' | 'coach' | 'venue', target_id }
+ *
+ * Create a subscription link; target_id defaults to the signed-in user
+ */
+export const createFeed = async (req, res) => {
+  try {
+    const result = await calendarFeedService.createFeed({
+      user: req.user,
+      feed_type: req.body.feed_type,
+      target_id: req.body.target_id
+    });
+
+    if (result.body.success) {
+      result.body.data.url = feedUrl(req, result.body.data.token);
+    }
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/enhanced/calendar/feeds/:id
+ *
+ * Revoke a link; calendars subscribed to it stop updating
+ */
+export const revokeFeed = async (req, res) => {
+  try {
+    const result = await calendarFeedService.revokeFeed({
+      user: req.user,
+      feed_id: req.params.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/calendar/feeds/:token.ics
+ *
+ * The calendar itself (public, authenticated by the token)
+ */
+export const getFeedIcs = async (req, res) => {
+  try {
+    const calendar = await calendarFeedService.renderFeed(req.params.token);
+
+    if (!calendar) {
+      return res.status(404).type('text/plain').send('Calendar not found');
+    }
+
+    res
+      .set('Content-Type', 'text/calendar; charset=utf-8')
+      .set('Content-Disposition', 'inline; filename="activities.ics"')
+      .set('Cache-Control', 'private, max-age=300')
+      .send(calendar);
+
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).type('text/plain').send('Failed to build calendar');
+  }
+};
+
+export default {
+  getFeeds,
+  createFeed,
+  revokeFeed,
+  getFeedIcs
+};
@@ -0,0 +1,116 @@
+/**
+ * Check-In Controller
+ *
+ * QR self check-in for students and the coach's check-in/pickup kiosk
+ */
+
+import checkInService from '../services/checkInService.js';
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/check-in-token
+ *
+ * Current QR token for today's session (Coach/Admin); fetch again at expires_at
+ */
+export const getCheckInToken = async (req, res) => {
+  try {
+    const result = await checkInService.getCheckInToken({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error issuing check-in token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create check-in code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/attendance/check-in
+ * Body: { token }
+ *
+ * Student checks themselves in by scanning the coach's QR code
+ */
+export const checkInWithToken = async (req, res) => {
+  try {
+    const result = await checkInService.checkInWithToken({
+      token: req.body.token,
+      student_id: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/check-in
+ * Body: { student_id }
+ *
+ * Check a student in from the kiosk (Coach/Admin)
+ */
+export const checkInStudent = async (req, res) => {
+  try {
+    const result = await checkInService.checkInStudent({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      student_id: req.body.student_id,
+      changed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error checking student in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/check-out
+ * Body: { student_id }
+ *
+ * Check a student out at pickup (Coach/Admin)
+ */
+export const checkOutStudent = async (req, res) => {
+  try {
+    const result = await checkInService.checkOutStudent({
+      activity_id: req.params.activityId,
+      session_id: req.params.sessionId,
+      student_id: req.body.student_id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error checking student out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getCheckInToken,
+  checkInWithToken,
+  checkInStudent,
+  checkOutStudent
+};
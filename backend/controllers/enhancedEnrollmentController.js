@@ -8,282 +8,31 @@
  * - Concurrent registration handling
  */
 
-import { query, getClient } from '../config/database.js';
+import { query } from '../config/database.js';
+import enrollmentService from '../services/enrollmentService.js';
 
 /**
- * POST /api/enrollments/register
+ * POST /api/enhanced/enroll/register
  * 
  * Enhanced enrollment with comprehensive conflict checking
- * Handles: Time conflicts, Venue conflicts, Age/Grade restrictions, Quota limits
+ * Handles: Time conflicts, Age/Grade restrictions, Quota limits (see enrollmentService)
  */
 export const registerStudent = async (req, res) => {
-  const connection = await getClient();
-  
   try {
-    const { student_id, activity_id, grade_level, enrolled_by, notes } = req.body;
-    
-    // Validation
-    if (!student_id || !activity_id || !grade_level) {
-      return res.status(400).json({
-        success: false,
-        message: 'student_id, activity_id, and grade_level are required'
-      });
-    }
-
-    await connection.beginTransaction();
-
-    // 1. Check if activity exists and is active
-    const activityQuery = `
-      SELECT a.*, 
-             COUNT(ae.id) as current_enrollments
-      FROM activities a
-      LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status = 'active'
-      WHERE a.id = ? AND a.status = 'active'
-      GROUP BY a.id
-      FOR UPDATE
-    `;
-    
-    const activityResult = await connection.query(activityQuery, [activity_id]);
-    
-    if (activityResult.rows.length === 0) {
-      await connection.rollback();
-      return res.status(404).json({
-        success: false,
-        message: 'Activity not found or is not active'
-      });
-    }
-    
-    const activity = activityResult.rows[0];
-    
-    // 2. Check registration window
-    const now = new Date();
-    if (activity.registration_start && new Date(activity.registration_start) > now) {
-      await connection.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'Registration has not started yet',
-        registration_starts: activity.registration_start
-      });
-    }
-    
-    if (activity.registration_end && new Date(activity.registration_end) < now) {
-      await connection.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'Registration period has ended',
-        registration_ended: activity.registration_end
-      });
-    }
-
-    // 3. Check if already enrolled
-    const existingEnrollmentQuery = `
-      SELECT id FROM activity_enrollments 
-      WHERE student_id = ? AND activity_id = ? AND status IN ('active', 'enrolled')
-    `;
-    const existingResult = await connection.query(existingEnrollmentQuery, [student_id, activity_id]);
-    
-    if (existingResult.rows.length > 0) {
-      await connection.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'Student is already enrolled in this activity'
-      });
-    }
-
-    // 4. Check age restrictions
-    if (activity.min_age || activity.max_age) {
-      // In real scenario, fetch student age from students table
-      // For now, we'll assume it's validated
-    }
-
-    // 5. Check grade level restrictions
-    if (activity.min_grade && grade_level < activity.min_grade) {
-      await connection.rollback();
-      
-      // Log conflict
-      await logEnrollmentConflict(connection, student_id, activity_id, null, 'grade_restriction');
-      
-      return res.status(400).json({
-        success: false,
-        message: `Grade level ${grade_level} is below minimum requirement (Grade ${activity.min_grade})`,
-        conflict_type: 'grade_restriction'
-      });
-    }
-    
-    if (activity.max_grade && grade_level > activity.max_grade) {
-      await connection.rollback();
-      
-      await logEnrollmentConflict(connection, student_id, activity_id, null, 'grade_restriction');
-      
-      return res.status(400).json({
-        success: false,
-        message: `Grade level ${grade_level} exceeds maximum requirement (Grade ${activity.max_grade})`,
-        conflict_type: 'grade_restriction'
-      });
-    }
-
-    // 6. Check TIME SLOT CONFLICTS - Critical for preventing double booking
-    const timeConflictQuery = `
-      SELECT 
-        a.id as conflicting_activity_id,
-        a.name as conflicting_activity_name,
-        asch.id as conflicting_schedule_id,
-        asch.day_of_week,
-        asch.start_time,
-        asch.end_time,
-        v.name as venue_name
-      FROM activity_enrollments ae
-      JOIN activities a ON ae.activity_id = a.id
-      JOIN activity_schedules asch ON a.id = asch.activity_id
-      LEFT JOIN venues v ON asch.venue_id = v.id
-      WHERE ae.student_id = ?
-      AND ae.status = 'active'
-      AND a.status = 'active'
-      AND asch.is_active = TRUE
-      AND asch.id IN (
-        SELECT id FROM activity_schedules 
-        WHERE activity_id = ? AND is_active = TRUE
-      )
-      AND EXISTS (
-        SELECT 1 FROM activity_schedules target_sch
-        WHERE target_sch.activity_id = ?
-        AND target_sch.is_active = TRUE
-        AND target_sch.day_of_week = asch.day_of_week
-        AND (
-          (target_sch.start_time >= asch.start_time AND target_sch.start_time < asch.end_time)
-          OR (target_sch.end_time > asch.start_time AND target_sch.end_time <= asch.end_time)
-          OR (target_sch.start_time <= asch.start_time AND target_sch.end_time >= asch.end_time)
-        )
-      )
-    `;
-    
-    const conflictResult = await connection.query(timeConflictQuery, [student_id, activity_id, activity_id]);
-    
-    if (conflictResult.rows.length > 0) {
-      await connection.rollback();
-      
-      const conflict = conflictResult.rows[0];
-      await logEnrollmentConflict(
-        connection, 
-        student_id, 
-        activity_id, 
-        conflict.conflicting_activity_id, 
-        'time_overlap',
-        conflict.conflicting_schedule_id
-      );
-      
-      return res.status(409).json({
-        success: false,
-        message: 'Time slot conflict detected',
-        conflict_type: 'time_overlap',
-        conflict_details: {
-          conflicting_activity: conflict.conflicting_activity_name,
-          day: conflict.day_of_week,
-          time: `${conflict.start_time} - ${conflict.end_time}`,
-          venue: conflict.venue_name
-        }
-      });
-    }
-
-    // 7. Check VENUE CONFLICTS (if activity has scheduled venue)
-    const venueConflictQuery = `
-      SELECT 
-        a.id as conflicting_activity_id,
-        a.name as conflicting_activity_name,
-        v.name as venue_name,
-        asch.day_of_week,
-        asch.start_time,
-        asch.end_time
-      FROM activity_schedules target_sch
-      JOIN venues v ON target_sch.venue_id = v.id
-      JOIN activity_schedules asch ON v.id = asch.venue_id 
-        AND asch.activity_id != target_sch.activity_id
-        AND asch.day_of_week = target_sch.day_of_week
-        AND asch.is_active = TRUE
-      JOIN activities a ON asch.activity_id = a.id AND a.status = 'active'
-      WHERE target_sch.activity_id = ?
-      AND target_sch.is_active = TRUE
-      AND (
-        (target_sch.start_time >= asch.start_time AND target_sch.start_time < asch.end_time)
-        OR (target_sch.end_time > asch.start_time AND target_sch.end_time <= asch.end_time)
-        OR (target_sch.start_time <= asch.start_time AND target_sch.end_time >= asch.end_time)
-      )
-      LIMIT 1
-    `;
-    
-    const venueConflictResult = await connection.query(venueConflictQuery, [activity_id]);
-    
-    if (venueConflictResult.rows.length > 0) {
-      // This is an admin issue, not student issue - log and notify admin
-      console.warn('Venue conflict detected:', venueConflictResult.rows[0]);
-      // Don't block enrollment, but log it for admin review
-    }
+    const { student_id, activity_id, notes } = req.body;
 
-    // 8. Check QUOTA - If full, add to waitlist
-    const currentCount = parseInt(activity.current_enrollments || 0);
-    const quota = parseInt(activity.quota || activity.max_students || 30);
-    
-    if (currentCount >= quota) {
-      // Add to waitlist instead
-      const waitlistPosition = await addToWaitlist(
-        connection,
-        student_id,
-        activity_id,
-        grade_level,
-        notes
-      );
-      
-      await connection.commit();
-      
-      await logEnrollmentConflict(connection, student_id, activity_id, null, 'quota_full');
-      
-      return res.status(200).json({
-        success: true,
-        message: 'Activity is full. Added to waitlist.',
-        waitlisted: true,
-        position: waitlistPosition,
-        current_enrollments: currentCount,
-        quota: quota
-      });
-    }
-
-    // 9. All checks passed - ENROLL STUDENT
-    const enrollQuery = `
-      INSERT INTO activity_enrollments 
-      (student_id, activity_id, grade_level, status, enrolled_by, notes, payment_amount)
-      VALUES (?, ?, ?, 'active', ?, ?, ?)
-    `;
-    
-    const enrollResult = await connection.query(enrollQuery, [
+    const result = await enrollmentService.enrollStudent({
       student_id,
       activity_id,
-      grade_level,
-      enrolled_by || null,
-      notes || null,
-      activity.fee || 0
-    ]);
-    
-    await connection.commit();
-    
-    // Get the enrolled record
-    const enrolledRecord = await query(
-      'SELECT * FROM activity_enrollments WHERE id = ?',
-      [enrollResult.rows.insertId]
-    );
-
-    // Log success in audit log
-    await logAudit(student_id, 'enrollment_created', 'enrollment', enrollResult.rows.insertId);
-
-    res.status(201).json({
-      success: true,
-      message: 'Successfully enrolled',
-      data: enrolledRecord.rows[0],
-      current_enrollments: currentCount + 1,
-      quota: quota
+      notes,
+      enrolled_by: req.user.id,
+      enforceWindow: req.primaryRole !== 'admin',
+      overrideQuota: Boolean(req.quotaOverride)
     });
 
+    res.status(result.status).json(result.body);
+
   } catch (error) {
-    await connection.rollback();
     console.error('Error in registerStudent:', error);
     
     res.status(500).json({
@@ -291,68 +40,29 @@ export const registerStudent = async (req, res) => {
       message: 'Enrollment failed',
       error: error.message
     });
-  } finally {
-    connection.release();
   }
 };
 
 /**
- * POST /api/enrollments/cancel
+ * DELETE /api/enhanced/enroll/:enrollmentId
  * 
  * Cancel enrollment and automatically promote from waitlist
  */
 export const cancelEnrollment = async (req, res) => {
-  const connection = await getClient();
-  
   try {
-    const { enrollment_id, student_id, reason } = req.body;
-    
-    await connection.beginTransaction();
-
-    // Get enrollment details
-    const enrollmentQuery = `
-      SELECT * FROM activity_enrollments 
-      WHERE id = ? AND student_id = ? AND status = 'active'
-      FOR UPDATE
-    `;
-    const enrollmentResult = await connection.query(enrollmentQuery, [enrollment_id, student_id]);
-    
-    if (enrollmentResult.rows.length === 0) {
-      await connection.rollback();
-      return res.status(404).json({
-        success: false,
-        message: 'Active enrollment not found'
-      });
-    }
-    
-    const enrollment = enrollmentResult.rows[0];
-    const activity_id = enrollment.activity_id;
-
-    // Cancel the enrollment
-    const cancelQuery = `
-      UPDATE activity_enrollments 
-      SET status = 'withdrawn',
-          cancelled_at = CURRENT_TIMESTAMP,
-          cancellation_reason = ?
-      WHERE id = ?
-    `;
-    await connection.query(cancelQuery, [reason || 'Student requested', enrollment_id]);
-
-    // AUTOMATIC WAITLIST PROMOTION
-    const promoted = await promoteFromWaitlist(connection, activity_id);
-    
-    await connection.commit();
-    
-    await logAudit(student_id, 'enrollment_cancelled', 'enrollment', enrollment_id);
-
-    res.json({
-      success: true,
-      message: 'Enrollment cancelled successfully',
-      waitlist_promoted: promoted
+    const { reason } = req.body;
+
+    // Ownership was checked by requireOwnEnrollment
+    const result = await enrollmentService.cancelEnrollment({
+      enrollment_id: req.params.enrollmentId,
+      student_id: req.enrollment.student_id,
+      reason,
+      cancelled_by: req.user.id
     });
 
+    res.status(result.status).json(result.body);
+
   } catch (error) {
-    await connection.rollback();
     console.error('Error cancelling enrollment:', error);
     
     res.status(500).json({
@@ -360,125 +70,60 @@ export const cancelEnrollment = async (req, res) => {
       message: 'Failed to cancel enrollment',
       error: error.message
     });
-  } finally {
-    connection.release();
   }
 };
 
 /**
- * Helper: Add student to waitlist
+ * POST /api/enhanced/waitlist/:waitlistId/accept
+ * Body: { student_id }
+ * 
+ * Accept a waitlist offer before it expires and enroll the student
  */
-async function addToWaitlist(connection, student_id, activity_id, grade_level, notes) {
-  // Get current max position
-  const positionQuery = `
-    SELECT COALESCE(MAX(position), 0) + 1 as next_position
-    FROM activity_waitlist
-    WHERE activity_id = ? AND status = 'waiting'
-  `;
-  const positionResult = await connection.query(positionQuery, [activity_id]);
-  const position = positionResult.rows[0].next_position;
-
-  // Add to waitlist
-  const insertQuery = `
-    INSERT INTO activity_waitlist 
-    (student_id, activity_id, grade_level, position, status, notes)
-    VALUES (?, ?, ?, ?, 'waiting', ?)
-  `;
-  await connection.query(insertQuery, [student_id, activity_id, grade_level, position, notes]);
+export const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const result = await enrollmentService.acceptWaitlistOffer({
+      waitlist_id: req.params.waitlistId,
+      student_id: req.body.student_id,
+      accepted_by: req.user.id
+    });
 
-  return position;
-}
+    res.status(result.status).json(result.body);
 
-/**
- * Helper: Promote next student from waitlist
- */
-async function promoteFromWaitlist(connection, activity_id) {
-  // Get next person in waitlist
-  const waitlistQuery = `
-    SELECT * FROM activity_waitlist
-    WHERE activity_id = ? AND status = 'waiting'
-    ORDER BY priority DESC, position ASC
-    LIMIT 1
-    FOR UPDATE
-  `;
-  const waitlistResult = await connection.query(waitlistQuery, [activity_id]);
-  
-  if (waitlistResult.rows.length === 0) {
-    return null; // No one on waitlist
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept waitlist offer',
+      error: error.message
+    });
   }
-  
-  const nextStudent = waitlistResult.rows[0];
-  
-  // Enroll the student
-  const enrollQuery = `
-    INSERT INTO activity_enrollments 
-    (student_id, activity_id, grade_level, status, notes)
-    VALUES (?, ?, ?, 'active', 'Promoted from waitlist')
-  `;
-  await connection.query(enrollQuery, [
-    nextStudent.student_id,
-    activity_id,
-    nextStudent.grade_level
-  ]);
-  
-  // Update waitlist status
-  const updateWaitlistQuery = `
-    UPDATE activity_waitlist
-    SET status = 'promoted', promoted_at = CURRENT_TIMESTAMP
-    WHERE id = ?
-  `;
-  await connection.query(updateWaitlistQuery, [nextStudent.id]);
-  
-  // TODO: Send notification to student/parent
-  
-  return {
-    student_id: nextStudent.student_id,
-    promoted_at: new Date()
-  };
-}
+};
 
 /**
- * Helper: Log enrollment conflicts
+ * POST /api/enhanced/waitlist/:waitlistId/decline
+ * Body: { student_id }
+ * 
+ * Decline a waitlist offer; the seat is offered to the next student
  */
-async function logEnrollmentConflict(
-  connection, 
-  student_id, 
-  attempted_activity_id, 
-  conflicting_activity_id,
-  conflict_type,
-  conflicting_schedule_id = null
-) {
-  const logQuery = `
-    INSERT INTO enrollment_conflicts 
-    (student_id, attempted_activity_id, conflicting_activity_id, conflicting_schedule_id, conflict_type)
-    VALUES (?, ?, ?, ?, ?)
-  `;
-  await connection.query(logQuery, [
-    student_id,
-    attempted_activity_id,
-    conflicting_activity_id,
-    conflicting_schedule_id,
-    conflict_type
-  ]);
-}
+export const declineWaitlistOffer = async (req, res) => {
+  try {
+    const result = await enrollmentService.declineWaitlistOffer({
+      waitlist_id: req.params.waitlistId,
+      student_id: req.body.student_id,
+      declined_by: req.user.id
+    });
 
-/**
- * Helper: Audit logging
- */
-async function logAudit(user_id, action, entity_type, entity_id, old_value = null, new_value = null) {
-  const auditQuery = `
-    INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_value, new_value)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `;
-  await query(auditQuery, [
-    user_id,
-    action,
-    entity_type,
-    entity_id,
-    old_value ? JSON.stringify(old_value) : null,
-    new_value ? JSON.stringify(new_value) : null
-  ]);
-}
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline waitlist offer',
+      error: error.message
+    });
+  }
+};
 
 /**
  * GET /api/enhanced/enroll/student/:studentId
@@ -565,6 +210,8 @@ export const getEnrollmentConflicts = async (req, res) => {
 export default {
   registerStudent,
   cancelEnrollment,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
   getStudentEnrollments,
   getEnrollmentConflicts
 };
@@ -8,90 +8,29 @@
  * - Add notification system for enrollment confirmations
  */
 
-import { query, getClient } from '../config/database.js';
+import { query } from '../config/database.js';
+import enrollmentService from '../services/enrollmentService.js';
 
 /**
  * Enroll a student in an activity
  * Body: { student_id, activity_id, notes (optional) }
+ * Runs the same checks as /api/enhanced/enroll/register (see enrollmentService)
  */
 export const enrollStudent = async (req, res) => {
   try {
     const { student_id, activity_id, notes } = req.body;
     
-    // Validation
-    if (!student_id || !activity_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'student_id and activity_id are required'
-      });
-    }
-    
-    // Check if activity exists and has space
-    const activityCheck = await query(
-      `SELECT a.max_students, COUNT(ae.id) as enrolled_count
-       FROM activities a
-       LEFT JOIN activity_enrollments ae ON a.id = ae.activity_id AND ae.status = 'active'
-       WHERE a.id = ?
-       GROUP BY a.id, a.max_students`,
-      [activity_id]
-    );
-    
-    if (activityCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Activity not found'
-      });
-    }
-    
-    const { max_students, enrolled_count } = activityCheck.rows[0];
-    
-    if (parseInt(enrolled_count) >= parseInt(max_students)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Activity is full. No more enrollments allowed.'
-      });
-    }
-    
-    // Check if already enrolled
-    const existingEnrollment = await query(
-      'SELECT * FROM activity_enrollments WHERE student_id = ? AND activity_id = ?',
-      [student_id, activity_id]
-    );
-    
-    if (existingEnrollment.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student is already enrolled in this activity'
-      });
-    }
-    
-    // Enroll student
-    const enrollQuery = `
-      INSERT INTO activity_enrollments (student_id, activity_id, status, notes)
-      VALUES (?, ?, 'active', ?)
-    `;
-    
-    const result = await query(enrollQuery, [student_id, activity_id, notes || null]);
-    
-    // Get the inserted record (MySQL returns ResultSetHeader with insertId)
-    const insertedRecord = await query('SELECT * FROM activity_enrollments WHERE id = ?', [result.rows.insertId]);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Enrolled successfully',
-      data: insertedRecord.rows[0]
+    const result = await enrollmentService.enrollStudent({
+      student_id,
+      activity_id,
+      notes,
+      enrolled_by: req.user.id,
+      enforceWindow: req.primaryRole !== 'admin'
     });
+    
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Error enrolling student:', error);
-    
-    // Handle unique constraint violation
-    if (error.code === '23505') {
-      return res.status(400).json({
-        success: false,
-        message: 'Student is already enrolled in this activity'
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error enrolling student',
@@ -223,29 +162,25 @@ export const getActivityEnrollments = async (req, res) => {
 
 /**
  * Withdraw a student from an activity
- * Updates status to 'withdrawn' instead of deleting
+ * Updates status to 'withdrawn' instead of deleting and promotes from the waitlist
  */
 export const withdrawEnrollment = async (req, res) => {
   try {
     const { enrollmentId } = req.params;
     
-    const queryText = `
-      UPDATE activity_enrollments
-      SET status = 'withdrawn'
-      WHERE id = ?
-    `;
-    
-    const result = await query(queryText, [enrollmentId]);
+    const result = await enrollmentService.cancelEnrollment({
+      enrollment_id: enrollmentId,
+      student_id: req.enrollment.student_id,
+      reason: req.body?.reason,
+      cancelled_by: req.user.id
+    });
     
-    if (result.rows.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Enrollment not found'
-      });
+    if (result.status !== 200) {
+      return res.status(result.status).json(result.body);
     }
     
     res.json({
-      success: true,
+      ...result.body,
       message: 'Withdrawn from activity successfully'
     });
   } catch (error) {
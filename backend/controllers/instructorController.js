@@ -0,0 +1,75 @@
+/**
+ * Instructor Controller
+ *
+ * Staff who run sessions (linked to a user account through user_id)
+ */
+
+import { query } from '../config/database.js';
+import workloadService from '../services/workloadService.js';
+
+/**
+ * GET /api/enhanced/instructors
+ *
+ * List instructors (Coach/Admin)
+ */
+export const getInstructors = async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT id, user_id, name, email, specialization, status FROM instructors ORDER BY name ASC'
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching instructors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch instructors',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/instructors/workload?user_id=&instructor_id=
+ *
+ * Weekly contact hours, activities and students per instructor/coach,
+ * flagged against INSTRUCTOR_MAX_WEEKLY_HOURS (Coach/Admin; coaches only see their own)
+ */
+export const getInstructorWorkloads = async (req, res) => {
+  try {
+    // Coaches only see themselves, whatever they ask for
+    const isAdmin = req.primaryRole === 'admin';
+    const userId = isAdmin ? (req.query.user_id ? parseInt(req.query.user_id) : null) : req.user.id;
+    const instructorId = isAdmin && req.query.instructor_id ? parseInt(req.query.instructor_id) : null;
+
+    const workloads = (await workloadService.getWorkloads()).filter(workload =>
+      (!userId || workload.user_id === userId) &&
+      (!instructorId || workload.instructor_id === instructorId)
+    );
+
+    res.json({
+      success: true,
+      count: workloads.length,
+      max_weekly_hours: workloadService.MAX_WEEKLY_HOURS,
+      data: workloads
+    });
+
+  } catch (error) {
+    console.error('Error fetching instructor workloads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch instructor workloads',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getInstructors,
+  getInstructorWorkloads
+};
@@ -0,0 +1,110 @@
+/**
+ * Lottery Controller
+ *
+ * Admin endpoints for activities allocated by lottery:
+ * - Review the requests collected during the registration window
+ * - Run the seeded draw once registration has closed
+ */
+
+import { query } from '../config/database.js';
+import lotteryService from '../services/lotteryService.js';
+
+/**
+ * GET /api/enhanced/activities/:activityId/lottery
+ *
+ * Requests, their outcomes and the stored draw (Admin only)
+ */
+export const getLottery = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+
+    const activityResult = await query(
+      `SELECT id, name, allocation_mode, quota, registration_start, registration_end, lottery_run_at
+       FROM activities
+       WHERE id = ?`,
+      [activityId]
+    );
+
+    if (activityResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const requestsResult = await query(
+      `SELECT
+        r.id as request_id,
+        r.student_id,
+        CONCAT(u.first_name, ' ', u.last_name) as student_name,
+        r.grade_level,
+        r.status,
+        r.priority,
+        r.draw_order,
+        r.requested_at
+      FROM enrollment_requests r
+      LEFT JOIN users u ON r.student_id = u.id
+      WHERE r.activity_id = ?
+      ORDER BY r.draw_order IS NULL, r.draw_order ASC, r.requested_at ASC`,
+      [activityId]
+    );
+
+    const runResult = await query(
+      `SELECT id, seed, seats, total_requests, enrolled_count, waitlisted_count,
+              skipped_count, results, run_by, run_at
+       FROM lottery_runs
+       WHERE activity_id = ?
+       ORDER BY run_at DESC
+       LIMIT 1`,
+      [activityId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        activity: activityResult.rows[0],
+        requests: requestsResult.rows,
+        run: runResult.rows[0] || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching lottery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lottery',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/lottery/run
+ * Body: { seed } (optional, to replay or pre-announce a draw)
+ *
+ * Run the lottery for an activity (Admin only)
+ */
+export const runLottery = async (req, res) => {
+  try {
+    const result = await lotteryService.runLottery({
+      activity_id: req.params.activityId,
+      seed: req.body.seed ?? null,
+      run_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error running lottery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run lottery',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getLottery,
+  runLottery
+};
@@ -0,0 +1,278 @@
+/**
+ * Preference Controller
+ *
+ * Ranked preference registration:
+ * - Admins open preference rounds and run the allocation
+ * - Students/parents rank activities and read their results report
+ */
+
+import { query } from '../config/database.js';
+import preferenceService from '../services/preferenceService.js';
+
+// Why a choice was not granted, as shown in the student report
+const REASON_MESSAGES = {
+  limit_reached: 'You were already given the maximum number of activities for this round',
+  activity_inactive: 'The activity is no longer running',
+  already_enrolled: 'You were already enrolled in this activity',
+  age_restriction: 'You do not meet the age requirement',
+  grade_restriction: 'You do not meet the grade requirement',
+  student_not_found: 'Student record not found',
+  full: 'The activity was full by the time this choice was reached',
+  time_overlap: 'It overlaps an activity you were given from a higher choice'
+};
+
+/**
+ * GET /api/enhanced/preference-rounds
+ *
+ * List preference rounds, newest first
+ */
+export const getRounds = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT r.*,
+              (SELECT COUNT(DISTINCT p.student_id) FROM student_preferences p
+               WHERE p.round_id = r.id) as student_count
+       FROM preference_rounds r
+       ORDER BY r.created_at DESC`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching preference rounds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preference rounds',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/preference-rounds
+ * Body: { name, max_choices, max_activities, opens_at, closes_at }
+ *
+ * Open a preference round (Admin only)
+ */
+export const createRound = async (req, res) => {
+  try {
+    const { name, max_choices = 5, max_activities = 2, opens_at, closes_at } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    if (!Number.isInteger(max_choices) || max_choices < 1 || !Number.isInteger(max_activities) || max_activities < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'max_choices and max_activities must be positive integers'
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO preference_rounds (name, max_choices, max_activities, opens_at, closes_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, max_choices, max_activities, opens_at ?? null, closes_at ?? null, req.user.id]
+    );
+
+    const created = await query('SELECT * FROM preference_rounds WHERE id = ?', [result.rows.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Preference round created successfully',
+      data: created.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error creating preference round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create preference round',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/preference-rounds/:roundId/students/:studentId
+ *
+ * A student's ranked choices; after allocation this is their results report
+ * (Student/Parent own data, or Admin)
+ */
+export const getStudentPreferences = async (req, res) => {
+  try {
+    const { roundId, studentId } = req.params;
+
+    const roundResult = await query('SELECT * FROM preference_rounds WHERE id = ?', [roundId]);
+
+    if (roundResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preference round not found'
+      });
+    }
+
+    const choicesResult = await query(
+      `SELECT
+        p.preference_rank,
+        p.activity_id,
+        a.name as activity_name,
+        a.category,
+        p.status,
+        p.reason,
+        p.enrollment_id,
+        (SELECT GROUP_CONCAT(CONCAT(s.day_of_week, ' ', TIME_FORMAT(s.start_time, '%H:%i'), '-', TIME_FORMAT(s.end_time, '%H:%i'))
+                             ORDER BY FIELD(s.day_of_week, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday')
+                             SEPARATOR ', ')
+         FROM activity_schedules s
+         WHERE s.activity_id = a.id AND s.is_active = TRUE) as schedule
+      FROM student_preferences p
+      JOIN activities a ON p.activity_id = a.id
+      WHERE p.round_id = ? AND p.student_id = ?
+      ORDER BY p.preference_rank ASC`,
+      [roundId, studentId]
+    );
+
+    const choices = choicesResult.rows.map(choice => ({
+      ...choice,
+      reason_message: choice.status === 'unallocated' ? REASON_MESSAGES[choice.reason] || choice.reason : null
+    }));
+    const allocated = choices.filter(choice => choice.status === 'allocated');
+
+    res.json({
+      success: true,
+      data: {
+        round: roundResult.rows[0],
+        choices,
+        summary: {
+          choices: choices.length,
+          allocated: allocated.length,
+          best_rank_granted: allocated.length > 0 ? allocated[0].preference_rank : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/enhanced/preference-rounds/:roundId/students/:studentId
+ * Body: { activity_ids } (first choice first)
+ *
+ * Submit or replace a student's ranked choices (Student/Parent own data, or Admin)
+ */
+export const submitPreferences = async (req, res) => {
+  try {
+    const result = await preferenceService.submitPreferences({
+      round_id: req.params.roundId,
+      student_id: req.params.studentId,
+      activity_ids: req.body.activity_ids,
+      enforceWindow: req.primaryRole !== 'admin'
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save preferences',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/preference-rounds/:roundId/allocate
+ * Body: { seed } (optional, to replay an allocation)
+ *
+ * Allocate places from the ranked choices (Admin only)
+ */
+export const allocateRound = async (req, res) => {
+  try {
+    const result = await preferenceService.allocateRound({
+      round_id: req.params.roundId,
+      seed: req.body.seed ?? null,
+      allocated_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error allocating preference round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to allocate preference round',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/preference-rounds/:roundId/results
+ *
+ * Per-student allocation results for a round (Admin only)
+ */
+export const getRoundResults = async (req, res) => {
+  try {
+    const { roundId } = req.params;
+
+    const result = await query(
+      `SELECT
+        p.student_id,
+        CONCAT(u.first_name, ' ', u.last_name) as student_name,
+        COUNT(*) as choices,
+        SUM(p.status = 'allocated') as allocated,
+        MIN(CASE WHEN p.status = 'allocated' THEN p.preference_rank END) as best_rank_granted,
+        GROUP_CONCAT(CASE WHEN p.status = 'allocated' THEN a.name END ORDER BY p.preference_rank SEPARATOR ', ') as activities
+      FROM student_preferences p
+      JOIN activities a ON p.activity_id = a.id
+      LEFT JOIN users u ON p.student_id = u.id
+      WHERE p.round_id = ?
+      GROUP BY p.student_id, u.first_name, u.last_name
+      ORDER BY allocated ASC, student_name ASC`,
+      [roundId]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows.map(row => ({
+        ...row,
+        choices: parseInt(row.choices),
+        allocated: parseInt(row.allocated || 0)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching preference results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preference results',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getRounds,
+  createRound,
+  getStudentPreferences,
+  submitPreferences,
+  allocateRound,
+  getRoundResults
+};
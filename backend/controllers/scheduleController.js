@@ -0,0 +1,200 @@
+/**
+ * Schedule Controller
+ *
+ * Weekly day/time slots of an activity (activity_schedules)
+ */
+
+import { query } from '../config/database.js';
+import scheduleService from '../services/scheduleService.js';
+
+const toId = (value) => (value ? parseInt(value) : null);
+
+const SLOT_FIELDS = ['day_of_week', 'start_time', 'end_time', 'recurrence_pattern', 'effective_from', 'effective_until'];
+
+/**
+ * GET /api/enhanced/activities/:activityId/schedules
+ *
+ * Weekly slots of an activity, active first (signed-in users)
+ */
+export const getSchedules = async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT
+        asch.id,
+        asch.activity_id,
+        asch.day_of_week,
+        asch.start_time,
+        asch.end_time,
+        asch.recurrence_pattern,
+        DATE_FORMAT(asch.effective_from, '%Y-%m-%d') as effective_from,
+        DATE_FORMAT(asch.effective_until, '%Y-%m-%d') as effective_until,
+        asch.is_active,
+        asch.venue_id,
+        v.name as venue_name,
+        asch.instructor_id,
+        i.name as instructor_name
+      FROM activity_schedules asch
+      LEFT JOIN venues v ON asch.venue_id = v.id
+      LEFT JOIN instructors i ON asch.instructor_id = i.id
+      WHERE asch.activity_id = ?
+      ORDER BY asch.is_active DESC,
+               FIELD(asch.day_of_week, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'),
+               asch.start_time`,
+      [req.params.activityId]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/schedules/check
+ * Body: slot fields as for creating, plus schedule_id when checking an edit
+ *
+ * Preview a slot's conflicts without saving (Admin only)
+ */
+export const checkSchedule = async (req, res) => {
+  try {
+    const fields = {};
+    for (const field of SLOT_FIELDS) {
+      fields[field] = req.body[field] || null;
+    }
+
+    const result = await scheduleService.checkSchedule({
+      activity_id: req.params.activityId,
+      schedule_id: toId(req.body.schedule_id),
+      venue_id: toId(req.body.venue_id),
+      instructor_id: toId(req.body.instructor_id),
+      ...fields
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error checking schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/activities/:activityId/schedules
+ * Body: { day_of_week, start_time, end_time, venue_id, instructor_id, recurrence_pattern, effective_from, effective_until }
+ *
+ * Add a slot (Admin only); rejected with 409 and conflicts when it cannot be booked
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    const {
+      day_of_week, start_time, end_time, venue_id, instructor_id,
+      recurrence_pattern, effective_from, effective_until
+    } = req.body;
+
+    const result = await scheduleService.createSchedule({
+      activity_id: req.params.activityId,
+      day_of_week,
+      start_time,
+      end_time,
+      venue_id: toId(venue_id),
+      instructor_id: toId(instructor_id),
+      recurrence_pattern: recurrence_pattern || 'weekly',
+      effective_from: effective_from || null,
+      effective_until: effective_until || null
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/enhanced/activities/:activityId/schedules/:scheduleId
+ *
+ * Edit a slot (Admin only); omitted fields are kept
+ * Setting is_active: true reactivates a slot (it is checked again like a new one)
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    const changes = {};
+
+    for (const field of SLOT_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field] || null;
+    }
+    for (const field of ['venue_id', 'instructor_id']) {
+      if (req.body[field] !== undefined) changes[field] = toId(req.body[field]);
+    }
+    if (req.body.is_active !== undefined) {
+      changes.is_active = Boolean(req.body.is_active);
+    }
+
+    const result = await scheduleService.updateSchedule({
+      activity_id: req.params.activityId,
+      schedule_id: req.params.scheduleId,
+      ...changes
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/enhanced/activities/:activityId/schedules/:scheduleId
+ *
+ * Deactivate a slot (Admin only); kept for history, its upcoming sessions are removed
+ */
+export const deactivateSchedule = async (req, res) => {
+  try {
+    const result = await scheduleService.deactivateSchedule({
+      activity_id: req.params.activityId,
+      schedule_id: req.params.scheduleId
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error deactivating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate schedule',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getSchedules,
+  checkSchedule,
+  createSchedule,
+  updateSchedule,
+  deactivateSchedule
+};
@@ -0,0 +1,178 @@
+/**
+ * Timetable Controller
+ *
+ * Admin endpoints for the school-wide timetable builder:
+ * - Build a draft from per-activity requirements
+ * - Review drafts, then approve one (written to activity_schedules) or discard it
+ */
+
+import { query } from '../config/database.js';
+import timetableService from '../services/timetableService.js';
+
+/**
+ * GET /api/enhanced/timetables?status=draft
+ *
+ * List timetable drafts, newest first (Admin only)
+ */
+export const getDrafts = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let draftsQuery = `
+      SELECT
+        td.id, td.name, td.status, td.overlap_score,
+        JSON_LENGTH(td.requests) as activity_count,
+        JSON_LENGTH(td.assignments) as slot_count,
+        JSON_LENGTH(td.unplaced) as unplaced_count,
+        td.created_at, td.reviewed_at,
+        CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+      FROM timetable_drafts td
+      LEFT JOIN users u ON td.created_by = u.id
+    `;
+    const params = [];
+
+    if (status) {
+      draftsQuery += ' WHERE td.status = ?';
+      params.push(status);
+    }
+
+    draftsQuery += ' ORDER BY td.created_at DESC, td.id DESC';
+
+    const result = await query(draftsQuery, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching timetable drafts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable drafts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/timetables/:id
+ *
+ * A draft with its settings, requests, proposed slots and unplaced activities (Admin only)
+ */
+export const getDraftById = async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM timetable_drafts WHERE id = ?', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timetable draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error fetching timetable draft:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable draft',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/timetables
+ * Body: { name, day_start, day_end, slot_minutes, effective_from, effective_until,
+ *         activities: [{ activity_id, frequency, allowed_days, venue_type, instructor_id, duration_minutes }] }
+ *
+ * Build a timetable draft; nothing is scheduled until it is approved (Admin only)
+ */
+export const createDraft = async (req, res) => {
+  try {
+    const { name, activities, day_start, day_end, slot_minutes, effective_from, effective_until } = req.body;
+
+    const result = await timetableService.createDraft({
+      name,
+      activities,
+      day_start,
+      day_end,
+      slot_minutes,
+      effective_from,
+      effective_until,
+      created_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error building timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build timetable',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/timetables/:id/approve
+ *
+ * Replace the activities' weekly slots with the draft's (Admin only)
+ */
+export const approveDraft = async (req, res) => {
+  try {
+    const result = await timetableService.approveDraft({
+      draft_id: req.params.id,
+      reviewed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error approving timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve timetable',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/timetables/:id/discard
+ *
+ * Discard a draft (Admin only)
+ */
+export const discardDraft = async (req, res) => {
+  try {
+    const result = await timetableService.discardDraft({
+      draft_id: req.params.id,
+      reviewed_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error discarding timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard timetable',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getDrafts,
+  getDraftById,
+  createDraft,
+  approveDraft,
+  discardDraft
+};
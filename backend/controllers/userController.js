@@ -4,6 +4,20 @@
  */
 
 import { query } from '../config/database.js';
+import { hashPassword, generateTemporaryPassword } from './authController.js';
+import { sendMail } from '../services/mailer.js';
+import { revokeAllUserSessions } from '../services/sessionService.js';
+import { revokeUserFeeds } from '../services/calendarFeedService.js';
+import { isAdminUser } from '../middleware/rbac.js';
+
+// Credential columns are selected by u.* but must never leave the API
+const CREDENTIAL_FIELDS = ['password_hash', 'failed_login_attempts', 'locked_until'];
+
+const omitCredentials = (user) => {
+  const safeUser = { ...user };
+  CREDENTIAL_FIELDS.forEach(field => delete safeUser[field]);
+  return safeUser;
+};
 
 // Get all users with optional filtering
 export const getAllUsers = async (req, res) => {
@@ -60,7 +74,7 @@ export const getAllUsers = async (req, res) => {
     sql += ' ORDER BY u.role, u.first_name, u.last_name';
     
     const result = await query(sql, params);
-    res.json(result.rows || []);
+    res.json((result.rows || []).map(omitCredentials));
   } catch (error) {
     console.error('Error fetching users:', error);
     res.status(500).json({ error: 'Failed to fetch users' });
@@ -86,7 +100,7 @@ export const getUserById = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json(result.rows[0]);
+    res.json(omitCredentials(result.rows[0]));
   } catch (error) {
     console.error('Error fetching user:', error);
     res.status(500).json({ error: 'Failed to fetch user' });
@@ -98,20 +112,26 @@ export const createUser = async (req, res) => {
   try {
     const { 
       email, first_name, last_name, phone, role, status,
-      date_of_birth, address,
+      date_of_birth, address, password,
       // Student-specific
       student_code, grade, section,
       // Teacher-specific
       employee_code, department, specialization, qualification
     } = req.body;
     
+    // Admin-created accounts get a temporary password that must be changed on first login
+    const temporaryPassword = password || generateTemporaryPassword();
+    const passwordHash = await hashPassword(temporaryPassword);
+    
     // Insert into users table
     const userResult = await query(`
-      INSERT INTO users (email, first_name, last_name, phone, role, status, date_of_birth, address)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [email, first_name, last_name, phone, role || 'student', status || 'active', date_of_birth, address]);
+      INSERT INTO users (email, first_name, last_name, phone, role, status, date_of_birth, address,
+        password_hash, must_change_password)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE)
+    `, [email, first_name, last_name, phone, role || 'student', status || 'active', date_of_birth, address,
+      passwordHash]);
     
-    const userId = userResult.insertId;
+    const userId = userResult.rows.insertId;
     
     // Insert role-specific data
     if (role === 'student') {
@@ -126,7 +146,18 @@ export const createUser = async (req, res) => {
       `, [userId, employee_code, department, specialization, qualification]);
     }
     
+    await sendMail({
+      to: email,
+      subject: 'Your Extra-Curricular account',
+      text: `Hi ${first_name},\n` +
+        'An account has been created for you.\n' +
+        `Username: ${email}\n` +
+        `Temporary password: ${temporaryPassword}\n` +
+        'You will be asked to choose a new password when you first log in.'
+    });
+    
     res.status(201).json({ 
+      success: true,
       message: 'User created successfully',
       id: userId 
     });
@@ -139,10 +170,26 @@ export const createUser = async (req, res) => {
   }
 };
 
+// Fields users may change on their own account; everything else (status, email,
+// date of birth, grade...) drives access and eligibility rules, so only admins set it
+const SELF_EDITABLE_FIELDS = ['phone', 'address'];
+
 // Update user
 export const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (!await isAdminUser(req.user)) {
+      const forbidden = Object.keys(req.body).filter(field => !SELF_EDITABLE_FIELDS.includes(field));
+      if (forbidden.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Only an administrator can change: ${forbidden.join(', ')}`,
+          fields: forbidden
+        });
+      }
+    }
+
     const { 
       email, first_name, last_name, phone, status,
       date_of_birth, address,
@@ -204,7 +251,21 @@ export const updateUser = async (req, res) => {
       }
     }
     
-    res.json({ message: 'User updated successfully' });
+    // Suspended/deactivated users are signed out everywhere immediately,
+    // and their calendar links stop working
+    let sessionsRevoked = 0;
+    let feedsRevoked = 0;
+    if (status !== undefined && status !== 'active') {
+      sessionsRevoked = await revokeAllUserSessions(id, `status_${status}`);
+      feedsRevoked = await revokeUserFeeds(id);
+    }
+    
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      sessions_revoked: sessionsRevoked,
+      feeds_revoked: feedsRevoked
+    });
   } catch (error) {
     console.error('Error updating user:', error);
     res.status(500).json({ error: 'Failed to update user' });
@@ -225,13 +286,32 @@ export const deleteUser = async (req, res) => {
     // Delete user (cascades to students/teachers tables)
     await query('DELETE FROM users WHERE id = ?', [id]);
     
-    res.json({ message: 'User deleted successfully' });
+    res.json({ success: true, message: 'User deleted successfully' });
   } catch (error) {
     console.error('Error deleting user:', error);
     res.status(500).json({ error: 'Failed to delete user' });
   }
 };
 
+// Revoke all sessions for a user (admin)
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const userResult = await query('SELECT id FROM users WHERE id = ?', [id]);
+    if (!userResult.rows || userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const revoked = await revokeAllUserSessions(id, req.body?.reason || 'admin_revoked');
+    
+    res.json({ success: true, message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
+
 // Get user statistics
 export const getUserStats = async (req, res) => {
   try {
@@ -0,0 +1,308 @@
+/**
+ * Venue Controller
+ *
+ * Rooms, halls and fields that sessions are held in:
+ * - Coaches and admins can list venues
+ * - Admins create, edit (including maintenance status and capacity) and delete them
+ */
+
+import { query } from '../config/database.js';
+
+const VENUE_STATUSES = ['available', 'maintenance', 'unavailable'];
+
+/**
+ * Active schedules of active activities held at a venue
+ */
+const getVenueSchedules = async (venueId) => {
+  const result = await query(
+    `SELECT asch.id, asch.activity_id, a.name as activity_name, a.quota,
+            asch.day_of_week, asch.start_time, asch.end_time
+     FROM activity_schedules asch
+     JOIN activities a ON asch.activity_id = a.id
+     WHERE asch.venue_id = ? AND asch.is_active = TRUE AND a.status = 'active'
+     ORDER BY FIELD(asch.day_of_week, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'),
+              asch.start_time`,
+    [venueId]
+  );
+  return result.rows;
+};
+
+/**
+ * GET /api/enhanced/venues?status=available
+ *
+ * List venues with how many active schedules use each (Coach/Admin)
+ */
+export const getVenues = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let venuesQuery = `
+      SELECT
+        v.id, v.name, v.type, v.capacity, v.location, v.facilities, v.status,
+        (SELECT COUNT(*)
+         FROM activity_schedules asch
+         JOIN activities a ON asch.activity_id = a.id
+         WHERE asch.venue_id = v.id AND asch.is_active = TRUE AND a.status = 'active') as schedule_count
+      FROM venues v
+    `;
+    const params = [];
+
+    if (status) {
+      venuesQuery += ' WHERE v.status = ?';
+      params.push(status);
+    }
+
+    venuesQuery += ' ORDER BY v.name ASC';
+
+    const result = await query(venuesQuery, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch venues',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/venues/:id
+ *
+ * Venue details with its weekly bookings (Coach/Admin)
+ */
+export const getVenueById = async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM venues WHERE id = ?', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        schedules: await getVenueSchedules(req.params.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch venue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/venues
+ * Body: { name, type, capacity, location, facilities, status }
+ *
+ * Create a venue (Admin only)
+ */
+export const createVenue = async (req, res) => {
+  try {
+    const { name, type, capacity, location, facilities, status } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue name is required'
+      });
+    }
+
+    if (status && !VENUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VENUE_STATUSES.join(', ')}`
+      });
+    }
+
+    if (capacity !== undefined && !(parseInt(capacity) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity must be a positive number'
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO venues (name, type, capacity, location, facilities, status)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        type || 'classroom',
+        capacity ? parseInt(capacity) : 30,
+        location || null,
+        facilities || null,
+        status || 'available'
+      ]
+    );
+
+    const created = await query('SELECT * FROM venues WHERE id = ?', [result.rows.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: created.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create venue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/enhanced/venues/:id
+ *
+ * Update a venue (Admin only)
+ * - Capacity cannot drop below the quota of an activity scheduled there
+ * - Setting maintenance/unavailable keeps existing schedules but blocks new ones
+ */
+export const updateVenue = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, capacity, location, facilities, status } = req.body;
+
+    if (status && !VENUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VENUE_STATUSES.join(', ')}`
+      });
+    }
+
+    if (capacity !== undefined && !(parseInt(capacity) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity must be a positive number'
+      });
+    }
+
+    const existing = await query('SELECT id FROM venues WHERE id = ?', [id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const schedules = await getVenueSchedules(id);
+
+    if (capacity !== undefined) {
+      const tooBig = schedules.filter(schedule => schedule.quota > parseInt(capacity));
+
+      if (tooBig.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Capacity ${capacity} is below the quota of activities scheduled here`,
+          conflicts: tooBig
+        });
+      }
+    }
+
+    await query(
+      `UPDATE venues SET
+        name = COALESCE(?, name),
+        type = COALESCE(?, type),
+        capacity = COALESCE(?, capacity),
+        location = COALESCE(?, location),
+        facilities = COALESCE(?, facilities),
+        status = COALESCE(?, status)
+      WHERE id = ?`,
+      [
+        name ?? null,
+        type ?? null,
+        capacity !== undefined ? parseInt(capacity) : null,
+        location ?? null,
+        facilities ?? null,
+        status ?? null,
+        id
+      ]
+    );
+
+    const updated = await query('SELECT * FROM venues WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: status && status !== 'available' && schedules.length > 0
+        ? `Venue updated; ${schedules.length} existing schedules still use it`
+        : 'Venue updated successfully',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update venue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/enhanced/venues/:id
+ *
+ * Delete a venue no active schedule uses (Admin only)
+ */
+export const deleteVenue = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const schedules = await getVenueSchedules(id);
+
+    if (schedules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Venue is used by active schedules; move them first',
+        conflicts: schedules
+      });
+    }
+
+    const result = await query('DELETE FROM venues WHERE id = ?', [id]);
+
+    if (result.rows.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete venue',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getVenues,
+  getVenueById,
+  createVenue,
+  updateVenue,
+  deleteVenue
+};
@@ -0,0 +1,281 @@
+/**
+ * Waitlist Controller
+ *
+ * - Students/parents: see waitlist entries, queue position and history; leave a waitlist
+ * - Admins: manage waitlist priority rules and preview queues
+ */
+
+import { query, getClient } from '../config/database.js';
+import {
+  RULE_TYPES,
+  getActivityRules,
+  computeWaitlistPriority,
+  replaceActivityRules,
+  validateRules
+} from '../services/waitlistRules.js';
+import enrollmentService from '../services/enrollmentService.js';
+
+/**
+ * GET /api/enhanced/waitlist/student/:studentId
+ *
+ * Every waitlist entry of a student with their place in the queue
+ * and status history (Student/Parent own data, or Admin)
+ */
+export const getStudentWaitlist = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    // people_ahead follows promotion order: priority first, then join position
+    const entriesResult = await query(
+      `SELECT
+        w.id as waitlist_id,
+        w.activity_id,
+        a.name as activity_name,
+        a.category,
+        w.status,
+        w.position,
+        w.priority,
+        w.added_at,
+        w.notified_at,
+        w.offer_expires_at,
+        w.promoted_at,
+        w.responded_at,
+        (SELECT COUNT(*) FROM activity_waitlist o
+         WHERE o.activity_id = w.activity_id AND o.status = 'waiting'
+         AND (o.priority > w.priority OR (o.priority = w.priority AND o.position < w.position))) as people_ahead,
+        (SELECT COUNT(*) FROM activity_waitlist o
+         WHERE o.activity_id = w.activity_id AND o.status = 'waiting') as queue_length
+      FROM activity_waitlist w
+      JOIN activities a ON w.activity_id = a.id
+      WHERE w.student_id = ?
+      ORDER BY FIELD(w.status, 'notified', 'waiting') DESC, w.added_at DESC`,
+      [studentId]
+    );
+
+    const entries = entriesResult.rows;
+    const historyByEntry = {};
+
+    if (entries.length > 0) {
+      const historyResult = await query(
+        `SELECT waitlist_id, status, position, note, changed_at
+         FROM waitlist_status_history
+         WHERE waitlist_id IN (${entries.map(() => '?').join(', ')})
+         ORDER BY changed_at ASC, id ASC`,
+        entries.map(entry => entry.waitlist_id)
+      );
+
+      for (const row of historyResult.rows) {
+        (historyByEntry[row.waitlist_id] = historyByEntry[row.waitlist_id] || []).push(row);
+      }
+    }
+
+    const data = entries.map(entry => {
+      const history = historyByEntry[entry.waitlist_id] || [];
+      const isWaiting = entry.status === 'waiting';
+      const peopleAhead = parseInt(entry.people_ahead);
+
+      return {
+        ...entry,
+        people_ahead: isWaiting ? peopleAhead : null,
+        queue_position: isWaiting ? peopleAhead + 1 : null,
+        queue_length: parseInt(entry.queue_length),
+        joined_position: history.length > 0 ? history[0].position : entry.position,
+        history
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error fetching student waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/enhanced/waitlist/:waitlistId/leave
+ * Body: { student_id }
+ *
+ * Leave a waitlist; students behind move up a position
+ */
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const result = await enrollmentService.leaveWaitlist({
+      waitlist_id: req.params.waitlistId,
+      student_id: req.body.student_id,
+      left_by: req.user.id
+    });
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/waitlist-rules
+ *
+ * Get the waitlist priority rules of an activity (Admin only)
+ */
+export const getWaitlistRules = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+
+    const rules = await getActivityRules({ query }, activityId);
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      rule_types: RULE_TYPES
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/enhanced/activities/:activityId/waitlist-rules
+ * Body: { rules: [{ rule_type, rule_value, weight, description }] }
+ *
+ * Replace the waitlist priority rules of an activity (Admin only)
+ * Applies to students joining the waitlist from now on
+ */
+export const updateWaitlistRules = async (req, res) => {
+  const { activityId } = req.params;
+  const { rules } = req.body;
+
+  const validationError = validateRules(rules);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const activityResult = await connection.query('SELECT id FROM activities WHERE id = ?', [activityId]);
+
+    if (activityResult.rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Activity not found'
+      });
+    }
+
+    const saved = await replaceActivityRules(connection, activityId, rules);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Waitlist rules updated successfully',
+      data: saved
+    });
+
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating waitlist rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update waitlist rules',
+      error: error.message
+    });
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * GET /api/enhanced/activities/:activityId/waitlist/preview
+ *
+ * Show the waitlist in promotion order with priorities recomputed
+ * against the current rules (Admin only)
+ * Open offers are listed first since they already hold a seat
+ */
+export const previewWaitlist = async (req, res) => {
+  try {
+    const { activityId } = req.params;
+    const db = { query };
+
+    const rules = await getActivityRules(db, activityId);
+
+    const waitlistResult = await query(
+      `SELECT
+        w.id as waitlist_id,
+        w.student_id,
+        CONCAT(u.first_name, ' ', u.last_name) as student_name,
+        s.grade,
+        w.position,
+        w.priority as stored_priority,
+        w.status,
+        w.added_at,
+        w.offer_expires_at
+      FROM activity_waitlist w
+      LEFT JOIN users u ON w.student_id = u.id
+      LEFT JOIN students s ON s.user_id = w.student_id
+      WHERE w.activity_id = ? AND w.status IN ('waiting', 'notified')`,
+      [activityId]
+    );
+
+    const queue = [];
+    for (const entry of waitlistResult.rows) {
+      const { priority, matched_rules } = await computeWaitlistPriority(db, activityId, entry.student_id, rules);
+      queue.push({ ...entry, priority, matched_rules });
+    }
+
+    queue.sort((a, b) => {
+      if (a.status !== b.status) return a.status === 'notified' ? -1 : 1;
+      if (a.priority !== b.priority) return b.priority - a.priority;
+      return a.position - b.position;
+    });
+
+    res.json({
+      success: true,
+      count: queue.length,
+      rules,
+      data: queue.map((entry, index) => ({ ...entry, queue_position: index + 1 }))
+    });
+
+  } catch (error) {
+    console.error('Error previewing waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview waitlist',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getStudentWaitlist,
+  leaveWaitlist,
+  getWaitlistRules,
+  updateWaitlistRules,
+  previewWaitlist
+};
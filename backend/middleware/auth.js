@@ -0,0 +1,79 @@
+/**
+ * Authentication Middleware
+ *
+ * Applies JWT verification to every request except a small public allowlist:
+ * - Health check
+ * - Login, token refresh and password reset
+ * - Mock login, only while explicitly enabled for local development
+ * - Read-only activity catalog browsing
+ * - iCalendar feeds, which carry their own secret token in the URL
+ *
+ * Accounts with a pending first-login password change can only reach the
+ * change-password, profile and logout endpoints
+ */
+
+import { verifyToken, isMockLoginEnabled } from '../controllers/authController.js';
+
+/**
+ * Routes that can be called without a token
+ * Each entry matches on HTTP method and full request path
+ */
+export const publicRoutes = [
+  { method: 'GET', path: /^\/health$/ },
+  { method: 'POST', path: /^\/api\/auth\/(login|refresh|forgot-password|reset-password)$/ },
+  { method: 'GET', path: /^\/api\/activities(\/by-category|\/\d+)?$/ },
+  { method: 'GET', path: /^\/api\/enhanced\/activities(\/\d+)?$/ },
+  { method: 'GET', path: /^\/api\/enhanced\/calendar\/feeds\/[a-f0-9]{64}\.ics$/ }
+];
+
+/**
+ * Routes still reachable while a first-login password change is pending
+ */
+const passwordChangeRoutes = [
+  { method: 'POST', path: /^\/api\/auth\/(change-password|logout)$/ },
+  { method: 'GET', path: /^\/api\/auth\/profile$/ }
+];
+
+const matchesRoute = (routes, req) => {
+  return routes.some(route => route.method === req.method && route.path.test(req.path));
+};
+
+/**
+ * Check if the request targets a public route
+ */
+export const isPublicRoute = (req) => matchesRoute(publicRoutes, req) ||
+  (isMockLoginEnabled() && req.method === 'POST' && req.path === '/api/auth/mock-login');
+
+/**
+ * Block everything except changing the password until a forced change is done
+ */
+const requirePasswordChanged = (req, res, next) => {
+  if (req.user.mustChangePassword && !matchesRoute(passwordChangeRoutes, req)) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'You must change your password before continuing'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Global authentication middleware
+ * Fills req.user from the Bearer token for every non-public route
+ */
+export const authenticate = (req, res, next) => {
+  // CORS preflight requests never carry credentials
+  if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+    return next();
+  }
+
+  return verifyToken(req, res, () => requirePasswordChanged(req, res, next));
+};
+
+export default {
+  publicRoutes,
+  isPublicRoute,
+  authenticate
+};
@@ -0,0 +1,48 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Simple fixed-window limiter keyed by client IP, kept in memory
+ * Integration note: Use a shared store (e.g. Redis) when running multiple instances
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - { windowMs, max, message }
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    // Drop expired windows so the map does not grow unbounded
+    if (hits.size > 1000) {
+      for (const [ip, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(ip);
+      }
+    }
+
+    const entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      hits.set(key, { count: 1, resetAt: now + windowMs });
+      return next();
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+export default rateLimit;
@@ -9,13 +9,35 @@
 
 import { query } from '../config/database.js';
 
+/**
+ * Map the account role stored on users (and in the JWT) to an RBAC role
+ * users.role uses 'teacher' where user_roles uses 'coach'
+ */
+const toRbacRole = (role) => (role === 'teacher' ? 'coach' : role);
+
+/**
+ * Check if the authenticated user is an admin, by account role or a user_roles grant
+ */
+export const isAdminUser = async (user) => {
+  if (toRbacRole(user.role) === 'admin') {
+    return true;
+  }
+
+  const adminCheck = await query(
+    'SELECT role FROM user_roles WHERE user_id = ? AND role = "admin"',
+    [user.id]
+  );
+
+  return adminCheck.rows.length > 0;
+};
+
 /**
  * Check if user has required role
  */
 export const requireRole = (allowedRoles) => {
   return async (req, res, next) => {
     try {
-      const userId = req.user?.id || req.body.user_id || req.query.user_id;
+      const userId = req.user?.id;
       
       if (!userId) {
         return res.status(401).json({
@@ -33,15 +55,22 @@ export const requireRole = (allowedRoles) => {
       `;
       
       const rolesResult = await query(rolesQuery, [userId]);
+      const roles = [...rolesResult.rows];
+
+      // The account role from the token is always granted, ahead of extra assignments
+      const accountRole = toRbacRole(req.user.role);
+      if (accountRole && !roles.some(r => r.role === accountRole)) {
+        roles.unshift({ role: accountRole, entity_id: null, entity_type: null, expires_at: null });
+      }
       
-      if (rolesResult.rows.length === 0) {
+      if (roles.length === 0) {
         return res.status(403).json({
           success: false,
           message: 'No roles assigned to user'
         });
       }
 
-      const userRoles = rolesResult.rows.map(r => r.role);
+      const userRoles = roles.map(r => r.role);
       const hasRequiredRole = allowedRoles.some(role => userRoles.includes(role));
       
       if (!hasRequiredRole) {
@@ -54,8 +83,8 @@ export const requireRole = (allowedRoles) => {
       }
 
       // Attach roles to request
-      req.userRoles = rolesResult.rows;
-      req.primaryRole = rolesResult.rows[0].role;
+      req.userRoles = roles;
+      req.primaryRole = roles[0].role;
       
       next();
     } catch (error) {
@@ -80,35 +109,41 @@ export const requireAdmin = requireRole(['admin']);
 export const requireCoach = () => {
   return async (req, res, next) => {
     try {
-      const userId = req.user?.id || req.body.user_id;
+      const userId = req.user?.id;
       const activityId = req.params.activityId || req.body.activity_id;
       
-      if (!userId || !activityId) {
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (!activityId) {
         return res.status(400).json({
           success: false,
           message: 'Missing required parameters'
         });
       }
 
-      // Check if coach is assigned to this activity
+      // Check if coach is assigned to this activity (schedule instructor or activity coach)
       const coachQuery = `
         SELECT asch.id
         FROM activity_schedules asch
         JOIN instructors i ON asch.instructor_id = i.id
         WHERE i.user_id = ? AND asch.activity_id = ?
+        UNION
+        SELECT a.id
+        FROM activities a
+        WHERE a.coach_id = ? AND a.id = ?
         LIMIT 1
       `;
       
-      const result = await query(coachQuery, [userId, activityId]);
+      const result = await query(coachQuery, [userId, activityId, userId, activityId]);
       
       if (result.rows.length === 0) {
-        // Check if user is admin (admin can override)
-        const rolesResult = await query(
-          'SELECT role FROM user_roles WHERE user_id = ? AND role = "admin"',
-          [userId]
-        );
-        
-        if (rolesResult.rows.length === 0) {
+        // Admin can override
+        if (!(await isAdminUser(req.user))) {
           return res.status(403).json({
             success: false,
             message: 'You are not assigned to this activity'
@@ -202,6 +237,26 @@ export const checkEnrollmentWindow = async (req, res, next) => {
   }
 };
 
+/**
+ * Whether a user is linked to a student as the student or their parent
+ * (through user_roles or students.parent_id)
+ */
+const isLinkedToStudent = async (userId, studentId) => {
+  const accessResult = await query(
+    `SELECT 1 FROM user_roles
+     WHERE user_id = ?
+     AND role IN ('student', 'parent')
+     AND entity_id = ?
+     AND entity_type = 'student'
+     UNION
+     SELECT 1 FROM students
+     WHERE parent_id = ? AND user_id = ?`,
+    [userId, studentId, userId, studentId]
+  );
+
+  return accessResult.rows.length > 0;
+};
+
 /**
  * Ensure student can only access their own data
  */
@@ -210,35 +265,30 @@ export const requireOwnStudentData = async (req, res, next) => {
     const userId = req.user?.id;
     const studentId = req.params.studentId || req.body.student_id;
     
-    if (!userId || !studentId) {
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!studentId) {
       return res.status(400).json({
         success: false,
         message: 'Missing required parameters'
       });
     }
 
-    // Check if user is admin
-    const adminCheck = await query(
-      'SELECT role FROM user_roles WHERE user_id = ? AND role = "admin"',
-      [userId]
-    );
-    
-    if (adminCheck.rows.length > 0) {
+    if (await isAdminUser(req.user)) {
       return next();
     }
 
-    // Check if user is the student or parent of the student
-    const accessQuery = `
-      SELECT 1 FROM user_roles
-      WHERE user_id = ?
-      AND role IN ('student', 'parent')
-      AND entity_id = ?
-      AND entity_type = 'student'
-    `;
-    
-    const accessResult = await query(accessQuery, [userId, studentId]);
-    
-    if (accessResult.rows.length === 0) {
+    // Students are keyed by their own user id
+    if (req.user.role === 'student' && String(userId) === String(studentId)) {
+      return next();
+    }
+
+    if (!await isLinkedToStudent(userId, studentId)) {
       return res.status(403).json({
         success: false,
         message: 'You can only access your own student data'
@@ -256,6 +306,95 @@ export const requireOwnStudentData = async (req, res, next) => {
   }
 };
 
+/**
+ * Ensure an enrollment (params.enrollmentId) belongs to the caller: the student
+ * themselves or their parent. Admins can act on any enrollment.
+ * Sets req.enrollment = { id, student_id } for the handler
+ */
+export const requireOwnEnrollment = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const enrollmentResult = await query(
+      'SELECT id, student_id FROM activity_enrollments WHERE id = ?',
+      [req.params.enrollmentId]
+    );
+
+    if (enrollmentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found'
+      });
+    }
+
+    const enrollment = enrollmentResult.rows[0];
+    req.enrollment = enrollment;
+
+    if (await isAdminUser(req.user)) {
+      return next();
+    }
+
+    const ownsEnrollment = req.user.role === 'student'
+      ? String(userId) === String(enrollment.student_id)
+      : req.user.role === 'parent' && await isLinkedToStudent(userId, enrollment.student_id);
+
+    if (!ownsEnrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own enrollments'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Enrollment access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Access check failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ensure users can only access their own account (admin can access any)
+ */
+export const requireOwnUserOrAdmin = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (String(userId) === String(req.params.id) || await isAdminUser(req.user)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'You can only access your own account'
+    });
+  } catch (error) {
+    console.error('User access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Access check failed',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Admin can override quota limits
  */
@@ -277,7 +416,7 @@ export const auditMiddleware = (actionName) => {
       // Log after response is sent
       if (req.method !== 'GET' && data.success) {
         const auditData = {
-          user_id: req.user?.id || req.body.user_id,
+          user_id: req.user?.id,
           action: actionName || `${req.method}_${req.baseUrl}${req.path}`,
           entity_type: req.body.entity_type || 'unknown',
           entity_id: req.body.id || data.data?.id,
@@ -302,11 +441,14 @@ export const auditMiddleware = (actionName) => {
 };
 
 export default {
+  isAdminUser,
   requireRole,
   requireAdmin,
   requireCoach,
   checkEnrollmentWindow,
   requireOwnStudentData,
+  requireOwnEnrollment,
+  requireOwnUserOrAdmin,
   checkQuotaOverride,
   auditMiddleware
 };
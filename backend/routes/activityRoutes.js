@@ -2,7 +2,7 @@
  * Activity Routes
  * 
  * REST API endpoints for activity management
- * Integration note: Add authentication middleware before routes when merging
+ * Catalog reads are public; writes are admin only, as under /api/enhanced/activities
  */
 
 import express from 'express';
@@ -14,6 +14,7 @@ import {
   deleteActivity,
   getActivitiesByCategory
 } from '../controllers/activityController.js';
+import { requireAdmin, auditMiddleware } from '../middleware/rbac.js';
 
 const router = express.Router();
 
@@ -26,13 +27,13 @@ router.get('/by-category', getActivitiesByCategory);
 // GET /api/activities/:id - Get single activity
 router.get('/:id', getActivityById);
 
-// POST /api/activities - Create new activity (admin/teacher only)
-router.post('/', createActivity);
+// POST /api/activities - Create new activity (admin only)
+router.post('/', requireAdmin, auditMiddleware('CREATE_ACTIVITY'), createActivity);
 
-// PUT /api/activities/:id - Update activity (admin/teacher only)
-router.put('/:id', updateActivity);
+// PUT /api/activities/:id - Update activity (admin only)
+router.put('/:id', requireAdmin, auditMiddleware('UPDATE_ACTIVITY'), updateActivity);
 
 // DELETE /api/activities/:id - Delete activity (admin only)
-router.delete('/:id', deleteActivity);
+router.delete('/:id', requireAdmin, auditMiddleware('DELETE_ACTIVITY'), deleteActivity);
 
 export default router;
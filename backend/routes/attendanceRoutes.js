@@ -6,10 +6,11 @@
 
 import express from 'express';
 import { markAttendance } from '../controllers/attendanceController.js';
+import { requireCoach, auditMiddleware } from '../middleware/rbac.js';
 
 const router = express.Router();
 
-// POST /api/attendance - Mark attendance
-router.post('/', markAttendance);
+// POST /api/attendance - Mark attendance on today's session (assigned coach or admin)
+router.post('/', requireCoach(), auditMiddleware('MARK_ATTENDANCE'), markAttendance);
 
 export default router;
@@ -4,23 +4,60 @@
  */
 
 import express from 'express';
-import { login, mockLogin, getProfile, logout, verifyToken } from '../controllers/authController.js';
+import {
+  login,
+  mockLogin,
+  getProfile,
+  logout,
+  verifyToken,
+  refreshToken,
+  changePassword,
+  forgotPassword,
+  resetPassword
+} from '../controllers/authController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Per-IP throttling for credential endpoints (per-account lockout is in login)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login attempts, please try again later'
+});
+
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many refresh attempts, please try again later'
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
 
 /**
  * @route   POST /api/auth/mock-login
- * @desc    Mock login for development (remove in production)
- * @access  Public
+ * @desc    Sign in as a seeded user by role (404 unless ENABLE_MOCK_LOGIN=true and NODE_ENV=development)
+ * @access  Public while enabled
+ */
+router.post('/mock-login', loginLimiter, mockLogin);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires refresh token)
  */
-router.post('/mock-login', mockLogin);
+router.post('/refresh', refreshLimiter, refreshToken);
 
 /**
  * @route   GET /api/auth/profile
@@ -31,9 +68,30 @@ router.get('/profile', verifyToken, getProfile);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revokes the server-side session)
  * @access  Protected
  */
 router.post('/logout', verifyToken, logout);
 
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change own password (required after first login on admin-created accounts)
+ * @access  Protected
+ */
+router.post('/change-password', verifyToken, changePassword);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetLimiter, resetPassword);
+
 export default router;
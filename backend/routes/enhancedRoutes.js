@@ -10,7 +10,20 @@ import express from 'express';
 import * as activityController from '../controllers/activityController.js';
 import * as enhancedEnrollmentController from '../controllers/enhancedEnrollmentController.js';
 import * as attendanceController from '../controllers/attendanceController.js';
+import * as checkInController from '../controllers/checkInController.js';
+import * as attendanceAlertController from '../controllers/attendanceAlertController.js';
+import * as absenceExcuseController from '../controllers/absenceExcuseController.js';
 import * as evaluationController from '../controllers/evaluationController.js';
+import * as waitlistController from '../controllers/waitlistController.js';
+import * as lotteryController from '../controllers/lotteryController.js';
+import * as preferenceController from '../controllers/preferenceController.js';
+import * as activitySessionController from '../controllers/activitySessionController.js';
+import * as calendarController from '../controllers/calendarController.js';
+import * as calendarFeedController from '../controllers/calendarFeedController.js';
+import * as venueController from '../controllers/venueController.js';
+import * as scheduleController from '../controllers/scheduleController.js';
+import * as instructorController from '../controllers/instructorController.js';
+import * as timetableController from '../controllers/timetableController.js';
 
 // Import RBAC middleware
 import {
@@ -19,6 +32,7 @@ import {
   requireCoach,
   checkEnrollmentWindow,
   requireOwnStudentData,
+  requireOwnEnrollment,
   checkQuotaOverride,
   auditMiddleware
 } from '../middleware/rbac.js';
@@ -74,13 +88,435 @@ router.delete(
   activityController.deleteActivity
 );
 
+// ========================
+// SCHEDULE ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/activities/:activityId/schedules
+ * Signed-in users: Weekly slots of an activity
+ */
+router.get(
+  '/activities/:activityId/schedules',
+  scheduleController.getSchedules
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/schedules/check
+ * Admin only: Preview a slot's conflicts without saving
+ * - Venue/instructor problems plus enrolled students it would double-book
+ */
+router.post(
+  '/activities/:activityId/schedules/check',
+  requireAdmin,
+  scheduleController.checkSchedule
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/schedules
+ * Admin only: Add a weekly slot
+ * - Rejected when the venue is booked, under maintenance or too small for the quota,
+ *   or the instructor already teaches at that time
+ */
+router.post(
+  '/activities/:activityId/schedules',
+  requireAdmin,
+  auditMiddleware('CREATE_SCHEDULE'),
+  scheduleController.createSchedule
+);
+
+/**
+ * PUT /api/enhanced/activities/:activityId/schedules/:scheduleId
+ * Admin only: Edit a weekly slot (same checks as adding)
+ */
+router.put(
+  '/activities/:activityId/schedules/:scheduleId',
+  requireAdmin,
+  auditMiddleware('UPDATE_SCHEDULE'),
+  scheduleController.updateSchedule
+);
+
+/**
+ * DELETE /api/enhanced/activities/:activityId/schedules/:scheduleId
+ * Admin only: Deactivate a weekly slot
+ */
+router.delete(
+  '/activities/:activityId/schedules/:scheduleId',
+  requireAdmin,
+  auditMiddleware('DEACTIVATE_SCHEDULE'),
+  scheduleController.deactivateSchedule
+);
+
+// ========================
+// TIMETABLE ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/timetables
+ * Admin only: List timetable drafts
+ */
+router.get(
+  '/timetables',
+  requireAdmin,
+  timetableController.getDrafts
+);
+
+/**
+ * GET /api/enhanced/timetables/:id
+ * Admin only: View a draft's proposed slots and unplaced activities
+ */
+router.get(
+  '/timetables/:id',
+  requireAdmin,
+  timetableController.getDraftById
+);
+
+/**
+ * POST /api/enhanced/timetables
+ * Admin only: Build a conflict-free timetable draft for a set of activities
+ * - Nothing is written to activity_schedules until the draft is approved
+ */
+router.post(
+  '/timetables',
+  requireAdmin,
+  auditMiddleware('BUILD_TIMETABLE'),
+  timetableController.createDraft
+);
+
+/**
+ * POST /api/enhanced/timetables/:id/approve
+ * Admin only: Replace the activities' weekly slots with the draft
+ */
+router.post(
+  '/timetables/:id/approve',
+  requireAdmin,
+  auditMiddleware('APPROVE_TIMETABLE'),
+  timetableController.approveDraft
+);
+
+/**
+ * POST /api/enhanced/timetables/:id/discard
+ * Admin only: Discard a draft
+ */
+router.post(
+  '/timetables/:id/discard',
+  requireAdmin,
+  auditMiddleware('DISCARD_TIMETABLE'),
+  timetableController.discardDraft
+);
+
+// ========================
+// SESSION ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions
+ * Coach/Admin: Dated sessions of an activity (optional ?from=&to=)
+ */
+router.get(
+  '/activities/:activityId/sessions',
+  requireRole(['admin', 'coach']),
+  activitySessionController.getActivitySessions
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/generate
+ * Admin only: Generate/refresh sessions from the activity's schedules
+ * - Idempotent; safe to re-run after schedule edits
+ */
+router.post(
+  '/activities/:activityId/sessions/generate',
+  requireAdmin,
+  auditMiddleware('GENERATE_SESSIONS'),
+  activitySessionController.generateActivitySessions
+);
+
+/**
+ * POST /api/enhanced/sessions/generate
+ * Admin only: Generate/refresh sessions for every active activity
+ */
+router.post(
+  '/sessions/generate',
+  requireAdmin,
+  auditMiddleware('GENERATE_SESSIONS'),
+  activitySessionController.generateSessions
+);
+
+/**
+ * PATCH /api/enhanced/activities/:activityId/sessions/:sessionId
+ * Coach (own activity)/Admin: Reschedule or reassign one session
+ * - Rejects venue/instructor double-booking and closed dates; reason required
+ */
+router.patch(
+  '/activities/:activityId/sessions/:sessionId',
+  requireCoach(),
+  auditMiddleware('UPDATE_SESSION'),
+  activitySessionController.updateSession
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/cancel
+ * Coach (own activity)/Admin: Cancel one session; reason required
+ */
+router.post(
+  '/activities/:activityId/sessions/:sessionId/cancel',
+  requireCoach(),
+  auditMiddleware('CANCEL_SESSION'),
+  activitySessionController.cancelSession
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/bulk-update
+ * Coach (own activity)/Admin: Cancel or reassign every upcoming session in a date range
+ * - All or nothing: one conflict rejects the whole range
+ */
+router.post(
+  '/activities/:activityId/sessions/bulk-update',
+  requireCoach(),
+  auditMiddleware('BULK_UPDATE_SESSIONS'),
+  activitySessionController.updateSessionRange
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/changes
+ * Coach/Admin: Change history of a session
+ */
+router.get(
+  '/activities/:activityId/sessions/:sessionId/changes',
+  requireRole(['admin', 'coach']),
+  activitySessionController.getSessionChanges
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/roster
+ * Coach (own activity)/Admin: Enrolled students of a session with their attendance
+ */
+router.get(
+  '/activities/:activityId/sessions/:sessionId/roster',
+  requireCoach(),
+  attendanceController.getSessionRoster
+);
+
+/**
+ * PUT /api/enhanced/activities/:activityId/sessions/:sessionId/attendance
+ * Coach (own activity)/Admin: Mark a whole session in one transaction
+ * - default_status for unmarked students, then per-student exceptions
+ * - Past sessions can be corrected; every change is kept in the edit trail
+ * - Optional idempotency_key and recorded_at make offline saves safe to replay
+ */
+router.put(
+  '/activities/:activityId/sessions/:sessionId/attendance',
+  requireCoach(),
+  auditMiddleware('BULK_MARK_ATTENDANCE'),
+  attendanceController.markSessionAttendance
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/attendance/history
+ * Coach (own activity)/Admin: Attendance edit trail of a session (optional ?student_id=)
+ */
+router.get(
+  '/activities/:activityId/sessions/:sessionId/attendance/history',
+  requireCoach(),
+  attendanceController.getAttendanceHistory
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/sessions/:sessionId/check-in-token
+ * Coach (own activity)/Admin: Rotating signed token for the session's check-in QR code
+ * - Only while check-in is open (from shortly before the start until the end, on the day)
+ */
+router.get(
+  '/activities/:activityId/sessions/:sessionId/check-in-token',
+  requireCoach(),
+  checkInController.getCheckInToken
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/check-in
+ * Coach (own activity)/Admin: Check a student in from the kiosk
+ */
+router.post(
+  '/activities/:activityId/sessions/:sessionId/check-in',
+  requireCoach(),
+  auditMiddleware('KIOSK_CHECK_IN'),
+  checkInController.checkInStudent
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/sessions/:sessionId/check-out
+ * Coach (own activity)/Admin: Check a student out at pickup
+ */
+router.post(
+  '/activities/:activityId/sessions/:sessionId/check-out',
+  requireCoach(),
+  auditMiddleware('KIOSK_CHECK_OUT'),
+  checkInController.checkOutStudent
+);
+
+// ========================
+// VENUE & INSTRUCTOR ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/venues
+ * Coach/Admin: Venues sessions can be held in (optional ?status=)
+ */
+router.get(
+  '/venues',
+  requireRole(['admin', 'coach']),
+  venueController.getVenues
+);
+
+/**
+ * GET /api/enhanced/venues/:id
+ * Coach/Admin: Venue details with its weekly bookings
+ */
+router.get(
+  '/venues/:id',
+  requireRole(['admin', 'coach']),
+  venueController.getVenueById
+);
+
+/**
+ * POST /api/enhanced/venues
+ * Admin only: Create venue
+ */
+router.post(
+  '/venues',
+  requireAdmin,
+  auditMiddleware('CREATE_VENUE'),
+  venueController.createVenue
+);
+
+/**
+ * PUT /api/enhanced/venues/:id
+ * Admin only: Update venue (status, capacity, ...)
+ * - Capacity cannot drop below the quota of an activity scheduled there
+ */
+router.put(
+  '/venues/:id',
+  requireAdmin,
+  auditMiddleware('UPDATE_VENUE'),
+  venueController.updateVenue
+);
+
+/**
+ * DELETE /api/enhanced/venues/:id
+ * Admin only: Delete a venue no active schedule uses
+ */
+router.delete(
+  '/venues/:id',
+  requireAdmin,
+  auditMiddleware('DELETE_VENUE'),
+  venueController.deleteVenue
+);
+
+/**
+ * GET /api/enhanced/instructors
+ * Coach/Admin: Instructors sessions can be assigned to
+ */
+router.get(
+  '/instructors',
+  requireRole(['admin', 'coach']),
+  instructorController.getInstructors
+);
+
+/**
+ * GET /api/enhanced/instructors/workload
+ * Coach/Admin: Weekly hours, activities and students per instructor/coach
+ * - Optional ?user_id= or ?instructor_id= to get one person
+ * - Coaches only get their own workload
+ */
+router.get(
+  '/instructors/workload',
+  requireRole(['admin', 'coach']),
+  instructorController.getInstructorWorkloads
+);
+
+// ========================
+// CALENDAR ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/calendar/closures
+ * Signed-in users: Holidays, term breaks and closures (optional ?from=&to=)
+ */
+router.get(
+  '/calendar/closures',
+  calendarController.getClosures
+);
+
+/**
+ * POST /api/enhanced/calendar/closures
+ * Admin only: Add a school-wide or venue closure
+ * - Cancels covered sessions and notifies enrolled families
+ */
+router.post(
+  '/calendar/closures',
+  requireAdmin,
+  auditMiddleware('CREATE_CLOSURE'),
+  calendarController.createClosure
+);
+
+/**
+ * DELETE /api/enhanced/calendar/closures/:id
+ * Admin only: Remove a closure and restore its upcoming sessions
+ */
+router.delete(
+  '/calendar/closures/:id',
+  requireAdmin,
+  auditMiddleware('DELETE_CLOSURE'),
+  calendarController.deleteClosure
+);
+
+/**
+ * GET /api/enhanced/calendar/feeds
+ * Signed-in users: Their iCalendar subscription links
+ */
+router.get(
+  '/calendar/feeds',
+  calendarFeedController.getFeeds
+);
+
+/**
+ * POST /api/enhanced/calendar/feeds
+ * Signed-in users: Create an iCalendar link for their own (or their child's) sessions,
+ * a coach's sessions or a venue's bookings; access is checked per feed type
+ */
+router.post(
+  '/calendar/feeds',
+  auditMiddleware('CREATE_CALENDAR_FEED'),
+  calendarFeedController.createFeed
+);
+
+/**
+ * DELETE /api/enhanced/calendar/feeds/:id
+ * Signed-in users: Revoke one of their links
+ */
+router.delete(
+  '/calendar/feeds/:id',
+  auditMiddleware('REVOKE_CALENDAR_FEED'),
+  calendarFeedController.revokeFeed
+);
+
+/**
+ * GET /api/enhanced/calendar/feeds/:token.ics
+ * Public (token in the URL): The .ics calendar for subscribing apps
+ */
+router.get(
+  '/calendar/feeds/:token.ics',
+  calendarFeedController.getFeedIcs
+);
+
 // ========================
 // ENHANCED ENROLLMENT ROUTES
 // ========================
 
 /**
  * POST /api/enhanced/enroll/register
- * Student/Parent: Register for activity (with conflict detection)
+ * Student/Parent (own data) or Admin: Register for activity (with conflict detection)
+ * - Students can only enroll themselves, parents only their own children
  * - Checks enrollment window
  * - Detects time conflicts
  * - Validates age/grade restrictions
@@ -89,6 +525,7 @@ router.delete(
 router.post(
   '/enroll/register',
   requireRole(['admin', 'student', 'parent']),
+  requireOwnStudentData,
   checkEnrollmentWindow,
   auditMiddleware('ENROLL_STUDENT'),
   enhancedEnrollmentController.registerStudent
@@ -96,12 +533,13 @@ router.post(
 
 /**
  * DELETE /api/enhanced/enroll/:enrollmentId
- * Student/Parent/Admin: Cancel enrollment
+ * Student/Parent (own or own child's enrollment)/Admin: Cancel enrollment
  * - Automatically promotes from waitlist
  */
 router.delete(
   '/enroll/:enrollmentId',
   requireRole(['admin', 'student', 'parent']),
+  requireOwnEnrollment,
   auditMiddleware('CANCEL_ENROLLMENT'),
   enhancedEnrollmentController.cancelEnrollment
 );
@@ -126,22 +564,216 @@ router.get(
   enhancedEnrollmentController.getEnrollmentConflicts
 );
 
+// ========================
+// WAITLIST ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/waitlist/student/:studentId
+ * Student/Parent (own data) or Admin: Waitlist entries with queue position and history
+ */
+router.get(
+  '/waitlist/student/:studentId',
+  requireOwnStudentData,
+  waitlistController.getStudentWaitlist
+);
+
+/**
+ * POST /api/enhanced/waitlist/:waitlistId/leave
+ * Student/Parent (own data) or Admin: Leave a waitlist
+ * - Renumbers the queue behind the student
+ */
+router.post(
+  '/waitlist/:waitlistId/leave',
+  requireRole(['admin', 'student', 'parent']),
+  requireOwnStudentData,
+  auditMiddleware('LEAVE_WAITLIST'),
+  waitlistController.leaveWaitlist
+);
+
+/**
+ * POST /api/enhanced/waitlist/:waitlistId/accept
+ * Student/Parent (own data) or Admin: Accept a waitlist offer
+ * - Only open ('notified') offers before offer_expires_at
+ */
+router.post(
+  '/waitlist/:waitlistId/accept',
+  requireRole(['admin', 'student', 'parent']),
+  requireOwnStudentData,
+  auditMiddleware('ACCEPT_WAITLIST_OFFER'),
+  enhancedEnrollmentController.acceptWaitlistOffer
+);
+
+/**
+ * POST /api/enhanced/waitlist/:waitlistId/decline
+ * Student/Parent (own data) or Admin: Decline a waitlist offer
+ * - Offers the seat to the next student
+ */
+router.post(
+  '/waitlist/:waitlistId/decline',
+  requireRole(['admin', 'student', 'parent']),
+  requireOwnStudentData,
+  auditMiddleware('DECLINE_WAITLIST_OFFER'),
+  enhancedEnrollmentController.declineWaitlistOffer
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/waitlist-rules
+ * Admin only: View waitlist priority rules
+ */
+router.get(
+  '/activities/:activityId/waitlist-rules',
+  requireAdmin,
+  waitlistController.getWaitlistRules
+);
+
+/**
+ * PUT /api/enhanced/activities/:activityId/waitlist-rules
+ * Admin only: Replace waitlist priority rules
+ * - Priority is computed when a student joins the waitlist
+ */
+router.put(
+  '/activities/:activityId/waitlist-rules',
+  requireAdmin,
+  auditMiddleware('UPDATE_WAITLIST_RULES'),
+  waitlistController.updateWaitlistRules
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/waitlist/preview
+ * Admin only: Waitlist in promotion order under the current rules
+ */
+router.get(
+  '/activities/:activityId/waitlist/preview',
+  requireAdmin,
+  waitlistController.previewWaitlist
+);
+
+// ========================
+// LOTTERY ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/activities/:activityId/lottery
+ * Admin only: Lottery requests, outcomes and the stored draw
+ */
+router.get(
+  '/activities/:activityId/lottery',
+  requireAdmin,
+  lotteryController.getLottery
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/lottery/run
+ * Admin only: Run the seeded lottery after registration closes
+ * - Enrolls winners up to the quota, waitlists the rest in drawn order
+ */
+router.post(
+  '/activities/:activityId/lottery/run',
+  requireAdmin,
+  auditMiddleware('RUN_LOTTERY'),
+  lotteryController.runLottery
+);
+
+// ========================
+// PREFERENCE ROUND ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/preference-rounds
+ * Student/Parent/Admin: List preference rounds
+ */
+router.get(
+  '/preference-rounds',
+  requireRole(['admin', 'student', 'parent']),
+  preferenceController.getRounds
+);
+
+/**
+ * POST /api/enhanced/preference-rounds
+ * Admin only: Open a preference round
+ */
+router.post(
+  '/preference-rounds',
+  requireAdmin,
+  auditMiddleware('CREATE_PREFERENCE_ROUND'),
+  preferenceController.createRound
+);
+
+/**
+ * GET /api/enhanced/preference-rounds/:roundId/students/:studentId
+ * Student/Parent (own data) or Admin: Ranked choices and, after allocation, the results report
+ */
+router.get(
+  '/preference-rounds/:roundId/students/:studentId',
+  requireOwnStudentData,
+  preferenceController.getStudentPreferences
+);
+
+/**
+ * PUT /api/enhanced/preference-rounds/:roundId/students/:studentId
+ * Student/Parent (own data) or Admin: Submit ranked choices
+ * - Rejects choices the student is not eligible for
+ */
+router.put(
+  '/preference-rounds/:roundId/students/:studentId',
+  requireRole(['admin', 'student', 'parent']),
+  requireOwnStudentData,
+  auditMiddleware('SUBMIT_PREFERENCES'),
+  preferenceController.submitPreferences
+);
+
+/**
+ * POST /api/enhanced/preference-rounds/:roundId/allocate
+ * Admin only: Allocate places rank by rank
+ * - Respects quotas, age/grade limits and time conflicts
+ */
+router.post(
+  '/preference-rounds/:roundId/allocate',
+  requireAdmin,
+  auditMiddleware('ALLOCATE_PREFERENCE_ROUND'),
+  preferenceController.allocateRound
+);
+
+/**
+ * GET /api/enhanced/preference-rounds/:roundId/results
+ * Admin only: Per-student allocation results
+ */
+router.get(
+  '/preference-rounds/:roundId/results',
+  requireAdmin,
+  preferenceController.getRoundResults
+);
+
 // ========================
 // ATTENDANCE ROUTES
 // ========================
 
 /**
  * POST /api/enhanced/attendance/mark
- * Coach only: Mark attendance for session
+ * Coach only: Mark one student's attendance for a session
  * - Coaches can only mark attendance for their activities
+ * - Without session_id, marks the activity's session on date (default today)
  */
 router.post(
   '/attendance/mark',
-  requireCoach,
+  requireCoach(),
   auditMiddleware('MARK_ATTENDANCE'),
   attendanceController.markAttendance
 );
 
+/**
+ * POST /api/enhanced/attendance/check-in
+ * Student only: Self check-in with a token scanned from the coach's QR code
+ * - Marked late after the grace period; a status set by the coach is kept
+ */
+router.post(
+  '/attendance/check-in',
+  requireRole(['student']),
+  auditMiddleware('SELF_CHECK_IN'),
+  checkInController.checkInWithToken
+);
+
 /**
  * GET /api/enhanced/attendance/session/:sessionId
  * Coach/Admin: View session attendance roster
@@ -153,12 +785,13 @@ router.get(
 );
 
 /**
- * GET /api/enhanced/attendance/student/:enrollmentId
- * Student/Parent (own data) or Coach/Admin: View student attendance
+ * GET /api/enhanced/attendance/student/:studentId
+ * Student/Parent (own data) or Admin: View student attendance
+ * - Coaches use the activity report instead
  */
 router.get(
-  '/attendance/student/:enrollmentId',
-  requireRole(['admin', 'coach', 'student', 'parent']),
+  '/attendance/student/:studentId',
+  requireOwnStudentData,
   attendanceController.getStudentAttendance
 );
 
@@ -172,6 +805,97 @@ router.get(
   attendanceController.generateAttendanceReport
 );
 
+/**
+ * GET /api/enhanced/activities/:activityId/attendance-alerts
+ * Coach (own activity)/Admin: Students flagged for chronic absence or lateness
+ * - Open alerts by default; ?status=resolved or ?status=all for the rest
+ */
+router.get(
+  '/activities/:activityId/attendance-alerts',
+  requireCoach(),
+  attendanceAlertController.getActivityAlerts
+);
+
+/**
+ * GET /api/enhanced/attendance-alerts
+ * Admin only: Every open attendance alert, for the at-risk report
+ */
+router.get(
+  '/attendance-alerts',
+  requireAdmin,
+  attendanceAlertController.getOpenAlerts
+);
+
+// ========================
+// ABSENCE NOTE ROUTES
+// ========================
+
+/**
+ * GET /api/enhanced/excuses/students
+ * Parent only: Children the parent can send absence notes for
+ */
+router.get(
+  '/excuses/students',
+  requireRole(['parent']),
+  absenceExcuseController.getParentStudents
+);
+
+/**
+ * GET /api/enhanced/excuses/student/:studentId
+ * Student/Parent (own data) or Admin: Absence notes and the sessions a note can be sent for
+ */
+router.get(
+  '/excuses/student/:studentId',
+  requireOwnStudentData,
+  absenceExcuseController.getStudentExcuses
+);
+
+/**
+ * POST /api/enhanced/excuses
+ * Parent (own child)/Admin: Send an absence note for one session
+ * - Before the session or up to EXCUSE_MAX_PAST_DAYS after it
+ * - Optional PDF/JPEG/PNG attachment, base64 in the JSON body
+ */
+router.post(
+  '/excuses',
+  requireRole(['admin', 'parent']),
+  requireOwnStudentData,
+  auditMiddleware('SUBMIT_ABSENCE_NOTE'),
+  absenceExcuseController.submitExcuse
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/excuses
+ * Coach (own activity)/Admin: Absence notes, pending by default (?status=approved|rejected|all)
+ */
+router.get(
+  '/activities/:activityId/excuses',
+  requireCoach(),
+  absenceExcuseController.getActivityExcuses
+);
+
+/**
+ * POST /api/enhanced/activities/:activityId/excuses/:excuseId/review
+ * Coach (own activity)/Admin: Approve or reject a pending note
+ * - Approval marks the student excused, linked to the note
+ */
+router.post(
+  '/activities/:activityId/excuses/:excuseId/review',
+  requireCoach(),
+  auditMiddleware('REVIEW_ABSENCE_NOTE'),
+  absenceExcuseController.reviewExcuse
+);
+
+/**
+ * GET /api/enhanced/activities/:activityId/excuses/:excuseId/attachment
+ * Coach (own activity)/Admin: Download a note's attachment
+ */
+router.get(
+  '/activities/:activityId/excuses/:excuseId/attachment',
+  requireCoach(),
+  absenceExcuseController.getExcuseAttachment
+);
+
 // ========================
 // EVALUATION ROUTES
 // ========================
@@ -182,7 +906,7 @@ router.get(
  */
 router.post(
   '/evaluations',
-  requireCoach,
+  requireCoach(),
   auditMiddleware('CREATE_EVALUATION'),
   evaluationController.createEvaluation
 );
@@ -193,7 +917,7 @@ router.post(
  */
 router.put(
   '/evaluations/:id/publish',
-  requireCoach,
+  requireCoach(),
   auditMiddleware('PUBLISH_EVALUATION'),
   evaluationController.publishEvaluation
 );
@@ -218,7 +942,7 @@ router.get(
  */
 router.post(
   '/badges/award',
-  requireCoach,
+  requireCoach(),
   auditMiddleware('AWARD_BADGE'),
   evaluationController.awardBadge
 );
@@ -2,7 +2,7 @@
  * Enrollment Routes
  * 
  * REST API endpoints for student enrollment management
- * Integration note: Add authentication middleware before routes when merging
+ * Students/parents act on their own enrollments; coaches manage rosters
  */
 
 import express from 'express';
@@ -17,37 +17,44 @@ import {
   updateEnrollmentStatus,
   addPerformanceRemark
 } from '../controllers/enrollmentController.js';
+import {
+  requireRole,
+  requireAdmin,
+  requireOwnStudentData,
+  requireOwnEnrollment,
+  auditMiddleware
+} from '../middleware/rbac.js';
 
 const router = express.Router();
 
 // POST /api/enrollments - Enroll student in an activity
-router.post('/', enrollStudent);
+router.post('/', requireRole(['admin', 'student', 'parent']), requireOwnStudentData, auditMiddleware('ENROLL_STUDENT'), enrollStudent);
 
 // GET /api/enrollments - Get all enrollments (admin only)
-router.get('/', getAllEnrollments);
+router.get('/', requireAdmin, getAllEnrollments);
 
 // GET /api/enrollments/student/:studentId - Get all enrollments for a student
-router.get('/student/:studentId', getStudentEnrollments);
+router.get('/student/:studentId', requireOwnStudentData, getStudentEnrollments);
 
 // GET /api/enrollments/activity/:activityId - Get all students enrolled in an activity
-router.get('/activity/:activityId', getActivityEnrollments);
+router.get('/activity/:activityId', requireRole(['admin', 'coach']), getActivityEnrollments);
 
 // GET /api/enrollments/stats - Get enrollment statistics
-router.get('/stats', getEnrollmentStats);
+router.get('/stats', requireRole(['admin', 'coach']), getEnrollmentStats);
 
 // PATCH /api/enrollments/:enrollmentId/status - Update enrollment status
-router.patch('/:enrollmentId/status', updateEnrollmentStatus);
+router.patch('/:enrollmentId/status', requireRole(['admin', 'coach']), auditMiddleware('UPDATE_ENROLLMENT_STATUS'), updateEnrollmentStatus);
 
 // PATCH /api/enrollments/:enrollmentId/remark - Add performance remark
-router.patch('/:enrollmentId/remark', addPerformanceRemark);
+router.patch('/:enrollmentId/remark', requireRole(['admin', 'coach']), auditMiddleware('ADD_PERFORMANCE_REMARK'), addPerformanceRemark);
 
 // GET /api/enrollments/stats - Get enrollment statistics
-router.get('/stats', getEnrollmentStats);
+router.get('/stats', requireRole(['admin', 'coach']), getEnrollmentStats);
 
-// PATCH /api/enrollments/:enrollmentId/withdraw - Withdraw from activity
-router.patch('/:enrollmentId/withdraw', withdrawEnrollment);
+// PATCH /api/enrollments/:enrollmentId/withdraw - Withdraw from activity (own or own child's enrollment)
+router.patch('/:enrollmentId/withdraw', requireRole(['admin', 'student', 'parent']), requireOwnEnrollment, auditMiddleware('WITHDRAW_ENROLLMENT'), withdrawEnrollment);
 
 // DELETE /api/enrollments/:enrollmentId - Delete enrollment (admin only)
-router.delete('/:enrollmentId', deleteEnrollment);
+router.delete('/:enrollmentId', requireAdmin, auditMiddleware('DELETE_ENROLLMENT'), deleteEnrollment);
 
 export default router;
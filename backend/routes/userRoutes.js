@@ -1,6 +1,7 @@
 /**
  * User Routes
  * API endpoints for user management
+ * Admin only, except users reading/updating their own account
  */
 
 import express from 'express';
@@ -10,27 +11,32 @@ import {
   createUser,
   updateUser,
   deleteUser,
-  getUserStats
+  getUserStats,
+  revokeUserSessions
 } from '../controllers/userController.js';
+import { requireAdmin, requireOwnUserOrAdmin, auditMiddleware } from '../middleware/rbac.js';
 
 const router = express.Router();
 
 // GET /api/users - Get all users
-router.get('/', getAllUsers);
+router.get('/', requireAdmin, getAllUsers);
 
 // GET /api/users/stats - Get user statistics
-router.get('/stats', getUserStats);
+router.get('/stats', requireAdmin, getUserStats);
 
 // GET /api/users/:id - Get user by ID
-router.get('/:id', getUserById);
+router.get('/:id', requireOwnUserOrAdmin, getUserById);
 
 // POST /api/users - Create new user
-router.post('/', createUser);
+router.post('/', requireAdmin, auditMiddleware('CREATE_USER'), createUser);
 
-// PUT /api/users/:id - Update user
-router.put('/:id', updateUser);
+// PUT /api/users/:id - Update user (non-admins may only change their own phone and address)
+router.put('/:id', requireOwnUserOrAdmin, auditMiddleware('UPDATE_USER'), updateUser);
+
+// DELETE /api/users/:id/sessions - Sign a user out of every device (admin only)
+router.delete('/:id/sessions', requireAdmin, auditMiddleware('REVOKE_USER_SESSIONS'), revokeUserSessions);
 
 // DELETE /api/users/:id - Delete user
-router.delete('/:id', deleteUser);
+router.delete('/:id', requireAdmin, auditMiddleware('DELETE_USER'), deleteUser);
 
 export default router;
@@ -0,0 +1,23 @@
+-- Add password authentication to an existing users table
+-- Run this migration before enabling real login (then run npm run db:passwords)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255) AFTER address,
+ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE AFTER password_hash,
+ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP NULL AFTER must_change_password,
+ADD COLUMN IF NOT EXISTS failed_login_attempts INT DEFAULT 0 AFTER password_changed_at,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL AFTER failed_login_attempts,
+ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP NULL AFTER locked_until;
+
+-- One-time password reset links (only the SHA-256 hash of the token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id),
+    INDEX idx_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -130,10 +130,24 @@ async function runMigration() {
       'venues',
       'instructors',
       'activity_schedules',
-      'activity_sessions',
+      'sessions',
+      'calendar_closures',
+      'calendar_feeds',
+      'session_changes',
+      'timetable_drafts',
       'activity_waitlist',
+      'waitlist_priority_rules',
+      'waitlist_status_history',
+      'lottery_runs',
+      'enrollment_requests',
+      'preference_rounds',
+      'student_preferences',
       'enrollment_conflicts',
       'attendance',
+      'attendance_changes',
+      'attendance_submissions',
+      'attendance_alerts',
+      'absence_excuses',
       'student_evaluations',
       'skill_badges',
       'student_badges',
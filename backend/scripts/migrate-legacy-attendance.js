@@ -0,0 +1,251 @@
+/**
+ * Legacy Attendance Migration
+ *
+ * Early builds stored attendance as one row per enrollment per day
+ * (activity_id + created_at, from the removed create-attendance-table.js).
+ * Attendance is now keyed by session (enhanced-schema.sql). This script:
+ * 1. Renames a legacy-shaped attendance table to attendance_legacy and creates
+ *    the session-keyed table in its place
+ * 2. Generates each affected activity's sessions from its schedules
+ * 3. Moves every legacy row onto the activity's session that day; if the
+ *    schedule produced none, a completed session is created from the
+ *    activity's schedule for that weekday (or its first schedule)
+ * 4. Logs each moved mark in attendance_changes at its original time
+ *
+ * attendance_legacy is kept. Rows that could not be placed (activity without
+ * any schedule) stay unmigrated there; add a schedule and run again.
+ * Safe to re-run: marks already in the new table are never overwritten.
+ *
+ * Run after `npm run db:migrate`: `npm run db:migrate-attendance`
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { query, getClient } from '../config/database.js';
+import { generateSessionsForActivity } from '../services/sessionGenerator.js';
+import { logAttendanceChange } from '../services/attendanceService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function getColumns(table) {
+  const result = await query(
+    `SELECT column_name as name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return result.rows.map(row => row.name);
+}
+
+const readSchema = () => fs.readFileSync(path.join(__dirname, '..', 'config', 'enhanced-schema.sql'), 'utf8');
+
+/**
+ * CREATE TABLE statement for a table, taken from enhanced-schema.sql so the two never drift
+ */
+function schemaStatement(table) {
+  const match = readSchema().match(new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\([\\s\\S]*?\\)[^;]*;`));
+
+  if (!match) {
+    throw new Error(`No CREATE TABLE for ${table} in enhanced-schema.sql`);
+  }
+  return match[0];
+}
+
+/**
+ * Create a table as enhanced-schema.sql defines it, including the columns later
+ * sections add with ALTER TABLE
+ */
+async function createFromSchema(table) {
+  await query(schemaStatement(table));
+
+  for (const alteration of readSchema().match(new RegExp(`ALTER TABLE ${table}\\n[^;]*;`, 'g')) || []) {
+    await query(alteration);
+  }
+}
+
+/**
+ * Swap a legacy-shaped attendance table for the session-keyed one
+ * @returns {Promise<boolean>} Whether there is an attendance_legacy table to migrate from
+ */
+async function prepareTables() {
+  const columns = await getColumns('attendance');
+
+  if (columns.includes('activity_id') && !columns.includes('session_id')) {
+    console.log('📦 Legacy attendance table found: renaming it to attendance_legacy');
+    await query('RENAME TABLE attendance TO attendance_legacy');
+    await createFromSchema('attendance');
+    console.log('✅ Created session-keyed attendance table');
+  } else if (columns.length === 0) {
+    await createFromSchema('attendance');
+    console.log('✅ Created session-keyed attendance table');
+  }
+
+  await query(schemaStatement('attendance_changes'));
+
+  const legacyColumns = await getColumns('attendance_legacy');
+  if (legacyColumns.length === 0) {
+    return false;
+  }
+
+  if (!legacyColumns.includes('migrated_session_id')) {
+    await query('ALTER TABLE attendance_legacy ADD COLUMN migrated_session_id INT NULL');
+  }
+  return true;
+}
+
+/**
+ * The activity's session on a date, creating a completed one from its schedule if needed
+ * @returns {Promise<Object|null>} { id, created }, or null if the activity has no schedule
+ */
+async function findOrCreateSession(connection, activity_id, session_date) {
+  const sessionResult = await connection.query(
+    `SELECT id FROM sessions
+     WHERE activity_id = ? AND session_date = ?
+     ORDER BY status = 'cancelled', start_time
+     LIMIT 1`,
+    [activity_id, session_date]
+  );
+
+  if (sessionResult.rows.length > 0) {
+    return { id: sessionResult.rows[0].id, created: false };
+  }
+
+  const scheduleResult = await connection.query(
+    `SELECT id, start_time, end_time, venue_id, instructor_id
+     FROM activity_schedules
+     WHERE activity_id = ?
+     ORDER BY day_of_week = LOWER(DAYNAME(?)) DESC, is_active DESC, id
+     LIMIT 1`,
+    [activity_id, session_date]
+  );
+
+  if (scheduleResult.rows.length === 0) {
+    return null;
+  }
+
+  const schedule = scheduleResult.rows[0];
+  const insertResult = await connection.query(
+    `INSERT INTO sessions
+     (schedule_id, activity_id, session_date, start_time, end_time, venue_id, instructor_id, status, is_modified, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, IF(? < CURDATE(), 'completed', 'scheduled'), TRUE, 'Created from legacy attendance')`,
+    [
+      schedule.id, activity_id, session_date, schedule.start_time, schedule.end_time,
+      schedule.venue_id, schedule.instructor_id, session_date
+    ]
+  );
+
+  return { id: insertResult.rows.insertId, created: true };
+}
+
+/**
+ * Move one activity's legacy rows in a single transaction
+ */
+async function migrateActivity(activity_id, rows, totals) {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+    const sessionsByDate = new Map();
+
+    for (const row of rows) {
+      if (!sessionsByDate.has(row.day)) {
+        const session = await findOrCreateSession(connection, activity_id, row.day);
+        sessionsByDate.set(row.day, session);
+        if (session?.created) totals.sessionsCreated++;
+      }
+
+      const session = sessionsByDate.get(row.day);
+      if (!session) {
+        totals.unplaced++;
+        continue;
+      }
+
+      // A mark already taken in the new table wins over the legacy one
+      const insertResult = await connection.query(
+        `INSERT INTO attendance (session_id, student_id, enrollment_id, status, remarks, marked_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE id = id`,
+        [session.id, row.student_id, row.enrollment_id, row.status, row.remarks, row.created_at, row.updated_at ?? row.created_at]
+      );
+
+      if (insertResult.rows.affectedRows === 1) {
+        await logAttendanceChange(connection, {
+          session_id: session.id,
+          student_id: row.student_id,
+          new_status: row.status,
+          new_remarks: row.remarks,
+          changed_at: row.created_at
+        });
+        totals.migrated++;
+      } else {
+        totals.skipped++;
+      }
+
+      await connection.query('UPDATE attendance_legacy SET migrated_session_id = ? WHERE id = ?', [session.id, row.id]);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function migrateLegacyAttendance() {
+  console.log('🚀 Migrating legacy attendance to session-based attendance...\n');
+
+  try {
+    if (!(await prepareTables())) {
+      console.log('✅ No legacy attendance to migrate');
+      process.exit(0);
+    }
+
+    const legacyResult = await query(
+      `SELECT id, enrollment_id, student_id, activity_id, status, remarks, created_at, updated_at,
+              DATE_FORMAT(created_at, '%Y-%m-%d') as day
+       FROM attendance_legacy
+       WHERE migrated_session_id IS NULL
+       ORDER BY activity_id, created_at, id`
+    );
+
+    const byActivity = new Map();
+    for (const row of legacyResult.rows) {
+      if (!byActivity.has(row.activity_id)) byActivity.set(row.activity_id, []);
+      byActivity.get(row.activity_id).push(row);
+    }
+
+    console.log(`📋 ${legacyResult.rows.length} legacy rows across ${byActivity.size} activities\n`);
+
+    const totals = { migrated: 0, skipped: 0, unplaced: 0, sessionsCreated: 0 };
+
+    for (const [activity_id, rows] of byActivity) {
+      const counts = await generateSessionsForActivity(activity_id);
+      if (!counts) {
+        console.log(`⚠️  Activity ${activity_id} no longer exists - ${rows.length} rows left in attendance_legacy`);
+        totals.unplaced += rows.length;
+        continue;
+      }
+
+      await migrateActivity(activity_id, rows, totals);
+      console.log(`✅ Activity ${activity_id}: ${rows.length} rows processed`);
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('✅ Legacy attendance migration completed');
+    console.log(`   - Marks moved to sessions: ${totals.migrated}`);
+    console.log(`   - Already marked in the new table (kept): ${totals.skipped}`);
+    console.log(`   - Sessions created for days off the schedule: ${totals.sessionsCreated}`);
+    console.log(`   - Left in attendance_legacy (no schedule): ${totals.unplaced}`);
+    console.log('='.repeat(50));
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateLegacyAttendance();
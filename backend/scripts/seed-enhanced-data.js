@@ -5,6 +5,7 @@
  */
 
 import { query } from '../config/database.js';
+import { generateAllSessions } from '../services/sessionGenerator.js';
 
 async function seedData() {
   console.log('🌱 Starting data seeding...\n');
@@ -125,6 +126,11 @@ async function seedData() {
     }
     console.log('✅ Activities updated\n');
 
+    // 8. Generate dated sessions from the schedules
+    console.log('🗓️  Generating sessions...');
+    const sessionTotals = await generateAllSessions();
+    console.log(`✅ ${sessionTotals.created} sessions generated\n`);
+
     // Summary
     console.log('='.repeat(50));
     console.log('✨ Seeding completed successfully!\n');
@@ -135,6 +141,7 @@ async function seedData() {
     console.log('   - 6 skill badges created');
     console.log('   - 5 user roles assigned');
     console.log('   - Activity metadata updated');
+    console.log('   - Sessions generated from schedules');
     console.log('='.repeat(50));
 
     console.log('\n💡 Next Steps:');
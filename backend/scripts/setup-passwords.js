@@ -0,0 +1,45 @@
+/**
+ * Setup Passwords Script
+ *
+ * Gives every user without a password a bcrypt-hashed default password
+ * Accounts are flagged so the password must be changed on first login
+ *
+ * Usage: node scripts/setup-passwords.js [defaultPassword]
+ */
+
+import { query } from '../config/database.js';
+import { hashPassword } from '../controllers/authController.js';
+
+const DEFAULT_PASSWORD = process.argv[2] || process.env.DEFAULT_USER_PASSWORD || 'ChangeMe123';
+
+async function setupPasswords() {
+  try {
+    console.log('🔐 Setting default passwords...\n');
+
+    const users = await query('SELECT id, email FROM users WHERE password_hash IS NULL');
+
+    if (users.rows.length === 0) {
+      console.log('✅ All users already have a password');
+      process.exit(0);
+    }
+
+    const passwordHash = await hashPassword(DEFAULT_PASSWORD);
+
+    for (const user of users.rows) {
+      await query(
+        'UPDATE users SET password_hash = ?, must_change_password = TRUE WHERE id = ?',
+        [passwordHash, user.id]
+      );
+      console.log(`   ✓ ${user.email}`);
+    }
+
+    console.log(`\n✅ ${users.rows.length} users updated`);
+    console.log(`ℹ️  Default password: ${DEFAULT_PASSWORD} (must be changed on first login)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+setupPasswords();
@@ -5,8 +5,7 @@
  * 
  * Integration notes:
  * 1. When merging with main ERP:
- *    - Import authentication middleware from main ERP
- *    - Add role-based access control
+ *    - Swap middleware/auth.js for the main ERP's authentication middleware
  *    - Update database connection to use main ERP config
  *    - Link student_id to main student table
  * 2. Keep all routes under /api/activities and /api/enrollments
@@ -22,6 +21,10 @@ import attendanceRoutes from './routes/attendanceRoutes.js';
 import enhancedRoutes from './routes/enhancedRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import { authenticate } from './middleware/auth.js';
+import { startWaitlistSweeper } from './services/waitlistSweeper.js';
+import { startAttendanceAlertSweeper } from './services/attendanceAlertSweeper.js';
+import { ATTACHMENT_BODY_LIMIT } from './services/absenceExcuseService.js';
 
 // Load environment variables
 dotenv.config();
@@ -31,6 +34,8 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors()); // Enable CORS for frontend communication
+// Absence notes carry a base64 attachment; parsed here, the default parser below skips them
+app.use('/api/enhanced/excuses', express.json({ limit: ATTACHMENT_BODY_LIMIT }));
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
@@ -40,17 +45,8 @@ app.use((req, res, next) => {
   next();
 });
 
-// Mock user middleware (for testing - replace with real auth in production)
-app.use((req, res, next) => {
-  // This simulates a logged-in user
-  // In production, replace with actual JWT verification or session middleware
-  req.user = {
-    id: 1,
-    role: 'admin', // Options: 'admin', 'coach', 'student', 'parent'
-    studentId: null // Set this for students/parents
-  };
-  next();
-});
+// JWT authentication (health, login and catalog browsing stay public)
+app.use(authenticate);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -98,6 +94,11 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+  // Expire unanswered waitlist offers in the background
+  startWaitlistSweeper();
+  // Keep attendance alerts current as the rolling window moves
+  startAttendanceAlertSweeper();
+
   console.log(`
 ╔════════════════════════════════════════════════════╗
 ║  Extra-Curricular Activity Module - Backend       ║
@@ -0,0 +1,488 @@
+/**
+ * Absence Excuse Service
+ *
+ * Parents send a note for one of their child's sessions, before it or up to
+ * EXCUSE_MAX_PAST_DAYS after it, with a reason and optionally a small file.
+ * A coach of the activity (or an admin) approves or rejects it. Approval marks
+ * the student excused for the session, with attendance.excuse_id pointing back
+ * at the note, and the sender is emailed either way.
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { query, getClient } from '../config/database.js';
+import { sendMail } from './mailer.js';
+import { logAttendanceChange } from './attendanceService.js';
+import { evaluateAttendanceAlerts } from './attendanceAlertService.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+const MAX_PAST_DAYS = parseInt(process.env.EXCUSE_MAX_PAST_DAYS || '14');
+const ATTACHMENT_MAX_KB = parseInt(process.env.EXCUSE_ATTACHMENT_MAX_KB || '2048');
+const REASON_MAX_LENGTH = 1000;
+const UPCOMING_DAYS = 30;
+
+export const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Request body limit for routes carrying an attachment (base64 is a third larger)
+export const ATTACHMENT_BODY_LIMIT = `${Math.ceil(ATTACHMENT_MAX_KB * 4 / 3) + 64}kb`;
+
+const EXCUSE_COLUMNS = `
+  ex.id, ex.session_id, ex.student_id, ex.reason, ex.attachment_name, ex.attachment_type,
+  ex.status, ex.review_note, ex.reviewed_at, ex.created_at,
+  DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date, s.start_time, s.end_time,
+  s.activity_id, act.name as activity_name,
+  CONCAT(su.first_name, ' ', su.last_name) as student_name,
+  CONCAT(bu.first_name, ' ', bu.last_name) as submitted_by_name,
+  CONCAT(ru.first_name, ' ', ru.last_name) as reviewed_by_name
+`;
+
+const EXCUSE_JOINS = `
+  JOIN sessions s ON ex.session_id = s.id
+  JOIN activities act ON s.activity_id = act.id
+  LEFT JOIN users su ON ex.student_id = su.id
+  LEFT JOIN users bu ON ex.submitted_by = bu.id
+  LEFT JOIN users ru ON ex.reviewed_by = ru.id
+`;
+
+/**
+ * Check an attachment sent as { name, type, data } with base64 data
+ * @returns {Object} { error } or { file: { name, type, buffer } }, file null when there is none
+ */
+function readAttachment(attachment) {
+  if (!attachment) return { file: null };
+
+  const { name, type, data } = attachment;
+
+  if (!name || !data) {
+    return { error: 'attachment needs a name and base64 data' };
+  }
+  if (!ATTACHMENT_TYPES.includes(type)) {
+    return { error: 'Attachments must be a PDF, JPEG or PNG file' };
+  }
+
+  const buffer = Buffer.from(data, 'base64');
+  if (buffer.length === 0) {
+    return { error: 'attachment is empty' };
+  }
+  if (buffer.length > ATTACHMENT_MAX_KB * 1024) {
+    return { error: `Attachments can be at most ${ATTACHMENT_MAX_KB} KB` };
+  }
+
+  return { file: { name: String(name).slice(0, 255), type, buffer } };
+}
+
+/**
+ * Students the signed-in parent can send notes for
+ * @param {number} parent_id - Parent's user id
+ * @returns {Promise<Object>} { status, body }
+ */
+export const getParentStudents = async (parent_id) => {
+  const result = await query(
+    `SELECT u.id as student_id, CONCAT(u.first_name, ' ', u.last_name) as student_name
+     FROM students s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.parent_id = ?
+     UNION
+     SELECT u.id, CONCAT(u.first_name, ' ', u.last_name)
+     FROM user_roles ur
+     JOIN users u ON ur.entity_id = u.id
+     WHERE ur.user_id = ? AND ur.role = 'parent' AND ur.entity_type = 'student'
+     ORDER BY student_name`,
+    [parent_id, parent_id]
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    }
+  };
+};
+
+/**
+ * A student's notes, plus the sessions a new note can be sent for
+ * @param {Object} params
+ * @param {number} params.student_id - Student
+ * @returns {Promise<Object>} { status, body } with data { excuses, sessions }
+ */
+export const getStudentExcuses = async ({ student_id }) => {
+  const excusesResult = await query(
+    `SELECT ${EXCUSE_COLUMNS}
+     FROM absence_excuses ex
+     ${EXCUSE_JOINS}
+     WHERE ex.student_id = ?
+     ORDER BY s.session_date DESC, s.start_time DESC, ex.created_at DESC`,
+    [student_id]
+  );
+
+  // Sessions of the student's activities from MAX_PAST_DAYS ago to a month ahead
+  const sessionsResult = await query(
+    `SELECT s.id as session_id, s.activity_id, act.name as activity_name,
+            DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date, s.start_time, s.end_time,
+            a.status as attendance_status,
+            (SELECT ex.status FROM absence_excuses ex
+             WHERE ex.session_id = s.id AND ex.student_id = ae.student_id
+             ORDER BY ex.created_at DESC LIMIT 1) as excuse_status
+     FROM activity_enrollments ae
+     JOIN sessions s ON s.activity_id = ae.activity_id
+     JOIN activities act ON s.activity_id = act.id
+     LEFT JOIN attendance a ON a.session_id = s.id AND a.student_id = ae.student_id
+     WHERE ae.student_id = ?
+     AND ae.status IN (${ENROLLED_STATUSES_SQL})
+     AND s.status != 'cancelled'
+     AND s.session_date >= GREATEST(CURDATE() - INTERVAL ? DAY, DATE(ae.enrolled_at))
+     AND s.session_date <= CURDATE() + INTERVAL ? DAY
+     ORDER BY s.session_date, s.start_time`,
+    [student_id, MAX_PAST_DAYS, UPCOMING_DAYS]
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        excuses: excusesResult.rows,
+        sessions: sessionsResult.rows
+      }
+    }
+  };
+};
+
+/**
+ * Send a note for one session
+ * @param {Object} params
+ * @param {number} params.student_id - Student who will miss / missed the session
+ * @param {number} params.session_id - Session
+ * @param {string} params.reason - Why the student is absent
+ * @param {Object} params.attachment - Optional { name, type, data (base64) }
+ * @param {number} params.submitted_by - Parent (or admin) sending it
+ * @returns {Promise<Object>} { status, body }
+ */
+export const submitExcuse = async ({ student_id, session_id, reason, attachment = null, submitted_by }) => {
+  if (!session_id) {
+    return reject(400, 'session_id is required');
+  }
+
+  const trimmedReason = reason?.trim();
+  if (!trimmedReason) {
+    return reject(400, 'Please give a reason for the absence');
+  }
+  if (trimmedReason.length > REASON_MAX_LENGTH) {
+    return reject(400, `reason can be at most ${REASON_MAX_LENGTH} characters`);
+  }
+
+  const { file, error } = readAttachment(attachment);
+  if (error) return reject(400, error);
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const sessionResult = await connection.query(
+      `SELECT s.id, s.activity_id, s.status,
+              s.session_date < CURDATE() - INTERVAL ? DAY as too_old,
+              (SELECT COUNT(*) FROM activity_enrollments ae
+               WHERE ae.activity_id = s.activity_id AND ae.student_id = ?
+               AND ae.status IN (${ENROLLED_STATUSES_SQL}) AND DATE(ae.enrolled_at) <= s.session_date) as enrolled
+       FROM sessions s
+       WHERE s.id = ?
+       FOR UPDATE`,
+      [MAX_PAST_DAYS, student_id, session_id]
+    );
+
+    const session = sessionResult.rows[0];
+
+    if (!session) {
+      await connection.rollback();
+      return reject(404, 'Session not found');
+    }
+    if (session.status === 'cancelled') {
+      await connection.rollback();
+      return reject(409, 'This session has been cancelled, so no note is needed');
+    }
+    if (!parseInt(session.enrolled)) {
+      await connection.rollback();
+      return reject(400, 'The student is not enrolled for this session');
+    }
+    if (session.too_old) {
+      await connection.rollback();
+      return reject(400, `Notes can be sent up to ${MAX_PAST_DAYS} days after a session`);
+    }
+
+    const existingResult = await connection.query(
+      `SELECT id, status FROM absence_excuses
+       WHERE session_id = ? AND student_id = ? AND status IN ('pending', 'approved')`,
+      [session_id, student_id]
+    );
+
+    if (existingResult.rows.length > 0) {
+      await connection.rollback();
+      return reject(409, `A note for this session is already ${existingResult.rows[0].status}`, {
+        excuse_id: existingResult.rows[0].id
+      });
+    }
+
+    const insertResult = await connection.query(
+      `INSERT INTO absence_excuses
+       (session_id, student_id, submitted_by, reason, attachment_name, attachment_type, attachment_data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [session_id, student_id, submitted_by, trimmedReason, file?.name ?? null, file?.type ?? null, file?.buffer ?? null]
+    );
+
+    await connection.commit();
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        message: 'Absence note sent to the coach',
+        data: { id: insertResult.rows.insertId, session_id, student_id, status: 'pending' }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Notes for an activity's sessions, pending ones unless status says otherwise
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity
+ * @param {string} params.status - 'pending' (default), 'approved', 'rejected' or 'all'
+ * @returns {Promise<Object>} { status, body }
+ */
+export const getActivityExcuses = async ({ activity_id, status = 'pending' }) => {
+  if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+    return reject(400, 'status must be one of: pending, approved, rejected, all');
+  }
+
+  const result = await query(
+    `SELECT ${EXCUSE_COLUMNS}, a.status as attendance_status
+     FROM absence_excuses ex
+     ${EXCUSE_JOINS}
+     LEFT JOIN attendance a ON a.session_id = ex.session_id AND a.student_id = ex.student_id
+     WHERE s.activity_id = ? ${status === 'all' ? '' : 'AND ex.status = ?'}
+     ORDER BY ex.status != 'pending', s.session_date, s.start_time, ex.created_at`,
+    status === 'all' ? [activity_id] : [activity_id, status]
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    }
+  };
+};
+
+/**
+ * Approve or reject a pending note
+ * Approval marks the student excused for the session (even ahead of it) and
+ * links the attendance row to the note
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the note's session must belong to
+ * @param {number} params.excuse_id - Note
+ * @param {string} params.decision - 'approve' or 'reject'
+ * @param {string} params.review_note - Optional message for the parent
+ * @param {number} params.reviewed_by - Coach or admin
+ * @returns {Promise<Object>} { status, body }
+ */
+export const reviewExcuse = async ({ activity_id, excuse_id, decision, review_note = null, reviewed_by }) => {
+  if (!['approve', 'reject'].includes(decision)) {
+    return reject(400, 'decision must be approve or reject');
+  }
+
+  const note = review_note?.trim() || null;
+  const connection = await getClient();
+  let excuse;
+
+  try {
+    await connection.beginTransaction();
+
+    const excuseResult = await connection.query(
+      `SELECT ex.id, ex.session_id, ex.student_id, ex.submitted_by, ex.status,
+              s.activity_id, s.status as session_status,
+              DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date, act.name as activity_name
+       FROM absence_excuses ex
+       JOIN sessions s ON ex.session_id = s.id
+       JOIN activities act ON s.activity_id = act.id
+       WHERE ex.id = ? AND s.activity_id = ?
+       FOR UPDATE`,
+      [excuse_id, activity_id]
+    );
+
+    excuse = excuseResult.rows[0];
+
+    if (!excuse) {
+      await connection.rollback();
+      return reject(404, 'Absence note not found');
+    }
+    if (excuse.status !== 'pending') {
+      await connection.rollback();
+      return reject(409, `This note has already been ${excuse.status}`);
+    }
+
+    if (decision === 'approve') {
+      if (excuse.session_status === 'cancelled') {
+        await connection.rollback();
+        return reject(409, 'The session has been cancelled; reject the note instead');
+      }
+
+      // The enrollment to file the mark under, and the student's current mark if any
+      const currentResult = await connection.query(
+        `SELECT ae.id as enrollment_id, a.status, a.remarks
+         FROM activity_enrollments ae
+         LEFT JOIN attendance a ON a.session_id = ? AND a.student_id = ae.student_id
+         WHERE ae.activity_id = ? AND ae.student_id = ?
+         ORDER BY ae.status IN (${ENROLLED_STATUSES_SQL}) DESC, ae.id DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [excuse.session_id, excuse.activity_id, excuse.student_id]
+      );
+
+      const current = currentResult.rows[0];
+      if (!current) {
+        await connection.rollback();
+        return reject(409, 'The student is no longer enrolled in this activity');
+      }
+
+      await connection.query(
+        `INSERT INTO attendance (session_id, student_id, enrollment_id, status, marked_by, excuse_id)
+         VALUES (?, ?, ?, 'excused', ?, ?)
+         ON DUPLICATE KEY UPDATE
+           status = VALUES(status),
+           marked_by = VALUES(marked_by),
+           excuse_id = VALUES(excuse_id)`,
+        [excuse.session_id, excuse.student_id, current.enrollment_id, reviewed_by, excuse.id]
+      );
+
+      if (current.status !== 'excused') {
+        await logAttendanceChange(connection, {
+          session_id: excuse.session_id,
+          student_id: excuse.student_id,
+          previous_status: current.status,
+          new_status: 'excused',
+          previous_remarks: current.remarks,
+          new_remarks: current.remarks,
+          changed_by: reviewed_by
+        });
+      }
+    }
+
+    await connection.query(
+      `UPDATE absence_excuses
+       SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [decision === 'approve' ? 'approved' : 'rejected', note, reviewed_by, excuse.id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (decision === 'approve') {
+    await evaluateAttendanceAlerts(excuse.activity_id, [excuse.student_id]);
+  }
+  await notifyReview(excuse, decision, note);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: decision === 'approve' ? 'Note approved and the student marked excused' : 'Note rejected',
+      data: { id: excuse.id, status: decision === 'approve' ? 'approved' : 'rejected' }
+    }
+  };
+};
+
+/**
+ * Email the sender of a note about the decision
+ * Call after the reviewing transaction has committed
+ */
+async function notifyReview(excuse, decision, note) {
+  try {
+    const result = await query(
+      `SELECT u.email, u.first_name,
+              (SELECT CONCAT(st.first_name, ' ', st.last_name) FROM users st WHERE st.id = ?) as student_name
+       FROM users u
+       WHERE u.id = ?`,
+      [excuse.student_id, excuse.submitted_by]
+    );
+    const recipient = result.rows[0];
+    if (!recipient) return;
+
+    const outcome = decision === 'approve'
+      ? `has been approved and ${recipient.student_name} is excused`
+      : 'was not accepted, so the absence stays unexcused';
+
+    await sendMail({
+      to: recipient.email,
+      subject: `Absence note ${decision === 'approve' ? 'approved' : 'rejected'}: ${excuse.activity_name}`,
+      text: `Hi ${recipient.first_name},\nYour absence note for ${excuse.activity_name} on ${excuse.session_date} ${outcome}.` +
+        (note ? `\nCoach's note: ${note}` : '')
+    });
+  } catch (error) {
+    // Notification failures must not undo the review
+    console.error('Error sending absence note notification:', error);
+  }
+}
+
+/**
+ * The file attached to a note
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the note's session must belong to
+ * @param {number} params.excuse_id - Note
+ * @returns {Promise<Object>} { status, body } with data { name, type, data (base64) }
+ */
+export const getExcuseAttachment = async ({ activity_id, excuse_id }) => {
+  const result = await query(
+    `SELECT ex.attachment_name, ex.attachment_type, ex.attachment_data
+     FROM absence_excuses ex
+     JOIN sessions s ON ex.session_id = s.id
+     WHERE ex.id = ? AND s.activity_id = ?`,
+    [excuse_id, activity_id]
+  );
+
+  const excuse = result.rows[0];
+  if (!excuse) {
+    return reject(404, 'Absence note not found');
+  }
+  if (!excuse.attachment_data) {
+    return reject(404, 'This note has no attachment');
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        name: excuse.attachment_name,
+        type: excuse.attachment_type,
+        data: Buffer.from(excuse.attachment_data).toString('base64')
+      }
+    }
+  };
+};
+
+export default {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_BODY_LIMIT,
+  getParentStudents,
+  getStudentExcuses,
+  submitExcuse,
+  getActivityExcuses,
+  reviewExcuse,
+  getExcuseAttachment
+};
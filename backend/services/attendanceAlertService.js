@@ -0,0 +1,342 @@
+/**
+ * Attendance Alert Service
+ *
+ * Flags students whose attendance in an activity trips a chronic absence rule,
+ * keeps one open alert per student, activity and rule, and resolves it once the
+ * rule no longer applies. New alerts are emailed to the student's parent and the
+ * activity's coaches.
+ *
+ * Rules only look at marked sessions that have been held since the student
+ * enrolled. Excused absences count neither for nor against a student.
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { query, getClient } from '../config/database.js';
+import { sendMail } from './mailer.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+const CONSECUTIVE_ABSENCES = parseInt(process.env.ALERT_CONSECUTIVE_ABSENCES || '3');
+const MIN_ATTENDANCE_RATE = parseInt(process.env.ALERT_MIN_ATTENDANCE_RATE || '75');
+const MIN_RATE_SESSIONS = parseInt(process.env.ALERT_MIN_RATE_SESSIONS || '4');
+const LATE_COUNT = parseInt(process.env.ALERT_LATE_COUNT || '3');
+const WINDOW_DAYS = parseInt(process.env.ALERT_WINDOW_DAYS || '28');
+
+export const ALERT_RULES = ['consecutive_absences', 'low_attendance', 'repeated_lateness'];
+
+const ALERT_COLUMNS = `
+  al.id, al.student_id, al.activity_id, al.rule, al.value, al.message, al.status,
+  al.raised_at, al.resolved_at,
+  CONCAT(u.first_name, ' ', u.last_name) as student_name,
+  act.name as activity_name
+`;
+
+/**
+ * Rules a student currently trips
+ * @param {Array} marks - The student's marks, newest first ({ status, in_window })
+ * @returns {Map} rule => { value, message }
+ */
+function tripRules(marks) {
+  const tripped = new Map();
+  const counted = marks.filter(mark => mark.status !== 'excused');
+
+  const streak = counted.findIndex(mark => mark.status !== 'absent');
+  const absences = streak === -1 ? counted.length : streak;
+  if (absences >= CONSECUTIVE_ABSENCES) {
+    tripped.set('consecutive_absences', {
+      value: absences,
+      message: `Absent from the last ${absences} sessions`
+    });
+  }
+
+  const recent = counted.filter(mark => mark.in_window);
+  const attended = recent.filter(mark => mark.status === 'present' || mark.status === 'late').length;
+  const rate = recent.length > 0 ? Math.round(attended / recent.length * 100) : 100;
+  if (recent.length >= MIN_RATE_SESSIONS && rate < MIN_ATTENDANCE_RATE) {
+    tripped.set('low_attendance', {
+      value: rate,
+      message: `Attended ${attended} of ${recent.length} sessions (${rate}%) in the last ${WINDOW_DAYS} days`
+    });
+  }
+
+  const lates = recent.filter(mark => mark.status === 'late').length;
+  if (lates >= LATE_COUNT) {
+    tripped.set('repeated_lateness', {
+      value: lates,
+      message: `Late ${lates} times in the last ${WINDOW_DAYS} days`
+    });
+  }
+
+  return tripped;
+}
+
+/**
+ * Email the parents and coaches about newly raised alerts
+ * Call after the evaluating transaction has committed
+ */
+async function notifyAlerts(activity, raised) {
+  if (raised.length === 0) return;
+
+  try {
+    const studentIds = [...new Set(raised.map(alert => alert.student_id))];
+    const placeholders = studentIds.map(() => '?').join(', ');
+
+    const parentsResult = await query(
+      `SELECT p.email, p.first_name, s.user_id as student_id
+       FROM students s
+       JOIN users p ON s.parent_id = p.id
+       WHERE s.user_id IN (${placeholders})`,
+      studentIds
+    );
+
+    const coachesResult = await query(
+      `SELECT u.email, u.first_name
+       FROM activities a
+       JOIN users u ON a.coach_id = u.id
+       WHERE a.id = ?
+       UNION
+       SELECT u.email, u.first_name
+       FROM activity_schedules asch
+       JOIN instructors i ON asch.instructor_id = i.id
+       JOIN users u ON i.user_id = u.id
+       WHERE asch.activity_id = ? AND asch.is_active = TRUE`,
+      [activity.id, activity.id]
+    );
+
+    const line = alert => `- ${alert.student_name || `Student ${alert.student_id}`}: ${alert.message}`;
+
+    for (const parent of parentsResult.rows) {
+      const lines = raised.filter(alert => String(alert.student_id) === String(parent.student_id)).map(line);
+
+      await sendMail({
+        to: parent.email,
+        subject: `Attendance concern: ${activity.name}`,
+        text: `Hi ${parent.first_name},\nWe noticed a pattern in attendance at ${activity.name}:\n${lines.join('\n')}\n` +
+          'Please get in touch with the coach if there is anything we should know.'
+      });
+    }
+
+    for (const coach of coachesResult.rows) {
+      await sendMail({
+        to: coach.email,
+        subject: `Students at risk: ${activity.name}`,
+        text: `Hi ${coach.first_name},\nThese students in ${activity.name} have been flagged for attendance:\n` +
+          `${raised.map(line).join('\n')}`
+      });
+    }
+  } catch (error) {
+    // Notification failures must not undo the alerts
+    console.error('Error sending attendance alert notifications:', error);
+  }
+}
+
+/**
+ * Re-check the alert rules for students of an activity
+ * Raises new alerts, updates the figures of open ones and resolves cleared
+ * ones; students no longer enrolled have their alerts resolved
+ * Errors are logged, never thrown, so callers can run this after saving attendance
+ * @param {number} activity_id - Activity
+ * @param {Array<number>|null} student_ids - Students to check (default: everyone)
+ * @returns {Promise<Object|null>} { raised, updated, resolved }, or null on error or unknown activity
+ */
+export const evaluateAttendanceAlerts = async (activity_id, student_ids = null) => {
+  if (student_ids && student_ids.length === 0) {
+    return { raised: 0, updated: 0, resolved: 0 };
+  }
+
+  const studentFilter = student_ids ? `AND ae.student_id IN (${student_ids.map(() => '?').join(', ')})` : '';
+  const studentParams = student_ids || [];
+  let activity;
+  const raised = [];
+  const counts = { raised: 0, updated: 0, resolved: 0 };
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    // One evaluation per activity at a time, so an alert is never raised twice
+    const activityResult = await connection.query(
+      'SELECT id, name FROM activities WHERE id = ? FOR UPDATE',
+      [activity_id]
+    );
+
+    if (activityResult.rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    activity = activityResult.rows[0];
+
+    const enrolledResult = await connection.query(
+      `SELECT ae.student_id, CONCAT(u.first_name, ' ', u.last_name) as student_name
+       FROM activity_enrollments ae
+       LEFT JOIN users u ON ae.student_id = u.id
+       WHERE ae.activity_id = ? AND ae.status IN (${ENROLLED_STATUSES_SQL}) ${studentFilter}`,
+      [activity_id, ...studentParams]
+    );
+
+    const marksResult = await connection.query(
+      `SELECT a.student_id, a.status, s.session_date >= CURDATE() - INTERVAL ? DAY as in_window
+       FROM attendance a
+       JOIN sessions s ON a.session_id = s.id
+       JOIN activity_enrollments ae ON ae.activity_id = s.activity_id AND ae.student_id = a.student_id
+       WHERE s.activity_id = ?
+       AND s.status != 'cancelled'
+       AND s.session_date <= CURDATE()
+       AND s.session_date >= DATE(ae.enrolled_at)
+       AND ae.status IN (${ENROLLED_STATUSES_SQL}) ${studentFilter}
+       ORDER BY s.session_date DESC, s.start_time DESC`,
+      [WINDOW_DAYS, activity_id, ...studentParams]
+    );
+
+    const openResult = await connection.query(
+      `SELECT al.id, al.student_id, al.rule, al.value, al.message
+       FROM attendance_alerts al
+       WHERE al.activity_id = ? AND al.status = 'open'
+       ${student_ids ? `AND al.student_id IN (${student_ids.map(() => '?').join(', ')})` : ''}`,
+      [activity_id, ...studentParams]
+    );
+
+    const marksByStudent = new Map();
+    for (const mark of marksResult.rows) {
+      const key = String(mark.student_id);
+      if (!marksByStudent.has(key)) marksByStudent.set(key, []);
+      marksByStudent.get(key).push({ status: mark.status, in_window: Boolean(mark.in_window) });
+    }
+
+    const trippedByStudent = new Map(
+      enrolledResult.rows.map(student => [String(student.student_id), tripRules(marksByStudent.get(String(student.student_id)) || [])])
+    );
+
+    for (const alert of openResult.rows) {
+      const current = trippedByStudent.get(String(alert.student_id))?.get(alert.rule);
+
+      if (!current) {
+        await connection.query(
+          "UPDATE attendance_alerts SET status = 'resolved', resolved_at = NOW() WHERE id = ?",
+          [alert.id]
+        );
+        counts.resolved++;
+      } else {
+        if (Number(alert.value) !== current.value || alert.message !== current.message) {
+          await connection.query(
+            'UPDATE attendance_alerts SET value = ?, message = ? WHERE id = ?',
+            [current.value, current.message, alert.id]
+          );
+          counts.updated++;
+        }
+        trippedByStudent.get(String(alert.student_id)).delete(alert.rule);
+      }
+    }
+
+    for (const student of enrolledResult.rows) {
+      for (const [rule, current] of trippedByStudent.get(String(student.student_id))) {
+        await connection.query(
+          `INSERT INTO attendance_alerts (student_id, activity_id, rule, value, message)
+           VALUES (?, ?, ?, ?, ?)`,
+          [student.student_id, activity_id, rule, current.value, current.message]
+        );
+        raised.push({ student_id: student.student_id, student_name: student.student_name, rule, ...current });
+      }
+    }
+    counts.raised = raised.length;
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error evaluating attendance alerts:', error);
+    return null;
+  } finally {
+    connection.release();
+  }
+
+  await notifyAlerts(activity, raised);
+  return counts;
+};
+
+/**
+ * Re-check every active activity (run on a schedule)
+ * @returns {Promise<Object>} Totals plus the number of activities checked
+ */
+export const evaluateAllAttendanceAlerts = async () => {
+  const activitiesResult = await query("SELECT id FROM activities WHERE status = 'active'");
+  const totals = { activities: 0, raised: 0, updated: 0, resolved: 0 };
+
+  for (const activity of activitiesResult.rows) {
+    const counts = await evaluateAttendanceAlerts(activity.id);
+    if (!counts) continue;
+
+    totals.activities++;
+    for (const key of ['raised', 'updated', 'resolved']) {
+      totals[key] += counts[key];
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Alerts of one activity, open ones unless status says otherwise
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity
+ * @param {string} params.status - 'open' (default), 'resolved' or 'all'
+ * @returns {Promise<Object>} { status, body }
+ */
+export const getActivityAlerts = async ({ activity_id, status = 'open' }) => {
+  if (!['open', 'resolved', 'all'].includes(status)) {
+    return reject(400, 'status must be one of: open, resolved, all');
+  }
+
+  const result = await query(
+    `SELECT ${ALERT_COLUMNS}
+     FROM attendance_alerts al
+     JOIN activities act ON al.activity_id = act.id
+     LEFT JOIN users u ON al.student_id = u.id
+     WHERE al.activity_id = ? ${status === 'all' ? '' : 'AND al.status = ?'}
+     ORDER BY al.status = 'resolved', al.raised_at DESC`,
+    status === 'all' ? [activity_id] : [activity_id, status]
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    }
+  };
+};
+
+/**
+ * Every open alert across activities (admin reports)
+ * @returns {Promise<Object>} { status, body } with the number of students at risk
+ */
+export const getOpenAlerts = async () => {
+  const result = await query(
+    `SELECT ${ALERT_COLUMNS}
+     FROM attendance_alerts al
+     JOIN activities act ON al.activity_id = act.id
+     LEFT JOIN users u ON al.student_id = u.id
+     WHERE al.status = 'open'
+     ORDER BY act.name, u.last_name, u.first_name, al.raised_at DESC`
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: result.rows.length,
+      students_at_risk: new Set(result.rows.map(alert => alert.student_id)).size,
+      data: result.rows
+    }
+  };
+};
+
+export default {
+  ALERT_RULES,
+  evaluateAttendanceAlerts,
+  evaluateAllAttendanceAlerts,
+  getActivityAlerts,
+  getOpenAlerts
+};
@@ -0,0 +1,42 @@
+/**
+ * Attendance Alert Sweeper
+ *
+ * Background job that re-checks the attendance alert rules for every active
+ * activity, so alerts follow the rolling window even on days nobody marks
+ * attendance
+ */
+
+import { evaluateAllAttendanceAlerts } from './attendanceAlertService.js';
+import { createSweeper } from './sweeper.js';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.ATTENDANCE_ALERT_INTERVAL_MS || String(60 * 60 * 1000));
+
+const sweeper = createSweeper('Attendance alert', SWEEP_INTERVAL_MS, async () => {
+  const totals = await evaluateAllAttendanceAlerts();
+  if (totals.raised > 0 || totals.resolved > 0) {
+    console.log(`🚩 Attendance alerts: ${totals.raised} raised, ${totals.resolved} resolved`);
+  }
+  return totals.raised;
+});
+
+/**
+ * Run one sweep (skipped if the previous one is still running)
+ * @returns {Promise<number>} Number of alerts raised
+ */
+export const sweepAttendanceAlerts = sweeper.sweep;
+
+/**
+ * Start the periodic sweep
+ */
+export const startAttendanceAlertSweeper = sweeper.start;
+
+/**
+ * Stop the periodic sweep
+ */
+export const stopAttendanceAlertSweeper = sweeper.stop;
+
+export default {
+  sweepAttendanceAlerts,
+  startAttendanceAlertSweeper,
+  stopAttendanceAlertSweeper
+};
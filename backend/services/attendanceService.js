@@ -0,0 +1,448 @@
+/**
+ * Attendance Service
+ *
+ * Session-based attendance for coaches:
+ * - Roster of every student enrolled in a session's activity, with their mark
+ * - Bulk marking: a default status for students not yet marked, plus exceptions,
+ *   written in one transaction
+ * - Edit trail: every change to a student's status or remarks is logged in
+ *   attendance_changes, so past sessions can be corrected without losing history
+ * - Offline saves: a bulk save may carry an idempotency key, so replaying it
+ *   never applies it twice, and the time the marks were taken, so it never
+ *   overwrites a student edited since
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { query, getClient } from '../config/database.js';
+import { evaluateAttendanceAlerts } from './attendanceAlertService.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject, localToday } from './serviceUtils.js';
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 64;
+
+const SESSION_COLUMNS = `
+  s.id, s.activity_id, DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+  s.start_time, s.end_time, s.status
+`;
+
+/**
+ * Record a change to a student's attendance in the edit trail
+ * @param {Object} db - query runner ({ query } or a transaction connection)
+ * @param {Object} change - { session_id, student_id, previous_status, new_status, previous_remarks, new_remarks, changed_by }
+ *   plus an optional changed_at for changes recorded after the fact (defaults to now)
+ */
+export const logAttendanceChange = async (db, change) => {
+  await db.query(
+    `INSERT INTO attendance_changes
+     (session_id, student_id, previous_status, new_status, previous_remarks, new_remarks, changed_by, changed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [
+      change.session_id,
+      change.student_id,
+      change.previous_status ?? null,
+      change.new_status,
+      change.previous_remarks ?? null,
+      change.new_remarks ?? null,
+      change.changed_by ?? null,
+      change.changed_at ?? null
+    ]
+  );
+};
+
+/**
+ * Students on a session's roster: active enrollments that started on or before
+ * the session date, plus anyone who already has a mark (e.g. withdrawn since)
+ * @param {Object} db - query runner ({ query } or a transaction connection)
+ * @param {Object} session - Session row (id, activity_id, session_date)
+ * @returns {Promise<Array>} One row per student, ordered by name
+ */
+async function loadRoster(db, session) {
+  const result = await db.query(
+    `SELECT
+      ae.id as enrollment_id,
+      ae.student_id,
+      CONCAT(u.first_name, ' ', u.last_name) as student_name,
+      ae.status IN (${ENROLLED_STATUSES_SQL}) as is_enrolled,
+      a.id as attendance_id,
+      a.status,
+      a.remarks,
+      a.excuse_id,
+      a.check_in_time,
+      a.check_out_time,
+      a.marked_at,
+      a.updated_at,
+      CONCAT(mu.first_name, ' ', mu.last_name) as marked_by_name,
+      (SELECT COUNT(*) FROM attendance_changes ac
+       WHERE ac.session_id = ? AND ac.student_id = ae.student_id) as change_count
+    FROM activity_enrollments ae
+    LEFT JOIN attendance a ON a.session_id = ? AND a.student_id = ae.student_id
+    LEFT JOIN users u ON ae.student_id = u.id
+    LEFT JOIN users mu ON a.marked_by = mu.id
+    WHERE ae.activity_id = ?
+    AND (
+      (ae.status IN (${ENROLLED_STATUSES_SQL}) AND DATE(ae.enrolled_at) <= ?)
+      OR a.id IS NOT NULL
+    )
+    ORDER BY u.last_name, u.first_name, ae.student_id`,
+    [session.id, session.id, session.activity_id, session.session_date]
+  );
+
+  return result.rows.map(row => ({ ...row, is_enrolled: Boolean(row.is_enrolled) }));
+}
+
+/**
+ * Roster of a session with each student's current mark
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session
+ * @returns {Promise<Object>} { status, body } with data { session, students, summary }
+ */
+export const getSessionRoster = async ({ activity_id, session_id }) => {
+  const sessionResult = await query(
+    `SELECT ${SESSION_COLUMNS} FROM sessions s WHERE s.id = ? AND s.activity_id = ?`,
+    [session_id, activity_id]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    return reject(404, 'Session not found');
+  }
+
+  const session = sessionResult.rows[0];
+  const students = await loadRoster({ query }, session);
+
+  const summary = { total: students.length, unmarked: 0 };
+  ATTENDANCE_STATUSES.forEach(status => { summary[status] = 0; });
+  students.forEach(student => {
+    if (student.status) summary[student.status]++;
+    else summary.unmarked++;
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: { session, students, summary }
+    }
+  };
+};
+
+/**
+ * Validate a bulk marking request
+ * @returns {Object|null} A rejection, or null if valid
+ */
+function validateMarks(default_status, exceptions, idempotency_key, recorded_at) {
+  if (idempotency_key !== null &&
+    (typeof idempotency_key !== 'string' || !idempotency_key.trim() || idempotency_key.length > IDEMPOTENCY_KEY_MAX_LENGTH)) {
+    return reject(400, `idempotency_key must be a string of at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`);
+  }
+
+  if (recorded_at !== null && Number.isNaN(new Date(recorded_at).getTime())) {
+    return reject(400, 'recorded_at must be a date and time');
+  }
+
+  if (default_status && !ATTENDANCE_STATUSES.includes(default_status)) {
+    return reject(400, `Invalid default_status. Must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+  }
+
+  if (!Array.isArray(exceptions)) {
+    return reject(400, 'exceptions must be an array');
+  }
+
+  if (!default_status && exceptions.length === 0) {
+    return reject(400, 'Nothing to mark: send a default_status and/or exceptions');
+  }
+
+  const seen = new Set();
+  for (const exception of exceptions) {
+    if (!exception?.student_id) {
+      return reject(400, 'Every exception needs a student_id');
+    }
+    if (!ATTENDANCE_STATUSES.includes(exception.status)) {
+      return reject(400, `Invalid status for student ${exception.student_id}. Must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+    if (seen.has(Number(exception.student_id))) {
+      return reject(400, `Student ${exception.student_id} is listed more than once`);
+    }
+    seen.add(Number(exception.student_id));
+  }
+
+  return null;
+}
+
+/**
+ * Mark attendance for a whole session in one transaction
+ *
+ * Students listed in exceptions get that status (and remarks, if given; omitted
+ * remarks are kept). Every other roster student who has no mark yet gets
+ * default_status, so re-saving never overwrites earlier corrections. Only real
+ * changes are written and logged.
+ *
+ * Saves queued offline send an idempotency_key and recorded_at. A key seen
+ * before returns the stored result without writing anything. Students whose
+ * attendance changed after recorded_at are left alone and listed as skipped,
+ * and the edit trail dates the applied changes at recorded_at.
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session to mark
+ * @param {string} params.default_status - Status for unmarked students (optional)
+ * @param {Array<Object>} params.exceptions - [{ student_id, status, remarks }]
+ * @param {number} params.changed_by - User marking attendance
+ * @param {string} params.idempotency_key - Client-generated key of this save (optional)
+ * @param {string} params.recorded_at - When the marks were taken, if earlier than now (optional)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const markSessionAttendance = async ({
+  activity_id,
+  session_id,
+  default_status = null,
+  exceptions = [],
+  changed_by = null,
+  idempotency_key = null,
+  recorded_at = null
+}) => {
+  const invalid = validateMarks(default_status, exceptions, idempotency_key, recorded_at);
+  if (invalid) return invalid;
+
+  // A device clock running ahead must not make its marks look newer than they are.
+  // Whole seconds, as stored in the edit trail
+  const recordedAt = recorded_at
+    ? new Date(Math.floor(Math.min(new Date(recorded_at).getTime(), Date.now()) / 1000) * 1000)
+    : null;
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const sessionResult = await connection.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions s WHERE s.id = ? AND s.activity_id = ? FOR UPDATE`,
+      [session_id, activity_id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Session not found');
+    }
+
+    const session = sessionResult.rows[0];
+
+    // Checked under the session lock, so a replay racing the original waits for it
+    if (idempotency_key) {
+      const submissionResult = await connection.query(
+        'SELECT session_id, response FROM attendance_submissions WHERE idempotency_key = ? FOR UPDATE',
+        [idempotency_key]
+      );
+
+      if (submissionResult.rows.length > 0) {
+        await connection.rollback();
+        const submission = submissionResult.rows[0];
+
+        if (Number(submission.session_id) !== Number(session.id)) {
+          return reject(409, 'This idempotency_key was already used for another session');
+        }
+
+        const response = typeof submission.response === 'string' ? JSON.parse(submission.response) : submission.response;
+        return { status: 200, body: { ...response, replayed: true } };
+      }
+    }
+
+    if (session.status === 'cancelled') {
+      await connection.rollback();
+      return reject(409, 'Attendance cannot be marked for a cancelled session');
+    }
+
+    if (session.session_date > localToday()) {
+      await connection.rollback();
+      return reject(400, 'Attendance cannot be marked before the session date');
+    }
+
+    // Lock existing marks so concurrent saves can't interleave their edit trails
+    await connection.query('SELECT id FROM attendance WHERE session_id = ? FOR UPDATE', [session.id]);
+
+    const roster = await loadRoster(connection, session);
+    const rosterByStudent = new Map(roster.map(student => [Number(student.student_id), student]));
+
+    const unknown = exceptions
+      .filter(exception => !rosterByStudent.has(Number(exception.student_id)))
+      .map(exception => exception.student_id);
+
+    if (unknown.length > 0) {
+      await connection.rollback();
+      return reject(400, 'Some students are not on this session\'s roster', { student_ids: unknown });
+    }
+
+    const exceptionsByStudent = new Map(exceptions.map(exception => [Number(exception.student_id), exception]));
+    const changedStudents = [];
+    const skippedStudents = [];
+
+    const lastChangedByStudent = new Map();
+    if (recordedAt) {
+      const changesResult = await connection.query(
+        `SELECT student_id, MAX(changed_at) as last_changed_at
+         FROM attendance_changes
+         WHERE session_id = ?
+         GROUP BY student_id`,
+        [session.id]
+      );
+      changesResult.rows.forEach(row => {
+        lastChangedByStudent.set(Number(row.student_id), new Date(row.last_changed_at));
+      });
+    }
+
+    for (const student of roster) {
+      const exception = exceptionsByStudent.get(Number(student.student_id));
+
+      let status;
+      let remarks = student.remarks ?? null;
+
+      if (exception) {
+        status = exception.status;
+        if (exception.remarks !== undefined) {
+          remarks = exception.remarks?.trim() || null;
+        }
+      } else if (default_status && !student.status) {
+        status = default_status;
+      } else {
+        continue;
+      }
+
+      if (status === student.status && remarks === (student.remarks ?? null)) continue;
+
+      // Someone changed this student after the marks were taken; theirs stands
+      if (recordedAt && lastChangedByStudent.get(Number(student.student_id)) > recordedAt) {
+        skippedStudents.push(student.student_id);
+        continue;
+      }
+
+      await connection.query(
+        `INSERT INTO attendance (session_id, student_id, enrollment_id, status, remarks, marked_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           status = VALUES(status),
+           remarks = VALUES(remarks),
+           marked_by = VALUES(marked_by),
+           excuse_id = IF(VALUES(status) = 'excused', excuse_id, NULL)`,
+        [session.id, student.student_id, student.enrollment_id, status, remarks, changed_by]
+      );
+
+      await logAttendanceChange(connection, {
+        session_id: session.id,
+        student_id: student.student_id,
+        previous_status: student.status,
+        new_status: status,
+        previous_remarks: student.remarks,
+        new_remarks: remarks,
+        changed_by,
+        changed_at: recordedAt
+      });
+
+      changedStudents.push(student.student_id);
+    }
+
+    const changed = changedStudents.length;
+    const skipped = skippedStudents.length;
+    let message = changed > 0
+      ? `Attendance saved for ${changed} student${changed === 1 ? '' : 's'}`
+      : 'Attendance is already up to date';
+    if (skipped > 0) {
+      message += `; ${skipped} student${skipped === 1 ? ' was' : 's were'} changed since and kept as is`;
+    }
+
+    const body = {
+      success: true,
+      message,
+      data: {
+        session_id: session.id,
+        changed,
+        unchanged: roster.length - changed - skipped,
+        skipped_student_ids: skippedStudents
+      }
+    };
+
+    if (idempotency_key) {
+      await connection.query(
+        `INSERT INTO attendance_submissions (idempotency_key, session_id, submitted_by, recorded_at, response)
+         VALUES (?, ?, ?, ?, ?)`,
+        [idempotency_key, session.id, changed_by, recordedAt, JSON.stringify(body)]
+      );
+    }
+
+    await connection.commit();
+
+    // Re-check the alert rules for everyone whose attendance just changed
+    await evaluateAttendanceAlerts(session.activity_id, changedStudents);
+
+    return { status: 200, body };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Edit trail of a session's attendance, newest first
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session
+ * @param {number} params.student_id - Only this student's changes (optional)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const getAttendanceHistory = async ({ activity_id, session_id, student_id = null }) => {
+  const sessionResult = await query(
+    'SELECT id FROM sessions WHERE id = ? AND activity_id = ?',
+    [session_id, activity_id]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    return reject(404, 'Session not found');
+  }
+
+  const params = [session_id];
+  let historyQuery = `
+    SELECT
+      ac.id,
+      ac.student_id,
+      CONCAT(su.first_name, ' ', su.last_name) as student_name,
+      ac.previous_status,
+      ac.new_status,
+      ac.previous_remarks,
+      ac.new_remarks,
+      ac.changed_at,
+      CONCAT(cu.first_name, ' ', cu.last_name) as changed_by_name
+    FROM attendance_changes ac
+    LEFT JOIN users su ON ac.student_id = su.id
+    LEFT JOIN users cu ON ac.changed_by = cu.id
+    WHERE ac.session_id = ?
+  `;
+
+  if (student_id) {
+    historyQuery += ' AND ac.student_id = ?';
+    params.push(student_id);
+  }
+
+  historyQuery += ' ORDER BY ac.changed_at DESC, ac.id DESC';
+
+  const result = await query(historyQuery, params);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    }
+  };
+};
+
+export default {
+  ATTENDANCE_STATUSES,
+  logAttendanceChange,
+  getSessionRoster,
+  markSessionAttendance,
+  getAttendanceHistory
+};
@@ -0,0 +1,381 @@
+/**
+ * Calendar Feed Service
+ *
+ * Secret iCalendar (.ics) subscription links for Google/Apple/Outlook calendars:
+ * - student: sessions of the activities a student is enrolled in (active or approved)
+ *   (the student, their parent or an admin can create the link)
+ * - coach: sessions of activities a coach runs or teaches a slot of
+ * - venue: every session booked at a venue (coaches and admins)
+ *
+ * Every session is one VEVENT whose UID never changes, so calendar apps update
+ * it in place: moved sessions carry their new time, cancelled ones
+ * STATUS:CANCELLED, and SEQUENCE grows with each change.
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+export const FEED_TYPES = ['student', 'coach', 'venue'];
+
+// Past sessions kept in a feed, so recent history stays in the calendar
+const PAST_DAYS = 30;
+
+const PRODUCT_ID = '-//ERP Extracurricular//Activity Sessions//EN';
+const UID_DOMAIN = 'erp-extracurricular';
+
+/**
+ * Hash feed tokens before storing so a leaked table cannot be used to subscribe
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ---------------------------------------------------------------------------
+// iCalendar formatting (RFC 5545)
+// ---------------------------------------------------------------------------
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Floating local time: the session happens at this wall-clock time wherever the school is
+const formatLocal = (date, time) => `${date.replace(/-/g, '')}T${time.replace(/:/g, '').padEnd(6, '0')}`;
+
+const formatUtc = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const sessionToEvent = (session, stamp) => {
+  const cancelled = session.status === 'cancelled';
+  const description = [];
+
+  if (session.teacher_name) description.push(`With ${session.teacher_name}`);
+  if (session.recurrence_pattern === 'biweekly') description.push('Every other week');
+  const moved = session.is_modified && session.original_date &&
+    (session.original_date !== session.session_date || session.original_start_time !== session.start_time);
+  if (moved) {
+    description.push(`Moved from ${session.original_date} ${session.original_start_time.slice(0, 5)}`);
+  }
+  if (cancelled) {
+    description.push(`Cancelled${session.closure_name ? ` (${session.closure_name})` : ''}`);
+  }
+  if (session.change_reason) description.push(`Reason: ${session.change_reason}`);
+  if (session.notes) description.push(session.notes);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${formatUtc(session.updated_at)}`,
+    `SEQUENCE:${session.sequence}`,
+    `DTSTART:${formatLocal(session.session_date, session.start_time)}`,
+    `DTEND:${formatLocal(session.session_date, session.end_time)}`,
+    `SUMMARY:${escapeText(cancelled ? `Cancelled: ${session.activity_name}` : session.activity_name)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (session.location) lines.push(`LOCATION:${escapeText(session.location)}`);
+  if (description.length > 0) lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document from session rows
+ * @param {string} name - Calendar name shown by the subscribing app
+ * @param {Array} sessions - Rows from the feed query
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = (name, sessions) => {
+  const stamp = formatUtc(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...sessions.flatMap(session => sessionToEvent(session, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ---------------------------------------------------------------------------
+// Feed data
+// ---------------------------------------------------------------------------
+
+// SEQUENCE: seconds between creation and the last update only ever grows
+const SESSION_COLUMNS = `
+  s.id,
+  DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+  s.start_time,
+  s.end_time,
+  s.status,
+  s.is_modified,
+  DATE_FORMAT(s.original_date, '%Y-%m-%d') as original_date,
+  s.original_start_time,
+  s.notes,
+  s.updated_at,
+  TIMESTAMPDIFF(SECOND, s.created_at, s.updated_at) as sequence,
+  asch.recurrence_pattern,
+  a.name as activity_name,
+  COALESCE(v.name, a.venue) as location,
+  COALESCE(i.name, CONCAT(u.first_name, ' ', u.last_name)) as teacher_name,
+  cc.name as closure_name,
+  (SELECT sc.reason FROM session_changes sc
+   WHERE sc.session_id = s.id
+   ORDER BY sc.changed_at DESC, sc.id DESC
+   LIMIT 1) as change_reason
+`;
+
+const SESSION_JOINS = `
+  FROM sessions s
+  JOIN activities a ON s.activity_id = a.id
+  JOIN activity_schedules asch ON s.schedule_id = asch.id
+  LEFT JOIN venues v ON s.venue_id = v.id
+  LEFT JOIN instructors i ON s.instructor_id = i.id
+  LEFT JOIN users u ON a.coach_id = u.id
+  LEFT JOIN calendar_closures cc ON s.closure_id = cc.id
+`;
+
+const FEED_QUERIES = {
+  student: `
+    SELECT ${SESSION_COLUMNS}
+    ${SESSION_JOINS}
+    JOIN activity_enrollments ae ON ae.activity_id = s.activity_id
+    WHERE ae.student_id = ? AND ae.status IN (${ENROLLED_STATUSES_SQL})
+  `,
+  coach: `
+    SELECT ${SESSION_COLUMNS}
+    ${SESSION_JOINS}
+    WHERE (a.coach_id = ? OR i.user_id = ?)
+  `,
+  venue: `
+    SELECT ${SESSION_COLUMNS}
+    ${SESSION_JOINS}
+    WHERE s.venue_id = ?
+  `
+};
+
+/**
+ * Sessions in a feed, from PAST_DAYS ago onwards
+ */
+const getFeedSessions = async (feed_type, target_id) => {
+  const params = feed_type === 'coach' ? [target_id, target_id] : [target_id];
+  const result = await query(
+    `${FEED_QUERIES[feed_type]}
+     AND a.status = 'active'
+     AND s.session_date >= DATE_SUB(CURDATE(), INTERVAL ${PAST_DAYS} DAY)
+     ORDER BY s.session_date ASC, s.start_time ASC`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * Display name of a feed, e.g. "Alex Kim – Activities" or "Main Hall – Bookings"
+ * @returns {Promise<string|null>} Name, or null if the target does not exist
+ */
+const getFeedName = async (feed_type, target_id) => {
+  if (feed_type === 'venue') {
+    const result = await query('SELECT name FROM venues WHERE id = ?', [target_id]);
+    return result.rows[0] ? `${result.rows[0].name} – Bookings` : null;
+  }
+
+  const result = await query(
+    "SELECT CONCAT(first_name, ' ', last_name) as name, role FROM users WHERE id = ?",
+    [target_id]
+  );
+  const target = result.rows[0];
+
+  if (!target) return null;
+  if (feed_type === 'student' && target.role !== 'student') return null;
+  if (feed_type === 'coach' && !['teacher', 'admin'].includes(target.role)) return null;
+
+  return `${target.name} – ${feed_type === 'coach' ? 'Coaching' : 'Activities'}`;
+};
+
+/**
+ * Whether a user may subscribe to a feed
+ * Students their own, parents their children's, coaches their own and any
+ * venue's, admins everything
+ */
+const canSubscribe = async (user, feed_type, target_id) => {
+  if (user.role === 'admin') return true;
+
+  if (feed_type === 'venue') return user.role === 'teacher';
+
+  if (feed_type === 'coach') return user.role === 'teacher' && String(user.id) === String(target_id);
+
+  if (user.role === 'student') return String(user.id) === String(target_id);
+
+  const access = await query(
+    `SELECT 1 FROM user_roles
+     WHERE user_id = ? AND role = 'parent' AND entity_id = ? AND entity_type = 'student'
+     UNION
+     SELECT 1 FROM students
+     WHERE parent_id = ? AND user_id = ?`,
+    [user.id, target_id, user.id, target_id]
+  );
+  return access.rows.length > 0;
+};
+
+/**
+ * Create a subscription link; any earlier link of the user for the same feed is revoked
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {string} params.feed_type - student, coach or venue
+ * @param {number} params.target_id - Student or coach user id, or venue id (defaults to the user)
+ * @returns {Promise<Object>} { status, body } with the token in body.data (only shown once)
+ */
+export const createFeed = async ({ user, feed_type, target_id }) => {
+  if (!FEED_TYPES.includes(feed_type)) {
+    return reject(400, `feed_type must be one of: ${FEED_TYPES.join(', ')}`);
+  }
+
+  const targetId = parseInt(target_id) || (feed_type === 'venue' ? null : user.id);
+  if (!targetId) {
+    return reject(400, 'target_id is required for venue feeds');
+  }
+
+  const name = await getFeedName(feed_type, targetId);
+  if (!name) {
+    return reject(404, `No ${feed_type} with that id`);
+  }
+
+  if (!await canSubscribe(user, feed_type, targetId)) {
+    return reject(403, 'You cannot subscribe to this calendar');
+  }
+
+  await query(
+    `UPDATE calendar_feeds SET revoked_at = NOW()
+     WHERE user_id = ? AND feed_type = ? AND target_id = ? AND revoked_at IS NULL`,
+    [user.id, feed_type, targetId]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const result = await query(
+    'INSERT INTO calendar_feeds (user_id, feed_type, target_id, token_hash) VALUES (?, ?, ?, ?)',
+    [user.id, feed_type, targetId, hashToken(token)]
+  );
+
+  return {
+    status: 201,
+    body: {
+      success: true,
+      message: 'Calendar link created; earlier links for this calendar no longer work',
+      data: {
+        id: result.rows.insertId,
+        feed_type,
+        target_id: targetId,
+        name,
+        token
+      }
+    }
+  };
+};
+
+/**
+ * Revoke one of the user's links (admins can revoke any)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const revokeFeed = async ({ user, feed_id }) => {
+  const result = user.role === 'admin'
+    ? await query('UPDATE calendar_feeds SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [feed_id])
+    : await query(
+      'UPDATE calendar_feeds SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [feed_id, user.id]
+    );
+
+  if (result.rows.affectedRows === 0) {
+    return reject(404, 'Calendar link not found');
+  }
+
+  return {
+    status: 200,
+    body: { success: true, message: 'Calendar link revoked' }
+  };
+};
+
+/**
+ * Revoke every link a user created, e.g. when their account stops being active
+ * @param {number} userId - Owner of the links
+ * @returns {Promise<number>} Number of links revoked
+ */
+export const revokeUserFeeds = async (userId) => {
+  const result = await query(
+    'UPDATE calendar_feeds SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return result.rows.affectedRows;
+};
+
+/**
+ * Render the calendar behind a token
+ * The owner's account and access are checked again on every fetch, so a link
+ * stops working once they are deactivated or lose access to the calendar
+ * @param {string} token - Token from the subscription URL
+ * @returns {Promise<string|null>} iCalendar text, or null for an unknown, revoked or no longer permitted token
+ */
+export const renderFeed = async (token) => {
+  const result = await query(
+    `SELECT cf.id, cf.feed_type, cf.target_id, u.id as user_id, u.role, u.status
+     FROM calendar_feeds cf
+     JOIN users u ON cf.user_id = u.id
+     WHERE cf.token_hash = ? AND cf.revoked_at IS NULL`,
+    [hashToken(token)]
+  );
+  const feed = result.rows[0];
+
+  if (!feed || feed.status !== 'active') return null;
+
+  const owner = { id: feed.user_id, role: feed.role };
+  if (!await canSubscribe(owner, feed.feed_type, feed.target_id)) return null;
+
+  const name = await getFeedName(feed.feed_type, feed.target_id);
+  if (!name) return null;
+
+  const sessions = await getFeedSessions(feed.feed_type, feed.target_id);
+  await query('UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = ?', [feed.id]);
+
+  return buildCalendar(name, sessions);
+};
+
+export default {
+  FEED_TYPES,
+  buildCalendar,
+  createFeed,
+  revokeFeed,
+  revokeUserFeeds,
+  renderFeed
+};
@@ -0,0 +1,251 @@
+/**
+ * Calendar Service
+ *
+ * Academic calendar closures (holidays, term breaks, exam weeks, ad hoc closures)
+ * for the whole school or a single venue:
+ * - Adding a closure cancels the scheduled sessions it covers and emails the
+ *   families enrolled in the affected activities
+ * - Removing a closure puts its upcoming sessions back on the schedule
+ * - The session generator skips closed dates (see sessionGenerator)
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { query, getClient } from '../config/database.js';
+import { sendMail } from './mailer.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { generateSessionsForActivity } from './sessionGenerator.js';
+import { reject } from './serviceUtils.js';
+
+export const CLOSURE_TYPES = ['holiday', 'term_break', 'exam_week', 'closure'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Add a closure and cancel the sessions it covers
+ * @param {Object} params
+ * @param {string} params.name - e.g. "Winter Break"
+ * @param {string} params.closure_type - One of CLOSURE_TYPES
+ * @param {string} params.start_date - First closed day (YYYY-MM-DD)
+ * @param {string} params.end_date - Last closed day (YYYY-MM-DD), defaults to start_date
+ * @param {number} params.venue_id - Optional; omit for a school-wide closure
+ * @param {number} params.created_by - User adding the closure
+ * @returns {Promise<Object>} { status, body }
+ */
+export const createClosure = async ({
+  name,
+  closure_type = 'closure',
+  start_date,
+  end_date = null,
+  venue_id = null,
+  notes = null,
+  created_by = null
+}) => {
+  const lastDay = end_date || start_date;
+
+  if (!name || !start_date) {
+    return reject(400, 'name and start_date are required');
+  }
+
+  if (!CLOSURE_TYPES.includes(closure_type)) {
+    return reject(400, `Invalid closure_type. Must be one of: ${CLOSURE_TYPES.join(', ')}`);
+  }
+
+  if (!DATE_PATTERN.test(start_date) || !DATE_PATTERN.test(lastDay) || lastDay < start_date) {
+    return reject(400, 'start_date and end_date must be YYYY-MM-DD dates, with end_date on or after start_date');
+  }
+
+  const connection = await getClient();
+  let closureId;
+  let cancelled;
+
+  try {
+    await connection.beginTransaction();
+
+    if (venue_id) {
+      const venueResult = await connection.query('SELECT id FROM venues WHERE id = ?', [venue_id]);
+
+      if (venueResult.rows.length === 0) {
+        await connection.rollback();
+        return reject(404, 'Venue not found');
+      }
+    }
+
+    const insertResult = await connection.query(
+      `INSERT INTO calendar_closures (name, closure_type, start_date, end_date, venue_id, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, closure_type, start_date, lastDay, venue_id, notes, created_by]
+    );
+    closureId = insertResult.rows.insertId;
+
+    const venueFilter = venue_id ? 'AND s.venue_id = ?' : '';
+    const sessionParams = venue_id ? [start_date, lastDay, venue_id] : [start_date, lastDay];
+
+    const sessionsResult = await connection.query(
+      `SELECT s.id, s.activity_id, a.name as activity_name,
+              DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date, s.start_time
+       FROM sessions s
+       JOIN activities a ON s.activity_id = a.id
+       WHERE s.session_date BETWEEN ? AND ?
+       AND s.status = 'scheduled'
+       ${venueFilter}
+       FOR UPDATE`,
+      sessionParams
+    );
+    cancelled = sessionsResult.rows;
+
+    if (cancelled.length > 0) {
+      await connection.query(
+        `UPDATE sessions
+         SET status = 'cancelled', closure_id = ?, notes = ?
+         WHERE id IN (${cancelled.map(() => '?').join(', ')})`,
+        [closureId, `Closed: ${name}`, ...cancelled.map(session => session.id)]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const notified = await notifyClosure(name, cancelled);
+  const created = await query('SELECT * FROM calendar_closures WHERE id = ?', [closureId]);
+
+  return {
+    status: 201,
+    body: {
+      success: true,
+      message: `Closure added; ${cancelled.length} sessions cancelled`,
+      data: created.rows[0],
+      sessions_cancelled: cancelled.length,
+      families_notified: notified
+    }
+  };
+};
+
+/**
+ * Remove a closure and restore its upcoming sessions
+ * Affected activities are regenerated, so dates still covered by
+ * another closure stay cancelled
+ * @returns {Promise<Object>} { status, body }
+ */
+export const deleteClosure = async ({ closure_id }) => {
+  const connection = await getClient();
+  let activityIds;
+  let restored;
+
+  try {
+    await connection.beginTransaction();
+
+    const closureResult = await connection.query(
+      'SELECT id FROM calendar_closures WHERE id = ? FOR UPDATE',
+      [closure_id]
+    );
+
+    if (closureResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Closure not found');
+    }
+
+    const sessionsResult = await connection.query(
+      'SELECT DISTINCT activity_id FROM sessions WHERE closure_id = ? AND session_date >= CURDATE()',
+      [closure_id]
+    );
+    activityIds = sessionsResult.rows.map(row => row.activity_id);
+
+    const restoreResult = await connection.query(
+      `UPDATE sessions
+       SET status = 'scheduled', closure_id = NULL, notes = NULL
+       WHERE closure_id = ? AND session_date >= CURDATE()`,
+      [closure_id]
+    );
+    restored = restoreResult.rows.affectedRows;
+
+    // Past sessions stay cancelled; the foreign key clears their closure_id
+    await connection.query('DELETE FROM calendar_closures WHERE id = ?', [closure_id]);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  for (const activity_id of activityIds) {
+    await generateSessionsForActivity(activity_id);
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Closure removed',
+      sessions_restored: restored
+    }
+  };
+};
+
+/**
+ * Email enrolled students and their parents about sessions cancelled by a closure
+ * Call after the cancelling transaction has committed
+ * @returns {Promise<number>} Number of recipients
+ */
+async function notifyClosure(closureName, cancelledSessions) {
+  if (cancelledSessions.length === 0) return 0;
+
+  try {
+    const activityIds = [...new Set(cancelledSessions.map(session => session.activity_id))];
+    const placeholders = activityIds.map(() => '?').join(', ');
+
+    const recipientsResult = await query(
+      `SELECT u.email, u.first_name, ae.activity_id
+       FROM activity_enrollments ae
+       JOIN users u ON ae.student_id = u.id
+       WHERE ae.activity_id IN (${placeholders}) AND ae.status IN (${ENROLLED_STATUSES_SQL})
+       UNION
+       SELECT p.email, p.first_name, ae.activity_id
+       FROM activity_enrollments ae
+       JOIN students s ON s.user_id = ae.student_id
+       JOIN users p ON s.parent_id = p.id
+       WHERE ae.activity_id IN (${placeholders}) AND ae.status IN (${ENROLLED_STATUSES_SQL})`,
+      [...activityIds, ...activityIds]
+    );
+
+    // One email per recipient listing every cancelled session they are affected by
+    const byRecipient = new Map();
+    for (const row of recipientsResult.rows) {
+      if (!byRecipient.has(row.email)) {
+        byRecipient.set(row.email, { first_name: row.first_name, activityIds: new Set() });
+      }
+      byRecipient.get(row.email).activityIds.add(row.activity_id);
+    }
+
+    for (const [email, recipient] of byRecipient) {
+      const lines = cancelledSessions
+        .filter(session => recipient.activityIds.has(session.activity_id))
+        .map(session => `- ${session.activity_name}: ${session.session_date} at ${session.start_time.slice(0, 5)}`);
+
+      await sendMail({
+        to: email,
+        subject: `Sessions cancelled: ${closureName}`,
+        text: `Hi ${recipient.first_name},\nThe following sessions are cancelled because of ${closureName}:\n${lines.join('\n')}`
+      });
+    }
+
+    return byRecipient.size;
+  } catch (error) {
+    // Notification failures must not undo the closure
+    console.error('Error sending closure notifications:', error);
+    return 0;
+  }
+}
+
+export default {
+  CLOSURE_TYPES,
+  createClosure,
+  deleteClosure
+};
@@ -0,0 +1,360 @@
+/**
+ * Check-In Service
+ *
+ * Self check-in and pickup check-out for today's sessions:
+ * - The coach's screen shows a QR code with a signed token that rotates every
+ *   CHECK_IN_TOKEN_SECONDS, so a photo of it stops working within a minute
+ * - Students scan it to check in; after CHECK_IN_GRACE_MINUTES past the start
+ *   they are marked late
+ * - A kiosk run by the coach can check students in by name and check them out
+ *   when they are picked up
+ * A student marked absent who turns up is moved to present/late by checking in;
+ * any other status the coach has already set (e.g. excused) is kept, and the
+ * coach can always override through the session roster.
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import crypto from 'crypto';
+import { getClient } from '../config/database.js';
+import { getCheckInSecret } from '../config/secrets.js';
+import { logAttendanceChange } from './attendanceService.js';
+import { evaluateAttendanceAlerts } from './attendanceAlertService.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+const TOKEN_SECONDS = parseInt(process.env.CHECK_IN_TOKEN_SECONDS || '30');
+const GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES || '10');
+const OPENS_MINUTES = parseInt(process.env.CHECK_IN_OPENS_MINUTES || '30');
+
+// Timing is worked out by MySQL so it uses the same clock as session dates
+const SESSION_COLUMNS = `
+  s.id, s.activity_id, a.name as activity_name,
+  DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+  s.start_time, s.end_time, s.status,
+  s.session_date = CURDATE() as is_today,
+  NOW() >= TIMESTAMP(s.session_date, s.start_time) - INTERVAL ? MINUTE as has_opened,
+  NOW() > TIMESTAMP(s.session_date, s.end_time) as has_ended,
+  NOW() > TIMESTAMP(s.session_date, s.start_time) + INTERVAL ? MINUTE as is_late
+`;
+
+const sign = (payload) => crypto.createHmac('sha256', getCheckInSecret()).update(`check-in:${payload}`).digest('base64url');
+
+/**
+ * Signed token for a session in the current rotation
+ * @param {number} session_id - Session
+ * @returns {Object} { token, expires_at }
+ */
+export const issueToken = (session_id) => {
+  const rotation = Math.floor(Date.now() / 1000 / TOKEN_SECONDS);
+  const payload = `${session_id}.${rotation}`;
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date((rotation + 1) * TOKEN_SECONDS * 1000).toISOString()
+  };
+};
+
+/**
+ * Check a token's signature and age; the previous rotation is still accepted so
+ * a scan made just before the code rotates goes through
+ * @param {string} token - Token from the QR code
+ * @returns {number|null} Session ID, or null if the token is invalid or expired
+ */
+export const verifyToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+
+  const [sessionId, rotation, signature] = parts;
+  const expected = Buffer.from(sign(`${sessionId}.${rotation}`));
+  const given = Buffer.from(signature);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  const current = Math.floor(Date.now() / 1000 / TOKEN_SECONDS);
+  if (Number(rotation) !== current && Number(rotation) !== current - 1) {
+    return null;
+  }
+
+  return parseInt(sessionId);
+};
+
+async function loadSession(connection, session_id, activity_id = null) {
+  const result = await connection.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM sessions s
+     JOIN activities a ON s.activity_id = a.id
+     WHERE s.id = ? ${activity_id ? 'AND s.activity_id = ?' : ''}
+     FOR UPDATE`,
+    activity_id
+      ? [OPENS_MINUTES, GRACE_MINUTES, session_id, activity_id]
+      : [OPENS_MINUTES, GRACE_MINUTES, session_id]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Everything that stops check-in for a session right now
+ * @returns {Object|null} A rejection, or null if check-in is open
+ */
+function checkWindow(session) {
+  if (!session) {
+    return reject(404, 'Session not found');
+  }
+  if (session.status === 'cancelled') {
+    return reject(409, 'This session has been cancelled');
+  }
+  if (!session.is_today) {
+    return reject(400, 'Check-in is only open on the day of the session');
+  }
+  if (!session.has_opened) {
+    return reject(400, `Check-in opens ${OPENS_MINUTES} minutes before the session starts`);
+  }
+  if (session.has_ended) {
+    return reject(400, 'This session has already ended');
+  }
+  return null;
+}
+
+/**
+ * Check one student in, inside an open transaction
+ * @returns {Promise<Object>} { status, body }
+ */
+async function recordCheckIn(connection, session, student_id, changed_by) {
+  const enrollmentResult = await connection.query(
+    `SELECT id FROM activity_enrollments
+     WHERE activity_id = ? AND student_id = ? AND status IN (${ENROLLED_STATUSES_SQL})`,
+    [session.activity_id, student_id]
+  );
+
+  if (enrollmentResult.rows.length === 0) {
+    return reject(403, 'Student is not enrolled in this activity');
+  }
+
+  const existingResult = await connection.query(
+    'SELECT id, status, remarks, check_in_time FROM attendance WHERE session_id = ? AND student_id = ? FOR UPDATE',
+    [session.id, student_id]
+  );
+  const existing = existingResult.rows[0];
+
+  if (existing?.check_in_time) {
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Already checked in',
+        data: {
+          session_id: session.id,
+          activity_id: session.activity_id,
+          student_id,
+          status: existing.status,
+          check_in_time: existing.check_in_time
+        }
+      }
+    };
+  }
+
+  const checkInStatus = session.is_late ? 'late' : 'present';
+
+  // Turning up overrides an absent mark; any other status set by the coach
+  // stands and the check-in only records the time
+  const markKept = Boolean(existing) && existing.status !== 'absent';
+  const status = markKept ? existing.status : checkInStatus;
+
+  if (markKept) {
+    await connection.query('UPDATE attendance SET check_in_time = NOW() WHERE id = ?', [existing.id]);
+  } else if (existing) {
+    await connection.query(
+      'UPDATE attendance SET status = ?, marked_by = ?, check_in_time = NOW() WHERE id = ?',
+      [status, changed_by, existing.id]
+    );
+  } else {
+    await connection.query(
+      `INSERT INTO attendance (session_id, student_id, enrollment_id, status, marked_by, check_in_time)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [session.id, student_id, enrollmentResult.rows[0].id, status, changed_by]
+    );
+  }
+
+  if (!markKept) {
+    await logAttendanceChange(connection, {
+      session_id: session.id,
+      student_id,
+      previous_status: existing?.status,
+      new_status: status,
+      previous_remarks: existing?.remarks,
+      new_remarks: existing?.remarks,
+      changed_by
+    });
+  }
+
+  const checkedIn = await connection.query(
+    'SELECT check_in_time FROM attendance WHERE session_id = ? AND student_id = ?',
+    [session.id, student_id]
+  );
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: markKept
+        ? `Checked in to ${session.activity_name}; the coach's ${status} mark was not changed`
+        : status === 'late' ? `Checked in late to ${session.activity_name}` : `Checked in to ${session.activity_name}`,
+      data: {
+        session_id: session.id,
+        activity_id: session.activity_id,
+        student_id,
+        status,
+        check_in_time: checkedIn.rows[0].check_in_time
+      }
+    }
+  };
+}
+
+/**
+ * Run a check-in or check-out in a transaction with the session row locked
+ */
+async function withSession(session_id, activity_id, action) {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const session = await loadSession(connection, session_id, activity_id);
+    const result = await action(connection, session);
+
+    if (result.body.success) await connection.commit();
+    else await connection.rollback();
+
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Re-check the student's attendance alerts once a check-in has committed
+ */
+async function afterCheckIn(result) {
+  if (result.body.success) {
+    await evaluateAttendanceAlerts(result.body.data.activity_id, [result.body.data.student_id]);
+  }
+  return result;
+}
+
+/**
+ * Current QR token for a session (coach screen)
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session
+ * @returns {Promise<Object>} { status, body } with data { token, expires_at, rotates_every }
+ */
+export const getCheckInToken = async ({ activity_id, session_id }) => {
+  return withSession(session_id, activity_id, async (connection, session) => {
+    const closed = checkWindow(session);
+    if (closed) return closed;
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        data: { session_id: session.id, ...issueToken(session.id), rotates_every: TOKEN_SECONDS }
+      }
+    };
+  });
+};
+
+/**
+ * Student self check-in with a scanned token
+ * @param {Object} params
+ * @param {string} params.token - Token from the QR code
+ * @param {number} params.student_id - Signed-in student
+ * @returns {Promise<Object>} { status, body }
+ */
+export const checkInWithToken = async ({ token, student_id }) => {
+  const session_id = verifyToken(token);
+  if (!session_id) {
+    return reject(400, 'This check-in code has expired. Scan the code on the screen again.');
+  }
+
+  const result = await withSession(session_id, null, async (connection, session) => {
+    return checkWindow(session) || recordCheckIn(connection, session, student_id, student_id);
+  });
+  return afterCheckIn(result);
+};
+
+/**
+ * Check a student in from the kiosk (coach/admin)
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session
+ * @param {number} params.student_id - Student arriving
+ * @param {number} params.changed_by - Coach running the kiosk
+ * @returns {Promise<Object>} { status, body }
+ */
+export const checkInStudent = async ({ activity_id, session_id, student_id, changed_by = null }) => {
+  if (!student_id) return reject(400, 'student_id is required');
+
+  const result = await withSession(session_id, activity_id, async (connection, session) => {
+    return checkWindow(session) || recordCheckIn(connection, session, student_id, changed_by);
+  });
+  return afterCheckIn(result);
+};
+
+/**
+ * Check a student out when they are picked up (coach/admin)
+ * Only students who are present or late can leave; checking out twice is a no-op
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session
+ * @param {number} params.student_id - Student leaving
+ * @returns {Promise<Object>} { status, body }
+ */
+export const checkOutStudent = async ({ activity_id, session_id, student_id }) => {
+  if (!student_id) return reject(400, 'student_id is required');
+
+  return withSession(session_id, activity_id, async (connection, session) => {
+    if (!session) return reject(404, 'Session not found');
+    if (!session.is_today) return reject(400, 'Check-out is only open on the day of the session');
+
+    const existingResult = await connection.query(
+      'SELECT id, status, check_out_time FROM attendance WHERE session_id = ? AND student_id = ? FOR UPDATE',
+      [session.id, student_id]
+    );
+    const existing = existingResult.rows[0];
+
+    if (!existing || !['present', 'late'].includes(existing.status)) {
+      return reject(409, 'Student is not checked in to this session');
+    }
+
+    if (!existing.check_out_time) {
+      await connection.query('UPDATE attendance SET check_out_time = NOW() WHERE id = ?', [existing.id]);
+    }
+
+    const checkedOut = await connection.query('SELECT check_out_time FROM attendance WHERE id = ?', [existing.id]);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: existing.check_out_time ? 'Already checked out' : 'Checked out',
+        data: { session_id: session.id, student_id, check_out_time: checkedOut.rows[0].check_out_time }
+      }
+    };
+  });
+};
+
+export default {
+  issueToken,
+  verifyToken,
+  getCheckInToken,
+  checkInWithToken,
+  checkInStudent,
+  checkOutStudent
+};
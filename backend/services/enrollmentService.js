@@ -0,0 +1,1060 @@
+/**
+ * Enrollment Service
+ *
+ * Single enrollment engine behind both /api/enrollments and /api/enhanced/enroll:
+ * - Registration window, duplicate, age, grade and time-slot conflict checks
+ * - Quota enforcement with automatic waitlisting
+ * - Cancellation with waitlist promotion, either direct or as an expiring offer
+ * - Lottery activities collect requests until the draw (see lotteryService)
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { query, getClient } from '../config/database.js';
+import { sendMail } from './mailer.js';
+import { computeWaitlistPriority } from './waitlistRules.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+// An existing enrollment in one of these statuses blocks a new one
+const ACTIVE_ENROLLMENT_STATUSES = ['active', 'enrolled', 'approved', 'pending'];
+// Only enrollments that ended this way are reused when the student enrolls again
+const REUSABLE_ENROLLMENT_STATUSES = ['withdrawn', 'rejected'];
+const DEFAULT_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS || '48');
+
+/**
+ * Look up a student's grade and their age on a given date
+ * @param {Date|string|null} asOf - Date to compute the age for (defaults to today)
+ * @returns {Promise<Object|null>} { grade, date_of_birth, age } or null if the user does not exist
+ */
+export const getStudentProfile = async (connection, student_id, asOf = null) => {
+  const result = await connection.query(
+    `SELECT s.grade, u.date_of_birth,
+            TIMESTAMPDIFF(YEAR, u.date_of_birth, COALESCE(?, CURDATE())) as age
+     FROM users u
+     LEFT JOIN students s ON s.user_id = u.id
+     WHERE u.id = ?
+     LIMIT 1`,
+    [asOf, student_id]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Enroll a student, or waitlist them if the activity is full
+ * @param {Object} params
+ * @param {number} params.student_id - Student (users.id)
+ * @param {number} params.activity_id - Activity ID
+ * @param {number} params.enrolled_by - User performing the enrollment
+ * @param {string} params.notes - Optional notes
+ * @param {boolean} params.enforceWindow - Apply registration_start/end (false for admin overrides)
+ * @param {boolean} params.overrideQuota - Enroll even when the activity is full (admin override)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const enrollStudent = async ({
+  student_id,
+  activity_id,
+  enrolled_by = null,
+  notes = null,
+  enforceWindow = true,
+  overrideQuota = false
+}) => {
+  if (!student_id || !activity_id) {
+    return reject(400, 'student_id and activity_id are required');
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    // 1. Check if activity exists and is active
+    // Seats held by open waitlist offers count against the quota
+    const activityQuery = `
+      SELECT a.*,
+             (SELECT COUNT(*) FROM activity_enrollments ae
+              WHERE ae.activity_id = a.id AND ae.status IN (${ENROLLED_STATUSES_SQL})) as current_enrollments,
+             (SELECT COUNT(*) FROM activity_waitlist w
+              WHERE w.activity_id = a.id AND w.status = 'notified') as held_offers
+      FROM activities a
+      WHERE a.id = ? AND a.status = 'active'
+      FOR UPDATE
+    `;
+
+    const activityResult = await connection.query(activityQuery, [activity_id]);
+
+    if (activityResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Activity not found or is not active');
+    }
+
+    const activity = activityResult.rows[0];
+
+    // 2. Check registration window
+    const now = new Date();
+    if (enforceWindow && activity.registration_start && new Date(activity.registration_start) > now) {
+      await connection.rollback();
+      return reject(400, 'Registration has not started yet', {
+        registration_starts: activity.registration_start
+      });
+    }
+
+    if (enforceWindow && activity.registration_end && new Date(activity.registration_end) < now) {
+      await connection.rollback();
+      return reject(400, 'Registration period has ended', {
+        registration_ended: activity.registration_end
+      });
+    }
+
+    // 3. Check if already enrolled or waiting
+    const existingResult = await connection.query(
+      'SELECT id, status FROM activity_enrollments WHERE student_id = ? AND activity_id = ?',
+      [student_id, activity_id]
+    );
+
+    if (existingResult.rows.some(e => ACTIVE_ENROLLMENT_STATUSES.includes(e.status))) {
+      await connection.rollback();
+      return reject(400, 'Student is already enrolled in this activity');
+    }
+
+    const finished = existingResult.rows.find(e => !REUSABLE_ENROLLMENT_STATUSES.includes(e.status));
+    if (finished) {
+      await connection.rollback();
+      return reject(400, `Student already has a ${finished.status} enrollment in this activity`);
+    }
+
+    const waitingResult = await connection.query(
+      `SELECT position FROM activity_waitlist
+       WHERE student_id = ? AND activity_id = ? AND status IN ('waiting', 'notified')`,
+      [student_id, activity_id]
+    );
+
+    if (waitingResult.rows.length > 0) {
+      await connection.rollback();
+      return reject(400, 'Student is already on the waitlist for this activity', {
+        position: waitingResult.rows[0].position
+      });
+    }
+
+    const requestResult = await connection.query(
+      `SELECT id FROM enrollment_requests
+       WHERE student_id = ? AND activity_id = ? AND status = 'pending'`,
+      [student_id, activity_id]
+    );
+
+    if (requestResult.rows.length > 0) {
+      await connection.rollback();
+      return reject(400, 'Student has already requested a place in this activity', {
+        request_id: requestResult.rows[0].id
+      });
+    }
+
+    // 4. Check age restrictions (age as of the term start) and grade restrictions
+    // Both come from the student's records, never from the request
+    const student = await getStudentProfile(connection, student_id, activity.term_start_date);
+
+    if (!student) {
+      await connection.rollback();
+      return reject(404, 'Student not found');
+    }
+
+    const ageConflict = checkAgeRestriction(activity, student);
+    const gradeConflict = ageConflict ? null : checkGradeRestriction(activity, student);
+    const restriction = ageConflict || gradeConflict;
+
+    if (restriction) {
+      await connection.rollback();
+      await logEnrollmentConflict({ query }, student_id, activity_id, null, restriction.conflict_type);
+
+      return reject(400, restriction.message, { conflict_type: restriction.conflict_type });
+    }
+
+    const grade = student.grade;
+
+    // 5. Check TIME SLOT CONFLICTS against the student's other active enrollments
+    const conflict = await findTimeConflict(connection, student_id, activity_id);
+
+    if (conflict) {
+      await connection.rollback();
+      await logEnrollmentConflict(
+        { query },
+        student_id,
+        activity_id,
+        conflict.conflicting_activity_id,
+        'time_overlap',
+        conflict.conflicting_schedule_id
+      );
+
+      return reject(409, 'Time slot conflict detected', {
+        conflict_type: 'time_overlap',
+        conflict_details: {
+          conflicting_activity: conflict.conflicting_activity_name,
+          day: conflict.day_of_week,
+          time: `${conflict.start_time} - ${conflict.end_time}`,
+          venue: conflict.venue_name
+        }
+      });
+    }
+
+    // 6. Lottery activities only collect requests until the draw has run;
+    // after that the remaining seats and the waitlist work first-come-first-served
+    if (activity.allocation_mode === 'lottery' && !activity.lottery_run_at && !overrideQuota) {
+      const requestId = await addEnrollmentRequest(connection, student_id, activity_id, grade, notes, enrolled_by);
+
+      await connection.commit();
+
+      return {
+        status: 202,
+        body: {
+          success: true,
+          message: 'Request received. Places are allocated by lottery after registration closes.',
+          requested: true,
+          request_id: requestId,
+          registration_end: activity.registration_end
+        }
+      };
+    }
+
+    // 7. Check QUOTA - If full, add to waitlist
+    const currentCount = parseInt(activity.current_enrollments || 0);
+    const heldOffers = parseInt(activity.held_offers || 0);
+    const quota = parseInt(activity.quota || activity.max_students || 30);
+
+    if (currentCount + heldOffers >= quota && !overrideQuota) {
+      const waitlistEntry = await addToWaitlist(connection, student_id, activity_id, grade, notes);
+
+      await connection.commit();
+      await logEnrollmentConflict({ query }, student_id, activity_id, null, 'quota_full');
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: 'Activity is full. Added to waitlist.',
+          waitlisted: true,
+          waitlist_id: waitlistEntry.waitlist_id,
+          position: waitlistEntry.position,
+          queue_position: waitlistEntry.queue_position,
+          priority: waitlistEntry.priority,
+          current_enrollments: currentCount,
+          quota: quota
+        }
+      };
+    }
+
+    // 8. All checks passed - ENROLL STUDENT
+    const enrollmentId = await insertActiveEnrollment(connection, {
+      student_id,
+      activity_id,
+      grade_level: grade,
+      enrolled_by,
+      notes,
+      payment_amount: activity.fee || 0
+    });
+
+    if (!enrollmentId) {
+      await connection.rollback();
+      return reject(409, 'Student already has an enrollment in this activity');
+    }
+
+    await connection.commit();
+
+    const enrolledRecord = await query('SELECT * FROM activity_enrollments WHERE id = ?', [enrollmentId]);
+
+    await logAudit(enrolled_by || student_id, 'enrollment_created', 'enrollment', enrollmentId);
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        message: 'Successfully enrolled',
+        data: enrolledRecord.rows[0],
+        current_enrollments: currentCount + 1,
+        quota: quota
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Cancel an active enrollment and promote the next student from the waitlist
+ * @param {Object} params
+ * @param {number} params.enrollment_id - Enrollment ID
+ * @param {number} params.student_id - Optional, restricts the cancellation to this student
+ * @param {string} params.reason - Cancellation reason
+ * @param {number} params.cancelled_by - User performing the cancellation
+ * @returns {Promise<Object>} { status, body }
+ */
+export const cancelEnrollment = async ({ enrollment_id, student_id = null, reason = null, cancelled_by = null }) => {
+  if (!enrollment_id) {
+    return reject(400, 'enrollment_id is required');
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const enrollmentResult = await connection.query(
+      `SELECT * FROM activity_enrollments
+       WHERE id = ? AND status = 'active'
+       ${student_id ? 'AND student_id = ?' : ''}
+       FOR UPDATE`,
+      student_id ? [enrollment_id, student_id] : [enrollment_id]
+    );
+
+    if (enrollmentResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Active enrollment not found');
+    }
+
+    const enrollment = enrollmentResult.rows[0];
+
+    await connection.query(
+      `UPDATE activity_enrollments
+       SET status = 'withdrawn',
+           cancelled_at = CURRENT_TIMESTAMP,
+           cancellation_reason = ?
+       WHERE id = ?`,
+      [reason || 'Student requested', enrollment_id]
+    );
+
+    // AUTOMATIC WAITLIST PROMOTION
+    const promoted = await promoteFromWaitlist(connection, enrollment.activity_id);
+
+    await connection.commit();
+
+    await notifyWaitlistPromotion(promoted);
+    await logAudit(cancelled_by || enrollment.student_id, 'enrollment_cancelled', 'enrollment', enrollment_id);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Enrollment cancelled successfully',
+        waitlist_promoted: promoted
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Check min_age/max_age against the student's age at the start of term
+ * @returns {Object|null} { conflict_type, message } if the student is not eligible
+ */
+export function checkAgeRestriction(activity, student) {
+  if (!activity.min_age && !activity.max_age) {
+    return null;
+  }
+
+  if (!student.date_of_birth) {
+    return {
+      conflict_type: 'age_restriction',
+      message: 'Date of birth is not on record; an administrator must add it before enrolling'
+    };
+  }
+
+  const age = parseInt(student.age);
+
+  if (activity.min_age && age < activity.min_age) {
+    return {
+      conflict_type: 'age_restriction',
+      message: `Age ${age} is below minimum requirement (${activity.min_age} years)`
+    };
+  }
+
+  if (activity.max_age && age > activity.max_age) {
+    return {
+      conflict_type: 'age_restriction',
+      message: `Age ${age} exceeds maximum requirement (${activity.max_age} years)`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check min_grade/max_grade against the grade in the students table
+ * @returns {Object|null} { conflict_type, message } if the student is not eligible
+ */
+export function checkGradeRestriction(activity, student) {
+  if (!activity.min_grade && !activity.max_grade) {
+    return null;
+  }
+
+  if (student.grade === null || student.grade === undefined) {
+    return {
+      conflict_type: 'grade_restriction',
+      message: 'Grade is not on record; an administrator must add it before enrolling'
+    };
+  }
+
+  if (activity.min_grade && student.grade < activity.min_grade) {
+    return {
+      conflict_type: 'grade_restriction',
+      message: `Grade level ${student.grade} is below minimum requirement (Grade ${activity.min_grade})`
+    };
+  }
+
+  if (activity.max_grade && student.grade > activity.max_grade) {
+    return {
+      conflict_type: 'grade_restriction',
+      message: `Grade level ${student.grade} exceeds maximum requirement (Grade ${activity.max_grade})`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find a schedule of the student's other active activities overlapping the target activity
+ * @returns {Promise<Object|null>} First conflict found
+ */
+export async function findTimeConflict(connection, student_id, activity_id) {
+  const timeConflictQuery = `
+    SELECT
+      a.id as conflicting_activity_id,
+      a.name as conflicting_activity_name,
+      asch.id as conflicting_schedule_id,
+      asch.day_of_week,
+      asch.start_time,
+      asch.end_time,
+      v.name as venue_name
+    FROM activity_enrollments ae
+    JOIN activities a ON ae.activity_id = a.id
+    JOIN activity_schedules asch ON a.id = asch.activity_id
+    LEFT JOIN venues v ON asch.venue_id = v.id
+    WHERE ae.student_id = ?
+    AND ae.activity_id <> ?
+    AND ae.status IN (${ENROLLED_STATUSES_SQL})
+    AND a.status = 'active'
+    AND asch.is_active = TRUE
+    AND EXISTS (
+      SELECT 1 FROM activity_schedules target_sch
+      WHERE target_sch.activity_id = ?
+      AND target_sch.is_active = TRUE
+      AND target_sch.day_of_week = asch.day_of_week
+      AND target_sch.start_time < asch.end_time
+      AND target_sch.end_time > asch.start_time
+    )
+    LIMIT 1
+  `;
+
+  const result = await connection.query(timeConflictQuery, [student_id, activity_id, activity_id]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Insert an active enrollment
+ * A previous withdrawn/rejected row is reused (one row per student per activity);
+ * any other existing enrollment is left alone
+ * @returns {Promise<number|null>} Enrollment ID, or null if the student already has an enrollment that cannot be reused
+ */
+export async function insertActiveEnrollment(connection, {
+  student_id,
+  activity_id,
+  grade_level = null,
+  enrolled_by = null,
+  notes = null,
+  payment_amount = 0
+}) {
+  const existingResult = await connection.query(
+    'SELECT id, status FROM activity_enrollments WHERE student_id = ? AND activity_id = ? FOR UPDATE',
+    [student_id, activity_id]
+  );
+  const existing = existingResult.rows[0];
+
+  if (existing && !REUSABLE_ENROLLMENT_STATUSES.includes(existing.status)) {
+    return null;
+  }
+
+  if (existing) {
+    await connection.query(
+      `UPDATE activity_enrollments
+       SET grade_level = ?,
+           status = 'active',
+           enrolled_by = ?,
+           notes = ?,
+           payment_amount = ?,
+           enrolled_at = CURRENT_TIMESTAMP,
+           cancelled_at = NULL,
+           cancellation_reason = NULL
+       WHERE id = ?`,
+      [grade_level, enrolled_by, notes, payment_amount, existing.id]
+    );
+    return existing.id;
+  }
+
+  const result = await connection.query(
+    `INSERT INTO activity_enrollments
+     (student_id, activity_id, grade_level, status, enrolled_by, notes, payment_amount)
+     VALUES (?, ?, ?, 'active', ?, ?, ?)`,
+    [student_id, activity_id, grade_level, enrolled_by, notes, payment_amount]
+  );
+
+  return result.rows.insertId;
+}
+
+/**
+ * Record a lottery request
+ * A previous withdrawn request is reused (one row per student per activity)
+ * @returns {Promise<number>} Request ID
+ */
+async function addEnrollmentRequest(connection, student_id, activity_id, grade_level, notes, requested_by) {
+  const result = await connection.query(
+    `INSERT INTO enrollment_requests
+     (student_id, activity_id, grade_level, notes, requested_by)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       id = LAST_INSERT_ID(id),
+       grade_level = VALUES(grade_level),
+       notes = VALUES(notes),
+       requested_by = VALUES(requested_by),
+       status = 'pending',
+       requested_at = CURRENT_TIMESTAMP,
+       lottery_run_id = NULL,
+       draw_order = NULL,
+       priority = NULL`,
+    [student_id, activity_id, grade_level, notes, requested_by]
+  );
+
+  return result.rows.insertId;
+}
+
+/**
+ * Add student to waitlist
+ * Priority comes from the activity's waitlist rules at join time
+ * @returns {Promise<Object>} { position, priority, queue_position, matched_rules }
+ */
+async function addToWaitlist(connection, student_id, activity_id, grade_level, notes) {
+  const positionResult = await connection.query(
+    `SELECT COALESCE(MAX(position), 0) + 1 as next_position
+     FROM activity_waitlist
+     WHERE activity_id = ? AND status = 'waiting'`,
+    [activity_id]
+  );
+  const position = positionResult.rows[0].next_position;
+
+  const { priority, matched_rules } = await computeWaitlistPriority(connection, activity_id, student_id);
+
+  // A previous cancelled/expired entry is reused (one row per student per activity)
+  const insertResult = await connection.query(
+    `INSERT INTO activity_waitlist
+     (student_id, activity_id, grade_level, priority, position, status, notes)
+     VALUES (?, ?, ?, ?, ?, 'waiting', ?)
+     ON DUPLICATE KEY UPDATE
+       id = LAST_INSERT_ID(id),
+       grade_level = VALUES(grade_level),
+       priority = VALUES(priority),
+       position = VALUES(position),
+       status = 'waiting',
+       notes = VALUES(notes),
+       added_at = CURRENT_TIMESTAMP,
+       notified_at = NULL,
+       promoted_at = NULL,
+       offer_expires_at = NULL,
+       responded_at = NULL`,
+    [student_id, activity_id, grade_level, priority, position, notes]
+  );
+
+  const waitlistId = insertResult.rows.insertId;
+  await recordWaitlistHistory(connection, waitlistId, 'Joined the waitlist');
+
+  // Place in the promotion order (priority first, then join order)
+  const aheadResult = await connection.query(
+    `SELECT COUNT(*) as ahead
+     FROM activity_waitlist
+     WHERE activity_id = ? AND status = 'waiting'
+     AND (priority > ? OR (priority = ? AND position < ?))`,
+    [activity_id, priority, priority, position]
+  );
+
+  return {
+    waitlist_id: waitlistId,
+    position,
+    priority,
+    queue_position: parseInt(aheadResult.rows[0].ahead) + 1,
+    matched_rules
+  };
+}
+
+/**
+ * Promote next student from waitlist
+ * Activities in 'offer' mode hold the seat for waitlist_offer_hours and wait for
+ * the family to accept; 'auto' mode enrolls the student straight away
+ * @returns {Promise<Object|null>} Promoted/offered student or null if the waitlist is empty
+ */
+export async function promoteFromWaitlist(connection, activity_id) {
+  const waitlistResult = await connection.query(
+    `SELECT w.*, a.name as activity_name, a.waitlist_mode, a.waitlist_offer_hours
+     FROM activity_waitlist w
+     JOIN activities a ON w.activity_id = a.id
+     WHERE w.activity_id = ? AND w.status = 'waiting'
+     ORDER BY w.priority DESC, w.position ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [activity_id]
+  );
+
+  if (waitlistResult.rows.length === 0) {
+    return null;
+  }
+
+  const nextStudent = waitlistResult.rows[0];
+
+  if (nextStudent.waitlist_mode === 'offer') {
+    const offerHours = parseInt(nextStudent.waitlist_offer_hours || DEFAULT_OFFER_HOURS);
+
+    await connection.query(
+      `UPDATE activity_waitlist
+       SET status = 'notified',
+           notified_at = CURRENT_TIMESTAMP,
+           offer_expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR)
+       WHERE id = ?`,
+      [offerHours, nextStudent.id]
+    );
+    await recordWaitlistHistory(connection, nextStudent.id, `Seat offered for ${offerHours} hours`);
+
+    const offerResult = await connection.query(
+      'SELECT offer_expires_at FROM activity_waitlist WHERE id = ?',
+      [nextStudent.id]
+    );
+
+    return {
+      waitlist_id: nextStudent.id,
+      student_id: nextStudent.student_id,
+      activity_id,
+      activity_name: nextStudent.activity_name,
+      offered: true,
+      offer_expires_at: offerResult.rows[0].offer_expires_at
+    };
+  }
+
+  await connection.query(
+    `INSERT INTO activity_enrollments
+     (student_id, activity_id, grade_level, status, notes)
+     VALUES (?, ?, ?, 'active', 'Promoted from waitlist')
+     ON DUPLICATE KEY UPDATE
+       status = 'active',
+       grade_level = VALUES(grade_level),
+       notes = VALUES(notes),
+       enrolled_at = CURRENT_TIMESTAMP,
+       cancelled_at = NULL,
+       cancellation_reason = NULL`,
+    [nextStudent.student_id, activity_id, nextStudent.grade_level]
+  );
+
+  await connection.query(
+    `UPDATE activity_waitlist
+     SET status = 'promoted', promoted_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [nextStudent.id]
+  );
+  await recordWaitlistHistory(connection, nextStudent.id, 'Enrolled from the waitlist');
+
+  return {
+    waitlist_id: nextStudent.id,
+    student_id: nextStudent.student_id,
+    activity_id,
+    activity_name: nextStudent.activity_name,
+    offered: false,
+    promoted_at: new Date()
+  };
+}
+
+/**
+ * Email the student (and parent, if linked) about a waitlist promotion or offer
+ * Call after the promoting transaction has committed
+ * @param {Object|null} promoted - Result of promoteFromWaitlist
+ */
+export async function notifyWaitlistPromotion(promoted) {
+  if (!promoted) return;
+
+  try {
+    const recipients = await query(
+      `SELECT u.email, u.first_name FROM users u WHERE u.id = ?
+       UNION
+       SELECT p.email, p.first_name
+       FROM students s
+       JOIN users p ON s.parent_id = p.id
+       WHERE s.user_id = ?`,
+      [promoted.student_id, promoted.student_id]
+    );
+
+    const text = promoted.offered
+      ? `A place in ${promoted.activity_name} has opened up from the waitlist.\n` +
+        `Accept or decline the offer before ${new Date(promoted.offer_expires_at).toLocaleString()}.\n` +
+        'If there is no answer by then, the place is offered to the next student.'
+      : `A place in ${promoted.activity_name} has opened up and the student has been enrolled from the waitlist.`;
+
+    for (const recipient of recipients.rows) {
+      await sendMail({
+        to: recipient.email,
+        subject: promoted.offered
+          ? `Waitlist offer: ${promoted.activity_name}`
+          : `Enrolled from waitlist: ${promoted.activity_name}`,
+        text: `Hi ${recipient.first_name},\n${text}`
+      });
+    }
+  } catch (error) {
+    // Notification failures must not undo the promotion
+    console.error('Error sending waitlist notification:', error);
+  }
+}
+
+/**
+ * Accept an open waitlist offer and enroll the student
+ * @param {Object} params
+ * @param {number} params.waitlist_id - Waitlist entry ID
+ * @param {number} params.student_id - Student the offer belongs to
+ * @param {number} params.accepted_by - User accepting the offer
+ * @returns {Promise<Object>} { status, body }
+ */
+export const acceptWaitlistOffer = async ({ waitlist_id, student_id, accepted_by = null }) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const offer = await getOpenOffer(connection, waitlist_id, student_id);
+
+    if (!offer) {
+      await connection.rollback();
+      return reject(404, 'Waitlist offer not found');
+    }
+
+    if (offer.expired) {
+      await connection.rollback();
+      return reject(410, 'This waitlist offer has expired', { offer_expires_at: offer.offer_expires_at });
+    }
+
+    // The student may have enrolled in something overlapping since joining the waitlist
+    const conflict = await findTimeConflict(connection, offer.student_id, offer.activity_id);
+
+    if (conflict) {
+      await connection.rollback();
+      return reject(409, 'Time slot conflict detected', {
+        conflict_type: 'time_overlap',
+        conflict_details: {
+          conflicting_activity: conflict.conflicting_activity_name,
+          day: conflict.day_of_week,
+          time: `${conflict.start_time} - ${conflict.end_time}`,
+          venue: conflict.venue_name
+        }
+      });
+    }
+
+    const enrollmentId = await insertActiveEnrollment(connection, {
+      student_id: offer.student_id,
+      activity_id: offer.activity_id,
+      grade_level: offer.grade_level,
+      enrolled_by: accepted_by,
+      notes: 'Accepted waitlist offer',
+      payment_amount: offer.fee || 0
+    });
+
+    if (!enrollmentId) {
+      await connection.rollback();
+      return reject(409, 'Student already has an enrollment in this activity');
+    }
+
+    await connection.query(
+      `UPDATE activity_waitlist
+       SET status = 'promoted', promoted_at = CURRENT_TIMESTAMP, responded_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [offer.id]
+    );
+    await recordWaitlistHistory(connection, offer.id, 'Offer accepted', accepted_by);
+
+    await connection.commit();
+
+    const enrolledRecord = await query('SELECT * FROM activity_enrollments WHERE id = ?', [enrollmentId]);
+
+    await logAudit(accepted_by || offer.student_id, 'waitlist_offer_accepted', 'waitlist', offer.id);
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        message: 'Waitlist offer accepted. Successfully enrolled',
+        data: enrolledRecord.rows[0]
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Decline an open waitlist offer; the seat is offered to the next student
+ * @param {Object} params
+ * @param {number} params.waitlist_id - Waitlist entry ID
+ * @param {number} params.student_id - Student the offer belongs to
+ * @param {number} params.declined_by - User declining the offer
+ * @returns {Promise<Object>} { status, body }
+ */
+export const declineWaitlistOffer = async ({ waitlist_id, student_id, declined_by = null }) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const offer = await getOpenOffer(connection, waitlist_id, student_id);
+
+    if (!offer) {
+      await connection.rollback();
+      return reject(404, 'Waitlist offer not found');
+    }
+
+    await connection.query(
+      `UPDATE activity_waitlist
+       SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [offer.id]
+    );
+    await recordWaitlistHistory(connection, offer.id, 'Offer declined', declined_by);
+
+    const promoted = await promoteFromWaitlist(connection, offer.activity_id);
+
+    await connection.commit();
+
+    await notifyWaitlistPromotion(promoted);
+    await logAudit(declined_by || offer.student_id, 'waitlist_offer_declined', 'waitlist', offer.id);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Waitlist offer declined',
+        waitlist_promoted: promoted
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Expire unanswered offers and offer each freed seat to the next student
+ * Run periodically by the waitlist sweeper
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireWaitlistOffers = async () => {
+  const dueResult = await query(
+    `SELECT id, activity_id FROM activity_waitlist
+     WHERE status = 'notified' AND offer_expires_at <= CURRENT_TIMESTAMP
+     ORDER BY offer_expires_at ASC`
+  );
+
+  let expiredCount = 0;
+
+  for (const due of dueResult.rows) {
+    const connection = await getClient();
+    let promoted = null;
+
+    try {
+      await connection.beginTransaction();
+
+      // Re-check under lock: the family may have answered in the meantime
+      const expireResult = await connection.query(
+        `UPDATE activity_waitlist
+         SET status = 'expired'
+         WHERE id = ? AND status = 'notified' AND offer_expires_at <= CURRENT_TIMESTAMP`,
+        [due.id]
+      );
+
+      if (expireResult.rows.affectedRows === 0) {
+        await connection.rollback();
+        continue;
+      }
+
+      await recordWaitlistHistory(connection, due.id, 'Offer expired without a response');
+
+      promoted = await promoteFromWaitlist(connection, due.activity_id);
+
+      await connection.commit();
+      expiredCount++;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`Error expiring waitlist offer ${due.id}:`, error);
+      continue;
+    } finally {
+      connection.release();
+    }
+
+    await notifyWaitlistPromotion(promoted);
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Leave the waitlist; the students behind move up one position
+ * Leaving while holding an offer passes the seat to the next student
+ * @param {Object} params
+ * @param {number} params.waitlist_id - Waitlist entry ID
+ * @param {number} params.student_id - Student the entry belongs to
+ * @param {number} params.left_by - User removing the entry
+ * @returns {Promise<Object>} { status, body }
+ */
+export const leaveWaitlist = async ({ waitlist_id, student_id, left_by = null }) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const entryResult = await connection.query(
+      `SELECT * FROM activity_waitlist
+       WHERE id = ? AND student_id = ? AND status IN ('waiting', 'notified')
+       FOR UPDATE`,
+      [waitlist_id, student_id]
+    );
+
+    if (entryResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Waitlist entry not found');
+    }
+
+    const entry = entryResult.rows[0];
+
+    await connection.query(
+      `UPDATE activity_waitlist
+       SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [entry.id]
+    );
+    await recordWaitlistHistory(connection, entry.id, 'Left the waitlist', left_by);
+
+    let promoted = null;
+
+    if (entry.status === 'waiting') {
+      await connection.query(
+        `UPDATE activity_waitlist
+         SET position = position - 1
+         WHERE activity_id = ? AND status = 'waiting' AND position > ?`,
+        [entry.activity_id, entry.position]
+      );
+    } else {
+      promoted = await promoteFromWaitlist(connection, entry.activity_id);
+    }
+
+    await connection.commit();
+
+    await notifyWaitlistPromotion(promoted);
+    await logAudit(left_by || entry.student_id, 'waitlist_left', 'waitlist', entry.id);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Removed from the waitlist',
+        waitlist_promoted: promoted
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Append the entry's current status and position to its history
+ */
+export async function recordWaitlistHistory(connection, waitlist_id, note = null, changed_by = null) {
+  await connection.query(
+    `INSERT INTO waitlist_status_history (waitlist_id, status, position, note, changed_by)
+     SELECT id, status, position, ?, ? FROM activity_waitlist WHERE id = ?`,
+    [note, changed_by, waitlist_id]
+  );
+}
+
+/**
+ * Lock an outstanding ('notified') offer belonging to a student
+ * @returns {Promise<Object|null>} Offer row with an `expired` flag
+ */
+async function getOpenOffer(connection, waitlist_id, student_id) {
+  const result = await connection.query(
+    `SELECT w.*, a.fee, (w.offer_expires_at <= CURRENT_TIMESTAMP) as expired
+     FROM activity_waitlist w
+     JOIN activities a ON w.activity_id = a.id
+     WHERE w.id = ? AND w.student_id = ? AND w.status = 'notified'
+     FOR UPDATE`,
+    [waitlist_id, student_id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const offer = result.rows[0];
+  return { ...offer, expired: Boolean(offer.expired) };
+}
+
+/**
+ * Log enrollment conflicts
+ * Written outside the enrollment transaction so rejected attempts are kept
+ */
+async function logEnrollmentConflict(
+  db,
+  student_id,
+  attempted_activity_id,
+  conflicting_activity_id,
+  conflict_type,
+  conflicting_schedule_id = null
+) {
+  await db.query(
+    `INSERT INTO enrollment_conflicts
+     (student_id, attempted_activity_id, conflicting_activity_id, conflicting_schedule_id, conflict_type)
+     VALUES (?, ?, ?, ?, ?)`,
+    [student_id, attempted_activity_id, conflicting_activity_id, conflicting_schedule_id, conflict_type]
+  );
+}
+
+/**
+ * Audit logging
+ */
+async function logAudit(user_id, action, entity_type, entity_id, old_value = null, new_value = null) {
+  await query(
+    `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_value, new_value)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      user_id,
+      action,
+      entity_type,
+      entity_id,
+      old_value ? JSON.stringify(old_value) : null,
+      new_value ? JSON.stringify(new_value) : null
+    ]
+  );
+}
+
+export default {
+  enrollStudent,
+  cancelEnrollment,
+  promoteFromWaitlist,
+  notifyWaitlistPromotion,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  expireWaitlistOffers
+};
@@ -0,0 +1,17 @@
+/**
+ * Enrollment Statuses
+ *
+ * The statuses in which an enrollment holds a seat. Quota counts, rosters,
+ * attendance, check-in, calendars and notifications all use this one list, so
+ * a coach-approved student is treated the same as an active one everywhere.
+ */
+
+export const ENROLLED_STATUSES = ['active', 'approved'];
+
+// The same list ready for SQL, e.g. `ae.status IN (${ENROLLED_STATUSES_SQL})`
+export const ENROLLED_STATUSES_SQL = ENROLLED_STATUSES.map(status => `'${status}'`).join(', ');
+
+export default {
+  ENROLLED_STATUSES,
+  ENROLLED_STATUSES_SQL
+};
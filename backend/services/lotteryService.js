@@ -0,0 +1,274 @@
+/**
+ * Lottery Service
+ *
+ * Seeded, reproducible allocation for activities with allocation_mode 'lottery':
+ * - Requests collected during the registration window are drawn once it closes
+ * - Each request is weighted by 1 + the student's waitlist priority (see waitlistRules)
+ * - Winners are enrolled up to the free seats, the rest are waitlisted in drawn order
+ * - The seed and every outcome are stored in lottery_runs so a draw can be replayed
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import crypto from 'crypto';
+import { getClient } from '../config/database.js';
+import { getActivityRules, computeWaitlistPriority } from './waitlistRules.js';
+import { findTimeConflict, insertActiveEnrollment, recordWaitlistHistory } from './enrollmentService.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+/**
+ * Deterministic random number generator (mulberry32) seeded from any string
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export const createSeededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Weighted draw without replacement
+ * Each request gets the key random^(1 / weight); the highest key is drawn first
+ * Requests must come in a stable order (by id) for the same seed to give the same draw
+ * @param {Array} requests - [{ id, weight, ... }]
+ * @returns {Array} Requests in drawn order
+ */
+export const drawRequests = (requests, seed) => {
+  const random = createSeededRandom(seed);
+
+  return requests
+    .map(request => ({ ...request, draw_key: Math.pow(random(), 1 / request.weight) }))
+    .sort((a, b) => b.draw_key - a.draw_key || a.id - b.id);
+};
+
+/**
+ * Run the lottery for an activity
+ * Only once per activity, and only after registration_end has passed
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity ID
+ * @param {string} params.seed - Optional seed (a random one is generated and stored otherwise)
+ * @param {number} params.run_by - User running the draw
+ * @returns {Promise<Object>} { status, body }
+ */
+export const runLottery = async ({ activity_id, seed = null, run_by = null }) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const activityResult = await connection.query(
+      `SELECT a.*,
+              (SELECT COUNT(*) FROM activity_enrollments ae
+               WHERE ae.activity_id = a.id AND ae.status IN (${ENROLLED_STATUSES_SQL})) as current_enrollments,
+              (SELECT COUNT(*) FROM activity_waitlist w
+               WHERE w.activity_id = a.id AND w.status = 'notified') as held_offers
+       FROM activities a
+       WHERE a.id = ?
+       FOR UPDATE`,
+      [activity_id]
+    );
+
+    if (activityResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Activity not found');
+    }
+
+    const activity = activityResult.rows[0];
+
+    if (activity.allocation_mode !== 'lottery') {
+      await connection.rollback();
+      return reject(400, 'Activity does not use lottery allocation');
+    }
+
+    if (activity.lottery_run_at) {
+      await connection.rollback();
+      return reject(409, 'The lottery for this activity has already been run', {
+        lottery_run_at: activity.lottery_run_at
+      });
+    }
+
+    if (!activity.registration_end || new Date(activity.registration_end) > new Date()) {
+      await connection.rollback();
+      return reject(400, 'The lottery can only run after registration has closed', {
+        registration_end: activity.registration_end
+      });
+    }
+
+    const requestsResult = await connection.query(
+      `SELECT id, student_id, grade_level, notes, requested_by
+       FROM enrollment_requests
+       WHERE activity_id = ? AND status = 'pending'
+       ORDER BY id ASC
+       FOR UPDATE`,
+      [activity_id]
+    );
+
+    const rules = await getActivityRules(connection, activity_id);
+    const weighted = [];
+
+    for (const request of requestsResult.rows) {
+      const { priority } = await computeWaitlistPriority(connection, activity_id, request.student_id, rules);
+      weighted.push({ ...request, priority, weight: Math.max(1, 1 + priority) });
+    }
+
+    const drawSeed = seed ? String(seed) : crypto.randomBytes(16).toString('hex');
+    const drawn = drawRequests(weighted, drawSeed);
+
+    const quota = parseInt(activity.quota || activity.max_students || 30);
+    const seats = Math.max(0, quota - parseInt(activity.current_enrollments || 0) - parseInt(activity.held_offers || 0));
+
+    // Students who lose the draw share the highest priority the rules can give,
+    // so the waitlist keeps the drawn order and later joiners queue behind them
+    const queuePriority = rules.reduce((sum, rule) => sum + Math.max(0, parseInt(rule.weight || 0)), 0);
+
+    const positionResult = await connection.query(
+      `SELECT COALESCE(MAX(position), 0) as last_position
+       FROM activity_waitlist
+       WHERE activity_id = ? AND status = 'waiting'`,
+      [activity_id]
+    );
+    let position = parseInt(positionResult.rows[0].last_position);
+
+    const runResult = await connection.query(
+      `INSERT INTO lottery_runs (activity_id, seed, seats, total_requests, run_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [activity_id, drawSeed, seats, drawn.length, run_by]
+    );
+    const runId = runResult.rows.insertId;
+
+    const results = [];
+    let enrolledCount = 0;
+
+    for (const [index, request] of drawn.entries()) {
+      const drawOrder = index + 1;
+      let outcome;
+      let reason = null;
+
+      // The student may have been enrolled elsewhere since requesting (e.g. another lottery)
+      const enrolledResult = await connection.query(
+        `SELECT id FROM activity_enrollments
+         WHERE student_id = ? AND activity_id = ? AND status IN (${ENROLLED_STATUSES_SQL})`,
+        [request.student_id, activity_id]
+      );
+      const alreadyEnrolled = enrolledResult.rows.length > 0;
+      const conflict = alreadyEnrolled ? null : await findTimeConflict(connection, request.student_id, activity_id);
+
+      if (alreadyEnrolled) {
+        outcome = 'skipped';
+        reason = 'already_enrolled';
+      } else if (conflict) {
+        outcome = 'skipped';
+        reason = 'time_overlap';
+      } else if (enrolledCount < seats) {
+        const enrollmentId = await insertActiveEnrollment(connection, {
+          student_id: request.student_id,
+          activity_id,
+          grade_level: request.grade_level,
+          enrolled_by: request.requested_by,
+          notes: request.notes,
+          payment_amount: activity.fee || 0
+        });
+
+        if (enrollmentId) {
+          enrolledCount++;
+          outcome = 'won';
+        } else {
+          outcome = 'skipped';
+          reason = 'already_enrolled';
+        }
+      } else {
+        position++;
+        const waitlistResult = await connection.query(
+          `INSERT INTO activity_waitlist
+           (student_id, activity_id, grade_level, priority, position, status, notes)
+           VALUES (?, ?, ?, ?, ?, 'waiting', ?)
+           ON DUPLICATE KEY UPDATE
+             id = LAST_INSERT_ID(id),
+             grade_level = VALUES(grade_level),
+             priority = VALUES(priority),
+             position = VALUES(position),
+             status = 'waiting',
+             notes = VALUES(notes),
+             added_at = CURRENT_TIMESTAMP,
+             notified_at = NULL,
+             promoted_at = NULL,
+             offer_expires_at = NULL,
+             responded_at = NULL`,
+          [request.student_id, activity_id, request.grade_level, queuePriority, position, request.notes]
+        );
+        await recordWaitlistHistory(connection, waitlistResult.rows.insertId, `Waitlisted by lottery (draw #${drawOrder})`, run_by);
+        outcome = 'waitlisted';
+      }
+
+      await connection.query(
+        `UPDATE enrollment_requests
+         SET status = ?, priority = ?, draw_order = ?, lottery_run_id = ?
+         WHERE id = ?`,
+        [outcome, request.priority, drawOrder, runId, request.id]
+      );
+
+      results.push({
+        request_id: request.id,
+        student_id: request.student_id,
+        priority: request.priority,
+        weight: request.weight,
+        draw_order: drawOrder,
+        outcome,
+        reason
+      });
+    }
+
+    const waitlistedCount = results.filter(r => r.outcome === 'waitlisted').length;
+    const skippedCount = results.filter(r => r.outcome === 'skipped').length;
+
+    await connection.query(
+      `UPDATE lottery_runs
+       SET enrolled_count = ?, waitlisted_count = ?, skipped_count = ?, results = ?
+       WHERE id = ?`,
+      [enrolledCount, waitlistedCount, skippedCount, JSON.stringify(results), runId]
+    );
+
+    await connection.query(
+      'UPDATE activities SET lottery_run_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [activity_id]
+    );
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Lottery complete: ${enrolledCount} enrolled, ${waitlistedCount} waitlisted`,
+        data: {
+          lottery_run_id: runId,
+          seed: drawSeed,
+          seats,
+          total_requests: drawn.length,
+          enrolled_count: enrolledCount,
+          waitlisted_count: waitlistedCount,
+          skipped_count: skippedCount,
+          results
+        }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+export default {
+  createSeededRandom,
+  drawRequests,
+  runLottery
+};
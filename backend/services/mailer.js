@@ -0,0 +1,55 @@
+/**
+ * Mail Service (local stub)
+ *
+ * Logs outgoing mail to the console and keeps it in an in-memory outbox.
+ * Bodies carry reset links and temporary passwords, so they are only printed
+ * in development; elsewhere just the recipient and subject are logged.
+ * Integration note: When merging with main ERP, replace sendMail with the
+ * main ERP's mail/notification transport - callers only depend on sendMail
+ */
+
+const outbox = [];
+const OUTBOX_LIMIT = 100;
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, text }
+ * @returns {Promise} Stored message
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    id: outbox.length + 1,
+    to,
+    subject,
+    text,
+    sent_at: new Date().toISOString()
+  };
+
+  outbox.push(message);
+  if (outbox.length > OUTBOX_LIMIT) {
+    outbox.shift();
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`
+📧 Mail to: ${to}
+   Subject: ${subject}
+   ${text.split('\n').join('\n   ')}
+  `);
+  } else {
+    console.log(`📧 Mail to: ${to} - ${subject}`);
+  }
+
+  return message;
+};
+
+/**
+ * Get messages sent since the server started (newest last)
+ * @returns {Array} Sent messages
+ */
+export const getOutbox = () => [...outbox];
+
+export default {
+  sendMail,
+  getOutbox
+};
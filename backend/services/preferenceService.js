@@ -0,0 +1,353 @@
+/**
+ * Preference Service
+ *
+ * Ranked preference registration:
+ * - During a preference round students rank up to max_choices activities
+ * - The allocation run goes rank by rank (all first choices, then all second choices, ...)
+ *   over the students in a seeded random order
+ * - A choice is granted when the student is eligible (age/grade), has not reached
+ *   max_activities, a seat is free and it does not overlap anything already granted
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import crypto from 'crypto';
+import { getClient } from '../config/database.js';
+import {
+  getStudentProfile,
+  checkAgeRestriction,
+  checkGradeRestriction,
+  findTimeConflict,
+  insertActiveEnrollment
+} from './enrollmentService.js';
+import { drawRequests } from './lotteryService.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject } from './serviceUtils.js';
+
+/**
+ * Replace a student's ranked choices for a round
+ * @param {Object} params
+ * @param {number} params.round_id - Preference round ID
+ * @param {number} params.student_id - Student (users.id)
+ * @param {Array<number>} params.activity_ids - Activity IDs, first choice first
+ * @param {boolean} params.enforceWindow - Apply opens_at/closes_at (false for admins)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const submitPreferences = async ({ round_id, student_id, activity_ids, enforceWindow = true }) => {
+  if (!Array.isArray(activity_ids) || activity_ids.length === 0) {
+    return reject(400, 'activity_ids must be a non-empty array, first choice first');
+  }
+
+  if (new Set(activity_ids.map(String)).size !== activity_ids.length) {
+    return reject(400, 'Each activity can only be ranked once');
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const roundResult = await connection.query(
+      'SELECT * FROM preference_rounds WHERE id = ? FOR UPDATE',
+      [round_id]
+    );
+
+    if (roundResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Preference round not found');
+    }
+
+    const round = roundResult.rows[0];
+
+    if (round.status !== 'open') {
+      await connection.rollback();
+      return reject(400, 'This preference round has already been allocated');
+    }
+
+    const now = new Date();
+    if (enforceWindow && round.opens_at && new Date(round.opens_at) > now) {
+      await connection.rollback();
+      return reject(400, 'Preference submission has not opened yet', { opens_at: round.opens_at });
+    }
+
+    if (enforceWindow && round.closes_at && new Date(round.closes_at) < now) {
+      await connection.rollback();
+      return reject(400, 'Preference submission has closed', { closes_at: round.closes_at });
+    }
+
+    if (activity_ids.length > round.max_choices) {
+      await connection.rollback();
+      return reject(400, `You can rank at most ${round.max_choices} activities`);
+    }
+
+    const activitiesResult = await connection.query(
+      `SELECT * FROM activities
+       WHERE id IN (${activity_ids.map(() => '?').join(', ')}) AND status = 'active'`,
+      activity_ids
+    );
+
+    if (activitiesResult.rows.length !== activity_ids.length) {
+      await connection.rollback();
+      return reject(404, 'One or more activities were not found or are not active');
+    }
+
+    // Reject choices the student could never be given
+    for (const activity of activitiesResult.rows) {
+      const student = await getStudentProfile(connection, student_id, activity.term_start_date);
+
+      if (!student) {
+        await connection.rollback();
+        return reject(404, 'Student not found');
+      }
+
+      const restriction = checkAgeRestriction(activity, student) || checkGradeRestriction(activity, student);
+
+      if (restriction) {
+        await connection.rollback();
+        return reject(400, `${activity.name}: ${restriction.message}`, {
+          activity_id: activity.id,
+          conflict_type: restriction.conflict_type
+        });
+      }
+    }
+
+    await connection.query(
+      'DELETE FROM student_preferences WHERE round_id = ? AND student_id = ?',
+      [round_id, student_id]
+    );
+
+    for (const [index, activity_id] of activity_ids.entries()) {
+      await connection.query(
+        `INSERT INTO student_preferences (round_id, student_id, activity_id, preference_rank)
+         VALUES (?, ?, ?, ?)`,
+        [round_id, student_id, activity_id, index + 1]
+      );
+    }
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Preferences saved',
+        data: activity_ids.map((activity_id, index) => ({ activity_id, preference_rank: index + 1 }))
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Allocate a preference round
+ * Runs once per round; the seed fixes the student order so the run can be replayed
+ * @param {Object} params
+ * @param {number} params.round_id - Preference round ID
+ * @param {string} params.seed - Optional seed (a random one is generated and stored otherwise)
+ * @param {number} params.allocated_by - User running the allocation
+ * @returns {Promise<Object>} { status, body }
+ */
+export const allocateRound = async ({ round_id, seed = null, allocated_by = null }) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const roundResult = await connection.query(
+      'SELECT * FROM preference_rounds WHERE id = ? FOR UPDATE',
+      [round_id]
+    );
+
+    if (roundResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Preference round not found');
+    }
+
+    const round = roundResult.rows[0];
+
+    if (round.status !== 'open') {
+      await connection.rollback();
+      return reject(409, 'This preference round has already been allocated', {
+        allocated_at: round.allocated_at
+      });
+    }
+
+    const preferencesResult = await connection.query(
+      `SELECT id, student_id, activity_id, preference_rank
+       FROM student_preferences
+       WHERE round_id = ?
+       ORDER BY student_id ASC, preference_rank ASC
+       FOR UPDATE`,
+      [round_id]
+    );
+
+    const preferences = preferencesResult.rows;
+    const activityIds = [...new Set(preferences.map(p => p.activity_id))];
+    const activities = new Map();
+
+    if (activityIds.length > 0) {
+      const activitiesResult = await connection.query(
+        `SELECT a.*,
+                (SELECT COUNT(*) FROM activity_enrollments ae
+                 WHERE ae.activity_id = a.id AND ae.status IN (${ENROLLED_STATUSES_SQL})) as current_enrollments,
+                (SELECT COUNT(*) FROM activity_waitlist w
+                 WHERE w.activity_id = a.id AND w.status = 'notified') as held_offers
+         FROM activities a
+         WHERE a.id IN (${activityIds.map(() => '?').join(', ')})
+         FOR UPDATE`,
+        activityIds
+      );
+
+      for (const activity of activitiesResult.rows) {
+        const quota = parseInt(activity.quota || activity.max_students || 30);
+        activities.set(activity.id, {
+          ...activity,
+          seats: quota - parseInt(activity.current_enrollments || 0) - parseInt(activity.held_offers || 0)
+        });
+      }
+    }
+
+    const byStudent = new Map();
+    for (const preference of preferences) {
+      if (!byStudent.has(preference.student_id)) byStudent.set(preference.student_id, []);
+      byStudent.get(preference.student_id).push(preference);
+    }
+
+    const allocationSeed = seed ? String(seed) : crypto.randomBytes(16).toString('hex');
+    const studentOrder = drawRequests(
+      [...byStudent.keys()].map(student_id => ({ id: student_id, weight: 1 })),
+      allocationSeed
+    ).map(entry => entry.id);
+
+    const granted = new Map(studentOrder.map(student_id => [student_id, 0]));
+    let allocatedCount = 0;
+    let firstChoiceCount = 0;
+
+    for (let rank = 1; rank <= round.max_choices; rank++) {
+      for (const student_id of studentOrder) {
+        const preference = byStudent.get(student_id).find(p => p.preference_rank === rank);
+        if (!preference) continue;
+
+        const activity = activities.get(preference.activity_id);
+        const outcome = await allocateChoice(connection, preference, activity, {
+          limitReached: granted.get(student_id) >= round.max_activities,
+          allocated_by
+        });
+
+        if (outcome.status === 'allocated') {
+          granted.set(student_id, granted.get(student_id) + 1);
+          allocatedCount++;
+          if (rank === 1) firstChoiceCount++;
+        }
+
+        await connection.query(
+          `UPDATE student_preferences
+           SET status = ?, reason = ?, enrollment_id = ?
+           WHERE id = ?`,
+          [outcome.status, outcome.reason, outcome.enrollment_id ?? null, preference.id]
+        );
+      }
+    }
+
+    await connection.query(
+      `UPDATE preference_rounds
+       SET status = 'allocated', seed = ?, allocated_at = CURRENT_TIMESTAMP, allocated_by = ?
+       WHERE id = ?`,
+      [allocationSeed, allocated_by, round_id]
+    );
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Allocation complete: ${allocatedCount} places granted to ${byStudent.size} students`,
+        data: {
+          round_id: parseInt(round_id),
+          seed: allocationSeed,
+          students: byStudent.size,
+          choices: preferences.length,
+          allocated: allocatedCount,
+          first_choice_granted: firstChoiceCount,
+          students_without_place: [...granted.values()].filter(count => count === 0).length
+        }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Try to grant a single choice; enrolls the student when it succeeds
+ * Decrements the activity's free seats in place
+ * @returns {Promise<Object>} { status: 'allocated'|'unallocated', reason, enrollment_id }
+ */
+async function allocateChoice(connection, preference, activity, { limitReached, allocated_by }) {
+  const { student_id, activity_id } = preference;
+
+  if (limitReached) {
+    return { status: 'unallocated', reason: 'limit_reached' };
+  }
+
+  if (!activity || activity.status !== 'active') {
+    return { status: 'unallocated', reason: 'activity_inactive' };
+  }
+
+  const existingResult = await connection.query(
+    `SELECT id FROM activity_enrollments
+     WHERE student_id = ? AND activity_id = ? AND status IN (${ENROLLED_STATUSES_SQL})`,
+    [student_id, activity_id]
+  );
+
+  if (existingResult.rows.length > 0) {
+    return { status: 'allocated', reason: 'already_enrolled', enrollment_id: existingResult.rows[0].id };
+  }
+
+  // Records may have changed since the choices were submitted
+  const student = await getStudentProfile(connection, student_id, activity.term_start_date);
+  const restriction = student
+    ? checkAgeRestriction(activity, student) || checkGradeRestriction(activity, student)
+    : { conflict_type: 'student_not_found' };
+
+  if (restriction) {
+    return { status: 'unallocated', reason: restriction.conflict_type };
+  }
+
+  if (activity.seats <= 0) {
+    return { status: 'unallocated', reason: 'full' };
+  }
+
+  if (await findTimeConflict(connection, student_id, activity_id)) {
+    return { status: 'unallocated', reason: 'time_overlap' };
+  }
+
+  const enrollmentId = await insertActiveEnrollment(connection, {
+    student_id,
+    activity_id,
+    grade_level: student.grade,
+    enrolled_by: allocated_by,
+    notes: `Allocated from preference #${preference.preference_rank}`,
+    payment_amount: activity.fee || 0
+  });
+
+  if (!enrollmentId) {
+    return { status: 'unallocated', reason: 'already_enrolled' };
+  }
+  activity.seats--;
+
+  return { status: 'allocated', reason: null, enrollment_id: enrollmentId };
+}
+
+export default {
+  submitPreferences,
+  allocateRound
+};
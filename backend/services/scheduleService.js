@@ -0,0 +1,623 @@
+/**
+ * Schedule Service
+ *
+ * Weekly activity_schedules slots (one row per day/time an activity meets):
+ * - validateScheduleSlot lists everything that stops a slot being saved
+ *   (venue and teacher double-booking, venue maintenance and capacity)
+ * - A slot is taught by its instructor, or by the activity's coach when it has
+ *   none; an instructor with a user account is the same person as that user
+ *   coaching, so double-booking is checked per person across both
+ * - checkSchedule previews that list, plus enrolled students the slot would
+ *   double-book (same overlap test as enrollment), without saving
+ * - createSchedule / updateSchedule save a slot only when that list is empty,
+ *   then regenerate the activity's sessions; deactivateSchedule retires a slot
+ * - activities.schedule (the free-text summary shown to students) is rewritten
+ *   from the active slots whenever they change
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { getClient } from '../config/database.js';
+import { generateSessionsForActivity } from './sessionGenerator.js';
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+import { reject, OPEN_END, localToday } from './serviceUtils.js';
+
+export const SCHEDULE_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const RECURRENCE_PATTERNS = ['weekly', 'biweekly'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+const normalizeTime = (time) => (time && time.length === 5 ? `${time}:00` : time);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Other active schedules using the same venue on the same day whose times and
+ * effective dates overlap the slot
+ * @param {string} column - 'venue_id'
+ * @returns {Promise<Array>} Overlapping schedules with their activity name
+ */
+async function findOverlaps(connection, slot, column) {
+  const result = await connection.query(
+    `SELECT asch.id as schedule_id, a.name as activity_name, asch.start_time, asch.end_time
+     FROM activity_schedules asch
+     JOIN activities a ON asch.activity_id = a.id
+     WHERE asch.${column} = ?
+     AND asch.day_of_week = ?
+     AND asch.is_active = TRUE
+     AND a.status = 'active'
+     AND asch.id != ?
+     AND asch.start_time < ? AND asch.end_time > ?
+     AND asch.effective_from <= ?
+     AND COALESCE(asch.effective_until, ?) >= ?`,
+    [
+      slot[column],
+      slot.day_of_week,
+      slot.id ?? 0,
+      slot.end_time,
+      slot.start_time,
+      slot.effective_until || OPEN_END,
+      OPEN_END,
+      slot.effective_from
+    ]
+  );
+  return result.rows;
+}
+
+// The user teaching a slot: its instructor's account, else the activity's coach
+const SLOT_TEACHER_USER = 'CASE WHEN asch.instructor_id IS NULL THEN a.coach_id ELSE i.user_id END';
+
+/**
+ * Other active schedules taught by the same person on the same day whose times
+ * and effective dates overlap the slot
+ * @param {Object} person - { user_id } or, for an instructor without an account, { instructor_id }
+ * @param {number|null} excludeActivityId - Leave out this activity's own slots (optional)
+ * @returns {Promise<Array>} Overlapping schedules with their activity name
+ */
+async function findPersonOverlaps(connection, slot, person, excludeActivityId = null) {
+  const result = await connection.query(
+    `SELECT asch.id as schedule_id, a.name as activity_name, asch.start_time, asch.end_time
+     FROM activity_schedules asch
+     JOIN activities a ON asch.activity_id = a.id
+     LEFT JOIN instructors i ON asch.instructor_id = i.id
+     WHERE ${person.user_id ? `${SLOT_TEACHER_USER} = ?` : 'asch.instructor_id = ?'}
+     AND asch.day_of_week = ?
+     AND asch.is_active = TRUE
+     AND a.status = 'active'
+     AND asch.id != ?
+     AND a.id != ?
+     AND asch.start_time < ? AND asch.end_time > ?
+     AND asch.effective_from <= ?
+     AND COALESCE(asch.effective_until, ?) >= ?`,
+    [
+      person.user_id || person.instructor_id,
+      slot.day_of_week,
+      slot.id ?? 0,
+      excludeActivityId ?? 0,
+      slot.end_time,
+      slot.start_time,
+      slot.effective_until || OPEN_END,
+      OPEN_END,
+      slot.effective_from
+    ]
+  );
+  return result.rows;
+}
+
+/**
+ * Venue problems with a slot: unknown venue, under maintenance/unavailable,
+ * too small for the activity quota, or already booked at that time
+ * @returns {Promise<Array>} [{ type, message, ... }]
+ */
+async function findVenueProblems(connection, slot, activity) {
+  if (!slot.venue_id) return [];
+
+  const venueResult = await connection.query(
+    'SELECT id, name, capacity, status FROM venues WHERE id = ?',
+    [slot.venue_id]
+  );
+
+  if (venueResult.rows.length === 0) {
+    return [{ type: 'venue_not_found', message: 'Venue not found' }];
+  }
+
+  const venue = venueResult.rows[0];
+  const problems = [];
+
+  if (venue.status !== 'available') {
+    problems.push({
+      type: 'venue_unavailable',
+      message: `${venue.name} is ${venue.status === 'maintenance' ? 'under maintenance' : 'unavailable'}`
+    });
+  }
+
+  if (venue.capacity < activity.quota) {
+    problems.push({
+      type: 'venue_capacity',
+      message: `${venue.name} holds ${venue.capacity} but the activity quota is ${activity.quota}`,
+      capacity: venue.capacity,
+      quota: activity.quota
+    });
+  }
+
+  for (const overlap of await findOverlaps(connection, slot, 'venue_id')) {
+    problems.push({
+      type: 'venue_in_use',
+      message: `${venue.name} is booked by ${overlap.activity_name} ${overlap.start_time.slice(0, 5)}–${overlap.end_time.slice(0, 5)}`,
+      schedule_id: overlap.schedule_id,
+      activity_name: overlap.activity_name
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with whoever teaches a slot: unknown or inactive instructor, or the
+ * instructor (or, without one, the activity's coach) already teaching another
+ * schedule at that time
+ * @returns {Promise<Array>} [{ type, message, ... }]
+ */
+async function findInstructorProblems(connection, slot, activity) {
+  const problems = [];
+  let person;
+  let name;
+
+  if (slot.instructor_id) {
+    const instructorResult = await connection.query(
+      'SELECT id, name, status, user_id FROM instructors WHERE id = ?',
+      [slot.instructor_id]
+    );
+
+    if (instructorResult.rows.length === 0) {
+      return [{ type: 'instructor_not_found', message: 'Instructor not found' }];
+    }
+
+    const instructor = instructorResult.rows[0];
+    if (instructor.status !== 'active') {
+      problems.push({ type: 'instructor_inactive', message: `${instructor.name} is not active` });
+    }
+
+    person = instructor.user_id ? { user_id: instructor.user_id } : { instructor_id: instructor.id };
+    name = instructor.name;
+  } else {
+    const coachResult = await connection.query(
+      `SELECT a.coach_id, CONCAT(u.first_name, ' ', u.last_name) as coach_name
+       FROM activities a
+       LEFT JOIN users u ON a.coach_id = u.id
+       WHERE a.id = ?`,
+      [activity.id]
+    );
+
+    const coach = coachResult.rows[0];
+    if (!coach?.coach_id) return problems;
+
+    person = { user_id: coach.coach_id };
+    name = coach.coach_name || 'The coach';
+  }
+
+  for (const overlap of await findPersonOverlaps(connection, slot, person)) {
+    problems.push({
+      type: 'instructor_busy',
+      message: `${name} already teaches ${overlap.activity_name} ${overlap.start_time.slice(0, 5)}–${overlap.end_time.slice(0, 5)}`,
+      schedule_id: overlap.schedule_id,
+      activity_name: overlap.activity_name
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Slots of an activity the given coach would be double-booked on if they took
+ * it over: its active slots without an instructor, checked against everything
+ * else the coach teaches
+ * @param {Object} connection - Connection or transaction
+ * @param {number} activity_id - Activity changing coach
+ * @param {number} coach_id - New coach (users.id)
+ * @returns {Promise<Array>} Problems; empty when the coach is free
+ */
+export const findCoachConflicts = async (connection, activity_id, coach_id) => {
+  const slotsResult = await connection.query(
+    `SELECT id, day_of_week, start_time, end_time,
+            DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from,
+            DATE_FORMAT(effective_until, '%Y-%m-%d') as effective_until
+     FROM activity_schedules
+     WHERE activity_id = ? AND is_active = TRUE AND instructor_id IS NULL`,
+    [activity_id]
+  );
+
+  const problems = [];
+  for (const slot of slotsResult.rows) {
+    for (const overlap of await findPersonOverlaps(connection, slot, { user_id: coach_id }, activity_id)) {
+      problems.push({
+        type: 'instructor_busy',
+        message: `The coach already teaches ${overlap.activity_name} on ${capitalize(slot.day_of_week)} ` +
+          `${overlap.start_time.slice(0, 5)}–${overlap.end_time.slice(0, 5)}`,
+        schedule_id: overlap.schedule_id,
+        activity_name: overlap.activity_name
+      });
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Everything that stops a slot being saved
+ * @param {Object} connection - Connection or transaction
+ * @param {Object} slot - { id (when editing), venue_id, instructor_id, day_of_week, start_time, end_time, effective_from, effective_until }
+ * @param {Object} activity - { id, quota }
+ * @returns {Promise<Array>} Problems; empty when the slot is fine
+ */
+export const validateScheduleSlot = async (connection, slot, activity) => {
+  return [
+    ...await findVenueProblems(connection, slot, activity),
+    ...await findInstructorProblems(connection, slot, activity)
+  ];
+};
+
+/**
+ * Other activities of this activity's enrolled students that meet at an
+ * overlapping time on the slot's day (the overlap test enrollment uses)
+ * @returns {Promise<Array>} [{ activity_id, activity_name, start_time, end_time, student_count }]
+ */
+async function findStudentOverlaps(connection, activity_id, slot) {
+  const result = await connection.query(
+    `SELECT a.id as activity_id, a.name as activity_name, asch.start_time, asch.end_time,
+            COUNT(DISTINCT own.student_id) as student_count
+     FROM activity_enrollments own
+     JOIN activity_enrollments ae ON ae.student_id = own.student_id
+     JOIN activities a ON ae.activity_id = a.id
+     JOIN activity_schedules asch ON a.id = asch.activity_id
+     WHERE own.activity_id = ?
+     AND own.status IN (${ENROLLED_STATUSES_SQL})
+     AND ae.activity_id <> own.activity_id
+     AND ae.status IN (${ENROLLED_STATUSES_SQL})
+     AND a.status = 'active'
+     AND asch.is_active = TRUE
+     AND asch.day_of_week = ?
+     AND asch.start_time < ? AND asch.end_time > ?
+     GROUP BY a.id, a.name, asch.id, asch.start_time, asch.end_time`,
+    [activity_id, slot.day_of_week, slot.end_time, slot.start_time]
+  );
+  return result.rows;
+}
+
+/**
+ * Rewrite activities.schedule from the active slots, e.g. "Monday 16:00-17:00, Wednesday 16:00-17:00"
+ * @returns {Promise<string|null>} New summary, or null when there are no active slots (left as is)
+ */
+export const syncScheduleSummary = async (connection, activity_id) => {
+  const result = await connection.query(
+    `SELECT day_of_week, start_time, end_time, recurrence_pattern
+     FROM activity_schedules
+     WHERE activity_id = ? AND is_active = TRUE
+     ORDER BY FIELD(day_of_week, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'), start_time`,
+    [activity_id]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const summary = result.rows
+    .map(slot =>
+      `${capitalize(slot.day_of_week)} ${slot.start_time.slice(0, 5)}-${slot.end_time.slice(0, 5)}` +
+      (slot.recurrence_pattern === 'biweekly' ? ' (every other week)' : '')
+    )
+    .join(', ');
+
+  await connection.query('UPDATE activities SET schedule = ? WHERE id = ?', [summary, activity_id]);
+  return summary;
+};
+
+/**
+ * Check the shape of a slot (days, times, dates)
+ * @returns {string|null} Error message, or null if well-formed
+ */
+function checkSlotFields(slot) {
+  if (!SCHEDULE_DAYS.includes(slot.day_of_week)) {
+    return `day_of_week must be one of: ${SCHEDULE_DAYS.join(', ')}`;
+  }
+  if (!TIME_PATTERN.test(slot.start_time || '') || !TIME_PATTERN.test(slot.end_time || '')) {
+    return 'start_time and end_time must be HH:MM times';
+  }
+  if (slot.end_time <= slot.start_time) {
+    return 'end_time must be after start_time';
+  }
+  if (!RECURRENCE_PATTERNS.includes(slot.recurrence_pattern)) {
+    return `recurrence_pattern must be one of: ${RECURRENCE_PATTERNS.join(', ')}`;
+  }
+  if (!DATE_PATTERN.test(slot.effective_from) || (slot.effective_until && !DATE_PATTERN.test(slot.effective_until))) {
+    return 'effective_from and effective_until must be YYYY-MM-DD dates';
+  }
+  if (slot.effective_until && slot.effective_until < slot.effective_from) {
+    return 'effective_until must be on or after effective_from';
+  }
+  return null;
+}
+
+async function loadActivity(connection, activity_id) {
+  const result = await connection.query(
+    'SELECT id, name, quota FROM activities WHERE id = ? FOR UPDATE',
+    [activity_id]
+  );
+  return result.rows[0] || null;
+}
+
+async function saveSlot(connection, activity, slot) {
+  if (slot.id) {
+    await connection.query(
+      `UPDATE activity_schedules
+       SET venue_id = ?, instructor_id = ?, day_of_week = ?, start_time = ?, end_time = ?,
+           session_duration = TIMESTAMPDIFF(MINUTE, ?, ?), recurrence_pattern = ?,
+           effective_from = ?, effective_until = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        slot.venue_id, slot.instructor_id, slot.day_of_week, slot.start_time, slot.end_time,
+        slot.start_time, slot.end_time, slot.recurrence_pattern,
+        slot.effective_from, slot.effective_until, slot.is_active, slot.id
+      ]
+    );
+    return slot.id;
+  }
+
+  const insertResult = await connection.query(
+    `INSERT INTO activity_schedules
+     (activity_id, venue_id, instructor_id, day_of_week, start_time, end_time, session_duration,
+      recurrence_pattern, effective_from, effective_until)
+     VALUES (?, ?, ?, ?, ?, ?, TIMESTAMPDIFF(MINUTE, ?, ?), ?, ?, ?)`,
+    [
+      activity.id, slot.venue_id, slot.instructor_id, slot.day_of_week, slot.start_time, slot.end_time,
+      slot.start_time, slot.end_time, slot.recurrence_pattern, slot.effective_from, slot.effective_until
+    ]
+  );
+  return insertResult.rows.insertId;
+}
+
+/**
+ * Validate and save a slot inside a transaction, then regenerate sessions
+ * @param {number} activity_id - Activity the slot belongs to
+ * @param {Function} buildSlot - (connection) => slot, or a rejection when the slot cannot be built
+ */
+async function writeSlot(activity_id, buildSlot, successStatus, successMessage) {
+  const connection = await getClient();
+  let scheduleId;
+  let summary;
+
+  try {
+    await connection.beginTransaction();
+
+    const activity = await loadActivity(connection, activity_id);
+    if (!activity) {
+      await connection.rollback();
+      return reject(404, 'Activity not found');
+    }
+
+    const slot = await buildSlot(connection);
+    if (slot.body) {
+      await connection.rollback();
+      return slot;
+    }
+
+    const invalid = checkSlotFields(slot);
+    if (invalid) {
+      await connection.rollback();
+      return reject(400, invalid);
+    }
+
+    // Inactive slots book nothing, so only active ones are checked
+    const problems = slot.is_active ? await validateScheduleSlot(connection, slot, activity) : [];
+    if (problems.length > 0) {
+      await connection.rollback();
+      return reject(409, problems[0].message, { conflicts: problems });
+    }
+
+    scheduleId = await saveSlot(connection, activity, slot);
+    summary = await syncScheduleSummary(connection, activity.id);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const sessions = await generateSessionsForActivity(activity_id);
+
+  return {
+    status: successStatus,
+    body: {
+      success: true,
+      message: successMessage,
+      data: { id: scheduleId, schedule: summary },
+      sessions
+    }
+  };
+}
+
+/**
+ * Add a weekly slot to an activity
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity ID
+ * @param {string} params.day_of_week - monday..sunday
+ * @param {string} params.start_time - HH:MM
+ * @param {string} params.end_time - HH:MM
+ * @param {number} params.venue_id - Optional venue
+ * @param {number} params.instructor_id - Optional instructor
+ * @param {string} params.recurrence_pattern - weekly (default) or biweekly
+ * @param {string} params.effective_from - First date (YYYY-MM-DD), defaults to today
+ * @param {string} params.effective_until - Last date (YYYY-MM-DD), optional
+ * @returns {Promise<Object>} { status, body }
+ */
+export const createSchedule = async ({
+  activity_id,
+  day_of_week,
+  start_time,
+  end_time,
+  venue_id = null,
+  instructor_id = null,
+  recurrence_pattern = 'weekly',
+  effective_from = null,
+  effective_until = null
+}) => {
+  return writeSlot(activity_id, async () => ({
+    id: null,
+    is_active: true,
+    venue_id,
+    instructor_id,
+    day_of_week,
+    start_time: normalizeTime(start_time),
+    end_time: normalizeTime(end_time),
+    recurrence_pattern,
+    effective_from: effective_from || localToday(),
+    effective_until
+  }), 201, 'Schedule slot added');
+};
+
+/**
+ * Edit a slot; omitted fields keep their current value
+ * @returns {Promise<Object>} { status, body }
+ */
+export const updateSchedule = async ({ activity_id, schedule_id, ...changes }) => {
+  return writeSlot(activity_id, async (connection) => {
+    const scheduleResult = await connection.query(
+      `SELECT id, venue_id, instructor_id, day_of_week, start_time, end_time, recurrence_pattern, is_active,
+              DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from,
+              DATE_FORMAT(effective_until, '%Y-%m-%d') as effective_until
+       FROM activity_schedules
+       WHERE id = ? AND activity_id = ?
+       FOR UPDATE`,
+      [schedule_id, activity_id]
+    );
+
+    if (scheduleResult.rows.length === 0) {
+      return reject(404, 'Schedule slot not found');
+    }
+
+    const current = scheduleResult.rows[0];
+    const pick = (field) => (changes[field] !== undefined ? changes[field] : current[field]);
+
+    return {
+      id: current.id,
+      is_active: Boolean(pick('is_active')),
+      venue_id: pick('venue_id'),
+      instructor_id: pick('instructor_id'),
+      day_of_week: pick('day_of_week'),
+      start_time: normalizeTime(pick('start_time')),
+      end_time: normalizeTime(pick('end_time')),
+      recurrence_pattern: pick('recurrence_pattern'),
+      effective_from: pick('effective_from'),
+      effective_until: pick('effective_until')
+    };
+  }, 200, 'Schedule slot updated');
+};
+
+/**
+ * Retire a slot; its upcoming sessions are removed by the regeneration
+ * @returns {Promise<Object>} { status, body }
+ */
+export const deactivateSchedule = async ({ activity_id, schedule_id }) => {
+  const connection = await getClient();
+  let summary;
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await connection.query(
+      'UPDATE activity_schedules SET is_active = FALSE WHERE id = ? AND activity_id = ?',
+      [schedule_id, activity_id]
+    );
+
+    if (result.rows.affectedRows === 0) {
+      await connection.rollback();
+      return reject(404, 'Schedule slot not found');
+    }
+
+    summary = await syncScheduleSummary(connection, activity_id);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const sessions = await generateSessionsForActivity(activity_id);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Schedule slot deactivated',
+      data: { schedule: summary },
+      sessions
+    }
+  };
+};
+
+/**
+ * Preview a slot without saving it
+ * problems block saving; student_overlaps are enrolled students the slot
+ * would double-book, for the admin to weigh up
+ * @param {Object} params - Slot fields, plus schedule_id when previewing an edit
+ * @returns {Promise<Object>} { status, body }
+ */
+export const checkSchedule = async ({ activity_id, schedule_id = null, ...fields }) => {
+  const connection = await getClient();
+
+  try {
+    const activityResult = await connection.query('SELECT id, quota FROM activities WHERE id = ?', [activity_id]);
+
+    if (activityResult.rows.length === 0) {
+      return reject(404, 'Activity not found');
+    }
+
+    const slot = {
+      id: schedule_id,
+      venue_id: fields.venue_id ?? null,
+      instructor_id: fields.instructor_id ?? null,
+      day_of_week: fields.day_of_week,
+      start_time: normalizeTime(fields.start_time),
+      end_time: normalizeTime(fields.end_time),
+      recurrence_pattern: fields.recurrence_pattern || 'weekly',
+      effective_from: fields.effective_from || localToday(),
+      effective_until: fields.effective_until || null
+    };
+
+    const invalid = checkSlotFields(slot);
+    if (invalid) {
+      return reject(400, invalid);
+    }
+
+    const problems = await validateScheduleSlot(connection, slot, activityResult.rows[0]);
+    const studentOverlaps = await findStudentOverlaps(connection, activity_id, slot);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        data: {
+          can_save: problems.length === 0,
+          problems,
+          student_overlaps: studentOverlaps
+        }
+      }
+    };
+  } finally {
+    connection.release();
+  }
+};
+
+export default {
+  SCHEDULE_DAYS,
+  validateScheduleSlot,
+  findCoachConflicts,
+  syncScheduleSummary,
+  checkSchedule,
+  createSchedule,
+  updateSchedule,
+  deactivateSchedule
+};
@@ -0,0 +1,39 @@
+/**
+ * Service Utilities
+ *
+ * Helpers shared by the service modules:
+ * - reject: the failed { status, body } result controllers send as-is
+ * - OPEN_END / localToday: schedule date handling
+ */
+
+/**
+ * A failed service result
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} extra - More fields for the response body
+ * @returns {Object} { status, body }
+ */
+export const reject = (status, message, extra = {}) => ({
+  status,
+  body: { success: false, message, ...extra }
+});
+
+// Open-ended schedules run "forever" for overlap checks
+export const OPEN_END = '9999-12-31';
+
+/**
+ * Today's date on the server's local clock (not UTC), the same day CURDATE() gives
+ * @returns {string} YYYY-MM-DD
+ */
+export const localToday = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+export default {
+  reject,
+  OPEN_END,
+  localToday
+};
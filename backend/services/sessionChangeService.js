@@ -0,0 +1,523 @@
+/**
+ * Session Change Service
+ *
+ * One-off changes to dated sessions made by coaches and admins:
+ * - Reschedule a session (new date and/or times)
+ * - Reassign it to another venue or instructor
+ * - Cancel it
+ * Changes apply to one session or to every scheduled session of an activity in
+ * a date range. Each change is checked for venue and instructor double-booking
+ * and for calendar closures, and is logged in session_changes with its reason.
+ * Changed sessions are flagged is_modified so the session generator leaves them alone.
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { getClient } from '../config/database.js';
+import { findClosure } from './sessionGenerator.js';
+import { reject, localToday } from './serviceUtils.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// "15:30" and "15:30:00" both become "15:30:00" so they compare with TIME columns
+const normalizeTime = (time) => (time && time.length === 5 ? `${time}:00` : time);
+
+const SESSION_COLUMNS = `
+  s.id, s.activity_id, DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+  s.start_time, s.end_time, s.venue_id, s.instructor_id, s.status
+`;
+
+/**
+ * Find sessions that would double-book a venue or instructor
+ * Cancelled sessions never conflict
+ * @param {Object} connection - Connection or transaction
+ * @param {Object} slot - { session_date, start_time, end_time, venue_id, instructor_id }
+ * @param {Array<number>} excludeIds - Sessions to ignore (the ones being changed)
+ * @returns {Promise<Array>} [{ type: 'venue'|'instructor', session_id, activity_name, session_date, start_time, end_time }]
+ */
+export const findSessionConflicts = async (connection, slot, excludeIds = []) => {
+  if (!slot.venue_id && !slot.instructor_id) return [];
+
+  const exclusion = excludeIds.length > 0
+    ? `AND s.id NOT IN (${excludeIds.map(() => '?').join(', ')})`
+    : '';
+
+  const result = await connection.query(
+    `SELECT s.id as session_id, s.venue_id, s.instructor_id, a.name as activity_name,
+            DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date, s.start_time, s.end_time
+     FROM sessions s
+     JOIN activities a ON s.activity_id = a.id
+     WHERE s.session_date = ?
+     AND s.status != 'cancelled'
+     AND s.start_time < ? AND s.end_time > ?
+     AND (s.venue_id = ? OR s.instructor_id = ?)
+     ${exclusion}`,
+    [slot.session_date, slot.end_time, slot.start_time, slot.venue_id ?? null, slot.instructor_id ?? null, ...excludeIds]
+  );
+
+  return result.rows.map(row => ({
+    type: slot.venue_id && row.venue_id === slot.venue_id ? 'venue' : 'instructor',
+    session_id: row.session_id,
+    activity_name: row.activity_name,
+    session_date: row.session_date,
+    start_time: row.start_time,
+    end_time: row.end_time
+  }));
+};
+
+/**
+ * Check the venue and instructor can be booked at all
+ * @returns {Promise<Object|null>} A rejection, or null if both are usable
+ */
+async function checkResources(connection, { venue_id, instructor_id }) {
+  if (venue_id) {
+    const venueResult = await connection.query('SELECT status FROM venues WHERE id = ?', [venue_id]);
+
+    if (venueResult.rows.length === 0) {
+      return reject(404, 'Venue not found');
+    }
+    if (venueResult.rows[0].status !== 'available') {
+      return reject(409, `Venue is ${venueResult.rows[0].status}`);
+    }
+  }
+
+  if (instructor_id) {
+    const instructorResult = await connection.query('SELECT status FROM instructors WHERE id = ?', [instructor_id]);
+
+    if (instructorResult.rows.length === 0) {
+      return reject(404, 'Instructor not found');
+    }
+    if (instructorResult.rows[0].status !== 'active') {
+      return reject(409, 'Instructor is not active');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Everything that stops a session moving to a slot, other than double-booking
+ * @returns {Promise<string|null>} Reason, or null if the slot is free for this activity
+ */
+async function checkSlot(connection, session, slot, closures) {
+  const closure = findClosure(closures, slot.session_date, slot.venue_id);
+  if (closure) {
+    return `${slot.session_date} is closed (${closure.name})`;
+  }
+
+  const clashResult = await connection.query(
+    `SELECT id FROM sessions
+     WHERE activity_id = ? AND session_date = ? AND start_time = ? AND id != ?`,
+    [session.activity_id, slot.session_date, slot.start_time, session.id]
+  );
+
+  if (clashResult.rows.length > 0) {
+    return `The activity already has a session on ${slot.session_date} at ${slot.start_time.slice(0, 5)}`;
+  }
+
+  return null;
+}
+
+async function loadClosures(connection) {
+  const result = await connection.query(
+    `SELECT id, name, venue_id,
+            DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+     FROM calendar_closures`
+  );
+  return result.rows;
+}
+
+/**
+ * Apply a change to one session and log it
+ */
+async function applyChange(connection, session, slot, reason, changed_by) {
+  const moved = slot.session_date !== session.session_date || slot.start_time !== session.start_time;
+  const change_type = moved || slot.end_time !== session.end_time ? 'rescheduled' : 'reassigned';
+
+  await connection.query(
+    `UPDATE sessions
+     SET session_date = ?, start_time = ?, end_time = ?, venue_id = ?, instructor_id = ?,
+         is_modified = TRUE,
+         original_date = COALESCE(original_date, ?),
+         original_start_time = COALESCE(original_start_time, ?)
+     WHERE id = ?`,
+    [
+      slot.session_date, slot.start_time, slot.end_time, slot.venue_id, slot.instructor_id,
+      moved ? session.session_date : null,
+      moved ? session.start_time : null,
+      session.id
+    ]
+  );
+
+  await logChange(connection, session, change_type, slot, reason, changed_by);
+  return change_type;
+}
+
+async function logChange(connection, session, change_type, newValues, reason, changed_by) {
+  const previous = {
+    session_date: session.session_date,
+    start_time: session.start_time,
+    end_time: session.end_time,
+    venue_id: session.venue_id,
+    instructor_id: session.instructor_id,
+    status: session.status
+  };
+
+  await connection.query(
+    `INSERT INTO session_changes (session_id, change_type, previous_values, new_values, reason, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [session.id, change_type, JSON.stringify(previous), JSON.stringify(newValues), reason, changed_by]
+  );
+}
+
+/**
+ * Validate the fields shared by single and range changes
+ * @returns {Object|null} A rejection, or null if valid
+ */
+function validateChange({ reason, start_time, end_time }) {
+  if (!reason || !reason.trim()) {
+    return reject(400, 'A reason is required');
+  }
+  if ((start_time && !TIME_PATTERN.test(start_time)) || (end_time && !TIME_PATTERN.test(end_time))) {
+    return reject(400, 'start_time and end_time must be HH:MM times');
+  }
+  return null;
+}
+
+/**
+ * Reschedule and/or reassign one session
+ * Omitted fields keep their current value
+ * @param {Object} params
+ * @param {number} params.activity_id - Activity the session must belong to
+ * @param {number} params.session_id - Session to change
+ * @param {string} params.session_date - New date (YYYY-MM-DD)
+ * @param {string} params.start_time - New start (HH:MM)
+ * @param {string} params.end_time - New end (HH:MM)
+ * @param {number} params.venue_id - New venue
+ * @param {number} params.instructor_id - New instructor
+ * @param {string} params.reason - Why the session is changing (required)
+ * @param {number} params.changed_by - User making the change
+ * @returns {Promise<Object>} { status, body }
+ */
+export const updateSession = async ({
+  activity_id,
+  session_id,
+  session_date = null,
+  start_time = null,
+  end_time = null,
+  venue_id = null,
+  instructor_id = null,
+  reason,
+  changed_by = null
+}) => {
+  const invalid = validateChange({ reason, start_time, end_time });
+  if (invalid) return invalid;
+
+  if (session_date && !DATE_PATTERN.test(session_date)) {
+    return reject(400, 'session_date must be a YYYY-MM-DD date');
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const sessionResult = await connection.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions s WHERE s.id = ? AND s.activity_id = ? FOR UPDATE`,
+      [session_id, activity_id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Session not found');
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.status !== 'scheduled' || session.session_date < localToday()) {
+      await connection.rollback();
+      return reject(400, 'Only upcoming scheduled sessions can be changed');
+    }
+
+    const slot = {
+      session_date: session_date || session.session_date,
+      start_time: normalizeTime(start_time) || session.start_time,
+      end_time: normalizeTime(end_time) || session.end_time,
+      venue_id: venue_id || session.venue_id,
+      instructor_id: instructor_id || session.instructor_id
+    };
+
+    if (
+      slot.session_date === session.session_date &&
+      slot.start_time === session.start_time &&
+      slot.end_time === session.end_time &&
+      slot.venue_id === session.venue_id &&
+      slot.instructor_id === session.instructor_id
+    ) {
+      await connection.rollback();
+      return reject(400, 'Nothing to change');
+    }
+
+    if (slot.session_date < localToday()) {
+      await connection.rollback();
+      return reject(400, 'Sessions cannot be moved into the past');
+    }
+
+    if (slot.end_time <= slot.start_time) {
+      await connection.rollback();
+      return reject(400, 'end_time must be after start_time');
+    }
+
+    const unusable = await checkResources(connection, slot);
+    if (unusable) {
+      await connection.rollback();
+      return unusable;
+    }
+
+    const blocked = await checkSlot(connection, session, slot, await loadClosures(connection));
+    if (blocked) {
+      await connection.rollback();
+      return reject(409, blocked);
+    }
+
+    const conflicts = await findSessionConflicts(connection, slot, [session.id]);
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return reject(409, 'The venue or instructor is already booked at that time', { conflicts });
+    }
+
+    const change_type = await applyChange(connection, session, slot, reason.trim(), changed_by);
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: change_type === 'rescheduled' ? 'Session rescheduled' : 'Session reassigned',
+        data: { id: session.id, ...slot, change_type }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Cancel one session
+ * @returns {Promise<Object>} { status, body }
+ */
+export const cancelSession = async ({ activity_id, session_id, reason, changed_by = null }) => {
+  const invalid = validateChange({ reason });
+  if (invalid) return invalid;
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const sessionResult = await connection.query(
+      `SELECT ${SESSION_COLUMNS} FROM sessions s WHERE s.id = ? AND s.activity_id = ? FOR UPDATE`,
+      [session_id, activity_id]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Session not found');
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.status !== 'scheduled' || session.session_date < localToday()) {
+      await connection.rollback();
+      return reject(400, 'Only upcoming scheduled sessions can be cancelled');
+    }
+
+    await cancelOne(connection, session, reason.trim(), changed_by);
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: 'Session cancelled',
+        data: { id: session.id, status: 'cancelled' }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+async function cancelOne(connection, session, reason, changed_by) {
+  await connection.query(
+    `UPDATE sessions SET status = 'cancelled', is_modified = TRUE, notes = ? WHERE id = ?`,
+    [reason, session.id]
+  );
+  await logChange(connection, session, 'cancelled', { status: 'cancelled' }, reason, changed_by);
+}
+
+/**
+ * Cancel or reassign every upcoming scheduled session of an activity in a date range
+ * All sessions change or none do: any conflict rejects the whole range
+ * @param {Object} params
+ * @param {string} params.action - 'cancel' or 'reassign'
+ * @param {string} params.from - First date (YYYY-MM-DD)
+ * @param {string} params.to - Last date (YYYY-MM-DD)
+ * @param {number} params.venue_id - New venue (reassign)
+ * @param {number} params.instructor_id - New instructor (reassign)
+ * @param {string} params.start_time - New start time on every date (reassign)
+ * @param {string} params.end_time - New end time on every date (reassign)
+ * @returns {Promise<Object>} { status, body }
+ */
+export const updateSessionRange = async ({
+  activity_id,
+  action,
+  from,
+  to,
+  venue_id = null,
+  instructor_id = null,
+  start_time = null,
+  end_time = null,
+  reason,
+  changed_by = null
+}) => {
+  if (!['cancel', 'reassign'].includes(action)) {
+    return reject(400, "action must be 'cancel' or 'reassign'");
+  }
+
+  const invalid = validateChange({ reason, start_time, end_time });
+  if (invalid) return invalid;
+
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || to < from) {
+    return reject(400, 'from and to must be YYYY-MM-DD dates, with to on or after from');
+  }
+
+  if (action === 'reassign' && !venue_id && !instructor_id && !start_time && !end_time) {
+    return reject(400, 'Give a venue_id, instructor_id, start_time or end_time to reassign to');
+  }
+
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const sessionsResult = await connection.query(
+      `SELECT ${SESSION_COLUMNS}
+       FROM sessions s
+       WHERE s.activity_id = ?
+       AND s.session_date BETWEEN ? AND ?
+       AND s.session_date >= CURDATE()
+       AND s.status = 'scheduled'
+       ORDER BY s.session_date ASC, s.start_time ASC
+       FOR UPDATE`,
+      [activity_id, from, to]
+    );
+    const sessions = sessionsResult.rows;
+
+    if (sessions.length === 0) {
+      await connection.rollback();
+      return reject(404, 'No upcoming scheduled sessions in that range');
+    }
+
+    if (action === 'cancel') {
+      for (const session of sessions) {
+        await cancelOne(connection, session, reason.trim(), changed_by);
+      }
+
+      await connection.commit();
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message: `${sessions.length} sessions cancelled`,
+          data: { action, sessions_changed: sessions.length }
+        }
+      };
+    }
+
+    const unusable = await checkResources(connection, { venue_id, instructor_id });
+    if (unusable) {
+      await connection.rollback();
+      return unusable;
+    }
+
+    const closures = await loadClosures(connection);
+    const batchIds = sessions.map(session => session.id);
+    const changes = [];
+    const problems = [];
+
+    for (const session of sessions) {
+      const slot = {
+        session_date: session.session_date,
+        start_time: normalizeTime(start_time) || session.start_time,
+        end_time: normalizeTime(end_time) || session.end_time,
+        venue_id: venue_id || session.venue_id,
+        instructor_id: instructor_id || session.instructor_id
+      };
+
+      if (slot.end_time <= slot.start_time) {
+        problems.push({ session_id: session.id, session_date: session.session_date, message: 'end_time must be after start_time' });
+        continue;
+      }
+
+      const blocked = await checkSlot(connection, session, slot, closures);
+      if (blocked) {
+        problems.push({ session_id: session.id, session_date: session.session_date, message: blocked });
+        continue;
+      }
+
+      const conflicts = await findSessionConflicts(connection, slot, batchIds);
+      if (conflicts.length > 0) {
+        problems.push({ session_id: session.id, session_date: session.session_date, conflicts });
+        continue;
+      }
+
+      changes.push({ session, slot });
+    }
+
+    if (problems.length > 0) {
+      await connection.rollback();
+      return reject(409, `${problems.length} of ${sessions.length} sessions cannot be changed; nothing was changed`, {
+        conflicts: problems
+      });
+    }
+
+    for (const { session, slot } of changes) {
+      await applyChange(connection, session, slot, reason.trim(), changed_by);
+    }
+
+    await connection.commit();
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `${changes.length} sessions updated`,
+        data: { action, sessions_changed: changes.length }
+      }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+export default {
+  findSessionConflicts,
+  updateSession,
+  cancelSession,
+  updateSessionRange
+};
@@ -0,0 +1,275 @@
+/**
+ * Session Generator
+ *
+ * Materializes the sessions table from activity_schedules:
+ * - Each active schedule is expanded into dated sessions on its day_of_week,
+ *   between the later of term_start_date/effective_from and the earlier of
+ *   term_end_date/effective_until
+ * - Without an end date, sessions are generated SESSION_HORIZON_DAYS ahead
+ * - Dates covered by a calendar closure (school-wide or for the session's venue)
+ *   are skipped; upcoming sessions already on those dates are cancelled
+ * - Re-running is idempotent: existing sessions are kept, upcoming scheduled ones
+ *   follow schedule edits and ones that no longer fit the schedule are removed
+ *   (or cancelled, if attendance was already taken)
+ * - Past, completed and cancelled sessions are never touched, nor are sessions
+ *   changed by hand (see sessionChangeService)
+ */
+
+import { query, getClient } from '../config/database.js';
+import { localToday } from './serviceUtils.js';
+
+const SESSION_HORIZON_DAYS = parseInt(process.env.SESSION_HORIZON_DAYS || '120');
+
+const DAY_INDEX = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6
+};
+
+// Weeks between sessions for each recurrence_pattern
+const RECURRENCE_WEEKS = {
+  weekly: 1,
+  biweekly: 2
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+/**
+ * Dates a schedule falls on within a range
+ * @param {Object} schedule - { day_of_week, recurrence_pattern }
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} until - Last date (YYYY-MM-DD), inclusive
+ * @returns {Array<string>} Session dates (YYYY-MM-DD)
+ */
+export const expandScheduleDates = (schedule, from, until) => {
+  const weeks = RECURRENCE_WEEKS[schedule.recurrence_pattern || 'weekly'];
+  const dayIndex = DAY_INDEX[schedule.day_of_week];
+
+  if (!weeks || dayIndex === undefined || from > until) {
+    return [];
+  }
+
+  const start = new Date(`${from}T00:00:00Z`);
+  const offset = (dayIndex - start.getUTCDay() + 7) % 7;
+  const dates = [];
+
+  for (let date = addDays(from, offset); date <= until; date = addDays(date, weeks * 7)) {
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Find the closure covering a date for a venue (school-wide closures cover every venue)
+ * @param {Array} closures - [{ id, name, venue_id, start_date, end_date }] with YYYY-MM-DD dates
+ * @returns {Object|null} Closure
+ */
+export const findClosure = (closures, date, venue_id) => {
+  return closures.find(closure =>
+    date >= closure.start_date &&
+    date <= closure.end_date &&
+    (closure.venue_id === null || closure.venue_id === venue_id)
+  ) || null;
+};
+
+/**
+ * Regenerate the sessions of one activity from its schedules
+ * @param {Object} connection - Transaction connection
+ * @returns {Promise<Object>} { created, updated, removed, cancelled }
+ */
+async function syncActivitySessions(connection, activity_id) {
+  const activityResult = await connection.query(
+    `SELECT id,
+            DATE_FORMAT(term_start_date, '%Y-%m-%d') as term_start_date,
+            DATE_FORMAT(term_end_date, '%Y-%m-%d') as term_end_date
+     FROM activities
+     WHERE id = ?
+     FOR UPDATE`,
+    [activity_id]
+  );
+
+  if (activityResult.rows.length === 0) {
+    return null;
+  }
+
+  const activity = activityResult.rows[0];
+  const today = localToday();
+
+  const schedulesResult = await connection.query(
+    `SELECT id, day_of_week, start_time, end_time, venue_id, instructor_id, recurrence_pattern, is_active,
+            DATE_FORMAT(effective_from, '%Y-%m-%d') as effective_from,
+            DATE_FORMAT(effective_until, '%Y-%m-%d') as effective_until
+     FROM activity_schedules
+     WHERE activity_id = ?`,
+    [activity_id]
+  );
+
+  const closuresResult = await connection.query(
+    `SELECT id, name, venue_id,
+            DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+     FROM calendar_closures`
+  );
+  const closures = closuresResult.rows;
+
+  // Every session the schedules call for, keyed like the unique key (date + start time)
+  const wanted = new Map();
+  const closed = new Map();
+
+  for (const schedule of schedulesResult.rows) {
+    if (!schedule.is_active) continue;
+
+    const from = [activity.term_start_date, schedule.effective_from].filter(Boolean).sort().pop();
+    const endDates = [activity.term_end_date, schedule.effective_until].filter(Boolean).sort();
+    const until = endDates.length > 0 ? endDates[0] : addDays(today, SESSION_HORIZON_DAYS);
+
+    for (const session_date of expandScheduleDates(schedule, from, until)) {
+      const key = `${session_date} ${schedule.start_time}`;
+      const closure = findClosure(closures, session_date, schedule.venue_id);
+
+      if (closure) {
+        closed.set(key, closure);
+      } else {
+        wanted.set(key, { ...schedule, session_date });
+      }
+    }
+  }
+
+  const existingResult = await connection.query(
+    `SELECT s.id, s.schedule_id, DATE_FORMAT(s.session_date, '%Y-%m-%d') as session_date,
+            s.start_time, s.end_time, s.venue_id, s.instructor_id, s.status, s.is_modified,
+            DATE_FORMAT(s.original_date, '%Y-%m-%d') as original_date, s.original_start_time,
+            (SELECT COUNT(*) FROM attendance a WHERE a.session_id = s.id) as attendance_count
+     FROM sessions s
+     WHERE s.activity_id = ?`,
+    [activity_id]
+  );
+
+  const counts = { created: 0, updated: 0, removed: 0, cancelled: 0 };
+  const existingKeys = new Set();
+
+  for (const session of existingResult.rows) {
+    const key = `${session.session_date} ${session.start_time}`;
+    existingKeys.add(key);
+
+    // A moved session still stands in for the slot it was moved from
+    if (session.original_date) {
+      existingKeys.add(`${session.original_date} ${session.original_start_time}`);
+    }
+
+    const editable = session.status === 'scheduled' && !session.is_modified && session.session_date >= today;
+    if (!editable) continue;
+
+    const target = wanted.get(key);
+
+    if (!target) {
+      const closure = closed.get(key);
+
+      if (closure) {
+        await connection.query(
+          `UPDATE sessions SET status = 'cancelled', closure_id = ?, notes = ? WHERE id = ?`,
+          [closure.id, `Closed: ${closure.name}`, session.id]
+        );
+        counts.cancelled++;
+      } else if (parseInt(session.attendance_count) > 0) {
+        await connection.query(
+          `UPDATE sessions SET status = 'cancelled', notes = 'No longer on the schedule' WHERE id = ?`,
+          [session.id]
+        );
+        counts.cancelled++;
+      } else {
+        await connection.query('DELETE FROM sessions WHERE id = ?', [session.id]);
+        counts.removed++;
+      }
+      continue;
+    }
+
+    if (
+      session.schedule_id !== target.id ||
+      session.end_time !== target.end_time ||
+      session.venue_id !== target.venue_id ||
+      session.instructor_id !== target.instructor_id
+    ) {
+      await connection.query(
+        `UPDATE sessions
+         SET schedule_id = ?, end_time = ?, venue_id = ?, instructor_id = ?
+         WHERE id = ?`,
+        [target.id, target.end_time, target.venue_id, target.instructor_id, session.id]
+      );
+      counts.updated++;
+    }
+  }
+
+  for (const [key, target] of wanted) {
+    if (existingKeys.has(key)) continue;
+
+    await connection.query(
+      `INSERT INTO sessions
+       (schedule_id, activity_id, session_date, start_time, end_time, venue_id, instructor_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [target.id, activity_id, target.session_date, target.start_time, target.end_time, target.venue_id, target.instructor_id]
+    );
+    counts.created++;
+  }
+
+  return counts;
+}
+
+/**
+ * Generate (or refresh) the sessions of an activity
+ * Call after any change to the activity's schedules or term dates
+ * @returns {Promise<Object|null>} { created, updated, removed, cancelled }, or null if the activity does not exist
+ */
+export const generateSessionsForActivity = async (activity_id) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+    const counts = await syncActivitySessions(connection, activity_id);
+    await connection.commit();
+    return counts;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Generate sessions for every active activity
+ * @returns {Promise<Object>} Totals plus the number of activities processed
+ */
+export const generateAllSessions = async () => {
+  const activitiesResult = await query("SELECT id FROM activities WHERE status = 'active'");
+  const totals = { activities: 0, created: 0, updated: 0, removed: 0, cancelled: 0 };
+
+  for (const activity of activitiesResult.rows) {
+    const counts = await generateSessionsForActivity(activity.id);
+    if (!counts) continue;
+
+    totals.activities++;
+    for (const key of ['created', 'updated', 'removed', 'cancelled']) {
+      totals[key] += counts[key];
+    }
+  }
+
+  return totals;
+};
+
+export default {
+  expandScheduleDates,
+  generateSessionsForActivity,
+  generateAllSessions
+};
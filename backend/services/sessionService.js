@@ -0,0 +1,180 @@
+/**
+ * Session Service
+ *
+ * Server-side login sessions backing short-lived access tokens:
+ * - Each login creates a user_sessions row
+ * - Refresh tokens rotate on every use; only their SHA-256 hash is stored
+ * - Presenting an already-used refresh token revokes the whole session (token theft)
+ * - Revoking a session invalidates its access tokens on the next request
+ */
+
+import crypto from 'crypto';
+import { query, getClient } from '../config/database.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store a new refresh token for a session
+ * @returns {Promise<string>} Plain refresh token (only ever returned to the client)
+ */
+const issueRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Start a new session for a user
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request (for IP / user agent)
+ * @returns {Promise<Object>} { sessionId, refreshToken }
+ */
+export const createSession = async (userId, req) => {
+  const sessionResult = await query(
+    `INSERT INTO user_sessions (user_id, ip_address, user_agent, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY))`,
+    [userId, req.ip || null, (req.get('user-agent') || '').slice(0, 500), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const sessionId = sessionResult.rows.insertId;
+  const refreshToken = await issueRefreshToken({ query }, sessionId);
+
+  return { sessionId, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} { sessionId, userId, refreshToken } or null if invalid
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const connection = await getClient();
+
+  try {
+    await connection.beginTransaction();
+
+    const tokenResult = await connection.query(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at, s.user_id, s.revoked_at
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON rt.session_id = s.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    const token = tokenResult.rows[0];
+
+    // A rotated token being replayed means it leaked - kill the session
+    if (token.used_at) {
+      await connection.query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+         WHERE id = ? AND revoked_at IS NULL`,
+        [token.session_id]
+      );
+      await connection.commit();
+      console.warn(`Refresh token reuse detected for session ${token.session_id}`);
+      return null;
+    }
+
+    if (token.revoked_at || new Date(token.expires_at) <= new Date()) {
+      await connection.rollback();
+      return null;
+    }
+
+    await connection.query(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [token.id]
+    );
+
+    await connection.query(
+      'UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [token.session_id]
+    );
+
+    const newRefreshToken = await issueRefreshToken(connection, token.session_id);
+
+    await connection.commit();
+
+    return {
+      sessionId: token.session_id,
+      userId: token.user_id,
+      refreshToken: newRefreshToken
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Check that a session is live and its user is still active
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  const result = await query(
+    `SELECT s.id
+     FROM user_sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = ? AND s.user_id = ?
+     AND s.revoked_at IS NULL
+     AND s.expires_at > CURRENT_TIMESTAMP
+     AND u.status = 'active'`,
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke a single session
+ * @returns {Promise<boolean>} true if a live session was revoked
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+
+  return result.rows.affectedRows > 0;
+};
+
+/**
+ * Revoke every live session of a user
+ * @param {number} userId - User ID
+ * @param {string} reason - Stored on each session for auditing
+ * @param {number} exceptSessionId - Optional session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const result = await query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [reason, userId, exceptSessionId || 0]
+  );
+
+  return result.rows.affectedRows;
+};
+
+export default {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllUserSessions
+};
@@ -0,0 +1,51 @@
+/**
+ * Background Sweeper
+ *
+ * Runs a job on a fixed interval in the background. A run is skipped while the
+ * previous one is still going, errors are logged rather than thrown, and the
+ * timer never keeps the process alive on its own.
+ */
+
+/**
+ * Create a sweeper for a job
+ * @param {string} name - Shown in error logs, e.g. 'Waitlist'
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} job - Async function doing one run; its result is returned by sweep()
+ * @returns {Object} { sweep, start, stop }; sweep() resolves to 0 when skipped or failed
+ */
+export const createSweeper = (name, intervalMs, job) => {
+  let sweepTimer = null;
+  let sweeping = false;
+
+  const sweep = async () => {
+    if (sweeping) return 0;
+    sweeping = true;
+
+    try {
+      return await job();
+    } catch (error) {
+      console.error(`${name} sweep error:`, error);
+      return 0;
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  const start = () => {
+    if (sweepTimer) return;
+
+    sweepTimer = setInterval(sweep, intervalMs);
+    sweepTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  };
+
+  return { sweep, start, stop };
+};
+
+export default {
+  createSweeper
+};
@@ -0,0 +1,574 @@
+/**
+ * Timetable Service
+ *
+ * School-wide builder for weekly activity slots:
+ * - Each requested activity asks for a number of meetings per week, the days
+ *   it may meet, a venue type and an instructor
+ * - buildTimetable places every meeting on a day, start time and venue so that
+ *   no venue or person (instructor, or the coach when there is none) is booked
+ *   twice, also around the active schedules of activities left out of the build
+ * - Among conflict-free placements it prefers the ones where activities sharing
+ *   grade levels do not meet at the same time (each shared grade costs 1)
+ * - The result is stored as a timetable_drafts row; approving the draft replaces
+ *   the activities' active slots with it and regenerates their sessions
+ *
+ * Functions return { status, body } so controllers can send the result as-is
+ */
+
+import { getClient } from '../config/database.js';
+import { generateSessionsForActivity } from './sessionGenerator.js';
+import { SCHEDULE_DAYS, validateScheduleSlot, syncScheduleSummary } from './scheduleService.js';
+import { reject, OPEN_END, localToday } from './serviceUtils.js';
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_SETTINGS = {
+  day_start: '15:00',
+  day_end: '18:00',
+  slot_minutes: 30
+};
+
+// Greedy rounds (unplaced activities move to the front each round) and improvement passes
+const MAX_ROUNDS = 10;
+const MAX_PASSES = 5;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Number of grade levels two activities have in common
+ */
+const sharedGrades = (a, b) =>
+  Math.max(0, Math.min(a.max_grade ?? 12, b.max_grade ?? 12) - Math.max(a.min_grade ?? 1, b.min_grade ?? 1) + 1);
+
+const overlaps = (a, b) => a.day === b.day && a.start < b.end && b.start < a.end;
+
+/**
+ * Who teaches a slot, matched by user account where one exists (as in workloadService)
+ */
+const personKey = (instructor, coach_id) => {
+  if (instructor) return instructor.user_id ? `u${instructor.user_id}` : `i${instructor.id}`;
+  return coach_id ? `u${coach_id}` : null;
+};
+
+/**
+ * Place weekly meetings for a set of activities
+ * @param {Array} requests - [{ activity, frequency, allowed_days, venue_type, instructor, duration_minutes }]
+ * @param {Object} context - { venues, fixed: existing bookings [{ activity, day, start, end, venue_id, person }], settings }
+ * @returns {Object} { placements, unplaced, overlap_score }
+ */
+export const buildTimetable = (requests, { venues, fixed, settings }) => {
+  const dayStart = toMinutes(settings.day_start);
+  const dayEnd = toMinutes(settings.day_end);
+
+  // Every day/start/venue a request could use, tightest-fitting venue first
+  const options = requests.map(request => {
+    const fitting = venues
+      .filter(venue => !request.venue_type || venue.type === request.venue_type)
+      .filter(venue => venue.capacity >= request.activity.quota)
+      .sort((a, b) => a.capacity - b.capacity || a.id - b.id);
+
+    const candidates = [];
+    for (const day of request.allowed_days) {
+      for (let start = dayStart; start + request.duration_minutes <= dayEnd; start += settings.slot_minutes) {
+        for (const venue of fitting) {
+          candidates.push({ day, start, end: start + request.duration_minutes, venue_id: venue.id });
+        }
+      }
+    }
+
+    let reason = null;
+    if (request.instructor && request.instructor.status !== 'active') reason = 'instructor_inactive';
+    else if (fitting.length === 0) reason = 'no_venue';
+    else if (request.allowed_days.length < request.frequency) reason = 'too_few_days';
+    else if (candidates.length === 0) reason = 'no_time';
+
+    return { candidates: reason ? [] : candidates, reason };
+  });
+
+  const bookingOf = (index, candidate) => ({
+    ...candidate,
+    index,
+    activity: requests[index].activity,
+    person: personKey(requests[index].instructor, requests[index].activity.coach_id)
+  });
+
+  const isFree = (booking, others) =>
+    others.every(other =>
+      !overlaps(booking, other) ||
+      (other.venue_id !== booking.venue_id && (!booking.person || other.person !== booking.person))
+    ) &&
+    others.every(other => other.activity.id !== booking.activity.id || other.day !== booking.day);
+
+  const costOf = (booking, others) =>
+    others.reduce((cost, other) =>
+      other.activity.id !== booking.activity.id && overlaps(booking, other)
+        ? cost + sharedGrades(booking.activity, other.activity)
+        : cost,
+    0);
+
+  // Cheapest free candidate for a request given the other bookings
+  const bestFor = (index, others) => {
+    let best = null;
+    for (const candidate of options[index].candidates) {
+      const booking = bookingOf(index, candidate);
+      if (!isFree(booking, others)) continue;
+      const cost = costOf(booking, others);
+      if (!best || cost < best.cost) best = { booking, cost };
+      if (cost === 0) break;
+    }
+    return best;
+  };
+
+  // Most constrained first: fewest options per meeting, then widest grade range
+  let order = requests
+    .map((request, index) => index)
+    .filter(index => options[index].candidates.length > 0)
+    .sort((a, b) =>
+      options[a].candidates.length / requests[a].frequency - options[b].candidates.length / requests[b].frequency ||
+      (requests[b].activity.max_grade - requests[b].activity.min_grade) -
+        (requests[a].activity.max_grade - requests[a].activity.min_grade) ||
+      requests[a].activity.id - requests[b].activity.id
+    );
+
+  let bestRun = null;
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const placed = [];
+    const missing = new Map();
+
+    for (const index of order) {
+      for (let meeting = 0; meeting < requests[index].frequency; meeting++) {
+        const best = bestFor(index, [...fixed, ...placed]);
+        if (best) {
+          placed.push(best.booking);
+        } else {
+          missing.set(index, (missing.get(index) || 0) + 1);
+        }
+      }
+    }
+
+    const missingCount = [...missing.values()].reduce((sum, count) => sum + count, 0);
+    if (!bestRun || missingCount < bestRun.missingCount) {
+      bestRun = { placed, missing, missingCount };
+    }
+    if (missingCount === 0) break;
+
+    // Squeaky wheel: activities that did not fit go first next round
+    order = [...order.filter(index => missing.has(index)), ...order.filter(index => !missing.has(index))];
+  }
+
+  const placed = bestRun ? bestRun.placed : [];
+
+  // Move single meetings to cheaper free spots until nothing improves
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < placed.length; i++) {
+      const others = [...fixed, ...placed.filter((booking, j) => j !== i)];
+      const current = costOf(placed[i], others);
+      if (current === 0) continue;
+
+      const best = bestFor(placed[i].index, others);
+      if (best && best.cost < current) {
+        placed[i] = best.booking;
+        improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  const unplaced = requests
+    .map((request, index) => {
+      const missing = options[index].reason
+        ? request.frequency
+        : bestRun?.missing.get(index) || 0;
+      if (missing === 0) return null;
+      return {
+        activity_id: request.activity.id,
+        activity_name: request.activity.name,
+        missing,
+        reason: options[index].reason || 'no_free_slot'
+      };
+    })
+    .filter(Boolean);
+
+  let overlapScore = 0;
+  placed.forEach((booking, i) => {
+    overlapScore += costOf(booking, [...fixed, ...placed.slice(i + 1)]);
+  });
+
+  return { placements: placed, unplaced, overlap_score: overlapScore };
+};
+
+/**
+ * Check the builder settings and per-activity requests
+ * @returns {string|null} Error message, or null if well-formed
+ */
+function checkInput(settings, activities) {
+  if (!TIME_PATTERN.test(settings.day_start) || !TIME_PATTERN.test(settings.day_end)) {
+    return 'day_start and day_end must be HH:MM times';
+  }
+  if (settings.day_end <= settings.day_start) {
+    return 'day_end must be after day_start';
+  }
+  if (!(settings.slot_minutes >= 5 && settings.slot_minutes <= 120)) {
+    return 'slot_minutes must be between 5 and 120';
+  }
+  if (!DATE_PATTERN.test(settings.effective_from) || (settings.effective_until && !DATE_PATTERN.test(settings.effective_until))) {
+    return 'effective_from and effective_until must be YYYY-MM-DD dates';
+  }
+  if (settings.effective_until && settings.effective_until < settings.effective_from) {
+    return 'effective_until must be on or after effective_from';
+  }
+  if (!Array.isArray(activities) || activities.length === 0) {
+    return 'activities must list at least one activity';
+  }
+
+  const seen = new Set();
+  for (const request of activities) {
+    if (!request.activity_id) return 'Each activity needs an activity_id';
+    if (seen.has(request.activity_id)) return `Activity ${request.activity_id} is listed twice`;
+    seen.add(request.activity_id);
+
+    if (!(request.frequency >= 1 && request.frequency <= 7)) {
+      return 'frequency must be between 1 and 7 meetings per week';
+    }
+    if (!(request.duration_minutes >= 15 && request.duration_minutes <= 240)) {
+      return 'duration_minutes must be between 15 and 240';
+    }
+    if (request.allowed_days.some(day => !SCHEDULE_DAYS.includes(day))) {
+      return `allowed_days must be from: ${SCHEDULE_DAYS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a timetable and store it as a draft for review
+ * @param {Object} params
+ * @param {string} params.name - Draft name
+ * @param {Array} params.activities - [{ activity_id, frequency, allowed_days, venue_type, instructor_id, duration_minutes }]
+ * @param {string} params.day_start - Earliest start (HH:MM), default 15:00
+ * @param {string} params.day_end - Latest end (HH:MM), default 18:00
+ * @param {number} params.slot_minutes - Start time step, default 30
+ * @param {string} params.effective_from - First date of the new slots, defaults to today
+ * @param {string} params.effective_until - Last date, optional
+ * @param {number} params.created_by - Admin user ID
+ * @returns {Promise<Object>} { status, body }
+ */
+export const createDraft = async ({ name, activities, created_by, ...options }) => {
+  const settings = {
+    day_start: options.day_start || DEFAULT_SETTINGS.day_start,
+    day_end: options.day_end || DEFAULT_SETTINGS.day_end,
+    slot_minutes: parseInt(options.slot_minutes) || DEFAULT_SETTINGS.slot_minutes,
+    effective_from: options.effective_from || localToday(),
+    effective_until: options.effective_until || null
+  };
+
+  const requested = (Array.isArray(activities) ? activities : []).map(request => ({
+    activity_id: parseInt(request.activity_id) || null,
+    frequency: parseInt(request.frequency ?? 1),
+    allowed_days: Array.isArray(request.allowed_days) && request.allowed_days.length > 0
+      ? request.allowed_days
+      : SCHEDULE_DAYS.slice(0, 5),
+    venue_type: request.venue_type || null,
+    instructor_id: request.instructor_id ? parseInt(request.instructor_id) : null,
+    duration_minutes: parseInt(request.duration_minutes ?? 60)
+  }));
+
+  const invalid = checkInput(settings, requested);
+  if (invalid) {
+    return reject(400, invalid);
+  }
+
+  const connection = await getClient();
+
+  try {
+    const ids = requested.map(request => request.activity_id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const activityResult = await connection.query(
+      `SELECT id, name, quota, min_grade, max_grade, coach_id
+       FROM activities
+       WHERE id IN (${placeholders}) AND status = 'active'`,
+      ids
+    );
+    const activitiesById = new Map(activityResult.rows.map(activity => [activity.id, activity]));
+
+    const missing = ids.filter(id => !activitiesById.has(id));
+    if (missing.length > 0) {
+      return reject(404, `Activities not found or not active: ${missing.join(', ')}`);
+    }
+
+    const venueResult = await connection.query(
+      "SELECT id, name, type, capacity FROM venues WHERE status = 'available'"
+    );
+    const instructorResult = await connection.query('SELECT id, user_id, name, status FROM instructors');
+    const instructorsById = new Map(instructorResult.rows.map(instructor => [instructor.id, instructor]));
+
+    const unknownInstructor = requested.find(request => request.instructor_id && !instructorsById.has(request.instructor_id));
+    if (unknownInstructor) {
+      return reject(404, `Instructor ${unknownInstructor.instructor_id} not found`);
+    }
+
+    // Slots of activities outside the build stay where they are during its dates
+    const fixedResult = await connection.query(
+      `SELECT asch.activity_id, asch.venue_id, asch.instructor_id, asch.day_of_week,
+              asch.start_time, asch.end_time,
+              a.id, a.name, a.min_grade, a.max_grade, a.coach_id
+       FROM activity_schedules asch
+       JOIN activities a ON asch.activity_id = a.id
+       WHERE asch.is_active = TRUE
+       AND a.status = 'active'
+       AND asch.activity_id NOT IN (${placeholders})
+       AND asch.effective_from <= ?
+       AND COALESCE(asch.effective_until, ?) >= ?`,
+      [...ids, settings.effective_until || OPEN_END, OPEN_END, settings.effective_from]
+    );
+
+    const fixed = fixedResult.rows.map(row => ({
+      activity: { id: row.id, name: row.name, min_grade: row.min_grade, max_grade: row.max_grade },
+      day: row.day_of_week,
+      start: toMinutes(row.start_time),
+      end: toMinutes(row.end_time),
+      venue_id: row.venue_id,
+      person: personKey(instructorsById.get(row.instructor_id), row.coach_id)
+    }));
+
+    const requests = requested.map(request => ({
+      ...request,
+      activity: activitiesById.get(request.activity_id),
+      instructor: request.instructor_id ? instructorsById.get(request.instructor_id) : null
+    }));
+
+    const result = buildTimetable(requests, { venues: venueResult.rows, fixed, settings });
+
+    const venueNames = new Map(venueResult.rows.map(venue => [venue.id, venue.name]));
+    const assignments = result.placements
+      .map(booking => ({
+        activity_id: booking.activity.id,
+        activity_name: booking.activity.name,
+        day_of_week: booking.day,
+        start_time: toTime(booking.start),
+        end_time: toTime(booking.end),
+        venue_id: booking.venue_id,
+        venue_name: venueNames.get(booking.venue_id),
+        instructor_id: requests[booking.index].instructor_id,
+        instructor_name: requests[booking.index].instructor?.name || null,
+        grade_overlaps: [...fixed, ...result.placements]
+          .filter(other => other.activity.id !== booking.activity.id && overlaps(booking, other))
+          .map(other => ({
+            activity_id: other.activity.id,
+            activity_name: other.activity.name,
+            shared_grades: sharedGrades(booking.activity, other.activity)
+          }))
+          .filter(other => other.shared_grades > 0)
+      }))
+      .sort((a, b) =>
+        SCHEDULE_DAYS.indexOf(a.day_of_week) - SCHEDULE_DAYS.indexOf(b.day_of_week) ||
+        a.start_time.localeCompare(b.start_time) ||
+        a.activity_name.localeCompare(b.activity_name)
+      );
+
+    const insertResult = await connection.query(
+      `INSERT INTO timetable_drafts (name, settings, requests, assignments, unplaced, overlap_score, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name || `Timetable ${settings.effective_from}`,
+        JSON.stringify(settings),
+        JSON.stringify(requested),
+        JSON.stringify(assignments),
+        JSON.stringify(result.unplaced),
+        result.overlap_score,
+        created_by ?? null
+      ]
+    );
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        message: result.unplaced.length > 0
+          ? `Draft built; ${result.unplaced.length} activities could not be fully placed`
+          : 'Draft built; every activity was placed',
+        data: {
+          id: insertResult.rows.insertId,
+          status: 'draft',
+          settings,
+          assignments,
+          unplaced: result.unplaced,
+          overlap_score: result.overlap_score
+        }
+      }
+    };
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Write an approved draft to activity_schedules
+ * The activities' current active slots are deactivated and replaced by the
+ * draft's; every new slot is checked again in case bookings changed since
+ * the draft was built, and nothing is written if any fails
+ * @param {Object} params - { draft_id, reviewed_by }
+ * @returns {Promise<Object>} { status, body }
+ */
+export const approveDraft = async ({ draft_id, reviewed_by }) => {
+  const connection = await getClient();
+  let draft;
+
+  try {
+    await connection.beginTransaction();
+
+    const draftResult = await connection.query(
+      'SELECT * FROM timetable_drafts WHERE id = ? FOR UPDATE',
+      [draft_id]
+    );
+
+    if (draftResult.rows.length === 0) {
+      await connection.rollback();
+      return reject(404, 'Timetable draft not found');
+    }
+
+    draft = draftResult.rows[0];
+
+    if (draft.status !== 'draft') {
+      await connection.rollback();
+      return reject(409, `Timetable draft is already ${draft.status}`);
+    }
+
+    if (draft.assignments.length === 0) {
+      await connection.rollback();
+      return reject(400, 'Timetable draft has no placed slots');
+    }
+
+    const activityIds = draft.requests.map(request => request.activity_id);
+
+    await connection.query(
+      `UPDATE activity_schedules SET is_active = FALSE
+       WHERE is_active = TRUE AND activity_id IN (${activityIds.map(() => '?').join(', ')})`,
+      activityIds
+    );
+
+    const problems = [];
+
+    for (const assignment of draft.assignments) {
+      const activityResult = await connection.query(
+        "SELECT id, quota FROM activities WHERE id = ? AND status = 'active'",
+        [assignment.activity_id]
+      );
+
+      if (activityResult.rows.length === 0) {
+        problems.push({ type: 'activity_inactive', message: `${assignment.activity_name} is no longer active` });
+        continue;
+      }
+
+      const slot = {
+        venue_id: assignment.venue_id,
+        instructor_id: assignment.instructor_id,
+        day_of_week: assignment.day_of_week,
+        start_time: `${assignment.start_time}:00`,
+        end_time: `${assignment.end_time}:00`,
+        recurrence_pattern: 'weekly',
+        effective_from: draft.settings.effective_from,
+        effective_until: draft.settings.effective_until
+      };
+
+      const slotProblems = await validateScheduleSlot(connection, slot, activityResult.rows[0]);
+      if (slotProblems.length > 0) {
+        problems.push(...slotProblems.map(problem => ({ ...problem, activity_id: assignment.activity_id })));
+        continue;
+      }
+
+      await connection.query(
+        `INSERT INTO activity_schedules
+         (activity_id, venue_id, instructor_id, day_of_week, start_time, end_time, session_duration,
+          recurrence_pattern, effective_from, effective_until)
+         VALUES (?, ?, ?, ?, ?, ?, TIMESTAMPDIFF(MINUTE, ?, ?), ?, ?, ?)`,
+        [
+          assignment.activity_id, slot.venue_id, slot.instructor_id, slot.day_of_week, slot.start_time, slot.end_time,
+          slot.start_time, slot.end_time, slot.recurrence_pattern, slot.effective_from, slot.effective_until
+        ]
+      );
+    }
+
+    if (problems.length > 0) {
+      await connection.rollback();
+      return reject(409, 'Bookings changed since the draft was built; build a new draft', { conflicts: problems });
+    }
+
+    for (const activity_id of activityIds) {
+      await syncScheduleSummary(connection, activity_id);
+    }
+
+    await connection.query(
+      "UPDATE timetable_drafts SET status = 'approved', reviewed_by = ?, reviewed_at = NOW() WHERE id = ?",
+      [reviewed_by ?? null, draft_id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const sessions = [];
+  for (const request of draft.requests) {
+    sessions.push({ activity_id: request.activity_id, ...await generateSessionsForActivity(request.activity_id) });
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: `Timetable approved; ${draft.assignments.length} slots written`,
+      sessions
+    }
+  };
+};
+
+/**
+ * Discard a draft that has not been approved
+ * @param {Object} params - { draft_id, reviewed_by }
+ * @returns {Promise<Object>} { status, body }
+ */
+export const discardDraft = async ({ draft_id, reviewed_by }) => {
+  const connection = await getClient();
+
+  try {
+    const result = await connection.query(
+      `UPDATE timetable_drafts SET status = 'discarded', reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ? AND status = 'draft'`,
+      [reviewed_by ?? null, draft_id]
+    );
+
+    if (result.rows.affectedRows === 0) {
+      return reject(404, 'No open timetable draft with that id');
+    }
+
+    return {
+      status: 200,
+      body: { success: true, message: 'Timetable draft discarded' }
+    };
+  } finally {
+    connection.release();
+  }
+};
+
+export default {
+  buildTimetable,
+  createDraft,
+  approveDraft,
+  discardDraft
+};
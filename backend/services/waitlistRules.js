@@ -0,0 +1,149 @@
+/**
+ * Waitlist Priority Rules
+ *
+ * Per-activity rules that give students a waitlist priority when they join:
+ * - grade_at_least: student's grade is at least rule_value (e.g. seniors first)
+ * - sibling_enrolled: a sibling (same parent) is actively enrolled in the activity
+ * - no_other_activity: student has no other active enrollment
+ * - returning_member: student completed or left this activity before
+ *
+ * A student's priority is the sum of the weights of the rules they match
+ * Promotion reads the queue by priority (highest first), then position
+ */
+
+import { ENROLLED_STATUSES_SQL } from './enrollmentStatus.js';
+
+export const RULE_TYPES = ['grade_at_least', 'sibling_enrolled', 'no_other_activity', 'returning_member'];
+
+/**
+ * Queries that return a row when the student matches the rule
+ * Each builder returns { sql, params }
+ */
+const RULE_CHECKS = {
+  grade_at_least: (student_id, activity_id, rule) => ({
+    sql: 'SELECT 1 FROM students WHERE user_id = ? AND grade >= ? LIMIT 1',
+    params: [student_id, rule.rule_value]
+  }),
+  sibling_enrolled: (student_id, activity_id) => ({
+    sql: `SELECT 1
+          FROM students s
+          JOIN students sib ON sib.parent_id = s.parent_id AND sib.user_id <> s.user_id
+          JOIN activity_enrollments ae ON ae.student_id = sib.user_id AND ae.status IN (${ENROLLED_STATUSES_SQL})
+          WHERE s.user_id = ? AND s.parent_id IS NOT NULL AND ae.activity_id = ?
+          LIMIT 1`,
+    params: [student_id, activity_id]
+  }),
+  no_other_activity: (student_id, activity_id) => ({
+    sql: `SELECT 1 FROM users u
+          WHERE u.id = ?
+          AND NOT EXISTS (
+            SELECT 1 FROM activity_enrollments ae
+            WHERE ae.student_id = u.id AND ae.status IN (${ENROLLED_STATUSES_SQL}) AND ae.activity_id <> ?
+          )`,
+    params: [student_id, activity_id]
+  }),
+  returning_member: (student_id, activity_id) => ({
+    sql: `SELECT 1 FROM activity_enrollments
+          WHERE student_id = ? AND activity_id = ? AND status IN ('completed', 'withdrawn')
+          LIMIT 1`,
+    params: [student_id, activity_id]
+  })
+};
+
+/**
+ * Get the active rules of an activity
+ * @param {Object} db - query runner ({ query } or a transaction connection)
+ * @returns {Promise<Array>} Rules ordered by weight
+ */
+export const getActivityRules = async (db, activity_id) => {
+  const result = await db.query(
+    `SELECT id, activity_id, rule_type, rule_value, weight, description
+     FROM waitlist_priority_rules
+     WHERE activity_id = ? AND is_active = TRUE
+     ORDER BY weight DESC, id ASC`,
+    [activity_id]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Work out a student's waitlist priority for an activity
+ * @param {Object} db - query runner ({ query } or a transaction connection)
+ * @param {Array} rules - Optional preloaded rules
+ * @returns {Promise<Object>} { priority, matched_rules }
+ */
+export const computeWaitlistPriority = async (db, activity_id, student_id, rules = null) => {
+  const activeRules = rules || await getActivityRules(db, activity_id);
+  const matched = [];
+
+  for (const rule of activeRules) {
+    const buildCheck = RULE_CHECKS[rule.rule_type];
+    if (!buildCheck) continue;
+
+    const { sql, params } = buildCheck(student_id, activity_id, rule);
+    const result = await db.query(sql, params);
+
+    if (result.rows.length > 0) {
+      matched.push(rule);
+    }
+  }
+
+  return {
+    priority: matched.reduce((sum, rule) => sum + parseInt(rule.weight || 0), 0),
+    matched_rules: matched.map(rule => rule.rule_type)
+  };
+};
+
+/**
+ * Replace the rule set of an activity
+ * @param {Array} rules - [{ rule_type, rule_value, weight, description }]
+ * @returns {Promise<Array>} Saved rules
+ */
+export const replaceActivityRules = async (connection, activity_id, rules) => {
+  await connection.query('DELETE FROM waitlist_priority_rules WHERE activity_id = ?', [activity_id]);
+
+  for (const rule of rules) {
+    await connection.query(
+      `INSERT INTO waitlist_priority_rules (activity_id, rule_type, rule_value, weight, description)
+       VALUES (?, ?, ?, ?, ?)`,
+      [activity_id, rule.rule_type, rule.rule_value ?? null, rule.weight ?? 1, rule.description || null]
+    );
+  }
+
+  return getActivityRules(connection, activity_id);
+};
+
+/**
+ * Validate a submitted rule set
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    return 'rules must be an array';
+  }
+
+  for (const rule of rules) {
+    if (!RULE_TYPES.includes(rule.rule_type)) {
+      return `Invalid rule_type. Must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+
+    if (rule.rule_type === 'grade_at_least' && !Number.isInteger(rule.rule_value)) {
+      return 'grade_at_least rules need an integer rule_value (the minimum grade)';
+    }
+
+    if (rule.weight !== undefined && !Number.isInteger(rule.weight)) {
+      return 'weight must be an integer';
+    }
+  }
+
+  return null;
+};
+
+export default {
+  RULE_TYPES,
+  getActivityRules,
+  computeWaitlistPriority,
+  replaceActivityRules,
+  validateRules
+};
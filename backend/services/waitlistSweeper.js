@@ -0,0 +1,41 @@
+/**
+ * Waitlist Sweeper
+ *
+ * Background job that expires unanswered waitlist offers and passes each
+ * freed seat on to the next student in the queue
+ */
+
+import { expireWaitlistOffers } from './enrollmentService.js';
+import { createSweeper } from './sweeper.js';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS || String(5 * 60 * 1000));
+
+const sweeper = createSweeper('Waitlist', SWEEP_INTERVAL_MS, async () => {
+  const expired = await expireWaitlistOffers();
+  if (expired > 0) {
+    console.log(`⏰ Expired ${expired} waitlist offer(s)`);
+  }
+  return expired;
+});
+
+/**
+ * Run one sweep (skipped if the previous one is still running)
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const sweepWaitlistOffers = sweeper.sweep;
+
+/**
+ * Start the periodic sweep
+ */
+export const startWaitlistSweeper = sweeper.start;
+
+/**
+ * Stop the periodic sweep
+ */
+export const stopWaitlistSweeper = sweeper.stop;
+
+export default {
+  sweepWaitlistOffers,
+  startWaitlistSweeper,
+  stopWaitlistSweeper
+};
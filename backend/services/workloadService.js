@@ -0,0 +1,129 @@
+/**
+ * Workload Service
+ *
+ * Weekly teaching load per instructor/coach, from active schedules of active activities:
+ * - weekly_hours: contact hours per week (biweekly slots count half)
+ * - activity_count: activities they coach (activities.coach_id) or teach a slot of
+ * - student_count: distinct students actively enrolled in those activities
+ * Loads above INSTRUCTOR_MAX_WEEKLY_HOURS are flagged over_limit.
+ *
+ * A person is matched by user account where one exists (instructors.user_id,
+ * activities.coach_id), so a coach's own activities and the slots they teach
+ * as an instructor add up to one workload.
+ */
+
+import { query } from '../config/database.js';
+
+export const MAX_WEEKLY_HOURS = parseFloat(process.env.INSTRUCTOR_MAX_WEEKLY_HOURS || '20');
+
+// Sessions per week for each recurrence_pattern
+const SESSIONS_PER_WEEK = {
+  weekly: 1,
+  biweekly: 0.5
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Workloads of every instructor and coach
+ * @returns {Promise<Array>} [{ instructor_id, user_id, name, weekly_hours, activity_count, student_count, max_weekly_hours, over_limit }]
+ */
+export const getWorkloads = async () => {
+  const [instructorsResult, coachesResult, schedulesResult, enrollmentsResult] = await Promise.all([
+    query('SELECT id, user_id, name FROM instructors'),
+    query(
+      `SELECT a.id as activity_id, u.id as user_id, CONCAT(u.first_name, ' ', u.last_name) as name
+       FROM activities a
+       JOIN users u ON a.coach_id = u.id
+       WHERE a.status = 'active'`
+    ),
+    query(
+      `SELECT asch.activity_id, asch.instructor_id, a.coach_id, asch.start_time, asch.end_time, asch.recurrence_pattern
+       FROM activity_schedules asch
+       JOIN activities a ON asch.activity_id = a.id
+       WHERE asch.is_active = TRUE
+       AND a.status = 'active'
+       AND asch.effective_from <= CURDATE()
+       AND (asch.effective_until IS NULL OR asch.effective_until >= CURDATE())`
+    ),
+    query(
+      `SELECT ae.activity_id, ae.student_id
+       FROM activity_enrollments ae
+       JOIN activities a ON ae.activity_id = a.id
+       WHERE ae.status = 'active' AND a.status = 'active'`
+    )
+  ]);
+
+  const people = new Map();
+  const instructorKeys = new Map();
+
+  const person = (key, fields) => {
+    if (!people.has(key)) {
+      people.set(key, { instructor_id: null, user_id: null, name: null, minutes: 0, activities: new Set(), ...fields });
+    }
+    return people.get(key);
+  };
+
+  for (const instructor of instructorsResult.rows) {
+    const key = instructor.user_id ? `u${instructor.user_id}` : `i${instructor.id}`;
+    person(key, { instructor_id: instructor.id, user_id: instructor.user_id, name: instructor.name });
+    instructorKeys.set(instructor.id, key);
+  }
+
+  // Activities a coach is in charge of count even before they have slots
+  for (const coach of coachesResult.rows) {
+    const entry = person(`u${coach.user_id}`, { user_id: coach.user_id, name: coach.name });
+    entry.activities.add(coach.activity_id);
+  }
+
+  for (const schedule of schedulesResult.rows) {
+    // A slot without its own instructor is taught by the activity's coach
+    const key = schedule.instructor_id
+      ? instructorKeys.get(schedule.instructor_id)
+      : schedule.coach_id ? `u${schedule.coach_id}` : null;
+    if (!key || !people.has(key)) continue;
+
+    const entry = people.get(key);
+    const perWeek = SESSIONS_PER_WEEK[schedule.recurrence_pattern] ?? 1;
+    entry.minutes += (toMinutes(schedule.end_time) - toMinutes(schedule.start_time)) * perWeek;
+    entry.activities.add(schedule.activity_id);
+  }
+
+  const studentsByActivity = new Map();
+  for (const enrollment of enrollmentsResult.rows) {
+    if (!studentsByActivity.has(enrollment.activity_id)) {
+      studentsByActivity.set(enrollment.activity_id, []);
+    }
+    studentsByActivity.get(enrollment.activity_id).push(enrollment.student_id);
+  }
+
+  return [...people.values()]
+    .map(entry => {
+      const students = new Set();
+      for (const activity_id of entry.activities) {
+        for (const student_id of studentsByActivity.get(activity_id) || []) students.add(student_id);
+      }
+
+      const weekly_hours = Math.round(entry.minutes / 60 * 10) / 10;
+
+      return {
+        instructor_id: entry.instructor_id,
+        user_id: entry.user_id,
+        name: entry.name,
+        weekly_hours,
+        activity_count: entry.activities.size,
+        student_count: students.size,
+        max_weekly_hours: MAX_WEEKLY_HOURS,
+        over_limit: weekly_hours > MAX_WEEKLY_HOURS
+      };
+    })
+    .sort((a, b) => b.weekly_hours - a.weekly_hours || (a.name || '').localeCompare(b.name || ''));
+};
+
+export default {
+  MAX_WEEKLY_HOURS,
+  getWorkloads
+};
@@ -1,17 +1,29 @@
 /**
  * Extra-Curricular Activity Module - Main App
  * 
- * Development Mode: Easy role switching for testing
+ * The signed-in user comes from AuthProvider (backend session)
+ * A session check-in QR code opens the app with ?checkin=<token>
+ * Development Mode: role switching is enabled with VITE_DEV_ROLE_SWITCHER=true
  */
 
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { useAuth } from './components/auth/AuthContext';
+import { useToast } from './components/common/ToastContainer';
+import Login from './components/auth/Login';
+import ChangePasswordForm from './components/auth/ChangePasswordForm';
 import Layout from './components/layout/Layout';
 import StudentDashboard from './components/student/StudentDashboard';
+import SelfCheckIn from './components/student/SelfCheckIn';
 import CoachDashboard from './components/coach/CoachDashboard';
 import AdminDashboard from './components/admin/AdminDashboard';
+import ParentDashboard from './components/parent/ParentDashboard';
 import ProfilePage from './components/common/ProfilePage';
 import CalendarView from './components/common/CalendarView';
 
+const getCheckInToken = () => new URLSearchParams(window.location.search).get('checkin');
+
+const DEV_ROLE_SWITCHER = import.meta.env.DEV && import.meta.env.VITE_DEV_ROLE_SWITCHER === 'true';
+
 function App() {
   // Available coaches in the system
   const availableCoaches = [
@@ -30,97 +42,51 @@ function App() {
     { id: 1005, name: 'Evan Taylor', email: 'evan.taylor@school.edu' }
   ];
 
-  // Initialize user from localStorage or use default
-  const [user, setUser] = useState(() => {
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      try {
-        return JSON.parse(storedUser);
-      } catch (error) {
-        console.error('Error parsing stored user:', error);
-      }
-    }
-    return {
-      id: 1001,
-      name: 'Test Student',
-      email: 'student@school.edu',
-      role: 'student'
-    };
-  });
+  const { user, loading, devLogin, logout, updateUser } = useAuth();
+  const toast = useToast();
 
   const [currentView, setCurrentView] = useState(() => {
     return localStorage.getItem('currentView') || 'dashboard';
   });
 
-  // Load saved role and coach on mount
-  useEffect(() => {
-    const savedRole = localStorage.getItem('devRole');
-    const savedCoachId = localStorage.getItem('selectedCoachId');
-    const storedUser = localStorage.getItem('user');
-    
-    // Only apply role change if there's no stored user data or if explicitly needed
-    if (savedRole && !storedUser) {
-      handleRoleChange(savedRole, savedCoachId);
-    }
-  }, []);
-
-  const handleRoleChange = (newRole, coachId = null, studentId = null) => {
-    let roleData;
-    
-    if (newRole === 'teacher') {
-      const coach = coachId 
-        ? availableCoaches.find(c => c.id === parseInt(coachId)) || availableCoaches[0]
-        : availableCoaches[0];
-      roleData = { ...coach };
-    } else if (newRole === 'student') {
-      const student = studentId
-        ? availableStudents.find(s => s.id === parseInt(studentId)) || availableStudents[0]
-        : availableStudents[0];
-      roleData = { ...student };
-    } else {
-      const defaultRoles = {
-        admin: { id: 1, name: 'Admin User', email: 'admin@school.edu' }
-      };
-      roleData = defaultRoles[newRole];
+  // Kept in the address bar through sign-in, dropped once the check-in is done
+  const [checkInToken, setCheckInToken] = useState(getCheckInToken);
+
+  const finishCheckIn = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setCheckInToken(null);
+  };
+
+  // Dev role switching signs in as a seeded account through /api/auth/mock-login
+  const switchDevUser = async (role, userId = null) => {
+    try {
+      await devLogin(role, userId);
+      return true;
+    } catch (error) {
+      console.error('Error switching user:', error);
+      toast.error(error.message || 'Failed to switch user');
+      return false;
     }
-    
-    const newUser = {
-      ...roleData,
-      role: newRole
+  };
+
+  const handleRoleChange = async (newRole) => {
+    const defaultIds = {
+      teacher: availableCoaches[0].id,
+      student: availableStudents[0].id
     };
-    
-    setUser(newUser);
-    
-    setCurrentView('dashboard');
-    localStorage.setItem('currentView', 'dashboard');
-    localStorage.setItem('devRole', newRole);
-    localStorage.setItem('user', JSON.stringify(newUser));
+
+    if (await switchDevUser(newRole, defaultIds[newRole] || null)) {
+      setCurrentView('dashboard');
+      localStorage.setItem('currentView', 'dashboard');
+    }
   };
 
   const handleCoachChange = (coachId) => {
-    const coach = availableCoaches.find(c => c.id === parseInt(coachId));
-    if (coach) {
-      const newUser = {
-        ...coach,
-        role: 'teacher'
-      };
-      setUser(newUser);
-      localStorage.setItem('selectedCoachId', coachId);
-      localStorage.setItem('user', JSON.stringify(newUser));
-    }
+    switchDevUser('teacher', parseInt(coachId));
   };
 
   const handleStudentChange = (studentId) => {
-    const student = availableStudents.find(s => s.id === parseInt(studentId));
-    if (student) {
-      const newUser = {
-        ...student,
-        role: 'student'
-      };
-      setUser(newUser);
-      localStorage.setItem('selectedStudentId', studentId);
-      localStorage.setItem('user', JSON.stringify(newUser));
-    }
+    switchDevUser('student', parseInt(studentId));
   };
 
   const handleNavigate = (view) => {
@@ -128,22 +94,32 @@ function App() {
     localStorage.setItem('currentView', view);
   };
 
-  const handleUpdateUser = (updatedUser) => {
-    setUser(updatedUser);
-    // Update localStorage if user data is stored there
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      localStorage.setItem('user', JSON.stringify(updatedUser));
-    }
-  };
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login />;
+  }
+
+  if (user.must_change_password) {
+    return <ChangePasswordForm />;
+  }
 
   // Render content based on current view
   const renderContent = () => {
+    if (checkInToken && user.role === 'student') {
+      return <SelfCheckIn token={checkInToken} onDone={finishCheckIn} />;
+    }
     if (currentView === 'profile') {
-      return <ProfilePage user={user} onUpdateUser={handleUpdateUser} />;
+      return <ProfilePage user={user} onUpdateUser={updateUser} />;
     }
     if (currentView === 'calendar') {
-      return <CalendarView />;
+      return <CalendarView canManage={user.role === 'admin'} />;
     }
 
     // Default: render dashboard based on role
@@ -154,6 +130,8 @@ function App() {
         return <CoachDashboard coachName={user.name} />;
       case 'student':
         return <StudentDashboard studentId={user.id} studentName={user.name} />;
+      case 'parent':
+        return <ParentDashboard parentName={user.name} />;
       default:
         return (
           <div className="bg-white rounded-xl shadow-md p-8 text-center">
@@ -167,10 +145,12 @@ function App() {
   return (
     <Layout 
       user={user} 
-      onRoleChange={handleRoleChange}
-      onCoachChange={handleCoachChange}
+      onLogout={logout}
+      devMode={DEV_ROLE_SWITCHER}
+      onRoleChange={DEV_ROLE_SWITCHER ? handleRoleChange : null}
+      onCoachChange={DEV_ROLE_SWITCHER ? handleCoachChange : null}
       availableCoaches={availableCoaches}
-      onStudentChange={handleStudentChange}
+      onStudentChange={DEV_ROLE_SWITCHER ? handleStudentChange : null}
       availableStudents={availableStudents}
       onNavigate={handleNavigate}
       currentView={currentView}
@@ -5,8 +5,9 @@
  */
 
 import { useState, useEffect } from 'react';
-import { createActivity, updateActivity, getAllUsers } from '../../services/api';
+import { createActivity, updateActivity, getAllUsers, getInstructorWorkloads } from '../../services/api';
 import { useToast } from '../common/ToastContainer';
+import ScheduleSlotEditor from './ScheduleSlotEditor';
 
 const ActivityForm = ({ onActivityCreated, editActivity = null, onCancel = null, activity = null }) => {
   const toast = useToast();
@@ -15,6 +16,7 @@ const ActivityForm = ({ onActivityCreated, editActivity = null, onCancel = null,
   const [coachSearch, setCoachSearch] = useState('');
   const [showCoachSuggestions, setShowCoachSuggestions] = useState(false);
   const [selectedCoachName, setSelectedCoachName] = useState('');
+  const [workloads, setWorkloads] = useState({});
   const [formData, setFormData] = useState({
     name: '',
     category: '',
@@ -49,6 +51,21 @@ const ActivityForm = ({ onActivityCreated, editActivity = null, onCancel = null,
     fetchCoaches();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Load coach workloads (weekly hours, activities, students) keyed by user id
+  useEffect(() => {
+    const fetchWorkloads = async () => {
+      try {
+        const response = await getInstructorWorkloads();
+        setWorkloads(Object.fromEntries(
+          (response.data || []).filter(w => w.user_id).map(w => [w.user_id, w])
+        ));
+      } catch (err) {
+        console.error('Failed to load coach workloads:', err);
+      }
+    };
+    fetchWorkloads();
+  }, []);
+
   // Close suggestions when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -345,10 +362,33 @@ const ActivityForm = ({ onActivityCreated, editActivity = null, onCancel = null,
                       {coach.specialization && (
                         <div className="text-xs text-gray-500">{coach.specialization}</div>
                       )}
+                      {workloads[coach.id] && (
+                        <div className={`text-xs ${workloads[coach.id].over_limit ? 'text-amber-600 font-medium' : 'text-gray-500'}`}>
+                          {workloads[coach.id].weekly_hours} h/week · {workloads[coach.id].activity_count} activities
+                        </div>
+                      )}
                     </div>
                   ))}
               </div>
             )}
+
+            {/* Workload of the selected coach */}
+            {formData.coach_id && workloads[formData.coach_id] && (() => {
+              const workload = workloads[formData.coach_id];
+              return (
+                <div className={`mt-2 p-3 rounded-lg border text-sm ${
+                  workload.over_limit ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-gray-50 border-gray-200 text-gray-700'
+                }`}>
+                  <div>
+                    <strong>{workload.weekly_hours}</strong> of {workload.max_weekly_hours} weekly hours ·{' '}
+                    <strong>{workload.activity_count}</strong> activities · <strong>{workload.student_count}</strong> students
+                  </div>
+                  {workload.over_limit && (
+                    <div className="mt-1 font-medium">Already over the weekly limit; consider another coach.</div>
+                  )}
+                </div>
+              );
+            })()}
           </div>
 
           <div>
@@ -444,6 +484,18 @@ const ActivityForm = ({ onActivityCreated, editActivity = null, onCancel = null,
           </button>
         </div>
       </form>
+
+      {/* Weekly slots live on the saved activity, so they are edited once it exists */}
+      {(activity || editActivity) ? (
+        <ScheduleSlotEditor
+          activityId={(activity || editActivity).id}
+          onScheduleChange={(schedule) => setFormData(prev => ({ ...prev, schedule }))}
+        />
+      ) : (
+        <p className="mt-4 text-sm text-gray-500">
+          Save the activity first to add its weekly schedule slots.
+        </p>
+      )}
     </div>
   );
 };
@@ -0,0 +1,370 @@
+/**
+ * Schedule Slot Editor Component
+ *
+ * Weekly timetable of an activity (Admin): add, edit and deactivate day/time
+ * slots. While a slot is being edited its conflicts are previewed live —
+ * venue and instructor double-bookings block saving, enrolled students who
+ * already have another activity at that time are shown as a warning.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiClock, FiMapPin, FiUser, FiEdit2, FiXCircle, FiPlus, FiAlertTriangle } from 'react-icons/fi';
+import {
+  getActivitySchedules,
+  checkActivitySchedule,
+  createActivitySchedule,
+  updateActivitySchedule,
+  deactivateActivitySchedule,
+  getVenues,
+  getInstructors
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const EMPTY_SLOT = {
+  day_of_week: 'monday',
+  start_time: '',
+  end_time: '',
+  venue_id: '',
+  instructor_id: '',
+  recurrence_pattern: 'weekly',
+  effective_from: '',
+  effective_until: ''
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+const ScheduleSlotEditor = ({ activityId, onScheduleChange }) => {
+  const [slots, setSlots] = useState([]);
+  const [venues, setVenues] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null, 'new' or a slot id
+  const [slotData, setSlotData] = useState(EMPTY_SLOT);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deactivateDialog, setDeactivateDialog] = useState({ isOpen: false, slot: null });
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchSlots();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [venueResponse, instructorResponse] = await Promise.all([getVenues(), getInstructors()]);
+        setVenues(venueResponse.data || []);
+        setInstructors(instructorResponse.data || []);
+      } catch (err) {
+        console.error('Failed to load venues/instructors:', err);
+      }
+    };
+    fetchOptions();
+  }, []);
+
+  // Live conflict preview, debounced while the admin types
+  useEffect(() => {
+    if (!editing || !slotData.start_time || !slotData.end_time) {
+      setPreview(null);
+      setPreviewError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await checkActivitySchedule(activityId, {
+          ...slotData,
+          schedule_id: editing === 'new' ? null : editing
+        });
+        if (!cancelled) {
+          setPreview(response.data);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview(null);
+          setPreviewError(err.message);
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activityId, editing, slotData]);
+
+  const fetchSlots = async () => {
+    try {
+      setLoading(true);
+      const response = await getActivitySchedules(activityId);
+      setSlots(response.data || []);
+    } catch (err) {
+      console.error('Failed to load schedule slots:', err);
+      toast.error('Failed to load schedule slots');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditing('new');
+    setSlotData(EMPTY_SLOT);
+  };
+
+  const handleEdit = (slot) => {
+    setEditing(slot.id);
+    setSlotData({
+      day_of_week: slot.day_of_week,
+      start_time: formatTime(slot.start_time),
+      end_time: formatTime(slot.end_time),
+      venue_id: slot.venue_id || '',
+      instructor_id: slot.instructor_id || '',
+      recurrence_pattern: slot.recurrence_pattern || 'weekly',
+      effective_from: slot.effective_from || '',
+      effective_until: slot.effective_until || ''
+    });
+  };
+
+  const handleClose = () => {
+    setEditing(null);
+    setSlotData(EMPTY_SLOT);
+    setPreview(null);
+    setPreviewError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSlotData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = editing === 'new'
+        ? await createActivitySchedule(activityId, slotData)
+        : await updateActivitySchedule(activityId, editing, slotData);
+
+      toast.success(response.message || 'Schedule slot saved');
+      if (response.data?.schedule) onScheduleChange?.(response.data.schedule);
+      handleClose();
+      fetchSlots();
+    } catch (err) {
+      console.error('Failed to save schedule slot:', err);
+      if (err.data?.conflicts) {
+        setPreview({ can_save: false, problems: err.data.conflicts, student_overlaps: preview?.student_overlaps || [] });
+      }
+      toast.error(err.message || 'Failed to save schedule slot');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async () => {
+    const { slot } = deactivateDialog;
+    setDeactivateDialog({ isOpen: false, slot: null });
+
+    try {
+      const response = await deactivateActivitySchedule(activityId, slot.id);
+      toast.success(response.message || 'Schedule slot deactivated');
+      if (response.data?.schedule) onScheduleChange?.(response.data.schedule);
+      if (editing === slot.id) handleClose();
+      fetchSlots();
+    } catch (err) {
+      console.error('Failed to deactivate schedule slot:', err);
+      toast.error(err.message || 'Failed to deactivate schedule slot');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Weekly Schedule</h3>
+          <p className="text-sm text-gray-600">Sessions are generated from the active slots</p>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={handleAdd}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <FiPlus /> Add Slot
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500 text-sm">Loading slots...</p>
+      ) : slots.length === 0 ? (
+        <p className="text-gray-500 text-sm">No slots yet. Add one to start generating sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 mb-4">
+          {slots.map(slot => (
+            <li
+              key={slot.id}
+              className={`flex flex-wrap items-center justify-between gap-3 py-3 ${slot.is_active ? '' : 'opacity-50'} ${editing === slot.id ? 'bg-blue-50 -mx-2 px-2 rounded' : ''}`}
+            >
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                <span className="font-medium text-gray-900 w-24">{capitalize(slot.day_of_week)}</span>
+                <span className="flex items-center gap-1">
+                  <FiClock /> {formatTime(slot.start_time)}–{formatTime(slot.end_time)}
+                  {slot.recurrence_pattern === 'biweekly' && <span className="text-gray-500">(every other week)</span>}
+                </span>
+                {slot.venue_name && <span className="flex items-center gap-1"><FiMapPin /> {slot.venue_name}</span>}
+                {slot.instructor_name && <span className="flex items-center gap-1"><FiUser /> {slot.instructor_name}</span>}
+                {slot.effective_until && <span className="text-gray-500">until {slot.effective_until}</span>}
+                {!slot.is_active && <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Inactive</span>}
+              </div>
+              {slot.is_active && !editing && (
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => handleEdit(slot)}
+                    className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                    title="Edit slot"
+                  >
+                    <FiEdit2 />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDeactivateDialog({ isOpen: true, slot })}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Deactivate slot"
+                  >
+                    <FiXCircle />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editing && (
+        <div className="border border-gray-200 rounded-lg p-4">
+          <h4 className="font-semibold text-gray-900 mb-3">{editing === 'new' ? 'New Slot' : 'Edit Slot'}</h4>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+              <select name="day_of_week" value={slotData.day_of_week} onChange={handleChange} className={inputClass}>
+                {DAYS.map(day => <option key={day} value={day}>{capitalize(day)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+              <input type="time" name="start_time" value={slotData.start_time} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+              <input type="time" name="end_time" value={slotData.end_time} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+              <select name="recurrence_pattern" value={slotData.recurrence_pattern} onChange={handleChange} className={inputClass}>
+                <option value="weekly">Every week</option>
+                <option value="biweekly">Every other week</option>
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Venue</label>
+              <select name="venue_id" value={slotData.venue_id} onChange={handleChange} className={inputClass}>
+                <option value="">No venue</option>
+                {venues.map(venue => (
+                  <option key={venue.id} value={venue.id}>
+                    {venue.name} ({venue.capacity}){venue.status !== 'available' ? ` – ${venue.status}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Instructor</label>
+              <select name="instructor_id" value={slotData.instructor_id} onChange={handleChange} className={inputClass}>
+                <option value="">Activity coach</option>
+                {instructors.map(instructor => (
+                  <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts on</label>
+              <input type="date" name="effective_from" value={slotData.effective_from} onChange={handleChange} className={inputClass} />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends on (optional)</label>
+              <input type="date" name="effective_until" value={slotData.effective_until} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          {/* Conflict preview */}
+          {previewError && (
+            <p className="mt-3 text-sm text-red-700">{previewError}</p>
+          )}
+          {preview && preview.problems.length > 0 && (
+            <ul className="mt-3 space-y-1 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+              {preview.problems.map((problem, index) => (
+                <li key={index}>{problem.message}</li>
+              ))}
+            </ul>
+          )}
+          {preview && preview.student_overlaps.length > 0 && (
+            <div className="mt-3 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+              <p className="flex items-center gap-2 font-medium mb-1">
+                <FiAlertTriangle /> Enrolled students already have another activity at this time
+              </p>
+              <ul className="space-y-1">
+                {preview.student_overlaps.map((overlap, index) => (
+                  <li key={index}>
+                    {overlap.student_count} in {overlap.activity_name} ({formatTime(overlap.start_time)}–{formatTime(overlap.end_time)})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {preview && preview.can_save && preview.student_overlaps.length === 0 && (
+            <p className="mt-3 text-sm text-green-700">No conflicts</p>
+          )}
+
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || !slotData.start_time || !slotData.end_time || (preview && !preview.can_save)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-blue-400"
+            >
+              {saving ? 'Saving...' : 'Save Slot'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={deactivateDialog.isOpen}
+        title="Deactivate Slot"
+        message="Upcoming sessions generated from this slot will be removed. The slot is kept in the history."
+        onConfirm={handleDeactivate}
+        onCancel={() => setDeactivateDialog({ isOpen: false, slot: null })}
+        confirmText="Deactivate"
+      />
+    </div>
+  );
+};
+
+export default ScheduleSlotEditor;
@@ -8,6 +8,8 @@ import { useState } from 'react';
 import ManageActivitiesPage from './ManageActivitiesPage';
 import ReportsPage from './ReportsPage';
 import UserManagementPage from './UserManagementPage';
+import VenueManagementPage from './VenueManagementPage';
+import TimetableBuilderPage from './TimetableBuilderPage';
 import CalendarView from '../common/CalendarView';
 
 const AdminDashboard = () => {
@@ -43,6 +45,26 @@ const AdminDashboard = () => {
         >
           User Management
         </button>
+        <button
+          className={`flex-1 min-w-[120px] px-4 py-3 font-semibold rounded-lg transition ${
+            activeTab === 'venues'
+              ? 'bg-indigo-600 text-white shadow-md'
+              : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setActiveTab('venues')}
+        >
+          Venues
+        </button>
+        <button
+          className={`flex-1 min-w-[120px] px-4 py-3 font-semibold rounded-lg transition ${
+            activeTab === 'timetable'
+              ? 'bg-indigo-600 text-white shadow-md'
+              : 'text-gray-700 hover:bg-gray-100'
+          }`}
+          onClick={() => setActiveTab('timetable')}
+        >
+          Timetable
+        </button>
         <button
           className={`flex-1 min-w-[120px] px-4 py-3 font-semibold rounded-lg transition ${
             activeTab === 'calendar'
@@ -68,7 +90,9 @@ const AdminDashboard = () => {
       {/* Tab Content */}
       {activeTab === 'manage' && <ManageActivitiesPage />}
       {activeTab === 'users' && <UserManagementPage />}
-      {activeTab === 'calendar' && <CalendarView />}
+      {activeTab === 'venues' && <VenueManagementPage />}
+      {activeTab === 'timetable' && <TimetableBuilderPage />}
+      {activeTab === 'calendar' && <CalendarView canManage />}
       {activeTab === 'reports' && <ReportsPage />}
     </div>
   );
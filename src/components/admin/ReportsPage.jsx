@@ -5,14 +5,15 @@
  */
 
 import { useState, useEffect } from 'react';
-import { getAllActivities } from '../../services/api';
+import { getAllActivities, getAttendanceAlerts } from '../../services/api';
 import { useToast } from '../common/ToastContainer';
-import { FiUsers, FiDownload } from 'react-icons/fi';
+import { FiUsers, FiDownload, FiAlertTriangle } from 'react-icons/fi';
 
 const ReportsPage = () => {
   const [activities, setActivities] = useState([]);
   const [studentPerformance, setStudentPerformance] = useState([]);
   const [attendanceStats, setAttendanceStats] = useState([]);
+  const [attendanceAlerts, setAttendanceAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeReport, setActiveReport] = useState('participation');
   const toast = useToast();
@@ -35,6 +36,9 @@ const ReportsPage = () => {
       setStudentPerformance([]);
       setAttendanceStats([]);
 
+      const alertsResponse = await getAttendanceAlerts();
+      setAttendanceAlerts(alertsResponse.data || []);
+
     } catch {
       toast.error('Failed to load reports');
     } finally {
@@ -158,7 +162,8 @@ const ReportsPage = () => {
           { key: 'participation', label: 'Participation Count' },
           { key: 'performance', label: 'Student Performance' },
           { key: 'active', label: 'Most Active Students' },
-          { key: 'attendance', label: 'Attendance Stats' }
+          { key: 'attendance', label: 'Attendance Stats' },
+          { key: 'at-risk', label: `At-Risk Students (${new Set(attendanceAlerts.map(alert => alert.student_id)).size})` }
         ].map(tab => (
           <button
             key={tab.key}
@@ -433,6 +438,65 @@ const ReportsPage = () => {
           )}
         </div>
       )}
+
+      {/* At-Risk Students Report */}
+      {activeReport === 'at-risk' && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-gray-900">At-Risk Students</h3>
+            <button
+              onClick={() => exportToCSV(attendanceAlerts.map(alert => ({
+                student: alert.student_name,
+                activity: alert.activity_name,
+                alert: alert.message,
+                since: new Date(alert.raised_at).toLocaleDateString()
+              })), 'at_risk_students')}
+              className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition"
+            >
+              <FiDownload className="text-lg" />
+              Export CSV
+            </button>
+          </div>
+          {attendanceAlerts.length === 0 ? (
+            <div className="text-center py-12 bg-gray-50 rounded-lg">
+              <FiAlertTriangle className="w-12 h-12 mx-auto mb-4 text-gray-400" />
+              <p className="text-gray-600 text-lg">No students at risk</p>
+              <p className="text-gray-500 text-sm mt-2">Students are flagged here after repeated absences or lateness</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Activity</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Alert</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Since</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {attendanceAlerts.map(alert => (
+                    <tr key={alert.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                        {alert.student_name || `Student ${alert.student_id}`}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{alert.activity_name}</td>
+                      <td className="px-6 py-4 text-sm">
+                        <span className="px-2 py-1 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
+                          {alert.message}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {new Date(alert.raised_at).toLocaleDateString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
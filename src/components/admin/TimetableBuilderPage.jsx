@@ -0,0 +1,441 @@
+/**
+ * Timetable Builder Page
+ * Admin page to build a conflict-free weekly timetable for many activities at
+ * once, review the draft and approve it into the activities' schedules
+ */
+
+import { useState, useEffect } from 'react';
+import { FiGrid, FiCheck, FiX, FiAlertTriangle, FiClock } from 'react-icons/fi';
+import {
+  getAllActivities,
+  getVenues,
+  getInstructors,
+  getTimetableDrafts,
+  getTimetableDraft,
+  buildTimetableDraft,
+  approveTimetableDraft,
+  discardTimetableDraft
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const WEEKDAYS = DAYS.slice(0, 5);
+
+const DEFAULT_SETTINGS = {
+  name: '',
+  day_start: '15:00',
+  day_end: '18:00',
+  slot_minutes: 30,
+  effective_from: '',
+  effective_until: ''
+};
+
+const DEFAULT_REQUEST = {
+  frequency: 1,
+  allowed_days: WEEKDAYS,
+  venue_type: '',
+  instructor_id: '',
+  duration_minutes: 60
+};
+
+const UNPLACED_REASONS = {
+  no_venue: 'No available venue of that type is large enough for the quota',
+  too_few_days: 'Fewer allowed days than meetings per week',
+  no_time: 'The meeting does not fit in the daily window',
+  instructor_inactive: 'The instructor is not active',
+  no_free_slot: 'Every matching venue or the instructor is already booked'
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-blue-100 text-blue-800',
+  approved: 'bg-green-100 text-green-800',
+  discarded: 'bg-gray-100 text-gray-600'
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const TimetableBuilderPage = () => {
+  const [activities, setActivities] = useState([]);
+  const [venueTypes, setVenueTypes] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [requests, setRequests] = useState({}); // activity id -> requirements
+  const [drafts, setDrafts] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [building, setBuilding] = useState(false);
+  const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, action: null });
+  const toast = useToast();
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [activityResponse, venueResponse, instructorResponse] = await Promise.all([
+          getAllActivities(),
+          getVenues(),
+          getInstructors()
+        ]);
+        setActivities(activityResponse.data || activityResponse || []);
+        setVenueTypes([...new Set((venueResponse.data || []).map(venue => venue.type).filter(Boolean))].sort());
+        setInstructors(instructorResponse.data || []);
+      } catch {
+        toast.error('Failed to load activities and venues');
+      }
+    };
+    fetchOptions();
+    fetchDrafts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchDrafts = async () => {
+    try {
+      const response = await getTimetableDrafts();
+      setDrafts(response.data || []);
+    } catch {
+      toast.error('Failed to load timetable drafts');
+    }
+  };
+
+  const openDraft = async (draftId) => {
+    try {
+      const response = await getTimetableDraft(draftId);
+      setDraft(response.data);
+      setConflicts([]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load draft');
+    }
+  };
+
+  const toggleActivity = (activityId) => {
+    setRequests(prev => {
+      const next = { ...prev };
+      if (next[activityId]) delete next[activityId];
+      else next[activityId] = { ...DEFAULT_REQUEST };
+      return next;
+    });
+  };
+
+  const updateRequest = (activityId, field, value) => {
+    setRequests(prev => ({ ...prev, [activityId]: { ...prev[activityId], [field]: value } }));
+  };
+
+  const toggleDay = (activityId, day) => {
+    const days = requests[activityId].allowed_days;
+    updateRequest(
+      activityId,
+      'allowed_days',
+      days.includes(day) ? days.filter(d => d !== day) : DAYS.filter(d => d === day || days.includes(d))
+    );
+  };
+
+  const handleSettingsChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleBuild = async () => {
+    try {
+      setBuilding(true);
+      const response = await buildTimetableDraft({
+        ...settings,
+        activities: Object.entries(requests).map(([activityId, request]) => ({
+          activity_id: Number(activityId),
+          ...request,
+          venue_type: request.venue_type || null,
+          instructor_id: request.instructor_id || null
+        }))
+      });
+      toast.success(response.message);
+      setDraft(response.data);
+      setConflicts([]);
+      fetchDrafts();
+    } catch (error) {
+      toast.error(error.message || 'Failed to build timetable');
+    } finally {
+      setBuilding(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    const { action } = confirmDialog;
+    setConfirmDialog({ isOpen: false, action: null });
+
+    try {
+      const response = action === 'approve'
+        ? await approveTimetableDraft(draft.id)
+        : await discardTimetableDraft(draft.id);
+      toast.success(response.message);
+      openDraft(draft.id);
+      fetchDrafts();
+    } catch (error) {
+      setConflicts(error.data?.conflicts || []);
+      toast.error(error.message || 'Operation failed');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const selectedCount = Object.keys(requests).length;
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Timetable Builder</h2>
+        <p className="text-gray-600 mt-1">
+          Places activities so no venue or instructor is double-booked, keeping activities for the same grades apart.
+          Nothing is scheduled until you approve the draft.
+        </p>
+      </div>
+
+      {/* Settings */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Settings</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Draft name</label>
+            <input type="text" name="name" value={settings.name} onChange={handleSettingsChange} placeholder="e.g., Term 2 timetable" className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Earliest start</label>
+            <input type="time" name="day_start" value={settings.day_start} onChange={handleSettingsChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Latest end</label>
+            <input type="time" name="day_end" value={settings.day_end} onChange={handleSettingsChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start times every (minutes)</label>
+            <input type="number" name="slot_minutes" min="5" max="120" value={settings.slot_minutes} onChange={handleSettingsChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Starts on</label>
+            <input type="date" name="effective_from" value={settings.effective_from} onChange={handleSettingsChange} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ends on (optional)</label>
+            <input type="date" name="effective_until" value={settings.effective_until} onChange={handleSettingsChange} className={inputClass} />
+          </div>
+        </div>
+      </div>
+
+      {/* Activity requirements */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Activities ({selectedCount} selected)</h3>
+          <button
+            onClick={handleBuild}
+            disabled={building || selectedCount === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-blue-400"
+          >
+            <FiGrid className="w-4 h-4" />
+            {building ? 'Building...' : 'Build Draft'}
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Selected activities lose their current weekly slots when the draft is approved. Other activities keep theirs and are built around.
+        </p>
+
+        <ul className="divide-y divide-gray-100">
+          {activities.map(activity => {
+            const request = requests[activity.id];
+            return (
+              <li key={activity.id} className="py-3">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input type="checkbox" checked={Boolean(request)} onChange={() => toggleActivity(activity.id)} className="w-4 h-4" />
+                  <span className="font-medium text-gray-900">{activity.name}</span>
+                  {activity.schedule && <span className="text-sm text-gray-500">{activity.schedule}</span>}
+                </label>
+                {request && (
+                  <div className="mt-3 ml-7 grid grid-cols-1 md:grid-cols-5 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Meetings / week</label>
+                      <input type="number" min="1" max="7" value={request.frequency} onChange={(e) => updateRequest(activity.id, 'frequency', e.target.value)} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Minutes each</label>
+                      <input type="number" min="15" max="240" step="15" value={request.duration_minutes} onChange={(e) => updateRequest(activity.id, 'duration_minutes', e.target.value)} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Venue type</label>
+                      <select value={request.venue_type} onChange={(e) => updateRequest(activity.id, 'venue_type', e.target.value)} className={inputClass}>
+                        <option value="">Any</option>
+                        {venueTypes.map(type => <option key={type} value={type}>{capitalize(type)}</option>)}
+                      </select>
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Instructor</label>
+                      <select value={request.instructor_id} onChange={(e) => updateRequest(activity.id, 'instructor_id', e.target.value)} className={inputClass}>
+                        <option value="">Activity coach</option>
+                        {instructors.map(instructor => <option key={instructor.id} value={instructor.id}>{instructor.name}</option>)}
+                      </select>
+                    </div>
+                    <div className="md:col-span-5 flex flex-wrap gap-2">
+                      {DAYS.map(day => (
+                        <button
+                          key={day}
+                          type="button"
+                          onClick={() => toggleDay(activity.id, day)}
+                          className={`px-3 py-1 text-sm rounded-full border transition ${
+                            request.allowed_days.includes(day)
+                              ? 'bg-indigo-600 text-white border-indigo-600'
+                              : 'text-gray-600 border-gray-300 hover:bg-gray-50'
+                          }`}
+                        >
+                          {capitalize(day).slice(0, 3)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {/* Draft under review */}
+      {draft && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <div className="flex flex-wrap items-start justify-between gap-3 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {draft.name || 'Draft'}{' '}
+                <span className={`ml-2 px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[draft.status]}`}>
+                  {draft.status}
+                </span>
+              </h3>
+              <p className="text-sm text-gray-600">
+                {draft.assignments.length} slots · grade overlap score {draft.overlap_score}
+                {draft.overlap_score === 0 && ' (no activities for the same grades meet at once)'}
+              </p>
+            </div>
+            {draft.status === 'draft' && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setConfirmDialog({ isOpen: true, action: 'discard' })}
+                  className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  <FiX className="w-4 h-4" /> Discard
+                </button>
+                <button
+                  onClick={() => setConfirmDialog({ isOpen: true, action: 'approve' })}
+                  disabled={draft.assignments.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:bg-green-400"
+                >
+                  <FiCheck className="w-4 h-4" /> Approve
+                </button>
+              </div>
+            )}
+          </div>
+
+          {conflicts.length > 0 && (
+            <ul className="mb-4 space-y-1 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+              {conflicts.map((conflict, index) => <li key={index}>{conflict.message}</li>)}
+            </ul>
+          )}
+
+          {draft.unplaced.length > 0 && (
+            <div className="mb-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+              <p className="flex items-center gap-2 font-medium mb-1">
+                <FiAlertTriangle /> Not fully placed
+              </p>
+              <ul className="space-y-1">
+                {draft.unplaced.map(entry => (
+                  <li key={entry.activity_id}>
+                    {entry.activity_name}: {entry.missing} meeting{entry.missing === 1 ? '' : 's'} missing. {UNPLACED_REASONS[entry.reason] || entry.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            {DAYS.filter(day => draft.assignments.some(a => a.day_of_week === day)).map(day => (
+              <div key={day}>
+                <h4 className="font-semibold text-gray-900 mb-2">{capitalize(day)}</h4>
+                <ul className="space-y-2">
+                  {draft.assignments.filter(a => a.day_of_week === day).map((assignment, index) => (
+                    <li
+                      key={index}
+                      className={`p-2 rounded-lg border text-sm ${
+                        assignment.grade_overlaps.length > 0 ? 'border-amber-300 bg-amber-50' : 'border-gray-200'
+                      }`}
+                    >
+                      <div className="font-medium text-gray-900">{assignment.activity_name}</div>
+                      <div className="flex items-center gap-1 text-gray-600">
+                        <FiClock className="w-3 h-3" /> {assignment.start_time}–{assignment.end_time}
+                      </div>
+                      <div className="text-gray-600">{assignment.venue_name}</div>
+                      {assignment.instructor_name && <div className="text-gray-500">{assignment.instructor_name}</div>}
+                      {assignment.grade_overlaps.map(overlap => (
+                        <div key={overlap.activity_id} className="text-amber-800 text-xs mt-1">
+                          Same time as {overlap.activity_name} ({overlap.shared_grades} shared grades)
+                        </div>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Past drafts */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Drafts</h3>
+        </div>
+        {drafts.length === 0 ? (
+          <div className="p-6 text-center text-gray-600">No drafts yet</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Activities</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Unplaced</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Overlap score</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Built</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {drafts.map(entry => (
+                <tr key={entry.id} onClick={() => openDraft(entry.id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-6 py-3 text-sm font-medium text-gray-900">{entry.name}</td>
+                  <td className="px-6 py-3">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[entry.status]}`}>
+                      {entry.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{entry.activity_count}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{entry.unplaced_count}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{entry.overlap_score}</td>
+                  <td className="px-6 py-3 text-sm text-gray-600">
+                    {new Date(entry.created_at).toLocaleDateString()}
+                    {entry.created_by_name && ` by ${entry.created_by_name}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        title={confirmDialog.action === 'approve' ? 'Approve Timetable' : 'Discard Draft'}
+        message={confirmDialog.action === 'approve'
+          ? 'The weekly slots of every activity in this draft will be replaced with the proposed ones and their sessions regenerated.'
+          : 'Discard this draft? It stays in the list for reference.'}
+        onConfirm={handleConfirm}
+        onCancel={() => setConfirmDialog({ isOpen: false, action: null })}
+        confirmText={confirmDialog.action === 'approve' ? 'Approve' : 'Discard'}
+        type={confirmDialog.action === 'approve' ? 'success' : 'danger'}
+      />
+    </div>
+  );
+};
+
+export default TimetableBuilderPage;
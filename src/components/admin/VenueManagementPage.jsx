@@ -0,0 +1,358 @@
+/**
+ * Venue Management Page
+ * Admin page for venues: capacity, maintenance status and weekly bookings
+ */
+
+import { Fragment, useState, useEffect } from 'react';
+import { FiPlus, FiEdit2, FiTrash2, FiMapPin, FiX, FiCalendar } from 'react-icons/fi';
+import { getVenues, getVenueById, createVenue, updateVenue, deleteVenue } from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const EMPTY_VENUE = {
+  name: '',
+  type: 'classroom',
+  capacity: 30,
+  location: '',
+  facilities: '',
+  status: 'available'
+};
+
+const STATUS_STYLES = {
+  available: 'bg-green-100 text-green-800',
+  maintenance: 'bg-yellow-100 text-yellow-800',
+  unavailable: 'bg-red-100 text-red-800'
+};
+
+const VenueManagementPage = () => {
+  const [venues, setVenues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingVenue, setEditingVenue] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_VENUE);
+  const [conflicts, setConflicts] = useState([]);
+  const [bookings, setBookings] = useState({ venueId: null, schedules: [] });
+  const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, venue: null });
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchVenues();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchVenues = async () => {
+    try {
+      setLoading(true);
+      const response = await getVenues();
+      setVenues(response.data || []);
+    } catch {
+      toast.error('Failed to load venues');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const openModal = (venue = null) => {
+    setEditingVenue(venue);
+    setFormData(venue ? {
+      name: venue.name,
+      type: venue.type || 'classroom',
+      capacity: venue.capacity,
+      location: venue.location || '',
+      facilities: venue.facilities || '',
+      status: venue.status
+    } : EMPTY_VENUE);
+    setConflicts([]);
+    setIsModalOpen(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = editingVenue
+        ? await updateVenue(editingVenue.id, formData)
+        : await createVenue(formData);
+      toast.success(response.message);
+      setIsModalOpen(false);
+      fetchVenues();
+    } catch (error) {
+      setConflicts(error.data?.conflicts || []);
+      toast.error(error.message || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async () => {
+    const venue = confirmDialog.venue;
+    setConfirmDialog({ isOpen: false, venue: null });
+
+    try {
+      await deleteVenue(venue.id);
+      toast.success('Venue deleted successfully');
+      fetchVenues();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete venue');
+    }
+  };
+
+  const toggleBookings = async (venueId) => {
+    if (bookings.venueId === venueId) {
+      setBookings({ venueId: null, schedules: [] });
+      return;
+    }
+
+    try {
+      const response = await getVenueById(venueId);
+      setBookings({ venueId, schedules: response.data.schedules || [] });
+    } catch {
+      toast.error('Failed to load bookings');
+    }
+  };
+
+  const formatTime = (time) => time?.slice(0, 5);
+
+  return (
+    <div className="max-w-7xl mx-auto">
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Venues</h2>
+          <p className="text-gray-600 mt-1">
+            Schedules cannot be added at a venue that is booked, under maintenance or smaller than the activity quota
+          </p>
+        </div>
+        <button
+          onClick={() => openModal()}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <FiPlus className="w-4 h-4" />
+          Add Venue
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-600">Loading venues...</div>
+        ) : venues.length === 0 ? (
+          <div className="p-8 text-center text-gray-600">
+            <FiMapPin className="w-12 h-12 mx-auto mb-4 text-gray-400" />
+            <p>No venues yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Venue</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weekly Bookings</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {venues.map(venue => (
+                  <Fragment key={venue.id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="font-medium text-gray-900">{venue.name}</div>
+                        {venue.location && <div className="text-sm text-gray-500">{venue.location}</div>}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600 capitalize">{venue.type}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">{venue.capacity}</td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[venue.status]}`}>
+                          {venue.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <button
+                          onClick={() => toggleBookings(venue.id)}
+                          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          <FiCalendar className="w-4 h-4" />
+                          {venue.schedule_count} slots
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 text-right">
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => openModal(venue)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="Edit"
+                          >
+                            <FiEdit2 className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => setConfirmDialog({ isOpen: true, venue })}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <FiTrash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {bookings.venueId === venue.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan="6" className="px-6 py-3 text-sm">
+                          {bookings.schedules.length === 0 ? (
+                            <span className="text-gray-500">No weekly bookings</span>
+                          ) : (
+                            <ul className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                              {bookings.schedules.map(schedule => (
+                                <li key={schedule.id} className="text-gray-700">
+                                  <span className="capitalize font-medium">{schedule.day_of_week}</span>{' '}
+                                  {formatTime(schedule.start_time)}–{formatTime(schedule.end_time)}: {schedule.activity_name}
+                                  <span className="text-gray-500"> (quota {schedule.quota})</span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Venue Modal */}
+      {isModalOpen && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+          <div className="bg-white rounded-lg shadow-xl max-w-xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {editingVenue ? 'Edit Venue' : 'Add Venue'}
+              </h3>
+              <button
+                onClick={() => setIsModalOpen(false)}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <FiX className="w-5 h-5 text-gray-500" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <input
+                    type="text"
+                    name="type"
+                    value={formData.type}
+                    onChange={handleInputChange}
+                    placeholder="classroom, gym, field..."
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Capacity *</label>
+                  <input
+                    type="number"
+                    name="capacity"
+                    min="1"
+                    value={formData.capacity}
+                    onChange={handleInputChange}
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                  <input
+                    type="text"
+                    name="location"
+                    value={formData.location}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                  <select
+                    name="status"
+                    value={formData.status}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="available">Available</option>
+                    <option value="maintenance">Maintenance</option>
+                    <option value="unavailable">Unavailable</option>
+                  </select>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Facilities</label>
+                  <textarea
+                    name="facilities"
+                    value={formData.facilities}
+                    onChange={handleInputChange}
+                    rows="2"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              {conflicts.length > 0 && (
+                <ul className="mt-4 space-y-1 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+                  {conflicts.map(conflict => (
+                    <li key={conflict.id}>
+                      {conflict.activity_name} (quota {conflict.quota}) meets here on{' '}
+                      <span className="capitalize">{conflict.day_of_week}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex justify-end gap-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setIsModalOpen(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  {editingVenue ? 'Save Changes' : 'Add Venue'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        title="Delete Venue"
+        message={`Delete ${confirmDialog.venue?.name}? Venues with weekly bookings cannot be deleted.`}
+        onConfirm={handleDelete}
+        onCancel={() => setConfirmDialog({ isOpen: false, venue: null })}
+        confirmText="Delete"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default VenueManagementPage;
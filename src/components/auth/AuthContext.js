@@ -0,0 +1,17 @@
+/**
+ * Auth Context
+ *
+ * Shared context and hook for the authenticated user (provided by AuthProvider)
+ */
+
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,93 @@
+/**
+ * Auth Provider Component
+ *
+ * Holds the logged-in user, backed by the API session:
+ * - Logs in through /api/auth/login and keeps the tokens
+ * - Restores the session on reload from /api/auth/profile
+ * - Drops back to the login screen when the session cannot be refreshed
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from './AuthContext';
+import {
+  login as apiLogin,
+  mockLogin as apiMockLogin,
+  logout as apiLogout,
+  changePassword as apiChangePassword,
+  getProfile,
+  getAccessToken,
+  clearAuthTokens,
+  setUnauthorizedHandler,
+} from '../../services/api';
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  // Only wait for the profile call if there is a session to restore
+  const [loading, setLoading] = useState(() => Boolean(getAccessToken()));
+
+  // Session ended server-side (expired refresh, logout elsewhere, suspension)
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  // Restore session on reload
+  useEffect(() => {
+    if (!getAccessToken()) return;
+
+    getProfile()
+      .then((response) => setUser(response.data))
+      .catch(() => {
+        clearAuthTokens();
+        setUser(null);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await apiLogin(username, password);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  // Development role switcher: sign in as a seeded user without a password
+  const devLogin = useCallback(async (role, userId = null) => {
+    const response = await apiMockLogin(role, userId);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await apiLogout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      setUser(null);
+    }
+  }, []);
+
+  const changePassword = useCallback(async (currentPassword, newPassword) => {
+    const response = await apiChangePassword(currentPassword, newPassword);
+    setUser(response.data.user);
+    return response.data.user;
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    loading,
+    login,
+    devLogin,
+    logout,
+    changePassword,
+    updateUser: setUser,
+  }), [user, loading, login, devLogin, logout, changePassword]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
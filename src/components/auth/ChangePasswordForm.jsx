@@ -0,0 +1,135 @@
+/**
+ * Change Password Form Component
+ * Shown after signing in with a temporary password; the API blocks
+ * everything else until the password has been changed
+ */
+
+import { useState } from 'react';
+import { FiLock, FiLogOut } from 'react-icons/fi';
+import { useAuth } from './AuthContext';
+
+const ChangePasswordForm = () => {
+  const { user, changePassword, logout } = useAuth();
+  const [formData, setFormData] = useState({
+    current_password: '',
+    new_password: '',
+    confirm_password: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.new_password !== formData.confirm_password) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await changePassword(formData.current_password, formData.new_password);
+    } catch (err) {
+      setError(err.message || 'Failed to change password');
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md overflow-hidden">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-blue-600 to-indigo-700 px-8 py-8 text-center">
+          <div className="w-16 h-16 bg-white rounded-full mx-auto mb-4 flex items-center justify-center shadow-lg">
+            <FiLock className="text-3xl text-blue-600" />
+          </div>
+          <h1 className="text-2xl font-bold text-white mb-1">Set a New Password</h1>
+          <p className="text-blue-100 text-sm">Welcome, {user.name}. Please replace your temporary password.</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-8 space-y-5">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2">
+              <span>⚠️</span>
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Temporary Password
+            </label>
+            <input
+              type="password"
+              name="current_password"
+              value={formData.current_password}
+              onChange={handleChange}
+              className={inputClassName}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              New Password
+            </label>
+            <input
+              type="password"
+              name="new_password"
+              value={formData.new_password}
+              onChange={handleChange}
+              className={inputClassName}
+              autoComplete="new-password"
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">At least 8 characters, with a letter and a number</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Confirm New Password
+            </label>
+            <input
+              type="password"
+              name="confirm_password"
+              value={formData.confirm_password}
+              onChange={handleChange}
+              className={inputClassName}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-gradient-to-r from-blue-600 to-indigo-700 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-indigo-800 transition duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Saving...' : 'Change Password'}
+          </button>
+
+          <button
+            type="button"
+            onClick={logout}
+            className="w-full flex items-center justify-center gap-2 text-sm text-gray-600 hover:text-gray-800 font-medium"
+          >
+            <FiLogOut />
+            Sign out
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
@@ -1,61 +1,105 @@
 /**
  * Login Component
- * Handles authentication for Admin, Teacher, Student roles
+ * Signs in through /api/auth/login for Admin, Teacher, Student and Parent accounts
+ * Also handles "forgot password" and the reset link (?reset_token=...)
  */
 
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+import { forgotPassword, resetPassword } from '../../services/api';
 
-const Login = ({ onLogin }) => {
+const getResetToken = () => new URLSearchParams(window.location.search).get('reset_token');
+
+const Login = () => {
+  const { login } = useAuth();
+  const [resetToken] = useState(getResetToken);
+  const [mode, setMode] = useState(() => (resetToken ? 'reset' : 'login'));
   const [credentials, setCredentials] = useState({
     username: '',
-    password: '',
-    role: 'student'
+    password: ''
+  });
+  const [resetForm, setResetForm] = useState({
+    email: '',
+    new_password: '',
+    confirm_password: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
 
-  const roles = [
-    { value: 'admin', label: 'Administrator', icon: '👨‍💼' },
-    { value: 'teacher', label: 'Teacher/Coach', icon: '👨‍🏫' },
-    { value: 'student', label: 'Student', icon: '👨‍🎓' },
-    { value: 'parent', label: 'Parent', icon: '👨‍👩‍👧' }
-  ];
+  const switchMode = (newMode) => {
+    setMode(newMode);
+    setError('');
+    setNotice('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setNotice('');
 
     try {
-      // TODO: Replace with actual API call
-      // const response = await fetch('/api/auth/login', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(credentials)
-      // });
-
-      // Mock authentication for now
-      setTimeout(() => {
-        const mockUser = {
-          id: 1,
-          username: credentials.username,
-          role: credentials.role,
-          name: credentials.username.charAt(0).toUpperCase() + credentials.username.slice(1),
-          email: `${credentials.username}@school.edu`
-        };
-        
-        localStorage.setItem('user', JSON.stringify(mockUser));
-        onLogin(mockUser);
-        setLoading(false);
-      }, 1000);
+      await login(credentials.username, credentials.password);
+    } catch (err) {
+      setError(err.message || 'Login failed. Please check your credentials.');
+      setLoading(false);
+    }
+  };
 
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await forgotPassword(resetForm.email);
+      setNotice(response.message);
     } catch (err) {
-      setError('Login failed. Please check your credentials.');
+      setError(err.message || 'Could not send the reset link. Please try again.');
+    } finally {
       setLoading(false);
     }
   };
 
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (resetForm.new_password !== resetForm.confirm_password) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await resetPassword(resetToken, resetForm.new_password);
+      // Drop the token from the address bar so a reload shows the login form
+      window.history.replaceState(null, '', window.location.pathname);
+      setResetForm({ email: '', new_password: '', confirm_password: '' });
+      setMode('login');
+      setNotice('Password reset. You can now sign in with your new password.');
+    } catch (err) {
+      setError(err.message || 'Password reset failed. The link may have expired.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const submitClassName = 'w-full bg-gradient-to-r from-blue-600 to-indigo-700 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-indigo-800 transition duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed';
+
+  const renderSpinner = (label) => (
+    <span className="flex items-center justify-center gap-2">
+      <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
+        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+      </svg>
+      {label}
+    </span>
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
       <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md overflow-hidden">
@@ -68,8 +112,7 @@ const Login = ({ onLogin }) => {
           <p className="text-blue-100">Extra-Curricular Management System</p>
         </div>
 
-        {/* Login Form */}
-        <form onSubmit={handleSubmit} className="p-8 space-y-6">
+        <div className="p-8 space-y-6">
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2">
               <span>⚠️</span>
@@ -77,91 +120,140 @@ const Login = ({ onLogin }) => {
             </div>
           )}
 
-          {/* Role Selection */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-3">
-              Select Your Role
-            </label>
-            <div className="grid grid-cols-2 gap-3">
-              {roles.map((role) => (
-                <button
-                  key={role.value}
-                  type="button"
-                  onClick={() => setCredentials({ ...credentials, role: role.value })}
-                  className={`p-4 rounded-xl border-2 transition-all duration-200 ${
-                    credentials.role === role.value
-                      ? 'border-blue-600 bg-blue-50 shadow-md'
-                      : 'border-gray-200 hover:border-gray-300 bg-white'
-                  }`}
-                >
-                  <div className="text-3xl mb-2">{role.icon}</div>
-                  <div className={`text-sm font-medium ${
-                    credentials.role === role.value ? 'text-blue-700' : 'text-gray-700'
-                  }`}>
-                    {role.label}
-                  </div>
-                </button>
-              ))}
+          {notice && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+              {notice}
             </div>
-          </div>
+          )}
 
-          {/* Username */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Username
-            </label>
-            <input
-              type="text"
-              value={credentials.username}
-              onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Enter your username"
-              required
-            />
-          </div>
+          {/* Login Form */}
+          {mode === 'login' && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Email */}
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  value={credentials.username}
+                  onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                  className={inputClassName}
+                  placeholder="you@school.edu"
+                  autoComplete="username"
+                  required
+                />
+              </div>
 
-          {/* Password */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Password
-            </label>
-            <input
-              type="password"
-              value={credentials.password}
-              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Enter your password"
-              required
-            />
-          </div>
+              {/* Password */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-semibold text-gray-700">
+                    Password
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => switchMode('forgot')}
+                    className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                  >
+                    Forgot password?
+                  </button>
+                </div>
+                <input
+                  type="password"
+                  value={credentials.password}
+                  onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                  className={inputClassName}
+                  placeholder="Enter your password"
+                  autoComplete="current-password"
+                  required
+                />
+              </div>
 
-          {/* Login Button */}
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-gradient-to-r from-blue-600 to-indigo-700 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-indigo-800 transition duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center gap-2">
-                <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                </svg>
-                Signing in...
-              </span>
-            ) : (
-              'Sign In'
-            )}
-          </button>
-
-          {/* Demo Credentials */}
-          <div className="bg-gray-50 rounded-lg p-4 text-xs text-gray-600">
-            <p className="font-semibold mb-2">Demo Credentials:</p>
-            <p>• Admin: admin/admin123</p>
-            <p>• Teacher: teacher/teacher123</p>
-            <p>• Student: student/student123</p>
-          </div>
-        </form>
+              {/* Login Button */}
+              <button type="submit" disabled={loading} className={submitClassName}>
+                {loading ? renderSpinner('Signing in...') : 'Sign In'}
+              </button>
+
+              {/* First Login Help */}
+              <div className="bg-gray-50 rounded-lg p-4 text-xs text-gray-600">
+                <p className="font-semibold mb-2">First time signing in?</p>
+                <p>• Use your school email and the temporary password you were sent</p>
+                <p>• You will be asked to choose a new password</p>
+              </div>
+            </form>
+          )}
+
+          {/* Forgot Password Form */}
+          {mode === 'forgot' && (
+            <form onSubmit={handleForgotPassword} className="space-y-6">
+              <p className="text-sm text-gray-600">
+                Enter your account email and we will send you a link to reset your password.
+              </p>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  value={resetForm.email}
+                  onChange={(e) => setResetForm({ ...resetForm, email: e.target.value })}
+                  className={inputClassName}
+                  placeholder="you@school.edu"
+                  required
+                />
+              </div>
+              <button type="submit" disabled={loading} className={submitClassName}>
+                {loading ? renderSpinner('Sending...') : 'Send Reset Link'}
+              </button>
+              <button
+                type="button"
+                onClick={() => switchMode('login')}
+                className="w-full text-sm text-gray-600 hover:text-gray-800 font-medium"
+              >
+                Back to sign in
+              </button>
+            </form>
+          )}
+
+          {/* Reset Password Form */}
+          {mode === 'reset' && (
+            <form onSubmit={handleResetPassword} className="space-y-6">
+              <p className="text-sm text-gray-600">
+                Choose a new password (at least 8 characters, with a letter and a number).
+              </p>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  value={resetForm.new_password}
+                  onChange={(e) => setResetForm({ ...resetForm, new_password: e.target.value })}
+                  className={inputClassName}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <input
+                  type="password"
+                  value={resetForm.confirm_password}
+                  onChange={(e) => setResetForm({ ...resetForm, confirm_password: e.target.value })}
+                  className={inputClassName}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <button type="submit" disabled={loading} className={submitClassName}>
+                {loading ? renderSpinner('Saving...') : 'Reset Password'}
+              </button>
+            </form>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,170 @@
+/**
+ * Absence Notes Component
+ *
+ * Lists the absence notes parents have sent for an activity's sessions. Approving
+ * a note marks the student excused for that session; rejecting it leaves the
+ * attendance as it was. Either way the parent is told the outcome.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiPaperclip, FiCheck, FiX } from 'react-icons/fi';
+import { getActivityExcuses, reviewExcuse, getExcuseAttachment } from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+
+const NOTE_STYLES = {
+  pending: 'text-amber-700 bg-amber-100',
+  approved: 'text-green-700 bg-green-100',
+  rejected: 'text-red-700 bg-red-100'
+};
+
+const formatDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+const AbsenceNotes = ({ activityId, onReviewed }) => {
+  const [excuses, setExcuses] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [reviewNotes, setReviewNotes] = useState({});
+  const [busyExcuse, setBusyExcuse] = useState(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchExcuses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId, status]);
+
+  const fetchExcuses = async () => {
+    try {
+      setLoading(true);
+      const response = await getActivityExcuses(activityId, status);
+      setExcuses(response.data || []);
+    } catch {
+      toast.error('Failed to load absence notes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (excuse, decision) => {
+    try {
+      setBusyExcuse(excuse.id);
+      const response = await reviewExcuse(activityId, excuse.id, decision, reviewNotes[excuse.id] || null);
+      toast.success(response.message);
+      setReviewNotes(current => ({ ...current, [excuse.id]: '' }));
+      fetchExcuses();
+      if (decision === 'approve' && onReviewed) onReviewed();
+    } catch (err) {
+      toast.error(err.message || 'Failed to review absence note');
+    } finally {
+      setBusyExcuse(null);
+    }
+  };
+
+  const handleAttachment = async (excuse) => {
+    try {
+      const response = await getExcuseAttachment(activityId, excuse.id);
+      const link = document.createElement('a');
+      link.href = `data:${response.data.type};base64,${response.data.data}`;
+      link.download = response.data.name;
+      link.click();
+    } catch (err) {
+      toast.error(err.message || 'Failed to download attachment');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-bold text-gray-900">Absence Notes</h3>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-8 text-gray-600">Loading...</div>
+      ) : excuses.length === 0 ? (
+        <div className="bg-gray-50 rounded-lg p-8 text-center">
+          <p className="text-gray-600">{status === 'pending' ? 'No notes waiting for review' : 'No absence notes'}</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {excuses.map(excuse => (
+            <div key={excuse.id} className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1">
+                  <p className="text-lg font-semibold text-gray-900">{excuse.student_name}</p>
+                  <p className="text-sm text-gray-600">
+                    {formatDate(excuse.session_date)} · {formatTime(excuse.start_time)}–{formatTime(excuse.end_time)}
+                    {' · '}sent by {excuse.submitted_by_name}
+                    {excuse.attendance_status && ` · marked ${excuse.attendance_status}`}
+                  </p>
+                  <p className="text-gray-800 mt-3">{excuse.reason}</p>
+                  {excuse.attachment_name && (
+                    <button
+                      onClick={() => handleAttachment(excuse)}
+                      className="mt-2 flex items-center gap-1 text-sm text-blue-700 hover:underline"
+                    >
+                      <FiPaperclip /> {excuse.attachment_name}
+                    </button>
+                  )}
+                  {excuse.review_note && (
+                    <p className="text-sm text-gray-600 mt-2">
+                      {excuse.reviewed_by_name || 'Coach'}: {excuse.review_note}
+                    </p>
+                  )}
+                </div>
+                <span className={`px-2 py-1 text-xs font-semibold rounded ${NOTE_STYLES[excuse.status]}`}>
+                  {excuse.status}
+                </span>
+              </div>
+
+              {excuse.status === 'pending' && (
+                <div className="mt-4 flex flex-wrap items-center gap-2">
+                  <input
+                    type="text"
+                    value={reviewNotes[excuse.id] || ''}
+                    onChange={(e) => setReviewNotes(current => ({ ...current, [excuse.id]: e.target.value }))}
+                    maxLength={500}
+                    placeholder="Note to the parent (optional)"
+                    className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => handleReview(excuse, 'approve')}
+                    disabled={busyExcuse === excuse.id}
+                    className="flex items-center gap-1 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold text-sm transition disabled:opacity-50"
+                  >
+                    <FiCheck /> Approve
+                  </button>
+                  <button
+                    onClick={() => handleReview(excuse, 'reject')}
+                    disabled={busyExcuse === excuse.id}
+                    className="flex items-center gap-1 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold text-sm transition disabled:opacity-50"
+                  >
+                    <FiX /> Reject
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AbsenceNotes;
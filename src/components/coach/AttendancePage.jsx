@@ -1,20 +1,21 @@
 /**
  * Attendance Page
  * 
- * Mark and view attendance for approved students
+ * Take attendance per session (any past or current session) and add
+ * performance remarks for approved students
  */
 
 import { useState, useEffect } from 'react';
-import { getAllActivities, getActivityEnrollments, markAttendance, addPerformanceRemark } from '../../services/api';
+import { getAllActivities, getActivityEnrollments, addPerformanceRemark } from '../../services/api';
+import { fetchWithTodaysCache } from '../../services/offlineAttendance';
 import { useToast } from '../common/ToastContainer';
+import SessionAttendance from './SessionAttendance';
 
 const AttendancePage = ({ coachName }) => {
   const [activities, setActivities] = useState([]);
   const [selectedActivity, setSelectedActivity] = useState(null);
   const [approvedStudents, setApprovedStudents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [attendanceDialog, setAttendanceDialog] = useState({ isOpen: false, student: null });
-  const [attendanceData, setAttendanceData] = useState({ status: 'present', notes: '' });
   const [remarkDialog, setRemarkDialog] = useState({ isOpen: false, student: null });
   const [remarkText, setRemarkText] = useState('');
   const toast = useToast();
@@ -34,8 +35,12 @@ const AttendancePage = ({ coachName }) => {
   const fetchCoachActivities = async () => {
     try {
       setLoading(true);
-      const response = await getAllActivities();
-      const coachActivities = (response.data || []).filter(
+      // Cached for the day so attendance can still be taken offline
+      const { value: allActivities } = await fetchWithTodaysCache('activities', async () => {
+        const response = await getAllActivities();
+        return response.data || [];
+      });
+      const coachActivities = allActivities.filter(
         activity => activity.coach_name?.toLowerCase().includes(coachName.toLowerCase().split(' ')[0])
       );
       setActivities(coachActivities);
@@ -51,35 +56,17 @@ const AttendancePage = ({ coachName }) => {
 
   const fetchApprovedStudents = async (activityId) => {
     try {
-      const response = await getActivityEnrollments(activityId);
-      const approved = (response.data || []).filter(e => e.status === 'approved');
+      const { value } = await fetchWithTodaysCache(`enrollments:${activityId}`, async () => {
+        const response = await getActivityEnrollments(activityId);
+        return response.data || [];
+      });
+      const approved = value.filter(e => e.status === 'approved');
       setApprovedStudents(approved);
     } catch {
       toast.error('Failed to load students');
     }
   };
 
-  const handleOpenAttendanceDialog = (student) => {
-    setAttendanceDialog({ isOpen: true, student });
-    setAttendanceData({ status: 'present', notes: '' });
-  };
-
-  const handleMarkAttendance = async () => {
-    try {
-      await markAttendance(
-        attendanceDialog.student.enrollment_id,
-        selectedActivity.id,
-        attendanceData.status,
-        attendanceData.notes
-      );
-      toast.success(`Marked ${attendanceDialog.student.student_id} as ${attendanceData.status}`);
-      setAttendanceDialog({ isOpen: false, student: null });
-      setAttendanceData({ status: 'present', notes: '' });
-    } catch {
-      toast.error('Failed to mark attendance');
-    }
-  };
-
   const handleOpenRemarkDialog = (student) => {
     setRemarkDialog({ isOpen: true, student });
     setRemarkText(student.performance_remarks || '');
@@ -172,6 +159,14 @@ const AttendancePage = ({ coachName }) => {
         </div>
       )}
 
+      {/* Session Attendance */}
+      {selectedActivity && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-xl font-bold text-gray-900 mb-4">Attendance</h3>
+          <SessionAttendance activityId={selectedActivity.id} />
+        </div>
+      )}
+
       {/* Student List */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h3 className="text-xl font-bold text-gray-900 mb-4">
@@ -218,12 +213,6 @@ const AttendancePage = ({ coachName }) => {
                 )}
 
                 <div className="flex gap-2">
-                  <button
-                    onClick={() => handleOpenAttendanceDialog(student)}
-                    className="flex-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium text-sm transition"
-                  >
-                    Mark
-                  </button>
                   <button
                     onClick={() => handleOpenRemarkDialog(student)}
                     className="flex-1 px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-medium text-sm transition"
@@ -237,59 +226,6 @@ const AttendancePage = ({ coachName }) => {
         )}
       </div>
 
-      {/* Attendance Dialog */}
-      {attendanceDialog.isOpen && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
-          <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 animate-scale-in">
-            <div className="p-6">
-              <h3 className="text-xl font-bold text-gray-900 mb-4">
-                Mark Attendance - Student {attendanceDialog.student.student_id}
-              </h3>
-
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Status:</label>
-                <select
-                  value={attendanceData.status}
-                  onChange={(e) => setAttendanceData({ ...attendanceData, status: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                >
-                  <option value="present">✓ Present</option>
-                  <option value="absent">✗ Absent</option>
-                  <option value="late">⏰ Late</option>
-                  <option value="excused">📋 Excused</option>
-                </select>
-              </div>
-
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Notes (optional):</label>
-                <textarea
-                  value={attendanceData.notes}
-                  onChange={(e) => setAttendanceData({ ...attendanceData, notes: e.target.value })}
-                  placeholder="Add any notes about today's session..."
-                  rows="3"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
-
-              <div className="flex gap-3 justify-end">
-                <button
-                  onClick={() => setAttendanceDialog({ isOpen: false, student: null })}
-                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleMarkAttendance}
-                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium"
-                >
-                  Save Attendance
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Remark Dialog */}
       {remarkDialog.isOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
@@ -0,0 +1,247 @@
+/**
+ * Check-In Kiosk Component
+ *
+ * Runs on a screen at the venue during today's session. Shows a QR code that
+ * students scan with their phones to check in (it changes every few seconds,
+ * so a shared photo of it stops working), lets students without a phone be
+ * checked in by name, and checks students out when they are picked up.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { FiMaximize, FiLogIn, FiLogOut } from 'react-icons/fi';
+import {
+  getActivitySessions,
+  getSessionRoster,
+  getCheckInToken,
+  kioskCheckIn,
+  kioskCheckOut
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+
+const ROSTER_REFRESH_MS = 10000;
+const CLOSED_RETRY_MS = 30000;
+
+const STATUS_STYLES = {
+  present: 'text-green-700 bg-green-100',
+  late: 'text-amber-700 bg-amber-100',
+  absent: 'text-red-700 bg-red-100',
+  excused: 'text-blue-700 bg-blue-100'
+};
+
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// The link the QR code opens: this app, which checks the student in after sign-in
+const checkInUrl = (token) => `${window.location.origin}${window.location.pathname}?checkin=${encodeURIComponent(token)}`;
+
+const CheckInKiosk = ({ activityId }) => {
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [roster, setRoster] = useState([]);
+  const [qr, setQr] = useState({ token: null, error: null });
+  const [loading, setLoading] = useState(true);
+  const [busyStudent, setBusyStudent] = useState(null);
+  const containerRef = useRef(null);
+  const toast = useToast();
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        setLoading(true);
+        const response = await getActivitySessions(activityId, todayString(), todayString());
+        const today = (response.data || []).filter(session => session.status !== 'cancelled');
+        setSessions(today);
+        setSessionId(today.length > 0 ? String(today[0].id) : '');
+      } catch {
+        toast.error('Failed to load today\'s sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId]);
+
+  // Fetch a fresh code once per rotation; the server still accepts the previous one
+  useEffect(() => {
+    if (!sessionId) return undefined;
+
+    let timer;
+    let stopped = false;
+
+    const refresh = async () => {
+      try {
+        const response = await getCheckInToken(activityId, sessionId);
+        if (stopped) return;
+        setQr({ token: response.data.token, error: null });
+        timer = setTimeout(refresh, response.data.rotates_every * 1000);
+      } catch (err) {
+        if (stopped) return;
+        setQr({ token: null, error: err.message || 'Check-in is closed' });
+        timer = setTimeout(refresh, CLOSED_RETRY_MS);
+      }
+    };
+
+    refresh();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [activityId, sessionId]);
+
+  // Keep the list current as students scan in on their phones
+  useEffect(() => {
+    if (!sessionId) return undefined;
+
+    fetchRoster();
+    const interval = setInterval(fetchRoster, ROSTER_REFRESH_MS);
+    return () => clearInterval(interval);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId, sessionId]);
+
+  const fetchRoster = async () => {
+    try {
+      const response = await getSessionRoster(activityId, sessionId);
+      setRoster(response.data.students || []);
+    } catch {
+      // Transient failures are retried on the next refresh
+    }
+  };
+
+  const handleCheck = async (student, action) => {
+    try {
+      setBusyStudent(student.student_id);
+      const response = action === 'in'
+        ? await kioskCheckIn(activityId, sessionId, student.student_id)
+        : await kioskCheckOut(activityId, sessionId, student.student_id);
+      toast.success(`${student.student_name || `Student ${student.student_id}`}: ${response.message}`);
+      fetchRoster();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update check-in');
+    } finally {
+      setBusyStudent(null);
+    }
+  };
+
+  const enterFullscreen = () => {
+    containerRef.current?.requestFullscreen?.().catch(() => toast.error('Full screen is not available'));
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading today's sessions...</div>;
+  }
+
+  if (sessions.length === 0) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-8 text-center">
+        <p className="text-gray-600">No session today, so there is nothing to check in to</p>
+      </div>
+    );
+  }
+
+  const session = sessions.find(s => String(s.id) === sessionId);
+  const checkedIn = roster.filter(student => student.check_in_time && !student.check_out_time).length;
+  const pickedUp = roster.filter(student => student.check_out_time).length;
+
+  return (
+    <div ref={containerRef} className="bg-white overflow-auto">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          {sessions.length > 1 ? (
+            <select
+              value={sessionId}
+              onChange={(e) => setSessionId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {sessions.map(s => (
+                <option key={s.id} value={s.id}>{formatTime(s.start_time)}–{formatTime(s.end_time)}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-lg font-semibold text-gray-900">
+              Today {formatTime(session.start_time)}–{formatTime(session.end_time)}
+            </span>
+          )}
+          {session.venue_name && <span className="text-gray-600">{session.venue_name}</span>}
+        </div>
+        <button
+          onClick={enterFullscreen}
+          className="flex items-center gap-2 px-3 py-2 border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-semibold rounded-lg transition-colors"
+        >
+          <FiMaximize /> Full screen
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="flex flex-col items-center justify-center bg-gray-50 rounded-lg border border-gray-200 p-6 text-center">
+          {qr.token ? (
+            <>
+              <QRCodeSVG value={checkInUrl(qr.token)} size={280} marginSize={2} className="bg-white rounded-lg" />
+              <p className="mt-4 text-lg font-semibold text-gray-900">Scan to check in</p>
+              <p className="text-sm text-gray-600">The code changes every few seconds. Sign in with your school account if asked.</p>
+            </>
+          ) : (
+            <p className="text-gray-600">{qr.error || 'Loading check-in code...'}</p>
+          )}
+        </div>
+
+        <div>
+          <div className="flex gap-2 mb-3 text-sm">
+            <span className="px-2 py-1 bg-green-100 text-green-800 rounded">Here: {checkedIn}</span>
+            <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded">Picked up: {pickedUp}</span>
+            <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded">Not arrived: {roster.length - checkedIn - pickedUp}</span>
+          </div>
+
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {roster.map(student => (
+              <li key={student.student_id} className="flex items-center justify-between gap-3 px-4 py-3">
+                <div>
+                  <p className="font-medium text-gray-900">{student.student_name || `Student ${student.student_id}`}</p>
+                  <p className="text-xs text-gray-500">
+                    {student.check_in_time ? `In ${formatClock(student.check_in_time)}` : 'Not checked in'}
+                    {student.check_out_time && ` · Out ${formatClock(student.check_out_time)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {student.status && (
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[student.status]}`}>
+                      {student.status}
+                    </span>
+                  )}
+                  {!student.check_in_time && student.is_enrolled && (
+                    <button
+                      onClick={() => handleCheck(student, 'in')}
+                      disabled={busyStudent === student.student_id}
+                      className="flex items-center gap-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition disabled:opacity-50"
+                    >
+                      <FiLogIn /> Check in
+                    </button>
+                  )}
+                  {['present', 'late'].includes(student.status) && !student.check_out_time && (
+                    <button
+                      onClick={() => handleCheck(student, 'out')}
+                      disabled={busyStudent === student.student_id}
+                      className="flex items-center gap-1 px-3 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm font-semibold rounded-lg transition disabled:opacity-50"
+                    >
+                      <FiLogOut /> Picked up
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          <p className="mt-3 text-xs text-gray-500">
+            Statuses can still be corrected from the Attendance tab.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckInKiosk;
@@ -4,26 +4,39 @@
  * Allows coaches to:
  * - View assigned activities
  * - Approve/reject student registrations
- * - Mark attendance
+ * - Take attendance per session, including corrections to past sessions
+ * - Review absence notes sent by parents
+ * - Run a QR check-in and pickup kiosk for today's session
  * - Add performance remarks
+ * - Reschedule, reassign or cancel sessions
  */
 
 import { useState, useEffect } from 'react';
-import { getAllActivities, getActivityEnrollments, updateEnrollmentStatus, addPerformanceRemark, markAttendance } from '../../services/api';
+import {
+  getAllActivities,
+  getActivityEnrollments,
+  updateEnrollmentStatus,
+  addPerformanceRemark,
+  getActivityAttendanceAlerts
+} from '../../services/api';
+import { fetchWithTodaysCache } from '../../services/offlineAttendance';
 import { useToast } from '../common/ToastContainer';
 import ConfirmDialog from '../common/ConfirmDialog';
+import SessionManager from './SessionManager';
+import SessionAttendance from './SessionAttendance';
+import CheckInKiosk from './CheckInKiosk';
+import AbsenceNotes from './AbsenceNotes';
 
 const CoachDashboard = ({ coachName = 'Teacher User' }) => {
   const [activities, setActivities] = useState([]);
   const [selectedActivity, setSelectedActivity] = useState(null);
   const [enrollments, setEnrollments] = useState([]);
+  const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('activities');
   const [remarkDialog, setRemarkDialog] = useState({ isOpen: false, enrollmentId: null });
   const [remarkText, setRemarkText] = useState('');
-  const [attendanceDialog, setAttendanceDialog] = useState({ isOpen: false, enrollmentId: null });
-  const [attendanceData, setAttendanceData] = useState({ status: 'present', notes: '' });
   const toast = useToast();
 
   useEffect(() => {
@@ -34,6 +47,7 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
   useEffect(() => {
     if (selectedActivity) {
       fetchEnrollments(selectedActivity.id);
+      fetchAlerts(selectedActivity.id);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedActivity]);
@@ -42,10 +56,14 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
     try {
       setLoading(true);
       setError(null);
-      const response = await getAllActivities();
+      // Cached for the day so attendance can still be taken offline
+      const { value: allActivities } = await fetchWithTodaysCache('activities', async () => {
+        const response = await getAllActivities();
+        return response.data || [];
+      });
       // Filter activities assigned to this coach - match by name (case-insensitive)
       const searchName = coachName.toLowerCase().trim();
-      const coachActivities = (response.data || []).filter(activity => {
+      const coachActivities = allActivities.filter(activity => {
         const activityCoach = activity.coach_name?.toLowerCase() || '';
         // Match by full name (check if the coach field contains the full name)
         // Also handle "Coach John Smith" matching "John Smith"
@@ -74,13 +92,25 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
 
   const fetchEnrollments = async (activityId) => {
     try {
-      const response = await getActivityEnrollments(activityId);
-      setEnrollments(response.data || []);
+      const { value } = await fetchWithTodaysCache(`enrollments:${activityId}`, async () => {
+        const response = await getActivityEnrollments(activityId);
+        return response.data || [];
+      });
+      setEnrollments(value);
     } catch {
       toast.error('Failed to load enrollments');
     }
   };
 
+  const fetchAlerts = async (activityId) => {
+    try {
+      const response = await getActivityAttendanceAlerts(activityId);
+      setAlerts(response.data || []);
+    } catch {
+      setAlerts([]);
+    }
+  };
+
   const handleApprove = async (enrollmentId) => {
     try {
       await updateEnrollmentStatus(enrollmentId, 'approved');
@@ -123,27 +153,6 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
     }
   };
 
-  const handleOpenAttendanceDialog = (enrollmentId) => {
-    setAttendanceDialog({ isOpen: true, enrollmentId });
-    setAttendanceData({ status: 'present', notes: '' });
-  };
-
-  const handleMarkAttendance = async () => {
-    try {
-      await markAttendance(
-        attendanceDialog.enrollmentId,
-        selectedActivity.id,
-        attendanceData.status,
-        attendanceData.notes
-      );
-      toast.success(`Marked as ${attendanceData.status}`);
-      setAttendanceDialog({ isOpen: false, enrollmentId: null });
-      setAttendanceData({ status: 'present', notes: '' });
-    } catch {
-      toast.error('Failed to mark attendance');
-    }
-  };
-
   if (loading) {
     return (
       <div className="max-w-7xl mx-auto px-4 py-8">
@@ -188,6 +197,11 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
 
   const pendingEnrollments = enrollments.filter(e => e.status === 'active');
   const approvedEnrollments = enrollments.filter(e => e.status === 'approved');
+  const alertsByStudent = alerts.reduce((byStudent, alert) => {
+    byStudent[alert.student_id] = [...(byStudent[alert.student_id] || []), alert];
+    return byStudent;
+  }, {});
+  const atRiskCount = Object.keys(alertsByStudent).length;
 
   return (
     <div className="max-w-7xl mx-auto px-4 py-8">
@@ -265,6 +279,11 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
               onClick={() => setActiveTab('approved')}
             >
               Approved Students ({approvedEnrollments.length})
+              {atRiskCount > 0 && (
+                <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
+                  {atRiskCount} at risk
+                </span>
+              )}
             </button>
             <button
               className={`flex-1 px-6 py-3 font-medium rounded-lg transition-all duration-200 ${
@@ -276,6 +295,36 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
             >
               Attendance
             </button>
+            <button
+              className={`flex-1 px-6 py-3 font-medium rounded-lg transition-all duration-200 ${
+                activeTab === 'absence-notes'
+                  ? 'bg-blue-600 text-white shadow-sm'
+                  : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+              }`}
+              onClick={() => setActiveTab('absence-notes')}
+            >
+              Absence Notes
+            </button>
+            <button
+              className={`flex-1 px-6 py-3 font-medium rounded-lg transition-all duration-200 ${
+                activeTab === 'check-in'
+                  ? 'bg-blue-600 text-white shadow-sm'
+                  : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+              }`}
+              onClick={() => setActiveTab('check-in')}
+            >
+              Check-In
+            </button>
+            <button
+              className={`flex-1 px-6 py-3 font-medium rounded-lg transition-all duration-200 ${
+                activeTab === 'sessions'
+                  ? 'bg-blue-600 text-white shadow-sm'
+                  : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+              }`}
+              onClick={() => setActiveTab('sessions')}
+            >
+              Sessions
+            </button>
           </div>
 
           {/* Pending Approvals Tab */}
@@ -343,10 +392,23 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
                             Enrolled: {new Date(enrollment.enrolled_at).toLocaleDateString()}
                           </p>
                         </div>
-                        <span className="px-3 py-1 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
-                          Approved
-                        </span>
+                        {alertsByStudent[enrollment.student_id] ? (
+                          <span className="px-3 py-1 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
+                            At risk
+                          </span>
+                        ) : (
+                          <span className="px-3 py-1 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
+                            Approved
+                          </span>
+                        )}
                       </div>
+                      {alertsByStudent[enrollment.student_id] && (
+                        <ul className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-red-800 space-y-1">
+                          {alertsByStudent[enrollment.student_id].map(alert => (
+                            <li key={alert.id}>{alert.message}</li>
+                          ))}
+                        </ul>
+                      )}
                       {enrollment.performance_remarks && (
                         <div className="mb-4 p-3 bg-blue-50 rounded-lg">
                           <p className="text-sm font-semibold text-blue-900">Performance Remarks:</p>
@@ -363,9 +425,11 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
           {/* Attendance Tab */}
           {activeTab === 'attendance' && (
             <div>
-              <h3 className="text-xl font-bold text-gray-900 mb-4">Mark Attendance</h3>
-              <p className="text-gray-600 mb-6">Mark attendance and add performance remarks for approved students</p>
-              
+              <h3 className="text-xl font-bold text-gray-900 mb-4">Attendance</h3>
+              <p className="text-gray-600 mb-6">Pick a session, mark the students who weren't there, and save. Past sessions can be corrected at any time.</p>
+              <SessionAttendance activityId={selectedActivity.id} onSaved={() => fetchAlerts(selectedActivity.id)} />
+
+              <h3 className="text-xl font-bold text-gray-900 mt-10 mb-4">Performance Remarks</h3>
               {approvedEnrollments.length === 0 ? (
                 <div className="bg-gray-50 rounded-lg p-8 text-center">
                   <div className="w-16 h-16 mx-auto mb-4 bg-gray-200 rounded-full flex items-center justify-center">
@@ -373,7 +437,7 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
                     </svg>
                   </div>
-                  <p className="text-gray-600">No approved students to mark attendance for</p>
+                  <p className="text-gray-600">No approved students to add remarks for</p>
                 </div>
               ) : (
                 <div className="space-y-4">
@@ -408,12 +472,6 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
                         </div>
                         
                         <div className="flex flex-col gap-2 ml-4">
-                          <button
-                            onClick={() => handleOpenAttendanceDialog(enrollment.enrollment_id)}
-                            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold text-sm transition whitespace-nowrap"
-                          >
-                            ✓ Mark Attendance
-                          </button>
                           <button
                             onClick={() => handleOpenRemarkDialog(enrollment.enrollment_id)}
                             className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-semibold text-sm transition whitespace-nowrap"
@@ -428,6 +486,17 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
               )}
             </div>
           )}
+
+          {/* Absence Notes Tab */}
+          {activeTab === 'absence-notes' && (
+            <AbsenceNotes activityId={selectedActivity.id} onReviewed={() => fetchAlerts(selectedActivity.id)} />
+          )}
+
+          {/* Check-In Kiosk Tab */}
+          {activeTab === 'check-in' && <CheckInKiosk activityId={selectedActivity.id} />}
+
+          {/* Sessions Tab */}
+          {activeTab === 'sessions' && <SessionManager activityId={selectedActivity.id} />}
         </>
       )}
 
@@ -463,56 +532,6 @@ const CoachDashboard = ({ coachName = 'Teacher User' }) => {
         </div>
       )}
 
-      {/* Attendance Dialog */}
-      {attendanceDialog.isOpen && (
-        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
-          <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 animate-scale-in">
-            <div className="p-6">
-              <h3 className="text-xl font-bold text-gray-900 mb-4">Mark Attendance</h3>
-              
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Status:</label>
-                <select
-                  value={attendanceData.status}
-                  onChange={(e) => setAttendanceData({ ...attendanceData, status: e.target.value })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                >
-                  <option value="present">Present</option>
-                  <option value="absent">Absent</option>
-                  <option value="late">Late</option>
-                  <option value="excused">Excused</option>
-                </select>
-              </div>
-
-              <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">Notes (optional):</label>
-                <textarea
-                  value={attendanceData.notes}
-                  onChange={(e) => setAttendanceData({ ...attendanceData, notes: e.target.value })}
-                  placeholder="Add any notes..."
-                  rows="3"
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
-
-              <div className="flex gap-3 justify-end">
-                <button
-                  onClick={() => setAttendanceDialog({ isOpen: false, enrollmentId: null })}
-                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleMarkAttendance}
-                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium"
-                >
-                  Save Attendance
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
@@ -0,0 +1,418 @@
+/**
+ * Session Attendance Component
+ *
+ * Roster-based attendance for one session at a time. The coach picks any past
+ * or current session, everyone starts as present, and only the exceptions need
+ * a tap. Saved marks can be corrected later; every change shows up in the
+ * session's edit trail.
+ *
+ * Works offline: sessions and rosters fetched today are served from the device,
+ * and saves are queued there and sent once the connection is back.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiList, FiCheckCircle, FiWifiOff, FiUploadCloud } from 'react-icons/fi';
+import {
+  getActivitySessions,
+  getSessionRoster,
+  markSessionAttendance,
+  getAttendanceHistory
+} from '../../services/api';
+import {
+  isNetworkError,
+  fetchWithTodaysCache,
+  queueAttendance,
+  getQueuedAttendance,
+  applyQueuedAttendance,
+  syncQueuedAttendance
+} from '../../services/offlineAttendance';
+import { useToast } from '../common/ToastContainer';
+
+const STATUS_OPTIONS = [
+  { value: 'present', label: 'Present', short: 'P', active: 'bg-green-600 text-white border-green-600' },
+  { value: 'late', label: 'Late', short: 'L', active: 'bg-amber-500 text-white border-amber-500' },
+  { value: 'absent', label: 'Absent', short: 'A', active: 'bg-red-600 text-white border-red-600' },
+  { value: 'excused', label: 'Excused', short: 'E', active: 'bg-blue-600 text-white border-blue-600' }
+];
+
+const STATUS_LABELS = Object.fromEntries(STATUS_OPTIONS.map(option => [option.value, option.label]));
+
+const DEFAULT_STATUS = 'present';
+
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+const formatDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Unmarked students start as present so the coach only has to tap the exceptions
+const draftFromRoster = (students) => Object.fromEntries(
+  students.map(student => [student.student_id, { status: student.status || DEFAULT_STATUS, remarks: student.remarks || '' }])
+);
+
+const SessionAttendance = ({ activityId, onSaved }) => {
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [roster, setRoster] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId]);
+
+  useEffect(() => {
+    setHistory(null);
+    if (sessionId) fetchRoster();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sessionId]);
+
+  // Send saves made offline now and whenever the connection comes back
+  useEffect(() => {
+    if (!sessionId) return undefined;
+
+    syncQueue();
+    window.addEventListener('online', syncQueue);
+    return () => window.removeEventListener('online', syncQueue);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sessionId]);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const { value } = await fetchWithTodaysCache(`sessions:${activityId}`, async () => {
+        const response = await getActivitySessions(activityId, null, todayString());
+        return response.data || [];
+      });
+      const markable = value.filter(session => session.status !== 'cancelled').reverse();
+      setSessions(markable);
+      setSessionId(markable.length > 0 ? String(markable[0].id) : '');
+      if (markable.length === 0) setRoster(null);
+    } catch {
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRoster = async () => {
+    try {
+      const { value, cachedAt: rosterCachedAt } = await fetchWithTodaysCache(`roster:${activityId}:${sessionId}`, async () => {
+        const response = await getSessionRoster(activityId, sessionId);
+        return response.data;
+      });
+      // Show marks still waiting to be sent as if they were saved
+      const queued = await getQueuedAttendance(activityId).catch(() => []);
+      const current = applyQueuedAttendance(value, queued);
+      setRoster(current);
+      setDraft(draftFromRoster(current.students));
+      setCachedAt(rosterCachedAt);
+      setQueuedCount(queued.length);
+    } catch (err) {
+      setRoster(null);
+      toast.error(isNetworkError(err)
+        ? 'You are offline and this session\'s roster was not loaded earlier today'
+        : err.message || 'Failed to load roster');
+    }
+  };
+
+  const syncQueue = async () => {
+    const queued = await getQueuedAttendance().catch(() => []);
+    if (queued.length === 0) return;
+
+    try {
+      setSyncing(true);
+      const { synced, failed } = await syncQueuedAttendance();
+
+      if (synced.length > 0) {
+        toast.success(`Sent ${synced.length} attendance save${synced.length === 1 ? '' : 's'} made offline`);
+      }
+      const skipped = synced.reduce((sum, { response }) => sum + (response.data?.skipped_student_ids?.length || 0), 0);
+      if (skipped > 0) {
+        toast.warning(`${skipped} student${skipped === 1 ? ' was' : 's were'} changed by someone else meanwhile and kept the newer mark`);
+      }
+      failed.forEach(({ error }) => toast.error(`An offline save could not be applied: ${error.message}`));
+
+      if (synced.length > 0 || failed.length > 0) {
+        onSaved?.();
+        await fetchRoster();
+        if (history) fetchHistory();
+      }
+    } catch {
+      toast.error('Failed to send attendance saved offline');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const response = await getAttendanceHistory(activityId, sessionId);
+      setHistory(response.data || []);
+    } catch {
+      toast.error('Failed to load edit history');
+    }
+  };
+
+  const toggleHistory = () => {
+    if (history) setHistory(null);
+    else fetchHistory();
+  };
+
+  const updateDraft = (studentId, changes) => {
+    setDraft(current => ({ ...current, [studentId]: { ...current[studentId], ...changes } }));
+  };
+
+  const markEveryone = (status) => {
+    setDraft(current => Object.fromEntries(
+      Object.entries(current).map(([studentId, mark]) => [studentId, { ...mark, status }])
+    ));
+  };
+
+  // Only send what differs from what the server would do anyway
+  const buildExceptions = () => roster.students
+    .filter(student => {
+      const mark = draft[student.student_id];
+      if (!student.status) return mark.status !== DEFAULT_STATUS || mark.remarks.trim() !== '';
+      return mark.status !== student.status || mark.remarks.trim() !== (student.remarks || '');
+    })
+    .map(student => ({ student_id: student.student_id, ...draft[student.student_id] }));
+
+  const handleSave = async () => {
+    const hasUnmarked = roster.students.some(student => !student.status);
+    const defaultStatus = hasUnmarked ? DEFAULT_STATUS : null;
+    const exceptions = buildExceptions();
+
+    try {
+      setSaving(true);
+      const response = await markSessionAttendance(activityId, sessionId, defaultStatus, exceptions);
+      toast.success(response.message);
+      onSaved?.();
+      await fetchRoster();
+      if (history) fetchHistory();
+    } catch (err) {
+      if (isNetworkError(err)) {
+        await saveOffline(defaultStatus, exceptions);
+      } else {
+        toast.error(err.message || 'Failed to save attendance');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveOffline = async (defaultStatus, exceptions) => {
+    try {
+      await queueAttendance({
+        activity_id: activityId,
+        session_id: Number(sessionId),
+        default_status: defaultStatus,
+        exceptions
+      });
+      toast.info('You are offline. Attendance is saved on this device and will be sent once you are back online.');
+      await fetchRoster();
+    } catch {
+      toast.error('Failed to save attendance on this device');
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading sessions...</div>;
+  }
+
+  if (sessions.length === 0) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-8 text-center">
+        <p className="text-gray-600">No sessions to take attendance for yet</p>
+      </div>
+    );
+  }
+
+  const hasChanges = roster && (roster.students.some(student => !student.status) || buildExceptions().length > 0);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Session</label>
+          <select
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {sessions.map(session => (
+              <option key={session.id} value={session.id}>
+                {formatDate(session.session_date)} · {formatTime(session.start_time)}–{formatTime(session.end_time)}
+                {session.session_date === todayString() ? ' (today)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {roster && (
+          <div className="flex flex-wrap gap-2 text-sm">
+            {STATUS_OPTIONS.map(option => (
+              <span key={option.value} className="px-2 py-1 bg-gray-100 text-gray-700 rounded">
+                {option.label}: {roster.summary[option.value]}
+              </span>
+            ))}
+            {roster.summary.unmarked > 0 && (
+              <span className="px-2 py-1 bg-amber-100 text-amber-800 rounded">Not saved yet: {roster.summary.unmarked}</span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {(cachedAt || queuedCount > 0) && (
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4 px-4 py-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900">
+          <div className="flex items-center gap-2">
+            {cachedAt && <FiWifiOff />}
+            <span>
+              {cachedAt && `Offline: showing the roster from ${formatClock(cachedAt)}. `}
+              {queuedCount > 0 && `${queuedCount} save${queuedCount === 1 ? '' : 's'} waiting to be sent.`}
+            </span>
+          </div>
+          {queuedCount > 0 && (
+            <button
+              onClick={syncQueue}
+              disabled={syncing}
+              className="flex items-center gap-2 font-medium text-amber-900 hover:text-amber-700 disabled:opacity-50"
+            >
+              <FiUploadCloud /> {syncing ? 'Sending...' : 'Send now'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {roster && roster.students.length === 0 && (
+        <div className="bg-gray-50 rounded-lg p-8 text-center">
+          <p className="text-gray-600">No students were enrolled for this session</p>
+        </div>
+      )}
+
+      {roster && roster.students.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <button
+              onClick={() => markEveryone(DEFAULT_STATUS)}
+              className="flex items-center gap-2 text-sm font-medium text-green-700 hover:text-green-900"
+            >
+              <FiCheckCircle /> Mark everyone present
+            </button>
+            <button onClick={toggleHistory} className="flex items-center gap-2 text-sm font-medium text-gray-600 hover:text-gray-900">
+              <FiList /> {history ? 'Hide edit history' : 'Edit history'}
+            </button>
+          </div>
+
+          <ul className="divide-y divide-gray-100">
+            {roster.students.map(student => {
+              const mark = draft[student.student_id];
+
+              return (
+                <li key={student.student_id} className="px-4 py-3 flex flex-wrap items-center gap-3">
+                  <div className="flex-1 min-w-[10rem]">
+                    <p className="font-medium text-gray-900">{student.student_name || `Student ${student.student_id}`}</p>
+                    <p className="text-xs text-gray-500">
+                      {!student.status
+                        ? 'Not marked yet'
+                        : `Marked ${STATUS_LABELS[student.status].toLowerCase()}${student.marked_by_name ? ` by ${student.marked_by_name}` : ''}`}
+                      {student.check_in_time && ` · in ${formatClock(student.check_in_time)}`}
+                      {student.check_out_time && `, out ${formatClock(student.check_out_time)}`}
+                      {student.excuse_id && ' · absence note approved'}
+                      {student.queued && ' · waiting to be sent'}
+                      {student.change_count > 1 && ` · edited ${student.change_count - 1} time${student.change_count === 2 ? '' : 's'}`}
+                      {!student.is_enrolled && ' · no longer enrolled'}
+                    </p>
+                  </div>
+
+                  <div className="flex gap-1">
+                    {STATUS_OPTIONS.map(option => (
+                      <button
+                        key={option.value}
+                        onClick={() => updateDraft(student.student_id, { status: option.value })}
+                        title={option.label}
+                        className={`w-9 h-9 text-sm font-semibold rounded-lg border transition ${
+                          mark.status === option.value ? option.active : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {option.short}
+                      </button>
+                    ))}
+                  </div>
+
+                  <input
+                    type="text"
+                    value={mark.remarks}
+                    onChange={(e) => updateDraft(student.student_id, { remarks: e.target.value })}
+                    placeholder="Note (optional)"
+                    className="w-full md:w-56 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="flex justify-end gap-3 px-4 py-3 border-t border-gray-200">
+            <button
+              onClick={() => setDraft(draftFromRoster(roster.students))}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium disabled:opacity-50"
+            >
+              Reset
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !hasChanges}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Attendance'}
+            </button>
+          </div>
+
+          {history && (
+            <div className="px-4 py-3 border-t border-gray-200 text-sm">
+              {history.length === 0 ? (
+                <p className="text-gray-500">No attendance saved for this session yet</p>
+              ) : (
+                <ul className="space-y-1">
+                  {history.map(change => (
+                    <li key={change.id} className="text-gray-700">
+                      {new Date(change.changed_at).toLocaleString()}
+                      {change.changed_by_name && ` · ${change.changed_by_name}`}:{' '}
+                      <span className="font-medium">{change.student_name || `Student ${change.student_id}`}</span>{' '}
+                      {!change.previous_status
+                        ? `marked ${STATUS_LABELS[change.new_status].toLowerCase()}`
+                        : change.previous_status !== change.new_status
+                        ? `${STATUS_LABELS[change.previous_status]} → ${STATUS_LABELS[change.new_status]}`
+                        : STATUS_LABELS[change.new_status].toLowerCase()}
+                      {change.new_remarks !== change.previous_remarks && (
+                        change.new_remarks ? ` (note: ${change.new_remarks})` : ' (note removed)'
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionAttendance;
@@ -0,0 +1,433 @@
+/**
+ * Session Manager Component
+ *
+ * Lets coaches move, cancel or hand over upcoming sessions of an activity,
+ * one at a time or across a date range. Double-bookings come back from the
+ * API as conflicts and are listed in the dialog.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiCalendar, FiClock, FiMapPin, FiUser, FiEdit2, FiXCircle, FiList } from 'react-icons/fi';
+import {
+  getActivitySessions,
+  updateSession,
+  cancelSession,
+  updateSessionRange,
+  getSessionChanges,
+  getVenues,
+  getInstructors
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+
+const EMPTY_RANGE = { action: 'cancel', from: '', to: '', venue_id: '', instructor_id: '', start_time: '', end_time: '', reason: '' };
+
+const CHANGE_LABELS = {
+  rescheduled: 'Rescheduled',
+  reassigned: 'Reassigned',
+  cancelled: 'Cancelled'
+};
+
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+const formatDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+// Drop empty fields so the API keeps the current value
+const compact = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+
+const ConflictList = ({ conflicts }) => {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  return (
+    <ul className="mt-3 space-y-1 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+      {conflicts.map((conflict, index) => (
+        <li key={index}>
+          {conflict.message
+            ? `${formatDate(conflict.session_date)}: ${conflict.message}`
+            : conflict.conflicts
+            ? `${formatDate(conflict.session_date)}: ${conflict.conflicts.map(c => `${c.type} booked by ${c.activity_name}`).join(', ')}`
+            : `${conflict.type === 'venue' ? 'Venue' : 'Instructor'} already booked by ${conflict.activity_name} (${formatTime(conflict.start_time)}–${formatTime(conflict.end_time)})`}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const SessionManager = ({ activityId }) => {
+  const [sessions, setSessions] = useState([]);
+  const [venues, setVenues] = useState([]);
+  const [instructors, setInstructors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editDialog, setEditDialog] = useState({ isOpen: false, session: null });
+  const [editData, setEditData] = useState({});
+  const [cancelDialog, setCancelDialog] = useState({ isOpen: false, session: null });
+  const [cancelReason, setCancelReason] = useState('');
+  const [rangeData, setRangeData] = useState(EMPTY_RANGE);
+  const [conflicts, setConflicts] = useState([]);
+  const [history, setHistory] = useState({ sessionId: null, changes: [] });
+  const [saving, setSaving] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activityId]);
+
+  useEffect(() => {
+    fetchResources();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await getActivitySessions(activityId, todayString());
+      setSessions(response.data || []);
+    } catch {
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchResources = async () => {
+    try {
+      const [venuesResponse, instructorsResponse] = await Promise.all([getVenues(), getInstructors()]);
+      setVenues((venuesResponse.data || []).filter(v => v.status === 'available'));
+      setInstructors((instructorsResponse.data || []).filter(i => i.status === 'active'));
+    } catch {
+      toast.error('Failed to load venues and instructors');
+    }
+  };
+
+  const openEditDialog = (session) => {
+    setEditDialog({ isOpen: true, session });
+    setEditData({
+      session_date: session.session_date,
+      start_time: formatTime(session.start_time),
+      end_time: formatTime(session.end_time),
+      venue_id: session.venue_id || '',
+      instructor_id: session.instructor_id || '',
+      reason: ''
+    });
+    setConflicts([]);
+  };
+
+  const openCancelDialog = (session) => {
+    setCancelDialog({ isOpen: true, session });
+    setCancelReason('');
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editData.reason.trim()) {
+      toast.warning('Please give a reason for the change');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await updateSession(activityId, editDialog.session.id, compact(editData));
+      toast.success(response.message);
+      setEditDialog({ isOpen: false, session: null });
+      fetchSessions();
+    } catch (err) {
+      setConflicts(err.data?.conflicts || []);
+      toast.error(err.message || 'Failed to update session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirmCancel = async () => {
+    if (!cancelReason.trim()) {
+      toast.warning('Please give a reason for cancelling');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await cancelSession(activityId, cancelDialog.session.id, cancelReason);
+      toast.success('Session cancelled');
+      setCancelDialog({ isOpen: false, session: null });
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to cancel session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRangeSubmit = async (e) => {
+    e.preventDefault();
+    setConflicts([]);
+
+    try {
+      setSaving(true);
+      const response = await updateSessionRange(activityId, compact(rangeData));
+      toast.success(response.message);
+      setRangeData(EMPTY_RANGE);
+      fetchSessions();
+    } catch (err) {
+      setConflicts(err.data?.conflicts || []);
+      toast.error(err.message || 'Failed to update sessions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleHistory = async (sessionId) => {
+    if (history.sessionId === sessionId) {
+      setHistory({ sessionId: null, changes: [] });
+      return;
+    }
+
+    try {
+      const response = await getSessionChanges(activityId, sessionId);
+      setHistory({ sessionId, changes: response.data || [] });
+    } catch {
+      toast.error('Failed to load change history');
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  const resourceSelects = (values, onChange, placeholder) => (
+    <>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Venue</label>
+        <select value={values.venue_id} onChange={(e) => onChange({ ...values, venue_id: e.target.value })} className={inputClass}>
+          <option value="">{placeholder}</option>
+          {venues.map(venue => (
+            <option key={venue.id} value={venue.id}>{venue.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Instructor</label>
+        <select value={values.instructor_id} onChange={(e) => onChange({ ...values, instructor_id: e.target.value })} className={inputClass}>
+          <option value="">{placeholder}</option>
+          {instructors.map(instructor => (
+            <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+          ))}
+        </select>
+      </div>
+    </>
+  );
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading sessions...</div>;
+  }
+
+  return (
+    <div>
+      <h3 className="text-xl font-bold text-gray-900 mb-4">Upcoming Sessions</h3>
+
+      {sessions.length === 0 ? (
+        <div className="bg-gray-50 rounded-lg p-8 text-center mb-6">
+          <p className="text-gray-600">No upcoming sessions</p>
+        </div>
+      ) : (
+        <div className="space-y-3 mb-8">
+          {sessions.map(session => (
+            <div key={session.id} className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="font-semibold text-gray-900">{formatDate(session.session_date)}</span>
+                    {session.status === 'cancelled' ? (
+                      <span className="px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">Cancelled</span>
+                    ) : session.is_modified ? (
+                      <span className="px-2 py-0.5 text-xs font-semibold text-amber-700 bg-amber-100 rounded-full">Changed</span>
+                    ) : null}
+                    {session.original_date && session.original_date !== session.session_date && (
+                      <span className="text-xs text-gray-500">moved from {formatDate(session.original_date)}</span>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+                    <span className="flex items-center gap-1"><FiClock />{formatTime(session.start_time)}–{formatTime(session.end_time)}</span>
+                    <span className="flex items-center gap-1"><FiMapPin />{session.venue_name || 'No venue'}</span>
+                    <span className="flex items-center gap-1"><FiUser />{session.instructor_name || 'No instructor'}</span>
+                  </div>
+                  {session.notes && <p className="text-sm text-gray-500 mt-1">{session.notes}</p>}
+                </div>
+                <div className="flex gap-2">
+                  {session.status === 'scheduled' && (
+                    <>
+                      <button onClick={() => openEditDialog(session)} className="p-2 text-blue-600 hover:text-blue-800" title="Reschedule or reassign">
+                        <FiEdit2 />
+                      </button>
+                      <button onClick={() => openCancelDialog(session)} className="p-2 text-red-600 hover:text-red-800" title="Cancel session">
+                        <FiXCircle />
+                      </button>
+                    </>
+                  )}
+                  <button onClick={() => toggleHistory(session.id)} className="p-2 text-gray-600 hover:text-gray-900" title="Change history">
+                    <FiList />
+                  </button>
+                </div>
+              </div>
+
+              {history.sessionId === session.id && (
+                <div className="mt-3 pt-3 border-t border-gray-100 text-sm">
+                  {history.changes.length === 0 ? (
+                    <p className="text-gray-500">No changes</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {history.changes.map(change => (
+                        <li key={change.id} className="text-gray-700">
+                          <span className="font-medium">{CHANGE_LABELS[change.change_type]}</span>
+                          {' '}on {new Date(change.changed_at).toLocaleDateString()}
+                          {change.changed_by_name && ` by ${change.changed_by_name}`}: {change.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Range Changes */}
+      <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6">
+        <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center gap-2"><FiCalendar /> Change a Date Range</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Applies to every upcoming scheduled session in the range. If any session clashes, nothing is changed.
+        </p>
+        <form onSubmit={handleRangeSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+            <select value={rangeData.action} onChange={(e) => setRangeData({ ...rangeData, action: e.target.value })} className={inputClass}>
+              <option value="cancel">Cancel sessions</option>
+              <option value="reassign">Reassign sessions</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input type="date" value={rangeData.from} min={todayString()} onChange={(e) => setRangeData({ ...rangeData, from: e.target.value })} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input type="date" value={rangeData.to} min={rangeData.from} onChange={(e) => setRangeData({ ...rangeData, to: e.target.value })} className={inputClass} required />
+          </div>
+          <div />
+          {rangeData.action === 'reassign' && (
+            <>
+              {resourceSelects(rangeData, setRangeData, 'Keep current')}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Start time</label>
+                <input type="time" value={rangeData.start_time} onChange={(e) => setRangeData({ ...rangeData, start_time: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">End time</label>
+                <input type="time" value={rangeData.end_time} onChange={(e) => setRangeData({ ...rangeData, end_time: e.target.value })} className={inputClass} />
+              </div>
+            </>
+          )}
+          <div className="md:col-span-3">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <input type="text" value={rangeData.reason} onChange={(e) => setRangeData({ ...rangeData, reason: e.target.value })} placeholder="e.g. Gym floor being resurfaced" className={inputClass} required />
+          </div>
+          <div className="flex items-end">
+            <button type="submit" disabled={saving} className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition disabled:opacity-50">
+              {saving ? 'Saving...' : 'Apply'}
+            </button>
+          </div>
+        </form>
+        {!editDialog.isOpen && <ConflictList conflicts={conflicts} />}
+      </div>
+
+      {/* Reschedule / Reassign Dialog */}
+      {editDialog.isOpen && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 animate-scale-in">
+            <div className="p-6">
+              <h3 className="text-xl font-bold text-gray-900 mb-4">Change Session</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                  <input type="date" value={editData.session_date} min={todayString()} onChange={(e) => setEditData({ ...editData, session_date: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start time</label>
+                  <input type="time" value={editData.start_time} onChange={(e) => setEditData({ ...editData, start_time: e.target.value })} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">End time</label>
+                  <input type="time" value={editData.end_time} onChange={(e) => setEditData({ ...editData, end_time: e.target.value })} className={inputClass} />
+                </div>
+                {resourceSelects(editData, setEditData, 'None')}
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                  <input type="text" value={editData.reason} onChange={(e) => setEditData({ ...editData, reason: e.target.value })} placeholder="e.g. Coach away at a tournament" className={inputClass} />
+                </div>
+              </div>
+              <ConflictList conflicts={conflicts} />
+              <div className="flex gap-3 justify-end mt-6">
+                <button
+                  onClick={() => setEditDialog({ isOpen: false, session: null })}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleSaveEdit}
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Cancel Dialog */}
+      {cancelDialog.isOpen && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 animate-scale-in">
+            <div className="p-6">
+              <h3 className="text-xl font-bold text-gray-900 mb-2">Cancel Session</h3>
+              <p className="text-gray-600 mb-4">
+                {formatDate(cancelDialog.session.session_date)}, {formatTime(cancelDialog.session.start_time)}
+              </p>
+              <textarea
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                placeholder="Reason for cancelling..."
+                rows="3"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent mb-4"
+              />
+              <div className="flex gap-3 justify-end">
+                <button
+                  onClick={() => setCancelDialog({ isOpen: false, session: null })}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+                >
+                  Keep Session
+                </button>
+                <button
+                  onClick={handleConfirmCancel}
+                  disabled={saving}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50"
+                >
+                  Cancel Session
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionManager;
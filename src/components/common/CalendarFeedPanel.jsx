@@ -0,0 +1,192 @@
+/**
+ * Calendar Feed Panel Component
+ * Lets users subscribe to their sessions (or a venue's bookings) from Google,
+ * Apple or Outlook calendars through a secret .ics link
+ */
+
+import { useState, useEffect } from 'react';
+import { FiCopy, FiTrash2, FiLink } from 'react-icons/fi';
+import { getCalendarFeeds, createCalendarFeed, revokeCalendarFeed, getVenues } from '../../services/api';
+import { useAuth } from '../auth/AuthContext';
+import { useToast } from './ToastContainer';
+import ConfirmDialog from './ConfirmDialog';
+
+const FEED_LABELS = {
+  student: 'Activities',
+  coach: 'Coaching sessions',
+  venue: 'Venue bookings'
+};
+
+const CalendarFeedPanel = () => {
+  const { user } = useAuth();
+  const [feeds, setFeeds] = useState([]);
+  const [venues, setVenues] = useState([]);
+  const [venueId, setVenueId] = useState('');
+  const [newLink, setNewLink] = useState(null);
+  const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, feed: null });
+  const toast = useToast();
+
+  const canUseVenues = user.role === 'teacher' || user.role === 'admin';
+
+  useEffect(() => {
+    fetchFeeds();
+    if (canUseVenues) {
+      getVenues()
+        .then(response => setVenues(response.data || []))
+        .catch(error => console.error('Failed to fetch venues:', error));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const fetchFeeds = async () => {
+    try {
+      const response = await getCalendarFeeds();
+      setFeeds(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch calendar links:', error);
+    }
+  };
+
+  const handleCreate = async (feedType, targetId = null) => {
+    try {
+      const response = await createCalendarFeed(feedType, targetId);
+      setNewLink(response.data);
+      toast.success(response.message);
+      fetchFeeds();
+    } catch (error) {
+      toast.error(error.message || 'Failed to create calendar link');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newLink.url);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Copy the link by hand');
+    }
+  };
+
+  const handleRevoke = async () => {
+    const { feed } = confirmDialog;
+    setConfirmDialog({ isOpen: false, feed: null });
+
+    try {
+      await revokeCalendarFeed(feed.id);
+      toast.success('Calendar link revoked');
+      if (newLink?.id === feed.id) setNewLink(null);
+      fetchFeeds();
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke calendar link');
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+      <h3 className="font-semibold text-gray-900 mb-1">Subscribe in your calendar app</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        Adds your sessions to Google, Apple or Outlook calendar and keeps them updated, including moves and cancellations.
+        Anyone with the link can see the calendar; creating a new link turns the old one off.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {user.role === 'student' && (
+          <button
+            onClick={() => handleCreate('student')}
+            className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition-colors"
+          >
+            <FiLink /> Link for my activities
+          </button>
+        )}
+        {user.role === 'teacher' && (
+          <button
+            onClick={() => handleCreate('coach')}
+            className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-lg transition-colors"
+          >
+            <FiLink /> Link for my sessions
+          </button>
+        )}
+        {canUseVenues && (
+          <>
+            <select
+              value={venueId}
+              onChange={(e) => setVenueId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Choose a venue...</option>
+              {venues.map(venue => <option key={venue.id} value={venue.id}>{venue.name}</option>)}
+            </select>
+            <button
+              onClick={() => handleCreate('venue', venueId)}
+              disabled={!venueId}
+              className="flex items-center gap-2 px-3 py-2 border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+            >
+              <FiLink /> Link for venue bookings
+            </button>
+          </>
+        )}
+      </div>
+
+      {newLink && (
+        <div className="mt-3 p-3 bg-green-50 border border-green-200 rounded-lg text-sm">
+          <p className="text-green-800 font-medium mb-2">
+            {newLink.name}: copy this link now, it is only shown once
+          </p>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              readOnly
+              value={newLink.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-white font-mono text-xs"
+            />
+            <button onClick={handleCopy} className="p-2 text-green-700 hover:bg-green-100 rounded-lg" title="Copy link">
+              <FiCopy />
+            </button>
+            <a
+              href={newLink.url.replace(/^https?:/, 'webcal:')}
+              className="px-3 py-2 text-sm text-green-700 hover:bg-green-100 rounded-lg font-semibold"
+            >
+              Open in calendar app
+            </a>
+          </div>
+        </div>
+      )}
+
+      {feeds.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100 text-sm">
+          {feeds.map(feed => (
+            <li key={feed.id} className="flex items-center justify-between py-2">
+              <span className="text-gray-700">
+                {FEED_LABELS[feed.feed_type]}: {feed.target_name}
+                <span className="text-gray-500">
+                  {' '}· created {new Date(feed.created_at).toLocaleDateString()}
+                  {feed.last_accessed_at && `, last synced ${new Date(feed.last_accessed_at).toLocaleString()}`}
+                </span>
+              </span>
+              <button
+                onClick={() => setConfirmDialog({ isOpen: true, feed })}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                title="Revoke link"
+              >
+                <FiTrash2 />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        title="Revoke Calendar Link"
+        message="Calendars subscribed with this link will stop updating."
+        onConfirm={handleRevoke}
+        onCancel={() => setConfirmDialog({ isOpen: false, feed: null })}
+        confirmText="Revoke"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
@@ -1,22 +1,55 @@
 /**
  * Calendar View Component
- * Displays activities in a calendar format
+ * Displays activities in a calendar format, along with holidays and closures
+ * Admins (canManage) can add and remove closures; everyone can subscribe
+ * to their sessions from an external calendar app
  */
 
 import { useState, useEffect } from 'react';
-import { FiChevronLeft, FiChevronRight, FiClock, FiMapPin } from 'react-icons/fi';
-import { getAllActivities } from '../../services/api';
+import { FiChevronLeft, FiChevronRight, FiClock, FiMapPin, FiSlash, FiPlus, FiTrash2, FiLink } from 'react-icons/fi';
+import { getAllActivities, getClosures, createClosure, deleteClosure } from '../../services/api';
+import { useToast } from './ToastContainer';
+import ConfirmDialog from './ConfirmDialog';
+import CalendarFeedPanel from './CalendarFeedPanel';
 
-const CalendarView = () => {
+const CLOSURE_TYPE_LABELS = {
+  holiday: 'Holiday',
+  term_break: 'Term Break',
+  exam_week: 'Exam Week',
+  closure: 'Closure'
+};
+
+const EMPTY_CLOSURE = { name: '', closure_type: 'holiday', start_date: '', end_date: '', notes: '' };
+
+// Local YYYY-MM-DD (toISOString would shift the date across time zones)
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const CalendarView = ({ canManage = false }) => {
   const [currentDate, setCurrentDate] = useState(new Date());
   const [activities, setActivities] = useState([]);
+  const [closures, setClosures] = useState([]);
   const [selectedDate, setSelectedDate] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [showClosureForm, setShowClosureForm] = useState(false);
+  const [showFeeds, setShowFeeds] = useState(false);
+  const [closureForm, setClosureForm] = useState(EMPTY_CLOSURE);
+  const [savingClosure, setSavingClosure] = useState(false);
+  const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, data: null });
+  const toast = useToast();
 
   useEffect(() => {
     fetchActivities();
   }, []);
 
+  useEffect(() => {
+    fetchClosures();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentDate]);
+
   const fetchActivities = async () => {
     try {
       const response = await getAllActivities();
@@ -28,6 +61,53 @@ const CalendarView = () => {
     }
   };
 
+  const fetchClosures = async () => {
+    try {
+      const year = currentDate.getFullYear();
+      const month = currentDate.getMonth();
+      const response = await getClosures(
+        toDateKey(new Date(year, month, 1)),
+        toDateKey(new Date(year, month + 1, 0))
+      );
+      setClosures(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch closures:', error);
+    }
+  };
+
+  const handleClosureSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSavingClosure(true);
+      const response = await createClosure({
+        ...closureForm,
+        end_date: closureForm.end_date || closureForm.start_date
+      });
+      toast.success(`${closureForm.name} added. ${response.sessions_cancelled} sessions cancelled.`);
+      setClosureForm(EMPTY_CLOSURE);
+      setShowClosureForm(false);
+      fetchClosures();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add closure');
+    } finally {
+      setSavingClosure(false);
+    }
+  };
+
+  const confirmDeleteClosure = async () => {
+    const closure = confirmDialog.data;
+    setConfirmDialog({ isOpen: false, data: null });
+
+    try {
+      const response = await deleteClosure(closure.id);
+      toast.success(`${closure.name} removed. ${response.sessions_restored} sessions restored.`);
+      fetchClosures();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove closure');
+    }
+  };
+
   const getDaysInMonth = (date) => {
     const year = date.getFullYear();
     const month = date.getMonth();
@@ -75,8 +155,19 @@ const CalendarView = () => {
     return days;
   };
 
+  // Closures covering a specific date
+  const getClosuresForDate = (date) => {
+    const key = toDateKey(date);
+    return closures.filter(closure => key >= closure.start_date && key <= closure.end_date);
+  };
+
+  // A school-wide closure cancels everything that day
+  const isSchoolClosed = (date) => getClosuresForDate(date).some(closure => !closure.venue_id);
+
   // Get activities for a specific date
   const getActivitiesForDate = (date) => {
+    if (isSchoolClosed(date)) return [];
+
     const dayOfWeek = date.getDay();
     return activities.filter(activity => {
       const activityDays = getActivityDays(activity.schedule);
@@ -117,6 +208,7 @@ const CalendarView = () => {
   };
 
   const selectedDateActivities = selectedDate ? getActivitiesForDate(selectedDate) : [];
+  const selectedDateClosures = selectedDate ? getClosuresForDate(selectedDate) : [];
 
   if (loading) {
     return (
@@ -128,11 +220,94 @@ const CalendarView = () => {
 
   return (
     <div className="max-w-7xl mx-auto">
-      <div className="mb-6">
-        <h2 className="text-2xl font-bold text-gray-900">Activity Calendar</h2>
-        <p className="text-gray-600 mt-1">View scheduled activities by date</p>
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Activity Calendar</h2>
+          <p className="text-gray-600 mt-1">View scheduled activities by date</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowFeeds(!showFeeds)}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-semibold rounded-lg transition-colors"
+          >
+            <FiLink />
+            Subscribe
+          </button>
+          {canManage && (
+            <button
+              onClick={() => setShowClosureForm(!showClosureForm)}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold rounded-lg transition-colors"
+            >
+              <FiPlus />
+              Add Closure
+            </button>
+          )}
+        </div>
       </div>
 
+      {showFeeds && <CalendarFeedPanel />}
+
+      {canManage && showClosureForm && (
+        <form
+          onSubmit={handleClosureSubmit}
+          className="mb-6 bg-white rounded-lg shadow-sm border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-5 gap-3 items-end"
+        >
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={closureForm.name}
+              onChange={(e) => setClosureForm({ ...closureForm, name: e.target.value })}
+              placeholder="e.g. Winter Break"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={closureForm.closure_type}
+              onChange={(e) => setClosureForm({ ...closureForm, closure_type: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {Object.entries(CLOSURE_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={closureForm.start_date}
+              onChange={(e) => setClosureForm({ ...closureForm, start_date: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={closureForm.end_date}
+              min={closureForm.start_date}
+              onChange={(e) => setClosureForm({ ...closureForm, end_date: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <p className="md:col-span-4 text-xs text-gray-500">
+            Scheduled sessions on these days are cancelled and enrolled families are notified.
+          </p>
+          <button
+            type="submit"
+            disabled={savingClosure}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold rounded-lg transition-colors disabled:opacity-50"
+          >
+            {savingClosure ? 'Saving...' : 'Save Closure'}
+          </button>
+        </form>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Calendar */}
         <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200">
@@ -184,6 +359,7 @@ const CalendarView = () => {
                 const day = index + 1;
                 const dateForDay = new Date(currentDate.getFullYear(), currentDate.getMonth(), day);
                 const dayActivities = getActivitiesForDate(dateForDay);
+                const dayClosures = getClosuresForDate(dateForDay);
                 
                 return (
                   <div
@@ -194,6 +370,8 @@ const CalendarView = () => {
                         ? 'border-blue-500 bg-blue-50'
                         : isToday(day)
                         ? 'border-blue-300 bg-blue-50'
+                        : isSchoolClosed(dateForDay)
+                        ? 'border-red-200 bg-red-50'
                         : 'border-gray-200 hover:bg-gray-50'
                     }`}
                   >
@@ -203,6 +381,14 @@ const CalendarView = () => {
                       {day}
                     </div>
                     <div className="space-y-0.5 overflow-hidden">
+                      {dayClosures.slice(0, 1).map(closure => (
+                        <div
+                          key={`closure-${closure.id}`}
+                          className="text-xs px-1 py-0.5 rounded truncate bg-red-100 text-red-800 border border-red-200"
+                        >
+                          {closure.venue_name ? `${closure.venue_name}: ` : ''}{closure.name}
+                        </div>
+                      ))}
                       {dayActivities.slice(0, 2).map(activity => (
                         <div
                           key={activity.id}
@@ -238,13 +424,38 @@ const CalendarView = () => {
             </h3>
           </div>
           <div className="p-4">
+            {selectedDateClosures.map(closure => (
+              <div key={closure.id} className="mb-3 p-3 rounded-lg bg-red-50 border border-red-200">
+                <div className="flex items-start justify-between gap-2">
+                  <div className="flex items-center gap-2 font-medium text-red-800">
+                    <FiSlash className="w-4 h-4" />
+                    {closure.name}
+                  </div>
+                  {canManage && (
+                    <button
+                      onClick={() => setConfirmDialog({ isOpen: true, data: closure })}
+                      className="text-red-600 hover:text-red-800"
+                      title="Remove closure"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-red-700 mt-1">
+                  {CLOSURE_TYPE_LABELS[closure.closure_type]}
+                  {closure.venue_name ? ` · ${closure.venue_name} only` : ' · whole school'}
+                  {closure.start_date !== closure.end_date && ` · ${closure.start_date} to ${closure.end_date}`}
+                </p>
+                {closure.notes && <p className="text-sm text-red-600 mt-1">{closure.notes}</p>}
+              </div>
+            ))}
             {!selectedDate ? (
               <p className="text-gray-500 text-center py-8">
                 Click on a date to view scheduled activities
               </p>
             ) : selectedDateActivities.length === 0 ? (
               <p className="text-gray-500 text-center py-8">
-                No activities scheduled for this day
+                {isSchoolClosed(selectedDate) ? 'All activities are cancelled on this day' : 'No activities scheduled for this day'}
               </p>
             ) : (
               <div className="space-y-3">
@@ -292,8 +503,21 @@ const CalendarView = () => {
               {category}
             </span>
           ))}
+          <span className="px-3 py-1 text-sm rounded-full bg-red-100 text-red-800 border border-red-200">
+            Holiday / Closure
+          </span>
         </div>
       </div>
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        title="Remove Closure"
+        message={`Remove ${confirmDialog.data?.name}? Upcoming sessions it cancelled will be scheduled again.`}
+        onConfirm={confirmDeleteClosure}
+        onCancel={() => setConfirmDialog({ isOpen: false, data: null })}
+        confirmText="Remove"
+        type="danger"
+      />
     </div>
   );
 };
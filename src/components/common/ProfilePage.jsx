@@ -8,6 +8,9 @@ import { FiUser, FiMail, FiPhone, FiCalendar, FiMapPin, FiEdit2, FiSave, FiX } f
 import { updateUser } from '../../services/api';
 import { useToast } from './ToastContainer';
 
+// Admins set everything else (name, email, date of birth) from User Management
+const SELF_EDITABLE_FIELDS = ['phone', 'address'];
+
 const ProfilePage = ({ user, onUpdateUser }) => {
   const toast = useToast();
   const [isEditing, setIsEditing] = useState(false);
@@ -29,7 +32,10 @@ const ProfilePage = ({ user, onUpdateUser }) => {
   const handleSave = async () => {
     try {
       setLoading(true);
-      await updateUser(user.id, formData);
+      const changes = user.role === 'admin'
+        ? formData
+        : Object.fromEntries(SELF_EDITABLE_FIELDS.map(field => [field, formData[field]]));
+      await updateUser(user.id, changes);
       
       // Create updated user object
       const updatedUser = {
@@ -43,17 +49,11 @@ const ProfilePage = ({ user, onUpdateUser }) => {
         address: formData.address
       };
       
-      // Update local user state
+      // Update the signed-in user held by AuthProvider
       if (onUpdateUser) {
         onUpdateUser(updatedUser);
       }
       
-      // Update localStorage
-      const storedUser = localStorage.getItem('user');
-      if (storedUser) {
-        localStorage.setItem('user', JSON.stringify(updatedUser));
-      }
-      
       toast.success('Profile updated successfully');
       setIsEditing(false);
     } catch (error) {
@@ -76,6 +76,8 @@ const ProfilePage = ({ user, onUpdateUser }) => {
     setIsEditing(false);
   };
 
+  const canEdit = (field) => isEditing && (user.role === 'admin' || SELF_EDITABLE_FIELDS.includes(field));
+
   const getRoleBadgeColor = (role) => {
     switch (role) {
       case 'admin': return 'bg-purple-100 text-purple-800';
@@ -160,7 +162,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiUser className="inline w-4 h-4 mr-2" />
                 First Name
               </label>
-              {isEditing ? (
+              {canEdit('first_name') ? (
                 <input
                   type="text"
                   name="first_name"
@@ -179,7 +181,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiUser className="inline w-4 h-4 mr-2" />
                 Last Name
               </label>
-              {isEditing ? (
+              {canEdit('last_name') ? (
                 <input
                   type="text"
                   name="last_name"
@@ -198,7 +200,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiMail className="inline w-4 h-4 mr-2" />
                 Email Address
               </label>
-              {isEditing ? (
+              {canEdit('email') ? (
                 <input
                   type="email"
                   name="email"
@@ -217,7 +219,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiPhone className="inline w-4 h-4 mr-2" />
                 Phone Number
               </label>
-              {isEditing ? (
+              {canEdit('phone') ? (
                 <input
                   type="tel"
                   name="phone"
@@ -236,7 +238,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiCalendar className="inline w-4 h-4 mr-2" />
                 Date of Birth
               </label>
-              {isEditing ? (
+              {canEdit('date_of_birth') ? (
                 <input
                   type="date"
                   name="date_of_birth"
@@ -261,7 +263,7 @@ const ProfilePage = ({ user, onUpdateUser }) => {
                 <FiMapPin className="inline w-4 h-4 mr-2" />
                 Address
               </label>
-              {isEditing ? (
+              {canEdit('address') ? (
                 <input
                   type="text"
                   name="address"
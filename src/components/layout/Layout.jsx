@@ -7,7 +7,7 @@ import { useState, useEffect, useRef } from 'react';
 import Sidebar from './Sidebar';
 import { FiBell, FiUser, FiCalendar, FiHome, FiX, FiCheck, FiClock, FiAlertCircle } from 'react-icons/fi';
 
-const Layout = ({ user, onRoleChange, onCoachChange, availableCoaches, onStudentChange, availableStudents, onNavigate, currentView, children }) => {
+const Layout = ({ user, onLogout, devMode, onRoleChange, onCoachChange, availableCoaches, onStudentChange, availableStudents, onNavigate, currentView, children }) => {
   const [notifications, setNotifications] = useState([]);
   const [showNotifications, setShowNotifications] = useState(false);
   const notificationRef = useRef(null);
@@ -95,7 +95,7 @@ const Layout = ({ user, onRoleChange, onCoachChange, availableCoaches, onStudent
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Sidebar */}
-      <Sidebar user={user} onRoleChange={onRoleChange} />
+      <Sidebar user={user} onRoleChange={onRoleChange} onLogout={onLogout} />
 
       {/* Main Content Area */}
       <div className="transition-all duration-300">
@@ -111,6 +111,7 @@ const Layout = ({ user, onRoleChange, onCoachChange, availableCoaches, onStudent
                     {user.role === 'admin' && 'Admin Dashboard'}
                     {user.role === 'teacher' && 'Coach Dashboard'}
                     {user.role === 'student' && 'Student Dashboard'}
+                    {user.role === 'parent' && 'Parent Dashboard'}
                   </>
                 )}
               </h1>
@@ -306,7 +307,9 @@ const Layout = ({ user, onRoleChange, onCoachChange, availableCoaches, onStudent
         <footer className="bg-white border-t border-gray-200 py-6 px-4 lg:px-20 mt-12">
           <div className="text-center text-sm text-gray-600">
             <p>2026 Extra-Curricular Activity Management System</p>
-            <p className="mt-1 text-xs text-gray-500">Development Mode - Role switching enabled in sidebar</p>
+            {devMode && (
+              <p className="mt-1 text-xs text-gray-500">Development Mode - Role switching enabled in sidebar</p>
+            )}
           </div>
         </footer>
       </div>
@@ -1,12 +1,12 @@
 /**
  * Sidebar Component
- * Simplified sidebar with role switcher for development
+ * Simplified sidebar with user info, sign out and (in development) a role switcher
  */
 
 import { useState, useEffect } from 'react';
-import { FiMenu, FiX, FiUser, FiShield, FiUsers, FiBookOpen } from 'react-icons/fi';
+import { FiMenu, FiX, FiUser, FiShield, FiUsers, FiBookOpen, FiLogOut } from 'react-icons/fi';
 
-const Sidebar = ({ user, onRoleChange }) => {
+const Sidebar = ({ user, onRoleChange, onLogout }) => {
   const [isOpen, setIsOpen] = useState(false);
 
   // Lock body scroll when sidebar is open
@@ -91,7 +91,8 @@ const Sidebar = ({ user, onRoleChange }) => {
             </div>
           </div>
 
-          {/* Dev Role Switcher */}
+          {/* Dev Role Switcher - only passed in when the development flag is on */}
+          {onRoleChange && (
           <div className="p-4 bg-slate-50 border-b border-slate-200">
             <div className="flex items-center gap-2 mb-3">
               <div className="w-6 h-6 rounded bg-slate-200 flex items-center justify-center">
@@ -123,6 +124,7 @@ const Sidebar = ({ user, onRoleChange }) => {
               })}
             </div>
           </div>
+          )}
 
           {/* Info Section */}
           <div className="flex-1 p-4">
@@ -145,6 +147,19 @@ const Sidebar = ({ user, onRoleChange }) => {
             </div>
           </div>
 
+          {/* Sign Out */}
+          {onLogout && (
+            <div className="p-4 border-t border-gray-200">
+              <button
+                onClick={onLogout}
+                className="w-full flex items-center gap-3 px-3 py-2.5 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition-colors"
+              >
+                <FiLogOut className="text-base" />
+                <span>Sign Out</span>
+              </button>
+            </div>
+          )}
+
           {/* Footer */}
           <div className="p-4 border-t border-gray-200 bg-gray-50">
             <p className="text-xs text-center text-gray-600">
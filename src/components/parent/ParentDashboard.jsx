@@ -0,0 +1,292 @@
+/**
+ * Parent Dashboard
+ *
+ * Lets parents send absence notes for their child's sessions, ahead of time or
+ * shortly after, and follow whether the coach accepted them
+ */
+
+import { useState, useEffect } from 'react';
+import { FiPaperclip, FiSend } from 'react-icons/fi';
+import { getExcuseStudents, getStudentExcuses, submitExcuse } from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+
+// Matches the server's default EXCUSE_ATTACHMENT_MAX_KB
+const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+const ATTACHMENT_ACCEPT = '.pdf,.jpg,.jpeg,.png';
+
+const ATTENDANCE_STYLES = {
+  present: 'text-green-700 bg-green-100',
+  late: 'text-amber-700 bg-amber-100',
+  absent: 'text-red-700 bg-red-100',
+  excused: 'text-blue-700 bg-blue-100'
+};
+
+const NOTE_STYLES = {
+  pending: 'text-amber-700 bg-amber-100',
+  approved: 'text-green-700 bg-green-100',
+  rejected: 'text-red-700 bg-red-100'
+};
+
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+const formatDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatTime = (time) => (time ? time.slice(0, 5) : '');
+
+// Base64 body of a file, for sending inside the JSON request
+const readFileBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const ParentDashboard = ({ parentName }) => {
+  const [students, setStudents] = useState([]);
+  const [studentId, setStudentId] = useState('');
+  const [excuses, setExcuses] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [sending, setSending] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    const fetchStudents = async () => {
+      try {
+        const response = await getExcuseStudents();
+        const children = response.data || [];
+        setStudents(children);
+        setStudentId(children.length > 0 ? String(children[0].student_id) : '');
+      } catch {
+        toast.error('Failed to load your children');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStudents();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    setForm(null);
+    if (studentId) fetchExcuses();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [studentId]);
+
+  const fetchExcuses = async () => {
+    try {
+      const response = await getStudentExcuses(studentId);
+      setExcuses(response.data.excuses || []);
+      setSessions(response.data.sessions || []);
+    } catch {
+      toast.error('Failed to load absence notes');
+    }
+  };
+
+  const handleFile = (file) => {
+    if (file && file.size > MAX_ATTACHMENT_BYTES) {
+      toast.warning('Attachments can be at most 2 MB');
+      return;
+    }
+    setForm(current => ({ ...current, file: file || null }));
+  };
+
+  const handleSend = async () => {
+    if (!form.reason.trim()) {
+      toast.warning('Please give a reason for the absence');
+      return;
+    }
+
+    try {
+      setSending(true);
+      const attachment = form.file
+        ? { name: form.file.name, type: form.file.type, data: await readFileBase64(form.file) }
+        : null;
+      const response = await submitExcuse(studentId, form.session.session_id, form.reason, attachment);
+      toast.success(response.message);
+      setForm(null);
+      fetchExcuses();
+    } catch (err) {
+      toast.error(err.message || 'Failed to send absence note');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading...</div>;
+  }
+
+  const canExcuse = (session) => !['pending', 'approved'].includes(session.excuse_status) &&
+    !['present', 'late', 'excused'].includes(session.attendance_status);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Parent Dashboard</h1>
+        <p className="text-gray-600">Welcome back, {parentName}!</p>
+      </div>
+
+      {students.length === 0 ? (
+        <div className="bg-gray-50 rounded-lg p-8 text-center">
+          <p className="text-gray-600">No children are linked to your account yet. Please contact the school office.</p>
+        </div>
+      ) : (
+        <>
+          {students.length > 1 && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Child</label>
+              <select
+                value={studentId}
+                onChange={(e) => setStudentId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {students.map(student => (
+                  <option key={student.student_id} value={student.student_id}>{student.student_name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white rounded-lg shadow-md border border-gray-200">
+              <div className="px-4 py-3 border-b border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900">Sessions</h3>
+                <p className="text-sm text-gray-600">Send a note for a session your child will miss or has missed recently.</p>
+              </div>
+
+              {sessions.length === 0 ? (
+                <p className="px-4 py-6 text-gray-600 text-center">No recent or upcoming sessions</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {sessions.map(session => (
+                    <li key={session.session_id} className="px-4 py-3">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <div>
+                          <p className="font-medium text-gray-900">{session.activity_name}</p>
+                          <p className="text-xs text-gray-500">
+                            {formatDate(session.session_date)} · {formatTime(session.start_time)}–{formatTime(session.end_time)}
+                            {session.session_date === todayString() && ' (today)'}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {session.attendance_status && (
+                            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${ATTENDANCE_STYLES[session.attendance_status]}`}>
+                              {session.attendance_status}
+                            </span>
+                          )}
+                          {session.excuse_status && (
+                            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${NOTE_STYLES[session.excuse_status]}`}>
+                              note {session.excuse_status}
+                            </span>
+                          )}
+                          {canExcuse(session) && form?.session.session_id !== session.session_id && (
+                            <button
+                              onClick={() => setForm({ session, reason: '', file: null })}
+                              className="px-3 py-1.5 text-sm font-semibold text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 transition"
+                            >
+                              Send note
+                            </button>
+                          )}
+                        </div>
+                      </div>
+
+                      {form?.session.session_id === session.session_id && (
+                        <div className="mt-3 space-y-3">
+                          <textarea
+                            value={form.reason}
+                            onChange={(e) => setForm(current => ({ ...current, reason: e.target.value }))}
+                            rows={3}
+                            maxLength={1000}
+                            placeholder="Reason for the absence"
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                          <div className="flex flex-wrap items-center justify-between gap-3">
+                            <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                              <FiPaperclip />
+                              {form.file ? form.file.name : 'Attach a file (PDF, JPEG or PNG, optional)'}
+                              <input
+                                type="file"
+                                accept={ATTACHMENT_ACCEPT}
+                                onChange={(e) => handleFile(e.target.files[0])}
+                                className="hidden"
+                              />
+                            </label>
+                            <div className="flex gap-2">
+                              <button
+                                onClick={() => setForm(null)}
+                                disabled={sending}
+                                className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium disabled:opacity-50"
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                onClick={handleSend}
+                                disabled={sending}
+                                className="flex items-center gap-2 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50"
+                              >
+                                <FiSend /> {sending ? 'Sending...' : 'Send note'}
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg shadow-md border border-gray-200">
+              <div className="px-4 py-3 border-b border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900">Absence Notes</h3>
+              </div>
+
+              {excuses.length === 0 ? (
+                <p className="px-4 py-6 text-gray-600 text-center">No absence notes sent yet</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {excuses.map(excuse => (
+                    <li key={excuse.id} className="px-4 py-3">
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {excuse.activity_name} · {formatDate(excuse.session_date)}
+                          </p>
+                          <p className="text-sm text-gray-700 mt-1">{excuse.reason}</p>
+                          {excuse.attachment_name && (
+                            <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+                              <FiPaperclip /> {excuse.attachment_name}
+                            </p>
+                          )}
+                          {excuse.review_note && (
+                            <p className="text-xs text-gray-600 mt-1">
+                              {excuse.reviewed_by_name || 'Coach'}: {excuse.review_note}
+                            </p>
+                          )}
+                        </div>
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${NOTE_STYLES[excuse.status]}`}>
+                          {excuse.status}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ParentDashboard;
@@ -78,8 +78,14 @@ const ActivityListPage = ({ studentId }) => {
 
     try {
       setEnrolling(activityId);
-      await enrollStudent(studentId, activityId);
-      toast.success(`Successfully enrolled in ${activityName}!`);
+      const response = await enrollStudent(studentId, activityId);
+      if (response.requested) {
+        toast.info(`Request received for ${activityName}. Places are allocated by lottery after registration closes.`);
+      } else if (response.waitlisted) {
+        toast.info(`${activityName} is full. You are #${response.position} on the waitlist.`);
+      } else {
+        toast.success(`Successfully enrolled in ${activityName}!`);
+      }
       fetchActivities();
     } catch (err) {
       toast.error(err.message || 'Enrollment failed');
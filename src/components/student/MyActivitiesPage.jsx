@@ -8,6 +8,7 @@ import { useState, useEffect } from 'react';
 import { getStudentEnrollments, withdrawEnrollment } from '../../services/api';
 import { useToast } from '../common/ToastContainer';
 import ConfirmDialog from '../common/ConfirmDialog';
+import WaitlistPanel from './WaitlistPanel';
 
 const MyActivitiesPage = ({ studentId }) => {
   const [enrollments, setEnrollments] = useState([]);
@@ -110,6 +111,8 @@ const MyActivitiesPage = ({ studentId }) => {
 
   return (
     <div>
+      <WaitlistPanel studentId={studentId} onEnrolled={fetchEnrollments} />
+
       {/* Statistics Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
         <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-6 border border-blue-200">
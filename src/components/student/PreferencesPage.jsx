@@ -0,0 +1,258 @@
+/**
+ * Preferences Page
+ *
+ * Rank activities for a preference round and, once places have been
+ * allocated, see which choices were granted and why others were not
+ */
+
+import { useState, useEffect } from 'react';
+import { FiArrowUp, FiArrowDown, FiX, FiCheckCircle, FiXCircle } from 'react-icons/fi';
+import {
+  getAllActivities,
+  getPreferenceRounds,
+  getStudentPreferences,
+  submitPreferences
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+
+const PreferencesPage = ({ studentId }) => {
+  const [rounds, setRounds] = useState([]);
+  const [selectedRoundId, setSelectedRoundId] = useState(null);
+  const [activities, setActivities] = useState([]);
+  const [report, setReport] = useState(null);
+  const [choices, setChoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchRounds();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    if (selectedRoundId) {
+      fetchPreferences();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedRoundId, studentId]);
+
+  const fetchRounds = async () => {
+    try {
+      setLoading(true);
+      const [roundsResponse, activitiesResponse] = await Promise.all([
+        getPreferenceRounds(),
+        getAllActivities()
+      ]);
+      const roundList = roundsResponse.data || [];
+      setRounds(roundList);
+      setActivities(activitiesResponse.data || []);
+
+      const openRound = roundList.find(r => r.status === 'open');
+      setSelectedRoundId((openRound || roundList[0])?.id || null);
+    } catch (err) {
+      console.error('Error fetching preference rounds:', err);
+      toast.error('Failed to load preference rounds');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await getStudentPreferences(selectedRoundId, studentId);
+      setReport(response.data);
+      setChoices(response.data.choices.map(c => c.activity_id));
+    } catch (err) {
+      console.error('Error fetching preferences:', err);
+      toast.error('Failed to load your preferences');
+    }
+  };
+
+  const moveChoice = (index, direction) => {
+    const next = [...choices];
+    [next[index], next[index + direction]] = [next[index + direction], next[index]];
+    setChoices(next);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await submitPreferences(selectedRoundId, studentId, choices);
+      toast.success('Your preferences have been saved');
+      fetchPreferences();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const activityName = (activityId) => activities.find(a => a.id === activityId)?.name || `Activity #${activityId}`;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-lg text-gray-600">Loading preference rounds...</div>
+      </div>
+    );
+  }
+
+  if (rounds.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-12 text-center">
+        <h3 className="text-xl font-bold text-gray-900 mb-2">No preference rounds</h3>
+        <p className="text-gray-600">There is no ranked registration running at the moment.</p>
+      </div>
+    );
+  }
+
+  const round = report?.round;
+  const isOpen = round?.status === 'open';
+  const availableActivities = activities.filter(a => !choices.includes(a.id));
+
+  return (
+    <div>
+      {/* Round Selector */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Preference Round</label>
+        <select
+          value={selectedRoundId || ''}
+          onChange={(e) => setSelectedRoundId(parseInt(e.target.value))}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {rounds.map(r => (
+            <option key={r.id} value={r.id}>
+              {r.name} {r.status === 'allocated' ? '(results available)' : '(open)'}
+            </option>
+          ))}
+        </select>
+        {round && isOpen && (
+          <p className="text-sm text-gray-600 mt-2">
+            Rank up to {round.max_choices} activities, first choice first. You can be given up to {round.max_activities}.
+            {round.closes_at && ` Submissions close ${formatDateTime(round.closes_at)}.`}
+          </p>
+        )}
+      </div>
+
+      {round && isOpen && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-bold text-gray-900 mb-4">My Ranked Choices</h3>
+
+          {choices.length === 0 ? (
+            <p className="text-sm text-gray-600 mb-4">You have not ranked any activities yet.</p>
+          ) : (
+            <ol className="space-y-2 mb-4">
+              {choices.map((activityId, index) => (
+                <li key={activityId} className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg">
+                  <span className="w-8 h-8 flex items-center justify-center rounded-full bg-blue-100 text-blue-700 font-bold">
+                    {index + 1}
+                  </span>
+                  <span className="flex-1 font-medium text-gray-900">{activityName(activityId)}</span>
+                  <button
+                    onClick={() => moveChoice(index, -1)}
+                    disabled={index === 0}
+                    className="p-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <FiArrowUp />
+                  </button>
+                  <button
+                    onClick={() => moveChoice(index, 1)}
+                    disabled={index === choices.length - 1}
+                    className="p-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <FiArrowDown />
+                  </button>
+                  <button
+                    onClick={() => setChoices(choices.filter(id => id !== activityId))}
+                    className="p-2 text-red-600 hover:text-red-800"
+                    title="Remove"
+                  >
+                    <FiX />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {choices.length < round.max_choices && (
+            <select
+              value=""
+              onChange={(e) => setChoices([...choices, parseInt(e.target.value)])}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="" disabled>Add an activity...</option>
+              {availableActivities.map(activity => (
+                <option key={activity.id} value={activity.id}>
+                  {activity.name}{activity.schedule ? ` — ${activity.schedule}` : ''}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <button
+            onClick={handleSave}
+            disabled={saving || choices.length === 0}
+            className="w-full py-3 rounded-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white transition disabled:bg-blue-300 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Preferences'}
+          </button>
+        </div>
+      )}
+
+      {round && !isOpen && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h3 className="text-lg font-bold text-gray-900 mb-1">Allocation Results</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {report.summary.choices === 0
+              ? 'You did not submit any choices for this round.'
+              : `You were given ${report.summary.allocated} of your ${report.summary.choices} choices` +
+                (report.summary.best_rank_granted ? `, including choice #${report.summary.best_rank_granted}.` : '.')}
+          </p>
+
+          <ol className="space-y-2">
+            {report.choices.map(choice => (
+              <li
+                key={choice.activity_id}
+                className={`flex items-start gap-3 p-3 border rounded-lg ${
+                  choice.status === 'allocated' ? 'border-green-200 bg-green-50' : 'border-gray-200'
+                }`}
+              >
+                <span className="w-8 h-8 flex items-center justify-center rounded-full bg-gray-100 text-gray-700 font-bold">
+                  {choice.preference_rank}
+                </span>
+                <div className="flex-1">
+                  <div className="font-medium text-gray-900">{choice.activity_name}</div>
+                  {choice.schedule && <div className="text-xs text-gray-500 capitalize">{choice.schedule}</div>}
+                  {choice.reason_message && <div className="text-sm text-gray-600 mt-1">{choice.reason_message}</div>}
+                </div>
+                {choice.status === 'allocated' ? (
+                  <span className="inline-flex items-center gap-1 text-sm font-semibold text-green-700">
+                    <FiCheckCircle /> Allocated
+                  </span>
+                ) : (
+                  <span className="inline-flex items-center gap-1 text-sm font-semibold text-gray-500">
+                    <FiXCircle /> Not allocated
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreferencesPage;
@@ -0,0 +1,66 @@
+/**
+ * Self Check-In
+ *
+ * Opened from the session QR code (?checkin=...): checks the signed-in student
+ * in and shows whether they were on time
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { FiCheckCircle, FiClock, FiAlertCircle } from 'react-icons/fi';
+import { selfCheckIn } from '../../services/api';
+
+const SelfCheckIn = ({ token, onDone }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    // Check in once, even if the effect runs twice in development
+    if (submitted.current) return;
+    submitted.current = true;
+
+    selfCheckIn(token)
+      .then(response => setResult(response))
+      .catch(err => setError(err.message || 'Check-in failed'));
+  }, [token]);
+
+  const late = result?.data?.status === 'late';
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-xl shadow-md p-8 text-center">
+      {!result && !error && <p className="text-gray-600">Checking you in...</p>}
+
+      {result && (
+        <>
+          {late
+            ? <FiClock className="w-16 h-16 mx-auto mb-4 text-amber-500" />
+            : <FiCheckCircle className="w-16 h-16 mx-auto mb-4 text-green-600" />}
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">{result.message}</h2>
+          <p className="text-gray-600">
+            {new Date(result.data.check_in_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            {late && ' · marked late'}
+          </p>
+        </>
+      )}
+
+      {error && (
+        <>
+          <FiAlertCircle className="w-16 h-16 mx-auto mb-4 text-red-600" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Couldn't check you in</h2>
+          <p className="text-gray-600">{error}</p>
+        </>
+      )}
+
+      {(result || error) && (
+        <button
+          onClick={onDone}
+          className="mt-6 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-colors"
+        >
+          Go to my dashboard
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SelfCheckIn;
@@ -7,6 +7,7 @@
 import { useState } from 'react';
 import ActivityListPage from './ActivityListPage';
 import MyActivitiesPage from './MyActivitiesPage';
+import PreferencesPage from './PreferencesPage';
 
 const StudentDashboard = ({ studentId, studentName }) => {
   const [activeTab, setActiveTab] = useState('browse');
@@ -41,11 +42,22 @@ const StudentDashboard = ({ studentId, studentName }) => {
         >
           My Activities
         </button>
+        <button
+          className={`flex-1 px-6 py-3 font-medium rounded-lg transition-all duration-200 ${
+            activeTab === 'preferences'
+              ? 'bg-blue-600 text-white shadow-sm'
+              : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+          }`}
+          onClick={() => setActiveTab('preferences')}
+        >
+          Ranked Choices
+        </button>
       </div>
 
       {/* Tab Content */}
       {activeTab === 'browse' && <ActivityListPage studentId={studentId} />}
       {activeTab === 'my-activities' && <MyActivitiesPage studentId={studentId} />}
+      {activeTab === 'preferences' && <PreferencesPage studentId={studentId} />}
     </div>
   );
 };
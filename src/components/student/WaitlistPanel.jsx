@@ -0,0 +1,236 @@
+/**
+ * Waitlist Panel
+ *
+ * Shows a student's waitlist entries: place in the queue, open offers
+ * and status history, with leave / accept / decline actions
+ */
+
+import { useState, useEffect } from 'react';
+import { FiClock, FiChevronDown, FiChevronUp, FiArrowUp } from 'react-icons/fi';
+import {
+  getStudentWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer
+} from '../../services/api';
+import { useToast } from '../common/ToastContainer';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const WaitlistPanel = ({ studentId, onEnrolled }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [showPast, setShowPast] = useState(false);
+  const [confirmDialog, setConfirmDialog] = useState({ isOpen: false, data: null });
+  const toast = useToast();
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [studentId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchWaitlist = async () => {
+    try {
+      setLoading(true);
+      const response = await getStudentWaitlist(studentId);
+      setEntries(response.data || []);
+    } catch (err) {
+      console.error('Error fetching waitlist:', err);
+      toast.error('Failed to load waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (entry, action, successMessage) => {
+    try {
+      setBusy(entry.waitlist_id);
+      await action(entry.waitlist_id, studentId);
+      toast.success(successMessage);
+      fetchWaitlist();
+      return true;
+    } catch (err) {
+      toast.error(err.message || 'Action failed');
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleAccept = async (entry) => {
+    const accepted = await runAction(entry, acceptWaitlistOffer, `Enrolled in ${entry.activity_name}!`);
+    if (accepted && onEnrolled) {
+      onEnrolled();
+    }
+  };
+
+  const handleDecline = (entry) => {
+    runAction(entry, declineWaitlistOffer, `Declined the place in ${entry.activity_name}`);
+  };
+
+  const confirmLeave = () => {
+    const entry = confirmDialog.data;
+    setConfirmDialog({ isOpen: false, data: null });
+    runAction(entry, leaveWaitlist, `Left the waitlist for ${entry.activity_name}`);
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const getStatusBadge = (status) => {
+    const badges = {
+      waiting: { color: 'bg-yellow-100 text-yellow-800', text: 'Waiting' },
+      notified: { color: 'bg-green-100 text-green-800', text: 'Place Offered' },
+      promoted: { color: 'bg-blue-100 text-blue-800', text: 'Enrolled' },
+      expired: { color: 'bg-gray-100 text-gray-800', text: 'Offer Expired' },
+      declined: { color: 'bg-gray-100 text-gray-800', text: 'Declined' },
+      cancelled: { color: 'bg-gray-100 text-gray-800', text: 'Left' }
+    };
+    return badges[status] || badges.waiting;
+  };
+
+  const openEntries = entries.filter(e => ['waiting', 'notified'].includes(e.status));
+  const pastEntries = entries.filter(e => !['waiting', 'notified'].includes(e.status));
+  const visibleEntries = showPast ? entries : openEntries;
+
+  if (loading || entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md border border-gray-200 mb-6">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <FiClock className="text-yellow-600" />
+          <h3 className="text-lg font-bold text-gray-900">My Waitlists</h3>
+          <span className="text-sm text-gray-500">({openEntries.length} open)</span>
+        </div>
+        {pastEntries.length > 0 && (
+          <button
+            onClick={() => setShowPast(!showPast)}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            {showPast ? 'Hide past entries' : `Show past entries (${pastEntries.length})`}
+          </button>
+        )}
+      </div>
+
+      {visibleEntries.length === 0 ? (
+        <p className="px-6 py-4 text-sm text-gray-600">You are not on any waitlist right now.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {visibleEntries.map(entry => {
+            const statusBadge = getStatusBadge(entry.status);
+            const isExpanded = expanded === entry.waitlist_id;
+            const movedUp = entry.queue_position !== null && entry.joined_position > entry.queue_position
+              ? entry.joined_position - entry.queue_position
+              : 0;
+
+            return (
+              <div key={entry.waitlist_id} className="px-6 py-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h4 className="font-semibold text-gray-900">{entry.activity_name}</h4>
+                      <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${statusBadge.color}`}>
+                        {statusBadge.text}
+                      </span>
+                    </div>
+
+                    {entry.status === 'waiting' && (
+                      <p className="text-sm text-gray-700">
+                        <span className="font-semibold">#{entry.queue_position}</span> of {entry.queue_length} in queue
+                        {' · '}
+                        {entry.people_ahead === 0 ? 'You are next' : `${entry.people_ahead} ahead of you`}
+                        {movedUp > 0 && (
+                          <span className="ml-2 inline-flex items-center gap-1 text-green-700">
+                            <FiArrowUp /> moved up {movedUp}
+                          </span>
+                        )}
+                      </p>
+                    )}
+
+                    {entry.status === 'notified' && (
+                      <p className="text-sm text-green-800">
+                        A place is being held for you until {formatDateTime(entry.offer_expires_at)}
+                      </p>
+                    )}
+
+                    <button
+                      onClick={() => setExpanded(isExpanded ? null : entry.waitlist_id)}
+                      className="mt-2 inline-flex items-center gap-1 text-xs text-gray-600 hover:text-gray-800"
+                    >
+                      {isExpanded ? <FiChevronUp /> : <FiChevronDown />}
+                      Status history
+                    </button>
+                  </div>
+
+                  <div className="flex flex-col gap-2">
+                    {entry.status === 'notified' && (
+                      <>
+                        <button
+                          onClick={() => handleAccept(entry)}
+                          disabled={busy === entry.waitlist_id}
+                          className="px-4 py-2 rounded-lg text-sm font-semibold bg-green-600 hover:bg-green-700 text-white disabled:bg-green-400"
+                        >
+                          Accept Place
+                        </button>
+                        <button
+                          onClick={() => handleDecline(entry)}
+                          disabled={busy === entry.waitlist_id}
+                          className="px-4 py-2 rounded-lg text-sm font-semibold border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Decline
+                        </button>
+                      </>
+                    )}
+                    {entry.status === 'waiting' && (
+                      <button
+                        onClick={() => setConfirmDialog({ isOpen: true, data: entry })}
+                        disabled={busy === entry.waitlist_id}
+                        className="px-4 py-2 rounded-lg text-sm font-semibold border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                      >
+                        {busy === entry.waitlist_id ? 'Leaving...' : 'Leave Waitlist'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <ol className="mt-3 ml-1 border-l-2 border-gray-200 space-y-2">
+                    {entry.history.map((event, index) => (
+                      <li key={index} className="pl-4 text-xs text-gray-600">
+                        <span className="font-medium text-gray-800">{getStatusBadge(event.status).text}</span>
+                        {event.position && event.status === 'waiting' && ` · position ${event.position}`}
+                        {event.note && ` · ${event.note}`}
+                        <span className="block text-gray-400">{formatDateTime(event.changed_at)}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        title="Leave Waitlist"
+        message={`Are you sure you want to leave the waitlist for ${confirmDialog.data?.activity_name}? You will lose your place in the queue.`}
+        onConfirm={confirmLeave}
+        onCancel={() => setConfirmDialog({ isOpen: false, data: null })}
+        confirmText="Leave"
+        type="danger"
+      />
+    </div>
+  );
+};
+
+export default WaitlistPanel;
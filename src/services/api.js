@@ -7,23 +7,113 @@
 
 const BASE_URL = 'http://localhost:5000/api';
 
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// ==================== Token Storage ====================
+
+/**
+ * Get the stored access token
+ * @returns {string|null} Access token
+ */
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * Store tokens returned by login/refresh
+ * @param {Object} tokens - { token, refresh_token }
+ */
+export const setAuthTokens = ({ token, refresh_token }) => {
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  if (refresh_token) localStorage.setItem(REFRESH_TOKEN_KEY, refresh_token);
+};
+
+/**
+ * Remove stored tokens (logout / expired session)
+ */
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Called when the session cannot be refreshed (AuthProvider shows the login screen)
+let unauthorizedHandler = null;
+
+/**
+ * Register a callback for when the session has ended
+ * @param {Function} handler - Called with no arguments
+ */
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// 401 codes from the backend meaning the session itself is unusable
+const SESSION_ERROR_CODES = ['TOKEN_EXPIRED', 'TOKEN_INVALID', 'SESSION_REVOKED'];
+
+// Shared so parallel 401s trigger a single refresh
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<boolean>} true if the session was refreshed
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        const data = await response.json();
+        setAuthTokens(data.data);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 /**
  * Generic fetch wrapper with error handling
+ * Attaches the Bearer token and retries once after refreshing an expired session
  */
-const fetchAPI = async (url, options = {}) => {
+const fetchAPI = async (url, options = {}, retried = false) => {
   try {
+    const token = getAccessToken();
     const response = await fetch(`${BASE_URL}${url}`, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
-      ...options,
     });
 
     const data = await response.json();
 
+    if (response.status === 401 && token && SESSION_ERROR_CODES.includes(data.code)) {
+      if (data.code === 'TOKEN_EXPIRED' && !retried && await refreshAccessToken()) {
+        return fetchAPI(url, options, true);
+      }
+
+      clearAuthTokens();
+      if (unauthorizedHandler) unauthorizedHandler();
+    }
+
     if (!response.ok) {
-      throw new Error(data.message || 'API request failed');
+      const error = new Error(data.message || data.error || 'API request failed');
+      error.status = response.status;
+      error.code = data.code;
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -33,6 +123,98 @@ const fetchAPI = async (url, options = {}) => {
   }
 };
 
+// ==================== Auth APIs ====================
+
+/**
+ * Log in with email and password
+ * @param {string} username - Account email
+ * @param {string} password - Password
+ * @returns {Promise} { user, token, refresh_token, must_change_password }
+ */
+export const login = async (username, password) => {
+  const response = await fetchAPI('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ username, password }),
+  });
+  setAuthTokens(response.data);
+  return response;
+};
+
+/**
+ * Development only: sign in as a seeded user of a role
+ * @param {string} role - admin, teacher, student, parent
+ * @param {number} userId - Optional specific user
+ * @returns {Promise} { user, token, refresh_token }
+ */
+export const mockLogin = async (role, userId = null) => {
+  const response = await fetchAPI('/auth/mock-login', {
+    method: 'POST',
+    body: JSON.stringify({ role, user_id: userId }),
+  });
+  setAuthTokens(response.data);
+  return response;
+};
+
+/**
+ * Log out and revoke the server-side session
+ * @returns {Promise} Logout confirmation
+ */
+export const logout = async () => {
+  try {
+    return await fetchAPI('/auth/logout', { method: 'POST' });
+  } finally {
+    clearAuthTokens();
+  }
+};
+
+/**
+ * Get the logged-in user's profile (used to restore the session on reload)
+ * @returns {Promise} User profile
+ */
+export const getProfile = async () => {
+  return fetchAPI('/auth/profile');
+};
+
+/**
+ * Change own password
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise} { user, token }
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await fetchAPI('/auth/change-password', {
+    method: 'POST',
+    body: JSON.stringify({ current_password: currentPassword, new_password: newPassword }),
+  });
+  setAuthTokens(response.data);
+  return response;
+};
+
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise} Confirmation
+ */
+export const forgotPassword = async (email) => {
+  return fetchAPI('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+/**
+ * Set a new password using an emailed reset token
+ * @param {string} token - Reset token from the email link
+ * @param {string} newPassword - New password
+ * @returns {Promise} Confirmation
+ */
+export const resetPassword = async (token, newPassword) => {
+  return fetchAPI('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, new_password: newPassword }),
+  });
+};
+
 // ==================== Activity APIs ====================
 
 /**
@@ -102,10 +284,13 @@ export const getActivitiesByCategory = async () => {
 
 /**
  * Enroll a student in an activity
+ * Goes through the full enrollment engine (grade, time conflicts, quota);
+ * when the activity is full the student is waitlisted instead, and lottery
+ * activities record a request until the draw has run
  * @param {number} studentId - Student ID
  * @param {number} activityId - Activity ID
  * @param {string} notes - Optional enrollment notes
- * @returns {Promise} Enrollment data
+ * @returns {Promise} Enrollment data, { waitlisted: true, position } or { requested: true, request_id }
  */
 export const enrollStudent = async (studentId, activityId, notes = '') => {
   return fetchAPI('/enrollments', {
@@ -162,7 +347,7 @@ export const addPerformanceRemark = async (enrollmentId, remark) => {
 };
 
 /**
- * Mark attendance for a student
+ * Mark attendance for a student on the activity's session today
  * @param {number} enrollmentId - Enrollment ID
  * @param {number} activityId - Activity ID
  * @param {string} status - Attendance status (present, absent, late, excused)
@@ -220,6 +405,610 @@ export const getEnrollmentStats = async () => {
   return fetchAPI('/enrollments/stats');
 };
 
+// ==================== Waitlist APIs ====================
+
+/**
+ * Get a student's waitlist entries with queue position and status history
+ * @param {number} studentId - Student ID
+ * @returns {Promise} Waitlist entries
+ */
+export const getStudentWaitlist = async (studentId) => {
+  return fetchAPI(`/enhanced/waitlist/student/${studentId}`);
+};
+
+/**
+ * Leave a waitlist
+ * @param {number} waitlistId - Waitlist entry ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} Confirmation
+ */
+export const leaveWaitlist = async (waitlistId, studentId) => {
+  return fetchAPI(`/enhanced/waitlist/${waitlistId}/leave`, {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId }),
+  });
+};
+
+/**
+ * Accept a waitlist offer (enrolls the student)
+ * @param {number} waitlistId - Waitlist entry ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} Enrollment data
+ */
+export const acceptWaitlistOffer = async (waitlistId, studentId) => {
+  return fetchAPI(`/enhanced/waitlist/${waitlistId}/accept`, {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId }),
+  });
+};
+
+/**
+ * Decline a waitlist offer
+ * @param {number} waitlistId - Waitlist entry ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} Confirmation
+ */
+export const declineWaitlistOffer = async (waitlistId, studentId) => {
+  return fetchAPI(`/enhanced/waitlist/${waitlistId}/decline`, {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId }),
+  });
+};
+
+// ==================== Preference Round APIs ====================
+
+/**
+ * Get preference rounds, newest first
+ * @returns {Promise} Preference rounds
+ */
+export const getPreferenceRounds = async () => {
+  return fetchAPI('/enhanced/preference-rounds');
+};
+
+/**
+ * Get a student's ranked choices for a round (the results report once allocated)
+ * @param {number} roundId - Preference round ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} Round, choices and summary
+ */
+export const getStudentPreferences = async (roundId, studentId) => {
+  return fetchAPI(`/enhanced/preference-rounds/${roundId}/students/${studentId}`);
+};
+
+/**
+ * Submit or replace a student's ranked choices
+ * @param {number} roundId - Preference round ID
+ * @param {number} studentId - Student ID
+ * @param {Array<number>} activityIds - Activity IDs, first choice first
+ * @returns {Promise} Saved choices
+ */
+export const submitPreferences = async (roundId, studentId, activityIds) => {
+  return fetchAPI(`/enhanced/preference-rounds/${roundId}/students/${studentId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ activity_ids: activityIds }),
+  });
+};
+
+// ==================== Schedule APIs ====================
+
+/**
+ * Get the weekly slots of an activity
+ * @param {number} activityId - Activity ID
+ * @returns {Promise} Slots, active first
+ */
+export const getActivitySchedules = async (activityId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/schedules`);
+};
+
+/**
+ * Preview a slot's conflicts without saving it (admin)
+ * @param {number} activityId - Activity ID
+ * @param {Object} slot - { day_of_week, start_time, end_time, venue_id, instructor_id, recurrence_pattern, effective_from, effective_until, schedule_id }
+ * @returns {Promise} { can_save, problems, student_overlaps }
+ */
+export const checkActivitySchedule = async (activityId, slot) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/schedules/check`, {
+    method: 'POST',
+    body: JSON.stringify(slot),
+  });
+};
+
+/**
+ * Add a weekly slot (admin)
+ * A 409 error carries the problems in error.data.conflicts
+ * @param {number} activityId - Activity ID
+ * @param {Object} slot - Slot fields
+ * @returns {Promise} Created slot id and regenerated session counts
+ */
+export const createActivitySchedule = async (activityId, slot) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/schedules`, {
+    method: 'POST',
+    body: JSON.stringify(slot),
+  });
+};
+
+/**
+ * Edit a weekly slot (admin)
+ * @param {number} activityId - Activity ID
+ * @param {number} scheduleId - Slot ID
+ * @param {Object} slot - Fields to change
+ * @returns {Promise} Regenerated session counts
+ */
+export const updateActivitySchedule = async (activityId, scheduleId, slot) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/schedules/${scheduleId}`, {
+    method: 'PUT',
+    body: JSON.stringify(slot),
+  });
+};
+
+/**
+ * Deactivate a weekly slot (admin)
+ * @param {number} activityId - Activity ID
+ * @param {number} scheduleId - Slot ID
+ * @returns {Promise} Confirmation
+ */
+export const deactivateActivitySchedule = async (activityId, scheduleId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/schedules/${scheduleId}`, {
+    method: 'DELETE',
+  });
+};
+
+// ==================== Timetable Builder APIs ====================
+
+/**
+ * List timetable drafts (admin)
+ * @param {string} status - Optional: draft, approved or discarded
+ * @returns {Promise} Drafts, newest first
+ */
+export const getTimetableDrafts = async (status) => {
+  const query = status ? `?status=${status}` : '';
+  return fetchAPI(`/enhanced/timetables${query}`);
+};
+
+/**
+ * Get a timetable draft with its proposed slots (admin)
+ * @param {number} draftId - Draft ID
+ * @returns {Promise} Draft with assignments and unplaced activities
+ */
+export const getTimetableDraft = async (draftId) => {
+  return fetchAPI(`/enhanced/timetables/${draftId}`);
+};
+
+/**
+ * Build a timetable draft (admin)
+ * @param {Object} data - { name, day_start, day_end, slot_minutes, effective_from, effective_until, activities: [{ activity_id, frequency, allowed_days, venue_type, instructor_id, duration_minutes }] }
+ * @returns {Promise} The new draft
+ */
+export const buildTimetableDraft = async (data) => {
+  return fetchAPI('/enhanced/timetables', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  });
+};
+
+/**
+ * Approve a draft, replacing the activities' weekly slots (admin)
+ * A 409 error carries the slots that no longer fit in error.data.conflicts
+ * @param {number} draftId - Draft ID
+ * @returns {Promise} Regenerated session counts per activity
+ */
+export const approveTimetableDraft = async (draftId) => {
+  return fetchAPI(`/enhanced/timetables/${draftId}/approve`, {
+    method: 'POST',
+  });
+};
+
+/**
+ * Discard a draft (admin)
+ * @param {number} draftId - Draft ID
+ * @returns {Promise} Confirmation
+ */
+export const discardTimetableDraft = async (draftId) => {
+  return fetchAPI(`/enhanced/timetables/${draftId}/discard`, {
+    method: 'POST',
+  });
+};
+
+// ==================== Session APIs ====================
+
+/**
+ * Get the dated sessions of an activity (coach/admin)
+ * @param {number} activityId - Activity ID
+ * @param {string} from - First date (YYYY-MM-DD), optional
+ * @param {string} to - Last date (YYYY-MM-DD), optional
+ * @returns {Promise} Sessions
+ */
+export const getActivitySessions = async (activityId, from = null, to = null) => {
+  const params = new URLSearchParams();
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions${params.toString() ? `?${params.toString()}` : ''}`);
+};
+
+/**
+ * Reschedule or reassign one session
+ * A 409 error carries the clashing sessions in error.data.conflicts
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {Object} changes - { session_date, start_time, end_time, venue_id, instructor_id, reason }
+ * @returns {Promise} Updated session
+ */
+export const updateSession = async (activityId, sessionId, changes) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes),
+  });
+};
+
+/**
+ * Cancel one session
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why it is cancelled
+ * @returns {Promise} Confirmation
+ */
+export const cancelSession = async (activityId, sessionId, reason) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+};
+
+/**
+ * Cancel or reassign every upcoming session of an activity in a date range
+ * @param {number} activityId - Activity ID
+ * @param {Object} rangeChange - { action: 'cancel'|'reassign', from, to, venue_id, instructor_id, start_time, end_time, reason }
+ * @returns {Promise} Number of sessions changed
+ */
+export const updateSessionRange = async (activityId, rangeChange) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/bulk-update`, {
+    method: 'POST',
+    body: JSON.stringify(rangeChange),
+  });
+};
+
+/**
+ * Get the change history of a session
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise} Changes, newest first
+ */
+export const getSessionChanges = async (activityId, sessionId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/changes`);
+};
+
+/**
+ * Get every student enrolled for a session, with their attendance mark
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise} { session, students, summary }
+ */
+export const getSessionRoster = async (activityId, sessionId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/roster`);
+};
+
+/**
+ * Mark attendance for a whole session
+ * Students without a mark get defaultStatus; listed exceptions get their own status
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {string|null} defaultStatus - Status for unmarked students (e.g. 'present'), or null
+ * @param {Array<Object>} exceptions - [{ student_id, status, remarks }]
+ * @param {string|null} idempotencyKey - Key of a save queued offline, so a replay is applied once
+ * @param {string|null} recordedAt - When a queued save's marks were taken (ISO timestamp)
+ * @returns {Promise} Number of students changed, and any skipped for being edited since
+ */
+export const markSessionAttendance = async (activityId, sessionId, defaultStatus, exceptions = [], idempotencyKey = null, recordedAt = null) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/attendance`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      default_status: defaultStatus,
+      exceptions,
+      idempotency_key: idempotencyKey,
+      recorded_at: recordedAt
+    }),
+  });
+};
+
+/**
+ * Get the attendance edit trail of a session
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Only this student's changes, optional
+ * @returns {Promise} Changes, newest first
+ */
+export const getAttendanceHistory = async (activityId, sessionId, studentId = null) => {
+  const params = studentId ? `?student_id=${studentId}` : '';
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/attendance/history${params}`);
+};
+
+/**
+ * Get the current check-in QR token for today's session (coach)
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise} { token, expires_at, rotates_every }
+ */
+export const getCheckInToken = async (activityId, sessionId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/check-in-token`);
+};
+
+/**
+ * Check the signed-in student in with a token scanned from the QR code
+ * @param {string} token - Token from the QR code
+ * @returns {Promise} { session_id, status, check_in_time }
+ */
+export const selfCheckIn = async (token) => {
+  return fetchAPI('/enhanced/attendance/check-in', {
+    method: 'POST',
+    body: JSON.stringify({ token }),
+  });
+};
+
+/**
+ * Check a student in from the kiosk (coach)
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} { status, check_in_time }
+ */
+export const kioskCheckIn = async (activityId, sessionId, studentId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/check-in`, {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId }),
+  });
+};
+
+/**
+ * Check a student out at pickup (coach)
+ * @param {number} activityId - Activity ID
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @returns {Promise} { check_out_time }
+ */
+export const kioskCheckOut = async (activityId, sessionId, studentId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/sessions/${sessionId}/check-out`, {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId }),
+  });
+};
+
+/**
+ * Get the attendance alerts of an activity (coach)
+ * @param {number} activityId - Activity ID
+ * @param {string} status - open (default), resolved or all
+ * @returns {Promise} Alerts with student_name, rule and message
+ */
+export const getActivityAttendanceAlerts = async (activityId, status = 'open') => {
+  return fetchAPI(`/enhanced/activities/${activityId}/attendance-alerts?status=${status}`);
+};
+
+/**
+ * Get every open attendance alert (admin)
+ * @returns {Promise} Alerts with student and activity names, plus students_at_risk
+ */
+export const getAttendanceAlerts = async () => {
+  return fetchAPI('/enhanced/attendance-alerts');
+};
+
+// ==================== Absence Note APIs ====================
+
+/**
+ * Get the children the signed-in parent can send absence notes for
+ * @returns {Promise} Students with student_id and student_name
+ */
+export const getExcuseStudents = async () => {
+  return fetchAPI('/enhanced/excuses/students');
+};
+
+/**
+ * Get a student's absence notes and the sessions a note can be sent for
+ * @param {number} studentId - Student ID
+ * @returns {Promise} { excuses, sessions }
+ */
+export const getStudentExcuses = async (studentId) => {
+  return fetchAPI(`/enhanced/excuses/student/${studentId}`);
+};
+
+/**
+ * Send an absence note for one session
+ * @param {number} studentId - Student ID
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why the student is absent
+ * @param {Object} attachment - Optional { name, type, data } with base64 data
+ * @returns {Promise} Created note
+ */
+export const submitExcuse = async (studentId, sessionId, reason, attachment = null) => {
+  return fetchAPI('/enhanced/excuses', {
+    method: 'POST',
+    body: JSON.stringify({ student_id: studentId, session_id: sessionId, reason, attachment }),
+  });
+};
+
+/**
+ * Get the absence notes for an activity's sessions (coach)
+ * @param {number} activityId - Activity ID
+ * @param {string} status - pending (default), approved, rejected or all
+ * @returns {Promise} Notes with student, session and current attendance
+ */
+export const getActivityExcuses = async (activityId, status = 'pending') => {
+  return fetchAPI(`/enhanced/activities/${activityId}/excuses?status=${status}`);
+};
+
+/**
+ * Approve or reject an absence note (coach)
+ * @param {number} activityId - Activity ID
+ * @param {number} excuseId - Note ID
+ * @param {string} decision - approve or reject
+ * @param {string} reviewNote - Optional message for the parent
+ * @returns {Promise} Updated note status
+ */
+export const reviewExcuse = async (activityId, excuseId, decision, reviewNote = '') => {
+  return fetchAPI(`/enhanced/activities/${activityId}/excuses/${excuseId}/review`, {
+    method: 'POST',
+    body: JSON.stringify({ decision, review_note: reviewNote }),
+  });
+};
+
+/**
+ * Get the file attached to an absence note (coach)
+ * @param {number} activityId - Activity ID
+ * @param {number} excuseId - Note ID
+ * @returns {Promise} { name, type, data } with base64 data
+ */
+export const getExcuseAttachment = async (activityId, excuseId) => {
+  return fetchAPI(`/enhanced/activities/${activityId}/excuses/${excuseId}/attachment`);
+};
+
+// ==================== Venue & Instructor APIs ====================
+
+/**
+ * Get all venues (coach/admin)
+ * @returns {Promise} Venues
+ */
+export const getVenues = async () => {
+  return fetchAPI('/enhanced/venues');
+};
+
+/**
+ * Get a venue with its weekly bookings
+ * @param {number} venueId - Venue ID
+ * @returns {Promise} Venue with schedules
+ */
+export const getVenueById = async (venueId) => {
+  return fetchAPI(`/enhanced/venues/${venueId}`);
+};
+
+/**
+ * Create a venue (admin)
+ * @param {Object} venueData - { name, type, capacity, location, facilities, status }
+ * @returns {Promise} Created venue
+ */
+export const createVenue = async (venueData) => {
+  return fetchAPI('/enhanced/venues', {
+    method: 'POST',
+    body: JSON.stringify(venueData),
+  });
+};
+
+/**
+ * Update a venue (admin)
+ * A 409 error lists the scheduled activities whose quota the new capacity is below
+ * @param {number} venueId - Venue ID
+ * @param {Object} venueData - Fields to update
+ * @returns {Promise} Updated venue
+ */
+export const updateVenue = async (venueId, venueData) => {
+  return fetchAPI(`/enhanced/venues/${venueId}`, {
+    method: 'PUT',
+    body: JSON.stringify(venueData),
+  });
+};
+
+/**
+ * Delete a venue no active schedule uses (admin)
+ * @param {number} venueId - Venue ID
+ * @returns {Promise} Confirmation
+ */
+export const deleteVenue = async (venueId) => {
+  return fetchAPI(`/enhanced/venues/${venueId}`, {
+    method: 'DELETE',
+  });
+};
+
+/**
+ * Get all instructors (coach/admin)
+ * @returns {Promise} Instructors
+ */
+export const getInstructors = async () => {
+  return fetchAPI('/enhanced/instructors');
+};
+
+/**
+ * Get weekly workloads of instructors and coaches (admin; coaches get only their own)
+ * @param {Object} filters - Optional { user_id, instructor_id }
+ * @returns {Promise} Workloads with weekly_hours, activity_count, student_count and over_limit
+ */
+export const getInstructorWorkloads = async (filters = {}) => {
+  const params = new URLSearchParams();
+  if (filters.user_id) params.append('user_id', filters.user_id);
+  if (filters.instructor_id) params.append('instructor_id', filters.instructor_id);
+
+  return fetchAPI(`/enhanced/instructors/workload${params.toString() ? `?${params.toString()}` : ''}`);
+};
+
+// ==================== Calendar APIs ====================
+
+/**
+ * Get calendar closures overlapping a date range
+ * @param {string} from - First date (YYYY-MM-DD), optional
+ * @param {string} to - Last date (YYYY-MM-DD), optional
+ * @returns {Promise} Closures
+ */
+export const getClosures = async (from = null, to = null) => {
+  const params = new URLSearchParams();
+  if (from) params.append('from', from);
+  if (to) params.append('to', to);
+
+  return fetchAPI(`/enhanced/calendar/closures${params.toString() ? `?${params.toString()}` : ''}`);
+};
+
+/**
+ * Add a holiday, term break or closure (admin)
+ * Cancels the sessions it covers and notifies enrolled families
+ * @param {Object} closureData - { name, closure_type, start_date, end_date, venue_id, notes }
+ * @returns {Promise} Created closure with sessions_cancelled
+ */
+export const createClosure = async (closureData) => {
+  return fetchAPI('/enhanced/calendar/closures', {
+    method: 'POST',
+    body: JSON.stringify(closureData),
+  });
+};
+
+/**
+ * Remove a closure (admin); its upcoming sessions are restored
+ * @param {number} closureId - Closure ID
+ * @returns {Promise} Confirmation
+ */
+export const deleteClosure = async (closureId) => {
+  return fetchAPI(`/enhanced/calendar/closures/${closureId}`, {
+    method: 'DELETE',
+  });
+};
+
+/**
+ * Get the current user's iCalendar subscription links
+ * @returns {Promise} Active links (tokens are not included)
+ */
+export const getCalendarFeeds = async () => {
+  return fetchAPI('/enhanced/calendar/feeds');
+};
+
+/**
+ * Create an iCalendar subscription link; earlier links for the same calendar stop working
+ * @param {string} feedType - student, coach or venue
+ * @param {number} targetId - Student/coach user ID or venue ID (defaults to the current user)
+ * @returns {Promise} Link with its url (only returned once)
+ */
+export const createCalendarFeed = async (feedType, targetId = null) => {
+  return fetchAPI('/enhanced/calendar/feeds', {
+    method: 'POST',
+    body: JSON.stringify({ feed_type: feedType, target_id: targetId }),
+  });
+};
+
+/**
+ * Revoke an iCalendar subscription link
+ * @param {number} feedId - Link ID
+ * @returns {Promise} Confirmation
+ */
+export const revokeCalendarFeed = async (feedId) => {
+  return fetchAPI(`/enhanced/calendar/feeds/${feedId}`, {
+    method: 'DELETE',
+  });
+};
+
 /**
  * Health check
  * @returns {Promise} Server health status
@@ -293,6 +1082,15 @@ export const getUserStats = async () => {
 };
 
 export default {
+  // Auth
+  login,
+  mockLogin,
+  logout,
+  getProfile,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+
   // Activities
   getAllActivities,
   getActivityById,
@@ -313,6 +1111,72 @@ export default {
   addPerformanceRemark,
   markAttendance,
   
+  // Waitlist
+  getStudentWaitlist,
+  leaveWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  
+  // Preference rounds
+  getPreferenceRounds,
+  getStudentPreferences,
+  submitPreferences,
+  
+  // Schedules
+  getActivitySchedules,
+  checkActivitySchedule,
+  createActivitySchedule,
+  updateActivitySchedule,
+  deactivateActivitySchedule,
+  
+  // Timetable builder
+  getTimetableDrafts,
+  getTimetableDraft,
+  buildTimetableDraft,
+  approveTimetableDraft,
+  discardTimetableDraft,
+  
+  // Sessions
+  getActivitySessions,
+  updateSession,
+  cancelSession,
+  updateSessionRange,
+  getSessionChanges,
+  getSessionRoster,
+  markSessionAttendance,
+  getAttendanceHistory,
+  getCheckInToken,
+  selfCheckIn,
+  kioskCheckIn,
+  kioskCheckOut,
+  getActivityAttendanceAlerts,
+  getAttendanceAlerts,
+  
+  // Absence notes
+  getExcuseStudents,
+  getStudentExcuses,
+  submitExcuse,
+  getActivityExcuses,
+  reviewExcuse,
+  getExcuseAttachment,
+  
+  // Venues & Instructors
+  getVenues,
+  getVenueById,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  getInstructors,
+  getInstructorWorkloads,
+  
+  // Calendar
+  getClosures,
+  createClosure,
+  deleteClosure,
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  
   // Users
   getAllUsers,
   getUserById,
@@ -0,0 +1,247 @@
+/**
+ * Offline Attendance Store
+ *
+ * Lets coaches take attendance without a connection. What they need for the
+ * day (activities, sessions, rosters) is cached in IndexedDB whenever it is
+ * fetched, and attendance saves made offline are queued there until they can
+ * be sent to the bulk attendance endpoint.
+ *
+ * Every queued save gets an idempotency key and the time the marks were taken,
+ * so the server applies it once however often it is replayed and never lets it
+ * overwrite a student who was edited after it.
+ */
+
+import { markSessionAttendance } from './api';
+
+const DB_NAME = 'extracurricular-attendance';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const QUEUE_STORE = 'queue';
+
+// The device's local day (en-CA formats it as YYYY-MM-DD), not the UTC one
+const todayString = () => new Date().toLocaleDateString('en-CA');
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        request.result.createObjectStore(QUEUE_STORE, { keyPath: 'idempotency_key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against a store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Called with the store, returns an IDBRequest
+ * @returns {Promise} The request's result once the transaction completes
+ */
+const withStore = async (storeName, mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const newIdempotencyKey = () => (
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Whether a failed request never reached the server (as opposed to being refused by it)
+ * @param {Error} error - Error thrown by the API service
+ * @returns {boolean} true when offline or the request could not be sent
+ */
+export const isNetworkError = (error) => !navigator.onLine || error instanceof TypeError;
+
+// ==================== Day Cache ====================
+
+/**
+ * Store a value for the rest of the day, dropping entries from earlier days
+ * @param {string} key - Cache key
+ * @param {*} value - Anything IndexedDB can store
+ */
+export const cacheForToday = async (key, value) => {
+  const entries = await withStore(CACHE_STORE, 'readonly', store => store.getAll());
+  const stale = entries.filter(entry => entry.day !== todayString());
+
+  await withStore(CACHE_STORE, 'readwrite', store => {
+    stale.forEach(entry => store.delete(entry.key));
+    return store.put({ key, value, day: todayString(), cached_at: new Date().toISOString() });
+  });
+};
+
+/**
+ * Read a value cached today
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { value, cached_at }, or null if nothing was cached today
+ */
+export const readTodaysCache = async (key) => {
+  const entry = await withStore(CACHE_STORE, 'readonly', store => store.get(key));
+  return entry && entry.day === todayString() ? { value: entry.value, cached_at: entry.cached_at } : null;
+};
+
+/**
+ * Fetch fresh data and cache it, or fall back to today's copy when offline
+ * @param {string} key - Cache key
+ * @param {Function} fetchFresh - Async function returning the data
+ * @returns {Promise<Object>} { value, cachedAt } where cachedAt is null for fresh data
+ * @throws The fetch error when it was not a network failure or nothing was cached today
+ */
+export const fetchWithTodaysCache = async (key, fetchFresh) => {
+  try {
+    const value = await fetchFresh();
+    cacheForToday(key, value).catch(error => console.error('Failed to cache for offline use:', error));
+    return { value, cachedAt: null };
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    const cached = await readTodaysCache(key).catch(() => null);
+    if (!cached) throw error;
+    return { value: cached.value, cachedAt: cached.cached_at };
+  }
+};
+
+// ==================== Save Queue ====================
+
+/**
+ * Queue a session's attendance save to send later
+ * @param {Object} save - { activity_id, session_id, default_status, exceptions }
+ * @returns {Promise<Object>} The queued entry, with its idempotency_key and recorded_at
+ */
+export const queueAttendance = async (save) => {
+  const entry = {
+    ...save,
+    idempotency_key: newIdempotencyKey(),
+    recorded_at: new Date().toISOString()
+  };
+  await withStore(QUEUE_STORE, 'readwrite', store => store.put(entry));
+  return entry;
+};
+
+/**
+ * Saves waiting to be sent, oldest first
+ * @param {number|null} activityId - Only this activity's saves (optional)
+ * @returns {Promise<Array<Object>>} Queued entries
+ */
+export const getQueuedAttendance = async (activityId = null) => {
+  const entries = await withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+  return entries
+    .filter(entry => activityId === null || String(entry.activity_id) === String(activityId))
+    .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+};
+
+/**
+ * A roster with the queued saves for its session applied on top, in order
+ * Students affected by a queued save get queued: true
+ * @param {Object} roster - { session, students, summary } from the roster endpoint
+ * @param {Array<Object>} entries - Queued entries (any session)
+ * @returns {Object} Roster as it will be once the queue is sent
+ */
+export const applyQueuedAttendance = (roster, entries) => {
+  const queued = entries.filter(entry => String(entry.session_id) === String(roster.session.id));
+  if (queued.length === 0) return roster;
+
+  let students = roster.students;
+  for (const entry of queued) {
+    const exceptions = new Map(entry.exceptions.map(exception => [String(exception.student_id), exception]));
+    students = students.map(student => {
+      const exception = exceptions.get(String(student.student_id));
+      if (exception) {
+        return {
+          ...student,
+          status: exception.status,
+          remarks: exception.remarks !== undefined ? exception.remarks?.trim() || null : student.remarks,
+          queued: true
+        };
+      }
+      return entry.default_status && !student.status ? { ...student, status: entry.default_status, queued: true } : student;
+    });
+  }
+
+  const summary = { ...roster.summary, unmarked: 0 };
+  ['present', 'late', 'absent', 'excused'].forEach(status => { summary[status] = 0; });
+  students.forEach(student => {
+    if (student.status) summary[student.status]++;
+    else summary.unmarked++;
+  });
+
+  return { ...roster, students, summary };
+};
+
+let syncPromise = null;
+
+/**
+ * Send every queued save, oldest first
+ * Saves the server refuses (e.g. a session cancelled meanwhile) are dropped and
+ * reported; a network or server failure, or an ended sign-in, stops the run and
+ * keeps the rest queued.
+ * Concurrent calls share one run.
+ * @returns {Promise<Object>} { synced: [{ entry, response }], failed: [{ entry, error }], remaining }
+ */
+export const syncQueuedAttendance = () => {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      const synced = [];
+      const failed = [];
+      const entries = await getQueuedAttendance();
+      let remaining = entries.length;
+
+      for (const entry of entries) {
+        try {
+          const response = await markSessionAttendance(
+            entry.activity_id,
+            entry.session_id,
+            entry.default_status,
+            entry.exceptions,
+            entry.idempotency_key,
+            entry.recorded_at
+          );
+          synced.push({ entry, response });
+        } catch (error) {
+          // Kept for later: not sent, signed out, or the server failed
+          if (isNetworkError(error) || !error.status || error.status === 401 || error.status >= 500) break;
+          failed.push({ entry, error });
+        }
+
+        await withStore(QUEUE_STORE, 'readwrite', store => store.delete(entry.idempotency_key));
+        remaining--;
+      }
+
+      return { synced, failed, remaining };
+    })().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+};
+
+export default {
+  isNetworkError,
+  cacheForToday,
+  readTodaysCache,
+  fetchWithTodaysCache,
+  queueAttendance,
+  getQueuedAttendance,
+  applyQueuedAttendance,
+  syncQueuedAttendance
+};